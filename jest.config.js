@@ -13,6 +13,8 @@ module.exports = {
     'main.js',
     'renderer.js',
     'potrace.js',
+    'src/lib/**/*.js',
+    'src/main/**/*.js',
     '!node_modules/**',
     '!dist/**',
     '!coverage/**'
@@ -6,6 +6,24 @@ const fs = require('fs');
 const os = require('os');
 const { spawn } = require('child_process');
 const { parseString } = require('xml2js');
+const { svgToGcode, formatJobComment, readSvgDocument } = require('./src/main/gcode-generator');
+const { listPenGroups } = require('./src/main/pen-separation');
+const WorkArea = require('./src/lib/work-area');
+const SvgPath = require('./src/lib/svg-path');
+const PlotEstimator = require('./src/lib/plot-estimator');
+const machineProfiles = require('./src/main/machine-profiles');
+const { toVpypeArgs } = require('./src/main/path-optimizer');
+const { PlotterSession } = require('./src/main/plotter-session');
+const { listSerialPorts, openSerialPort } = require('./src/main/serial-connection');
+const { openTcpConnection } = require('./src/main/tcp-connection');
+const { VIRTUAL_PORT_PATH, VirtualPlotter } = require('./src/main/virtual-plotter');
+const { NETWORK_PORT_PATH, networkAddress, openNetworkConnection } = require('./src/main/network-connection');
+const { controlCommand } = require('./src/main/machine-control');
+const { buildResumeJob } = require('./src/main/gcode-resume');
+const { OctoPrintClient } = require('./src/main/octoprint-client');
+const { JobQueue } = require('./src/main/job-queue');
+const jobHistory = require('./src/main/job-history');
+const { getSimulatedDrawingPath, listVectorFiles } = require('./src/main/workspace-files');
 require('dotenv').config();
 
 // Debug flag from .env
@@ -104,6 +122,9 @@ ipcMain.handle('get-gellyroller-path', () => {
   return path.join(homeDir, 'gellyroller');
 });
 
+// Trace masks painted over an image are saved next to it as <image file>.mask.png
+const MASK_SUFFIX = '.mask.png';
+
 // IPC Handler for listing image files
 ipcMain.handle('list-images', async () => {
   const homeDir = os.homedir();
@@ -120,9 +141,10 @@ ipcMain.handle('list-images', async () => {
 
     // Filter for image files (bitmap formats)
     const imageExtensions = ['.png', '.jpg', '.jpeg', '.gif', '.bmp', '.webp', '.tiff', '.tif'];
+    // Trace masks (see save-image-mask) are stored as PNGs but are not images to list
     const imageFiles = files.filter(file => {
       const ext = path.extname(file).toLowerCase();
-      return imageExtensions.includes(ext);
+      return imageExtensions.includes(ext) && !file.endsWith(MASK_SUFFIX);
     }).map(file => ({
       name: file,
       path: path.join(gellyrollerPath, file)
@@ -147,17 +169,8 @@ ipcMain.handle('list-vectors', async () => {
       return { success: false, files: [] };
     }
 
-    // Read directory contents
-    const files = fs.readdirSync(gellyrollerPath);
-
-    // Filter for SVG files
-    const vectorFiles = files.filter(file => {
-      const ext = path.extname(file).toLowerCase();
-      return ext === '.svg';
-    }).map(file => ({
-      name: file,
-      path: path.join(gellyrollerPath, file)
-    }));
+    // SVG files, leaving out the simulator's recordings
+    const vectorFiles = listVectorFiles(gellyrollerPath);
 
     debugLog('Found', vectorFiles.length, 'vector files');
     return { success: true, files: vectorFiles };
@@ -268,8 +281,11 @@ ipcMain.handle('delete-file', async (event, filePath) => {
       return { success: false, error: 'File does not exist' };
     }
 
-    // Delete the file
+    // Delete the file, along with an image's trace mask
     fs.unlinkSync(filePath);
+    if (fs.existsSync(filePath + MASK_SUFFIX)) {
+      fs.unlinkSync(filePath + MASK_SUFFIX);
+    }
     debugLog('File deleted successfully:', filePath);
 
     return { success: true };
@@ -279,87 +295,176 @@ ipcMain.handle('delete-file', async (event, filePath) => {
   }
 });
 
-// IPC Handler for converting SVG to G-code using vpype
-ipcMain.handle('eject-to-gcode', async (event, svgFilePath, outputWidth, outputHeight, unit, position = 'center') => {
+/**
+ * Location of the machine profiles file in the gellyroller workspace
+ */
+function getMachinesFilePath() {
+  return path.join(os.homedir(), 'gellyroller', 'machines.json');
+}
+
+/**
+ * Machine profiles from the workspace. Older versions kept the machine's gwrite
+ * profile in the app's vpype.toml; it is imported when machines.json does not
+ * exist yet.
+ */
+function loadMachineStore() {
+  return machineProfiles.loadMachineStore(getMachinesFilePath(), path.join(__dirname, 'vpype.toml'));
+}
+
+function getQueueFilePath() {
+  return path.join(os.homedir(), 'gellyroller', 'queue.json');
+}
+
+function getHistoryFilePath() {
+  return path.join(os.homedir(), 'gellyroller', 'history.json');
+}
+
+// IPC Handler for loading machine profiles
+ipcMain.handle('get-machine-profiles', async () => {
   try {
-    debugLog('=== EJECT-TO-GCODE HANDLER CALLED ===');
-    debugLog('SVG file path:', svgFilePath);
-    debugLog('Output dimensions:', outputWidth, 'x', outputHeight, unit);
-    debugLog('Work area position:', position);
+    return { success: true, data: loadMachineStore() };
+  } catch (error) {
+    console.error('Error loading machine profiles:', error);
+    return { success: false, error: error.message };
+  }
+});
 
-    // Verify the file exists
-    if (!fs.existsSync(svgFilePath)) {
-      return { success: false, error: 'SVG file does not exist' };
+// IPC Handler for saving machine profiles
+ipcMain.handle('save-machine-profiles', async (event, store) => {
+  try {
+    const dir = path.dirname(getMachinesFilePath());
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    const saved = machineProfiles.saveMachineStore(getMachinesFilePath(), store);
+    debugLog('Saved', saved.profiles.length, 'machine profiles');
+    return { success: true, data: saved };
+  } catch (error) {
+    console.error('Error saving machine profiles:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Resolve the machine, size and placement of an Eject job
+ * @returns {Object} Job settings, or {error} when the job cannot be placed
+ */
+function prepareEjectJob(svgFilePath, outputWidth, outputHeight, unit, position, options) {
+  // Target machine for this job (falls back to the active machine)
+  const machine = machineProfiles.getProfile(loadMachineStore(), options.machineId);
+  const gwrite = machineProfiles.profileToGwrite(machine);
+  debugLog('Target machine:', machine.name);
+
+  // Verify the file exists
+  if (!fs.existsSync(svgFilePath)) {
+    return { error: 'SVG file does not exist' };
+  }
+
+  // Convert dimensions to mm
+  const toMm = (value, unit) => {
+    switch (unit) {
+      case 'mm': return value;
+      case 'cm': return value * 10;
+      case 'in': return value * 25.4;
+      default: return value;
     }
+  };
 
-    // Convert dimensions to mm for vpype
-    const toMm = (value, unit) => {
-      switch (unit) {
-        case 'mm': return value;
-        case 'cm': return value * 10;
-        case 'in': return value * 25.4;
-        default: return value;
-      }
+  const widthMm = toMm(outputWidth, unit);
+  const heightMm = toMm(outputHeight, unit);
+
+  debugLog('Converted dimensions to mm:', widthMm, 'x', heightMm);
+
+  // Page layout from the Eject preview: page size, artwork offset from the page
+  // center and rotation (mm / degrees). Without one the paper is the artwork
+  // plus the machine's margin.
+  const margin = machine.paperMargin;
+  const layout = options.placement || {
+    pageWidth: widthMm + (margin * 2),
+    pageHeight: heightMm + (margin * 2),
+    offsetX: 0,
+    offsetY: 0,
+    rotation: 0
+  };
+
+  if (layout.pageWidth > machine.workWidth || layout.pageHeight > machine.workHeight) {
+    return {
+      error: `Page (${layout.pageWidth.toFixed(1)} × ${layout.pageHeight.toFixed(1)} mm) does not fit the ${machine.name} work area (${machine.workWidth} × ${machine.workHeight} mm)`
     };
+  }
 
-    const widthMm = toMm(outputWidth, unit);
-    const heightMm = toMm(outputHeight, unit);
+  // Place the paper in the machine's work area
+  const paper = WorkArea.placePaper(
+    machine.workWidth,
+    machine.workHeight,
+    layout.pageWidth,
+    layout.pageHeight,
+    position
+  );
+
+  // Artwork box -> page (offset and rotation) -> machine coordinates
+  const artToPage = WorkArea.placeArtwork(widthMm, heightMm, layout.pageWidth, layout.pageHeight, layout);
+  const pageToMachine = WorkArea.pageToMachine(paper.x, paper.y, layout.pageHeight, machine);
+  const transform = SvgPath.multiply(pageToMachine, artToPage);
+
+  // The artwork may hang off the page, but not off the work area
+  const artOnPage = WorkArea.boxBounds(artToPage, widthMm, heightMm);
+  const tolerance = 0.001;
+  if (paper.x + artOnPage.minX < -tolerance || paper.x + artOnPage.maxX > machine.workWidth + tolerance ||
+      paper.y + layout.pageHeight - artOnPage.maxY < -tolerance ||
+      paper.y + layout.pageHeight - artOnPage.minY > machine.workHeight + tolerance) {
+    return { error: `Artwork extends beyond the ${machine.name} work area` };
+  }
 
-    debugLog('Converted dimensions to mm:', widthMm, 'x', heightMm);
+  debugLog('Paper placement (bed mm):', paper);
+  debugLog('Artwork offset:', layout.offsetX, layout.offsetY, 'rotation:', layout.rotation);
+  debugLog('Machine origin:', machine.origin, 'transform:', transform);
 
-    // Calculate position offset based on selected position
-    // Work area is assumed to be 400mm × 400mm (from hardware.js defaults)
-    const workAreaWidth = 400;
-    const workAreaHeight = 400;
-    const margin = 5; // 5mm margin for paper
-    const paperWidth = widthMm + (margin * 2);
-    const paperHeight = heightMm + (margin * 2);
+  const jobInfo = {
+    machine: machine.id,
+    work: [machine.workWidth, machine.workHeight],
+    origin: machine.origin,
+    paper: [paper.x, paper.y, paper.width, paper.height]
+  };
 
-    let translateX, translateY;
+  return { machine, gwrite, widthMm, heightMm, layout, paper, pageToMachine, transform, jobInfo };
+}
 
-    // Calculate X offset based on position
-    switch (position) {
-      case 'top-left':
-      case 'center-left':
-      case 'bottom-left':
-        translateX = paperWidth / 2;
-        break;
-      case 'top-center':
-      case 'center':
-      case 'bottom-center':
-        translateX = workAreaWidth / 2;
-        break;
-      case 'top-right':
-      case 'center-right':
-      case 'bottom-right':
-        translateX = workAreaWidth - (paperWidth / 2);
-        break;
-      default:
-        translateX = workAreaWidth / 2; // Default to center
-    }
+/**
+ * Generator for an eject job: pen separation and hatching are done by the
+ * built-in generator, whatever the Hardware tab selects
+ * @returns {{backend: string, warning: string|null}} warning: why vpype was not used
+ */
+function resolveGcodeBackend(options) {
+  if (options.backend !== 'vpype') {
+    return { backend: 'builtin', warning: null };
+  }
+  const features = [options.pens && 'pen mapping', options.hatch && 'hatching'].filter(Boolean);
+  if (features.length === 0) {
+    return { backend: 'vpype', warning: null };
+  }
+  return {
+    backend: 'builtin',
+    warning: `vpype does not support ${features.join(' and ')}, so the built-in generator was used.`
+  };
+}
 
-    // Calculate Y offset based on position
-    switch (position) {
-      case 'top-left':
-      case 'top-center':
-      case 'top-right':
-        translateY = workAreaHeight - (paperHeight / 2);
-        break;
-      case 'center-left':
-      case 'center':
-      case 'center-right':
-        translateY = workAreaHeight / 2;
-        break;
-      case 'bottom-left':
-      case 'bottom-center':
-      case 'bottom-right':
-        translateY = paperHeight / 2;
-        break;
-      default:
-        translateY = workAreaHeight / 2; // Default to center
-    }
+// IPC Handler for converting SVG to G-code (built-in generator or vpype)
+ipcMain.handle('eject-to-gcode', async (event, svgFilePath, outputWidth, outputHeight, unit, position = 'center', options = {}) => {
+  try {
+    const { backend, warning } = resolveGcodeBackend(options);
 
-    debugLog('Position offsets:', `X: ${translateX}mm, Y: ${translateY}mm`);
+    debugLog('=== EJECT-TO-GCODE HANDLER CALLED ===');
+    debugLog('SVG file path:', svgFilePath);
+    debugLog('Output dimensions:', outputWidth, 'x', outputHeight, unit);
+    debugLog('Work area position:', position);
+    debugLog('G-code backend:', backend);
+
+    const job = prepareEjectJob(svgFilePath, outputWidth, outputHeight, unit, position, options);
+    if (job.error) {
+      return { success: false, error: job.error };
+    }
+    const { machine, gwrite, widthMm, heightMm, layout, pageToMachine, transform, jobInfo } = job;
 
     // Use gellyroller directory in user's home for G-code output
     const homeDir = os.homedir();
@@ -375,84 +480,197 @@ ipcMain.handle('eject-to-gcode', async (event, svgFilePath, outputWidth, outputH
     const gcodeFilePath = path.join(gcodePath, `${baseName}_${timestamp}.gcode`);
     debugLog('Output G-code path:', gcodeFilePath);
 
-    // Path to project vpype config file
-    const vpypeConfigPath = path.join(__dirname, 'vpype.toml');
-    debugLog('vpype config path:', vpypeConfigPath);
+    if (backend === 'vpype') {
+      // vpype reads the machine profile from a temporary config file
+      // Mirrored axes are expressed as gwrite flips around the work area
+      const [sx, , , sy, ox, oy] = pageToMachine;
+      const flipX = sx < 0;
+      const flipY = sy < 0;
+      const rotation = (((layout.rotation || 0) % 360) + 360) % 360;
+      const translateX = (flipX ? machine.workWidth - ox : ox) + layout.pageWidth / 2 + (layout.offsetX || 0) - widthMm / 2;
+      const translateY = (flipY ? machine.workHeight - oy : oy) + layout.pageHeight / 2 + (layout.offsetY || 0) - heightMm / 2;
+
+      const vpypeConfigPath = path.join(os.tmpdir(), `gellyscope-gwrite-${timestamp}.toml`);
+      const vpypeProfile = { ...gwrite, horizontal_flip: flipX, vertical_flip: flipY };
+      fs.writeFileSync(vpypeConfigPath, machineProfiles.gwriteToToml('gellyscope', vpypeProfile), 'utf8');
+      debugLog('vpype config path:', vpypeConfigPath);
+
+      // Build vpype command - scale to target dimensions and position in work area
+      // The layout command fits the drawing to the specified page size
+      const vpypeArgs = [
+        '--config', vpypeConfigPath,
+        'read', svgFilePath,  // Read original SVG
+        'layout', '--fit-to-margins', '0mm', `${widthMm}mmx${heightMm}mm`,  // Scale to output dimensions with no margins
+        'rotate', '-o', `${widthMm / 2}mm`, `${heightMm / 2}mm`, `${rotation}`,  // Rotate about the artwork center
+        'translate', '--', `${translateX}mm`, `${translateY}mm`,  // Position in work area ("--" allows negative offsets)
+        ...(options.optimize ? toVpypeArgs(options.optimize) : []),  // linemerge / linesimplify / reloop / linesort
+        'pagesize', `${machine.workWidth}mmx${machine.workHeight}mm`,  // Flips are relative to the work area
+        'gwrite', '-p', 'gellyscope', gcodeFilePath
+      ];
+      const vpypeResult = await runVpypeGwrite(vpypeArgs, gcodeFilePath);
+      fs.unlink(vpypeConfigPath, () => {});
+
+      if (vpypeResult.success) {
+        fs.writeFileSync(gcodeFilePath, formatJobComment(jobInfo) + fs.readFileSync(gcodeFilePath, 'utf8'), 'utf8');
+      }
+      return { ...vpypeResult, backend };
+    }
 
-    // Build vpype command - scale to target dimensions and position in work area
-    // The layout command fits the drawing to the specified page size
-    const vpypeArgs = [
-      '--config', vpypeConfigPath,
-      'read', svgFilePath,  // Read original SVG
-      'layout', '--fit-to-margins', '0mm', `${widthMm}mmx${heightMm}mm`,  // Scale to output dimensions with no margins
-      'translate', `${translateX}mm`, `${translateY}mm`,  // Position in work area based on user selection
-      'gwrite', '-p', 'johnny5', gcodeFilePath
-    ];
+    // Built-in generator - same layout and gwrite semantics, no Python required
+    const svgContent = fs.readFileSync(svgFilePath, 'utf8');
+    const result = await svgToGcode(svgContent, {
+      profile: gwrite,
+      widthMm,
+      heightMm,
+      fit: options.placement ? 'viewBox' : 'geometry',
+      transform,
+      optimize: options.optimize,
+      hatch: options.hatch,
+      pens: options.pens,
+      fileName: path.basename(gcodeFilePath)
+    });
 
-    debugLog('Executing vpype command:', 'vpype', vpypeArgs.join(' '));
+    // Record the travel savings so Render can show them
+    if (result.optimization) {
+      jobInfo.travel = [result.optimization.travelBefore, result.optimization.travelAfter];
+    }
 
-    // Execute vpype command
-    return new Promise((resolve, reject) => {
-      const vpype = spawn('vpype', vpypeArgs);
+    // One file per pen: <name>_<timestamp>-pen<N>-<pen name>.gcode
+    let gcodeFiles = [gcodeFilePath];
+    if (result.pens && options.pens.output === 'files') {
+      gcodeFiles = result.pens.map(pen => {
+        const slug = pen.name.replace(/[^a-z0-9]+/gi, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+        const penFilePath = path.join(gcodePath, `${baseName}_${timestamp}-pen${pen.pen}${slug ? `-${slug}` : ''}.gcode`);
+        fs.writeFileSync(penFilePath, formatJobComment(jobInfo) + pen.gcode, 'utf8');
+        return penFilePath;
+      });
+    } else {
+      fs.writeFileSync(gcodeFilePath, formatJobComment(jobInfo) + result.gcode, 'utf8');
+    }
+    debugLog('G-code file created successfully:', gcodeFiles.join(', '));
+    debugLog('Paths:', result.pathCount, 'Points:', result.pointCount);
+    if (result.optimization) debugLog('Path optimization:', result.optimization);
 
-      let stdout = '';
-      let stderr = '';
+    return {
+      success: true,
+      gcodeFilePath: gcodeFiles[0],
+      gcodeFiles,
+      pens: result.pens ? result.pens.map(({ pen, name, color }) => ({ pen, name, color })) : null,
+      optimization: result.optimization,
+      backend,
+      warning,
+      message: 'G-code generated successfully'
+    };
+  } catch (error) {
+    console.error('Error in eject-to-gcode handler:', error);
+    return { success: false, error: error.message };
+  }
+});
 
-      vpype.stdout.on('data', (data) => {
-        stdout += data.toString();
-        debugLog('vpype stdout:', data.toString());
-      });
+// IPC Handler for estimating plot time of an Eject job before generating it
+// Uses the built-in generator so it works without vpype
+ipcMain.handle('estimate-job', async (event, svgFilePath, outputWidth, outputHeight, unit, position = 'center', options = {}) => {
+  try {
+    const job = prepareEjectJob(svgFilePath, outputWidth, outputHeight, unit, position, options);
+    if (job.error) {
+      return { success: false, error: job.error };
+    }
 
-      vpype.stderr.on('data', (data) => {
-        stderr += data.toString();
-        debugLog('vpype stderr:', data.toString());
-      });
+    const result = await svgToGcode(fs.readFileSync(svgFilePath, 'utf8'), {
+      profile: job.gwrite,
+      widthMm: job.widthMm,
+      heightMm: job.heightMm,
+      fit: options.placement ? 'viewBox' : 'geometry',
+      transform: job.transform,
+      optimize: options.optimize,
+      hatch: options.hatch,
+      pens: options.pens
+    });
 
-      vpype.on('close', (code) => {
-        debugLog('vpype process exited with code:', code);
-        debugLog('vpype stdout:', stdout);
-        debugLog('vpype stderr:', stderr);
-
-        if (code === 0) {
-          // Check if output file was created
-          if (fs.existsSync(gcodeFilePath)) {
-            debugLog('G-code file created successfully:', gcodeFilePath);
-            resolve({
-              success: true,
-              gcodeFilePath: gcodeFilePath,
-              message: 'G-code generated successfully'
-            });
-          } else {
-            resolve({
-              success: false,
-              error: 'G-code file was not created',
-              stderr: stderr
-            });
-          }
+    const estimate = PlotEstimator.estimateGcode(result.gcode, job.machine);
+    debugLog('Job estimate:', estimate);
+    return { success: true, data: { ...estimate, optimization: result.optimization } };
+  } catch (error) {
+    console.error('Error estimating job:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// IPC Handler for listing an SVG's pen groups ('layer' or 'color') for the pen mapping
+ipcMain.handle('svg-pen-groups', async (event, svgFilePath, by) => {
+  try {
+    const { shapes } = await readSvgDocument(fs.readFileSync(svgFilePath, 'utf8'));
+    return { success: true, data: listPenGroups(shapes, by) };
+  } catch (error) {
+    console.error('Error reading pen groups:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Run vpype with the given arguments and resolve once the G-code file is written
+ * @param {string[]} vpypeArgs - Command line arguments
+ * @param {string} gcodeFilePath - Expected output file
+ * @returns {Promise<Object>} IPC result object
+ */
+function runVpypeGwrite(vpypeArgs, gcodeFilePath) {
+  debugLog('Executing vpype command:', 'vpype', vpypeArgs.join(' '));
+
+  return new Promise((resolve) => {
+    const vpype = spawn('vpype', vpypeArgs);
+
+    let stdout = '';
+    let stderr = '';
+
+    vpype.stdout.on('data', (data) => {
+      stdout += data.toString();
+      debugLog('vpype stdout:', data.toString());
+    });
+
+    vpype.stderr.on('data', (data) => {
+      stderr += data.toString();
+      debugLog('vpype stderr:', data.toString());
+    });
+
+    vpype.on('close', (code) => {
+      debugLog('vpype process exited with code:', code);
+
+      if (code === 0) {
+        // Check if output file was created
+        if (fs.existsSync(gcodeFilePath)) {
+          debugLog('G-code file created successfully:', gcodeFilePath);
+          resolve({
+            success: true,
+            gcodeFilePath: gcodeFilePath,
+            message: 'G-code generated successfully'
+          });
         } else {
           resolve({
             success: false,
-            error: `vpype exited with code ${code}`,
-            stderr: stderr,
-            stdout: stdout
+            error: 'G-code file was not created',
+            stderr: stderr
           });
         }
-      });
-
-      vpype.on('error', (err) => {
-        console.error('Error spawning vpype:', err);
+      } else {
         resolve({
           success: false,
-          error: 'Failed to execute vpype. Make sure vpype and vpype-gcode are installed.',
-          details: err.message
+          error: `vpype exited with code ${code}`,
+          stderr: stderr,
+          stdout: stdout
         });
+      }
+    });
+
+    vpype.on('error', (err) => {
+      console.error('Error spawning vpype:', err);
+      resolve({
+        success: false,
+        error: 'Failed to execute vpype. Install vpype and vpype-gcode or switch to the built-in G-code generator.',
+        details: err.message
       });
     });
-  } catch (error) {
-    console.error('Error in eject-to-gcode handler:', error);
-    return { success: false, error: error.message };
-  }
-});
+  });
+}
 
 // IPC Handler for downloading G-code file
 ipcMain.handle('download-gcode', async (event, gcodeFilePath) => {
@@ -494,6 +712,483 @@ ipcMain.handle('download-gcode', async (event, gcodeFilePath) => {
   }
 });
 
+// ============ PLOTTER STREAMING ============
+
+function sendPlotterEvent(event) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('plotter-event', event);
+  }
+}
+
+// One plotter connection for the whole app; events go to the renderer
+const plotterSession = new PlotterSession(sendPlotterEvent);
+
+// Built-in simulator, running while the "virtual" port is connected
+let virtualPlotter = null;
+
+// Profile used for the open connection (control commands are rebuilt from it)
+let plotterMachineId = null;
+
+/**
+ * Start the simulator for a machine profile and connect to it over TCP
+ */
+async function connectVirtualPlotter(machine) {
+  await stopVirtualPlotter();
+  virtualPlotter = new VirtualPlotter({ protocol: machine.protocol, profile: machine });
+  const { host, port } = await virtualPlotter.listen();
+  debugLog('Virtual plotter listening on', `${host}:${port}`);
+  return openTcpConnection(host, port);
+}
+
+async function stopVirtualPlotter() {
+  if (!virtualPlotter) return;
+  const plotter = virtualPlotter;
+  virtualPlotter = null;
+  await plotter.close();
+}
+
+// IPC Handler for listing serial ports (the simulator is always listed last)
+ipcMain.handle('list-serial-ports', async () => {
+  let ports = [];
+  try {
+    ports = await listSerialPorts();
+  } catch (error) {
+    console.error('Error listing serial ports:', error);
+  }
+  ports.push({ path: VIRTUAL_PORT_PATH, manufacturer: 'Simulator', serialNumber: '', virtual: true });
+  return { success: true, data: ports };
+});
+
+// IPC Handler for connecting to a serial plotter
+ipcMain.handle('plotter-connect', async (event, portPath, machineId) => {
+  try {
+    if (plotterSession.isConnected()) {
+      return { success: false, error: 'A plotter is already connected' };
+    }
+
+    const store = loadMachineStore();
+    const machine = machineProfiles.getProfile(store, machineId);
+    let port;
+    let name;
+    if (portPath === VIRTUAL_PORT_PATH) {
+      port = await connectVirtualPlotter(machine);
+      name = `Virtual plotter (${machine.name})`;
+    } else if (portPath === NETWORK_PORT_PATH) {
+      port = await openNetworkConnection(machine);
+      name = networkAddress(machine);
+    } else {
+      port = await openSerialPort(portPath, machine.baudRate);
+      name = portPath;
+    }
+    plotterSession.connect(port, { protocol: machine.protocol, penUp: machine.penUp, name });
+    plotterMachineId = machine.id;
+    debugLog('Connected to plotter:', name, machine.protocol, machine.baudRate);
+
+    return { success: true, data: plotterSession.status() };
+  } catch (error) {
+    console.error('Error connecting to plotter:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// IPC Handler for disconnecting the plotter
+ipcMain.handle('plotter-disconnect', async () => {
+  try {
+    await plotterSession.disconnect();
+    await stopVirtualPlotter();
+    return { success: true };
+  } catch (error) {
+    console.error('Error disconnecting plotter:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// IPC Handler for the plotter connection and job state
+ipcMain.handle('plotter-status', () => {
+  return { success: true, data: plotterSession.status() };
+});
+
+/**
+ * Resume a workspace G-code file at a 0-based line for the plotter's profile
+ * (the connected machine, otherwise the active one)
+ */
+function buildResumedGcode(filePath, fromLine) {
+  const store = loadMachineStore();
+  const machine = machineProfiles.getProfile(store, plotterMachineId || store.activeId);
+  return buildResumeJob(fs.readFileSync(filePath, 'utf8'), fromLine, { profile: machine });
+}
+
+/**
+ * Stream a workspace G-code file to the connected plotter and log it in the
+ * job history when it ends
+ * @param {string} filePath - G-code file
+ * @param {Object} options - fromLine: 0-based line to resume at
+ * @returns {{done: Promise, warnings: string[]}} done settles when the job ends
+ */
+function startPlotJob(filePath, options = {}) {
+  if (!plotterSession.isConnected()) throw new Error('No plotter connected');
+  if (plotterSession.status().job) throw new Error('A job is already running');
+
+  const original = fs.readFileSync(filePath, 'utf8');
+  let gcode = original;
+  let name = path.basename(filePath);
+  const jobOptions = {};
+  let warnings = [];
+  if (Number.isInteger(options.fromLine)) {
+    const resumed = buildResumedGcode(filePath, options.fromLine);
+    gcode = resumed.gcode;
+    name = `${name} (from line ${options.fromLine + 1})`;
+    jobOptions.lineOffset = resumed.lineOffset;
+    jobOptions.preambleLines = resumed.preambleLines;
+    warnings = resumed.warnings;
+    debugLog('Resuming plot:', name, warnings.join('; '));
+  }
+
+  // The simulator records each job on its own
+  const simulator = virtualPlotter;
+  if (simulator) simulator.clearDrawing();
+
+  const startedAt = new Date();
+  const machineId = plotterMachineId;
+  const record = (status, message) => {
+    const lastLine = plotterSession.lastJob ? plotterSession.lastJob.line : -1;
+    recordPlotJob(original, {
+      file: name,
+      machineId,
+      startedAt,
+      status,
+      message,
+      fromLine: options.fromLine || 0,
+      toLine: status === 'completed' ? Infinity : lastLine
+    });
+  };
+
+  const done = plotterSession.sendJob(gcode, name, jobOptions).then(result => {
+    record('completed');
+    return result;
+  }, error => {
+    record('interrupted', error.message);
+    throw error;
+  }).finally(() => {
+    if (simulator) saveSimulatedDrawing(simulator, filePath);
+  });
+
+  return { done, warnings };
+}
+
+/**
+ * Add a finished or interrupted plot to the job history
+ */
+function recordPlotJob(gcode, job) {
+  try {
+    const store = loadMachineStore();
+    const machine = machineProfiles.getProfile(store, job.machineId);
+    const entry = jobHistory.createHistoryEntry({
+      ...job,
+      machine: machine.name,
+      machineId: machine.id,
+      endedAt: new Date(),
+      drawDistance: jobHistory.drawnDistance(gcode, { profile: machine, fromLine: job.fromLine, toLine: job.toLine })
+    });
+    jobHistory.appendHistory(getHistoryFilePath(), entry);
+    sendPlotterEvent({ type: 'history-recorded', entry });
+  } catch (error) {
+    console.error('Error recording job history:', error);
+  }
+}
+
+// IPC Handler for streaming a G-code file from the workspace
+// options.fromLine (0-based) resumes the file part way through
+ipcMain.handle('plotter-send-file', async (event, filePath, options = {}) => {
+  try {
+    const gellyrollerPath = path.join(os.homedir(), 'gellyroller');
+    if (!filePath.startsWith(gellyrollerPath)) {
+      return { success: false, error: 'Can only send files from the gellyroller directory' };
+    }
+    if (!fs.existsSync(filePath)) {
+      return { success: false, error: 'G-code file does not exist' };
+    }
+
+    // Runs in the background; progress and the result arrive as plotter events
+    const { done, warnings } = startPlotJob(filePath, options);
+    done.catch(error => {
+      debugLog('Plot job ended:', filePath, error.message);
+    });
+
+    return { success: true, data: { warnings } };
+  } catch (error) {
+    console.error('Error sending G-code:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// ============ JOB QUEUE AND HISTORY ============
+
+// Queued jobs run on the connected plotter, waiting for a paper change in between
+const jobQueue = new JobQueue({
+  filePath: getQueueFilePath(),
+  emit: sendPlotterEvent,
+  runJob: async job => {
+    if (!fs.existsSync(job.filePath)) throw new Error(`${job.name} no longer exists`);
+    await startPlotJob(job.filePath).done;
+  }
+});
+
+// IPC Handler for the queue's jobs and state
+ipcMain.handle('queue-status', () => {
+  return { success: true, data: jobQueue.status() };
+});
+
+// IPC Handler for adding a workspace G-code file to the queue
+ipcMain.handle('queue-add', async (event, filePath, machineId, source) => {
+  try {
+    const gellyrollerPath = path.join(os.homedir(), 'gellyroller');
+    if (!filePath.startsWith(gellyrollerPath)) {
+      return { success: false, error: 'Can only queue files from the gellyroller directory' };
+    }
+    if (!fs.existsSync(filePath)) {
+      return { success: false, error: 'G-code file does not exist' };
+    }
+    const job = jobQueue.add(filePath, { machineId, source });
+    debugLog('Queued job:', job.name, source);
+    return { success: true, data: job };
+  } catch (error) {
+    console.error('Error queueing job:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// IPC Handler for editing the queue: 'remove' (id) | 'move' (id, offset) | 'clear'
+ipcMain.handle('queue-edit', async (event, action, id, offset) => {
+  try {
+    switch (action) {
+      case 'remove': jobQueue.remove(id); break;
+      case 'move': jobQueue.move(id, offset); break;
+      case 'clear': jobQueue.clear(); break;
+      default: throw new Error(`Unknown queue action "${action}"`);
+    }
+    return { success: true, data: jobQueue.status() };
+  } catch (error) {
+    console.error('Error editing queue:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// IPC Handler for running the queue: 'start' | 'continue' (after a paper change) | 'stop'
+ipcMain.handle('queue-control', async (event, action) => {
+  try {
+    switch (action) {
+      case 'start':
+      case 'continue':
+        if (!plotterSession.isConnected()) throw new Error('No plotter connected');
+        // Runs in the background; progress arrives as plotter and queue events
+        if (action === 'start') jobQueue.start();
+        else jobQueue.continue();
+        break;
+      case 'stop': jobQueue.stop(); break;
+      default: throw new Error(`Unknown queue action "${action}"`);
+    }
+    return { success: true, data: jobQueue.status() };
+  } catch (error) {
+    console.error('Error controlling queue:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// IPC Handler for the job history (newest first)
+ipcMain.handle('history-list', () => {
+  try {
+    return { success: true, data: jobHistory.loadHistory(getHistoryFilePath()).reverse() };
+  } catch (error) {
+    console.error('Error reading job history:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// IPC Handler for saving the job history as CSV
+ipcMain.handle('history-export-csv', async () => {
+  try {
+    const result = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export Job History',
+      defaultPath: `plot-history-${new Date().toISOString().slice(0, 10)}.csv`,
+      filters: [
+        { name: 'CSV Files', extensions: ['csv'] },
+        { name: 'All Files', extensions: ['*'] }
+      ]
+    });
+    if (result.canceled) return { success: false, canceled: true };
+
+    const entries = jobHistory.loadHistory(getHistoryFilePath());
+    fs.writeFileSync(result.filePath, jobHistory.historyToCsv(entries), 'utf8');
+    debugLog('Exported job history:', result.filePath);
+    return { success: true, filePath: result.filePath };
+  } catch (error) {
+    console.error('Error exporting job history:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// IPC Handler for saving a copy of a G-code file that starts at a line
+ipcMain.handle('save-resumed-gcode', async (event, filePath, fromLine) => {
+  try {
+    const gellyrollerPath = path.join(os.homedir(), 'gellyroller');
+    if (!filePath.startsWith(gellyrollerPath)) {
+      return { success: false, error: 'Can only resume files from the gellyroller directory' };
+    }
+    if (!fs.existsSync(filePath)) {
+      return { success: false, error: 'G-code file does not exist' };
+    }
+
+    const resumed = buildResumedGcode(filePath, fromLine);
+    const parsed = path.parse(filePath);
+    const outputPath = path.join(parsed.dir, `${parsed.name}-from-line-${fromLine + 1}${parsed.ext}`);
+    fs.writeFileSync(outputPath, resumed.gcode, 'utf8');
+    debugLog('Saved resumed G-code:', outputPath);
+
+    return { success: true, data: { path: outputPath, warnings: resumed.warnings } };
+  } catch (error) {
+    console.error('Error saving resumed G-code:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Save what the simulator drew during a job and tell the Render tab
+ */
+function saveSimulatedDrawing(simulator, gcodeFilePath) {
+  try {
+    const svgPath = getSimulatedDrawingPath(gcodeFilePath);
+    fs.writeFileSync(svgPath, simulator.toSVG());
+    debugLog('Saved simulated drawing:', svgPath);
+    sendPlotterEvent({
+      type: 'simulator-recorded',
+      filePath: gcodeFilePath,
+      svgPath,
+      limitViolations: simulator.violations.length
+    });
+  } catch (error) {
+    console.error('Error saving simulated drawing:', error);
+  }
+}
+
+// IPC Handler for reading the simulator's drawing of a G-code file
+ipcMain.handle('read-simulated-drawing', async (event, gcodeFilePath) => {
+  try {
+    const svgPath = getSimulatedDrawingPath(gcodeFilePath);
+    if (!fs.existsSync(svgPath)) {
+      return { success: true, data: null };
+    }
+    return { success: true, data: fs.readFileSync(svgPath, 'utf8') };
+  } catch (error) {
+    console.error('Error reading simulated drawing:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// IPC Handler for control panel actions (jog, home, pen-up, pen-down, set-origin)
+ipcMain.handle('plotter-machine-command', async (event, action, options = {}) => {
+  try {
+    const store = loadMachineStore();
+    const machine = machineProfiles.getProfile(store, plotterMachineId);
+    const command = controlCommand(machine, action, options);
+    debugLog('Machine command:', action, JSON.stringify(command));
+
+    await plotterSession.machineCommand(command);
+    return { success: true };
+  } catch (error) {
+    console.error('Error sending machine command:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// IPC Handler for pause / resume / feed-hold / stop
+ipcMain.handle('plotter-control', async (event, action) => {
+  try {
+    await plotterSession.control(action);
+    return { success: true };
+  } catch (error) {
+    console.error('Error controlling plotter:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// ============ OCTOPRINT ============
+
+// Job being followed on an OctoPrint server ({ file, cancelled })
+let octoprintPoll = null;
+
+function sendOctoPrintEvent(event) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('octoprint-event', event);
+  }
+}
+
+/**
+ * Client for a machine profile's OctoPrint server
+ */
+function getOctoPrintClient(machineId) {
+  const store = loadMachineStore();
+  const machine = machineProfiles.getProfile(store, machineId);
+  if (!machine.octoprintUrl) throw new Error(`${machine.name} has no OctoPrint URL`);
+  return new OctoPrintClient({ url: machine.octoprintUrl, apiKey: machine.octoprintApiKey });
+}
+
+/**
+ * Report the job's status until it ends (replaces any job followed before)
+ */
+function followOctoPrintJob(client, file) {
+  if (octoprintPoll) octoprintPoll.cancelled = true;
+  const poll = { file, cancelled: false };
+  octoprintPoll = poll;
+
+  client.pollJob({
+    onStatus: status => {
+      if (!poll.cancelled) sendOctoPrintEvent({ type: 'status', file, ...status });
+    },
+    isCancelled: () => poll.cancelled
+  }).then(status => {
+    if (!poll.cancelled) sendOctoPrintEvent({ type: 'done', file, state: status.state });
+  }, error => {
+    if (!poll.cancelled) sendOctoPrintEvent({ type: 'error', file, message: error.message });
+  }).finally(() => {
+    if (octoprintPoll === poll) octoprintPoll = null;
+  });
+}
+
+// IPC Handler for uploading a workspace G-code file to OctoPrint and starting it
+ipcMain.handle('octoprint-send-file', async (event, filePath, machineId) => {
+  try {
+    const gellyrollerPath = path.join(os.homedir(), 'gellyroller');
+    if (!filePath.startsWith(gellyrollerPath)) {
+      return { success: false, error: 'Can only send files from the gellyroller directory' };
+    }
+    if (!fs.existsSync(filePath)) {
+      return { success: false, error: 'G-code file does not exist' };
+    }
+
+    const client = getOctoPrintClient(machineId);
+    const file = await client.uploadFile(path.basename(filePath), fs.readFileSync(filePath), { print: true });
+    debugLog('Uploaded to OctoPrint:', client.baseUrl.href, file.path);
+
+    followOctoPrintJob(client, file.name);
+    return { success: true, data: file };
+  } catch (error) {
+    console.error('Error sending G-code to OctoPrint:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// IPC Handler for pausing, resuming or cancelling the OctoPrint job
+ipcMain.handle('octoprint-control', async (event, machineId, action) => {
+  try {
+    await getOctoPrintClient(machineId).controlJob(action);
+    return { success: true };
+  } catch (error) {
+    console.error('Error controlling OctoPrint job:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // IPC Handler for saving captured images
 ipcMain.handle('save-image', async (event, imageData, filename) => {
   const homeDir = os.homedir();
@@ -528,6 +1223,51 @@ ipcMain.handle('save-image', async (event, imageData, filename) => {
   }
 });
 
+/**
+ * Location of an image's trace mask: <image file>.mask.png next to the image
+ * @param {string} fileName - Image file name in the gellyroller workspace
+ */
+function getImageMaskPath(fileName) {
+  if (!fileName || path.basename(fileName) !== fileName) {
+    throw new Error('Invalid image file name');
+  }
+  return path.join(os.homedir(), 'gellyroller', fileName + MASK_SUFFIX);
+}
+
+// IPC Handler for loading an image's trace mask (data is null when there is none)
+ipcMain.handle('load-image-mask', async (event, fileName) => {
+  try {
+    const maskPath = getImageMaskPath(fileName);
+    if (!fs.existsSync(maskPath)) {
+      return { success: true, data: null };
+    }
+    const data = `data:image/png;base64,${fs.readFileSync(maskPath).toString('base64')}`;
+    return { success: true, data };
+  } catch (error) {
+    console.error('Error loading image mask:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// IPC Handler for saving an image's trace mask (a null mask deletes it)
+ipcMain.handle('save-image-mask', async (event, fileName, maskData) => {
+  try {
+    const maskPath = getImageMaskPath(fileName);
+    if (maskData) {
+      fs.mkdirSync(path.dirname(maskPath), { recursive: true });
+      fs.writeFileSync(maskPath, maskData.replace(/^data:image\/png;base64,/, ''), 'base64');
+      debugLog('Image mask saved:', maskPath);
+    } else if (fs.existsSync(maskPath)) {
+      fs.unlinkSync(maskPath);
+      debugLog('Image mask removed:', maskPath);
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving image mask:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // IPC Handler for parsing SVG files
 ipcMain.handle('parse-svg', async (event, filePath, fileContent) => {
   debugLog('=== PARSE-SVG HANDLER CALLED ===');
@@ -5,31 +5,34 @@
  * Licensed under the GPL
  *
  * Usage
- *   loadImageFromFile(file) : load image from File API
- *   loadImageFromUrl(url): load image from URL
- *     because of the same-origin policy, can not load image from another domain.
- *     input color/grayscale image is simply converted to binary image. no pre-
- *     process is performed.
+ *   var potrace = new Potrace({ turnpolicy: "minority", ... });
+ *   var result = potrace.trace(imageData);
+ *     imageData: RGBA pixels ({width, height, data}), e.g. from a canvas's
+ *     getImageData. Pixels darker than 50% grey are traced; no other pre-
+ *     processing is performed. Each instance keeps its own state, so several
+ *     traces can run side by side (in workers, or in Node for tests).
+ *     result: { width, height, paths: [{ sign, area, bbox, curve }] }
+ *       sign: "+" for an outline, "-" for a hole in the outline around it
+ *       bbox: { minX, minY, maxX, maxY } of the traced pixel edges
+ *       curve: { start: {x, y}, segments: [
+ *         { type: "curve", c1, c2, end } | { type: "corner", vertex, end } ] }
  *
- *   setParameter({para1: value, ...}) : set parameters
- *     parameters:
- *        turnpolicy ("black" / "white" / "left" / "right" / "minority" / "majority")
- *          how to resolve ambiguities in path decomposition. (default: "minority")
- *        turdsize
- *          suppress speckles of up to this size (default: 2)
- *        optcurve (true / false)
- *          turn on/off curve optimization (default: true)
- *        alphamax
- *          corner threshold parameter (default: 1)
- *        opttolerance
- *          curve optimization tolerance (default: 0.2)
+ *   Potrace.toPathData(result, size) : SVG path data for all paths.
+ *   Potrace.toSVG(result, options) : SVG document.
+ *     options.size: scale factor (default 1)
+ *     options.type: "fill" (default; evenodd fill) or "curve" (stroke only)
  *
- *   process(callback) : wait for the image be loaded, then run potrace algorithm,
- *                       then call callback function.
- *
- *   getSVG(size, opt_type) : return a string of generated SVG image.
- *                                    result_image_size = original_image_size * size
- *                                    optional parameter opt_type can be "curve"
+ *   options:
+ *     turnpolicy ("black" / "white" / "left" / "right" / "minority" / "majority")
+ *       how to resolve ambiguities in path decomposition. (default: "minority")
+ *     turdsize
+ *       suppress speckles of up to this size (default: 2)
+ *     optcurve (true / false)
+ *       turn on/off curve optimization (default: true)
+ *     alphamax
+ *       corner threshold parameter (default: 1)
+ *     opttolerance
+ *       curve optimization tolerance (default: 0.2)
  */
 
 var Potrace = (function() {
@@ -101,80 +104,30 @@ var Potrace = (function() {
     this.beta = new Array(n);
   }
 
-  var imgElement = document.createElement("img"),
-      imgCanvas = document.createElement("canvas"),
-      bm = null,
-      pathlist = [],
-      callback,
-      info = {
-        isReady: false,
-        turnpolicy: "minority",
-        turdsize: 2,
-        optcurve: true,
-        alphamax: 1,
-        opttolerance: 0.2
-      };
-
-  imgElement.onload = function() {
-    loadCanvas();
-    loadBm();
+  var DEFAULTS = {
+    turnpolicy: "minority",
+    turdsize: 2,
+    optcurve: true,
+    alphamax: 1,
+    opttolerance: 0.2
   };
 
-  function loadImageFromFile(file) {
-    if (info.isReady) {
-      clear();
-    }
-    imgElement.file = file;
-    var reader = new FileReader();
-    reader.onload = (function(aImg) {
-      return function(e) {
-        aImg.src = e.target.result;
-      };
-    })(imgElement);
-    reader.readAsDataURL(file);
-  }
-
-  function loadImageFromUrl(url) {
-    if (info.isReady) {
-      clear();
-    }
-    imgElement.src = url;
-
-  }
-
-  function setParameter(obj) {
-   var key;
-   for (key in obj) {
-     if (obj.hasOwnProperty(key)) {
-       info[key] = obj[key];
-     }
-    }
-  }
-
-  function loadCanvas() {
-    imgCanvas.width = imgElement.width;
-    imgCanvas.height = imgElement.height;
-    var ctx = imgCanvas.getContext('2d');
-    ctx.drawImage(imgElement, 0, 0);
-  }
-
-  function loadBm() {
-    var ctx = imgCanvas.getContext('2d');
-    bm = new Bitmap(imgCanvas.width, imgCanvas.height);
-    var imgdataobj = ctx.getImageData(0, 0, bm.w, bm.h);
-    var l = imgdataobj.data.length, i, j, color;
+  function bitmapFromImageData(imageData) {
+    var bm = new Bitmap(imageData.width, imageData.height),
+      data = imageData.data, l = data.length, i, j, color;
     for (i = 0, j = 0; i < l; i += 4, j++) {
-      color = 0.2126 * imgdataobj.data[i] + 0.7153 * imgdataobj.data[i + 1] +
-          0.0721 * imgdataobj.data[i + 2];
+      color = 0.2126 * data[i] + 0.7153 * data[i + 1] +
+          0.0721 * data[i + 2];
       bm.data[j] = (color < 128 ? 1 : 0);
     }
-    info.isReady = true;
+    return bm;
   }
 
 
-  function bmToPathlist() {
+  function bmToPathlist(bm, info) {
 
-    var bm1 = bm.copy(),
+    var pathlist = [],
+      bm1 = bm.copy(),
       currentPoint = new Point(0, 0),
       path;
 
@@ -292,10 +245,11 @@ var Potrace = (function() {
       }
     }
 
+    return pathlist;
   }
 
 
-  function processPath() {
+  function processPath(pathlist, info) {
 
     function Quad() {
       this.data = [0,0,0,0,0,0,0,0,0];
@@ -1213,92 +1167,91 @@ var Potrace = (function() {
 
   }
 
-  function process(c) {
-    if (c) {
-      callback = c;
-    }
-    if (!info.isReady) {
-      setTimeout(process, 100);
-      return;
-    }
-    bmToPathlist();
-    processPath();
-    callback();
-    callback = null;
+  function point(p) {
+    return { x: p.x, y: p.y };
   }
 
-  function clear() {
-    bm = null;
-    pathlist = [];
-    callback = null;
-    info.isReady = false;
+  function curveToResult(curve) {
+    var segments = [], i;
+    for (i = 0; i < curve.n; i++) {
+      if (curve.tag[i] === "CURVE") {
+        segments.push({ type: "curve", c1: point(curve.c[i * 3]),
+          c2: point(curve.c[i * 3 + 1]), end: point(curve.c[i * 3 + 2]) });
+      } else {
+        segments.push({ type: "corner", vertex: point(curve.c[i * 3 + 1]),
+          end: point(curve.c[i * 3 + 2]) });
+      }
+    }
+    return { start: point(curve.c[(curve.n - 1) * 3 + 2]), segments: segments };
   }
 
-  function getSVG(size, opt_type) {
-
-    function path(curve) {
-
-      function bezier(i) {
-        var b = 'C ' + (curve.c[i * 3 + 0].x * size).toFixed(3) + ' ' +
-            (curve.c[i * 3 + 0].y * size).toFixed(3) + ',';
-        b += (curve.c[i * 3 + 1].x * size).toFixed(3) + ' ' +
-            (curve.c[i * 3 + 1].y * size).toFixed(3) + ',';
-        b += (curve.c[i * 3 + 2].x * size).toFixed(3) + ' ' +
-            (curve.c[i * 3 + 2].y * size).toFixed(3) + ' ';
-        return b;
+  function Potrace(options) {
+    var key;
+    this.options = {};
+    for (key in DEFAULTS) {
+      if (DEFAULTS.hasOwnProperty(key)) {
+        this.options[key] = options && options[key] !== undefined ? options[key] : DEFAULTS[key];
       }
+    }
+  }
 
-      function segment(i) {
-        var s = 'L ' + (curve.c[i * 3 + 1].x * size).toFixed(3) + ' ' +
-            (curve.c[i * 3 + 1].y * size).toFixed(3) + ' ';
-        s += (curve.c[i * 3 + 2].x * size).toFixed(3) + ' ' +
-            (curve.c[i * 3 + 2].y * size).toFixed(3) + ' ';
-        return s;
-      }
+  Potrace.prototype.trace = function(imageData) {
+    var bm = bitmapFromImageData(imageData),
+      pathlist = bmToPathlist(bm, this.options);
+    processPath(pathlist, this.options);
+
+    return {
+      width: bm.w,
+      height: bm.h,
+      paths: pathlist.map(function(path) {
+        return {
+          sign: path.sign,
+          area: path.area,
+          bbox: { minX: path.minX, minY: path.minY, maxX: path.maxX, maxY: path.maxY },
+          curve: curveToResult(path.curve)
+        };
+      })
+    };
+  };
 
-      var n = curve.n, i;
-      var p = 'M' + (curve.c[(n - 1) * 3 + 2].x * size).toFixed(3) +
-          ' ' + (curve.c[(n - 1) * 3 + 2].y * size).toFixed(3) + ' ';
-      for (i = 0; i < n; i++) {
-        if (curve.tag[i] === "CURVE") {
-          p += bezier(i);
-        } else if (curve.tag[i] === "CORNER") {
-          p += segment(i);
-        }
-      }
-      //p +=
-      return p;
-    }
+  Potrace.DEFAULTS = DEFAULTS;
 
-    var w = bm.w * size, h = bm.h * size,
-      len = pathlist.length, c, i, strokec, fillc, fillrule;
+  Potrace.toPathData = function(result, size) {
+    size = size || 1;
 
-    var svg = '<svg id="svg" version="1.1" width="' + w + '" height="' + h +
-        '" xmlns="http://www.w3.org/2000/svg">';
-    svg += '<path d="';
-    for (i = 0; i < len; i++) {
-      c = pathlist[i].curve;
-      svg += path(c);
+    function xy(p) {
+      return (p.x * size).toFixed(3) + ' ' + (p.y * size).toFixed(3);
     }
-    if (opt_type === "curve") {
-      strokec = "black";
-      fillc = "none";
-      fillrule = '';
-    } else {
-      strokec = "none";
-      fillc = "black";
-      fillrule = ' fill-rule="evenodd"';
-    }
-    svg += '" stroke="' + strokec + '" fill="' + fillc + '"' + fillrule + '/></svg>';
-    return svg;
-  }
 
-  return{
-    loadImageFromFile: loadImageFromFile,
-    loadImageFromUrl: loadImageFromUrl,
-    setParameter: setParameter,
-    process: process,
-    getSVG: getSVG,
-    img: imgElement
+    return result.paths.map(function(path) {
+      var d = 'M' + xy(path.curve.start) + ' ';
+      path.curve.segments.forEach(function(segment) {
+        if (segment.type === "curve") {
+          d += 'C ' + xy(segment.c1) + ',' + xy(segment.c2) + ',' + xy(segment.end) + ' ';
+        } else {
+          d += 'L ' + xy(segment.vertex) + ' ' + xy(segment.end) + ' ';
+        }
+      });
+      return d;
+    }).join('');
   };
+
+  Potrace.toSVG = function(result, options) {
+    var size = (options && options.size) || 1,
+      type = (options && options.type) || "fill",
+      w = result.width * size, h = result.height * size,
+      paint = type === "curve" ?
+        ' stroke="black" fill="none"' :
+        ' stroke="none" fill="black" fill-rule="evenodd"';
+
+    return '<svg id="svg" version="1.1" width="' + w + '" height="' + h +
+        '" xmlns="http://www.w3.org/2000/svg"><path d="' +
+        Potrace.toPathData(result, size) + '"' + paint + '/></svg>';
+  };
+
+  return Potrace;
 })();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Potrace;
+}
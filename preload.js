@@ -12,8 +12,33 @@ contextBridge.exposeInMainWorld('electronAPI', {
   readFileText: (filePath) => ipcRenderer.invoke('read-file-text', filePath),
   saveImage: (imageData, filename) => ipcRenderer.invoke('save-image', imageData, filename),
   deleteFile: (filePath) => ipcRenderer.invoke('delete-file', filePath),
-  ejectToGcode: (svgFilePath, outputWidth, outputHeight, unit, position) => ipcRenderer.invoke('eject-to-gcode', svgFilePath, outputWidth, outputHeight, unit, position),
+  loadImageMask: (fileName) => ipcRenderer.invoke('load-image-mask', fileName),
+  saveImageMask: (fileName, maskData) => ipcRenderer.invoke('save-image-mask', fileName, maskData),
+  ejectToGcode: (svgFilePath, outputWidth, outputHeight, unit, position, options) => ipcRenderer.invoke('eject-to-gcode', svgFilePath, outputWidth, outputHeight, unit, position, options),
+  estimateJob: (svgFilePath, outputWidth, outputHeight, unit, position, options) => ipcRenderer.invoke('estimate-job', svgFilePath, outputWidth, outputHeight, unit, position, options),
+  svgPenGroups: (svgFilePath, by) => ipcRenderer.invoke('svg-pen-groups', svgFilePath, by),
   downloadGcode: (gcodeFilePath) => ipcRenderer.invoke('download-gcode', gcodeFilePath),
   getSystemInfo: () => ipcRenderer.invoke('get-system-info'),
-  getVpypeInfo: () => ipcRenderer.invoke('get-vpype-info')
+  getVpypeInfo: () => ipcRenderer.invoke('get-vpype-info'),
+  getMachineProfiles: () => ipcRenderer.invoke('get-machine-profiles'),
+  saveMachineProfiles: (store) => ipcRenderer.invoke('save-machine-profiles', store),
+  listSerialPorts: () => ipcRenderer.invoke('list-serial-ports'),
+  plotterConnect: (portPath, machineId) => ipcRenderer.invoke('plotter-connect', portPath, machineId),
+  plotterDisconnect: () => ipcRenderer.invoke('plotter-disconnect'),
+  plotterStatus: () => ipcRenderer.invoke('plotter-status'),
+  plotterSendFile: (filePath, options) => ipcRenderer.invoke('plotter-send-file', filePath, options),
+  saveResumedGcode: (filePath, fromLine) => ipcRenderer.invoke('save-resumed-gcode', filePath, fromLine),
+  plotterControl: (action) => ipcRenderer.invoke('plotter-control', action),
+  plotterMachineCommand: (action, options) => ipcRenderer.invoke('plotter-machine-command', action, options),
+  readSimulatedDrawing: (gcodeFilePath) => ipcRenderer.invoke('read-simulated-drawing', gcodeFilePath),
+  queueStatus: () => ipcRenderer.invoke('queue-status'),
+  queueAdd: (filePath, machineId, source) => ipcRenderer.invoke('queue-add', filePath, machineId, source),
+  queueEdit: (action, id, offset) => ipcRenderer.invoke('queue-edit', action, id, offset),
+  queueControl: (action) => ipcRenderer.invoke('queue-control', action),
+  historyList: () => ipcRenderer.invoke('history-list'),
+  historyExportCsv: () => ipcRenderer.invoke('history-export-csv'),
+  onPlotterEvent: (callback) => ipcRenderer.on('plotter-event', (event, data) => callback(data)),
+  octoprintSendFile: (filePath, machineId) => ipcRenderer.invoke('octoprint-send-file', filePath, machineId),
+  octoprintControl: (machineId, action) => ipcRenderer.invoke('octoprint-control', machineId, action),
+  onOctoPrintEvent: (callback) => ipcRenderer.on('octoprint-event', (event, data) => callback(data))
 });
\ No newline at end of file
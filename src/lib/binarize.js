@@ -0,0 +1,275 @@
+// binarize.js - Black and white conversion before tracing
+// Tracers only see ink or paper. A fixed luminance cutoff works for clean
+// scans; Otsu picks the cutoff that best splits the image's histogram, and
+// adaptive thresholding compares each pixel with its neighbourhood so unevenly
+// lit camera captures still separate. Posterizing splits the tones into several
+// bands, one bitmap each. Loaded with importScripts() in the trace
+// worker (global Binarize) and with require() in tests.
+
+var Binarize = (function() {
+  'use strict';
+
+  const MODES = ['fixed', 'otsu', 'adaptive'];
+  const ADAPTIVE_METHODS = ['mean', 'gaussian'];
+
+  const DEFAULTS = {
+    mode: 'fixed',
+    threshold: 128,   // fixed: luminance below this is ink
+    method: 'mean',   // adaptive: neighbourhood average
+    radius: 15,       // adaptive: window radius (px)
+    offset: 10        // adaptive: ink must be this much darker than its neighbourhood
+  };
+
+  /**
+   * Luminance of RGBA pixels (transparent pixels count as white paper)
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} imageData
+   * @returns {Float32Array} 0-255 per pixel
+   */
+  function luminance(imageData) {
+    const { data } = imageData;
+    const gray = new Float32Array(imageData.width * imageData.height);
+    for (let i = 0, j = 0; j < gray.length; i += 4, j++) {
+      const alpha = data[i + 3] / 255;
+      const value = 0.2126 * data[i] + 0.7153 * data[i + 1] + 0.0721 * data[i + 2];
+      gray[j] = value * alpha + 255 * (1 - alpha);
+    }
+    return gray;
+  }
+
+  /**
+   * Otsu's threshold: the cutoff that maximizes the variance between the dark
+   * and light classes of the histogram
+   * @param {Float32Array} gray - Luminance from luminance()
+   * @returns {number} Threshold (pixels below it are ink)
+   */
+  function otsuThreshold(gray) {
+    const histogram = new Float64Array(256);
+    for (let i = 0; i < gray.length; i++) {
+      histogram[Math.min(255, Math.max(0, Math.round(gray[i])))]++;
+    }
+
+    let sum = 0;
+    for (let level = 0; level < 256; level++) sum += level * histogram[level];
+
+    let darkCount = 0;
+    let darkSum = 0;
+    let best = 0;
+    let threshold = 128;
+    for (let level = 0; level < 256; level++) {
+      darkCount += histogram[level];
+      if (darkCount === 0) continue;
+      const lightCount = gray.length - darkCount;
+      if (lightCount === 0) break;
+
+      darkSum += level * histogram[level];
+      const darkMean = darkSum / darkCount;
+      const lightMean = (sum - darkSum) / lightCount;
+      const variance = darkCount * lightCount * (darkMean - lightMean) * (darkMean - lightMean);
+      if (variance > best) {
+        best = variance;
+        threshold = level + 1;
+      }
+    }
+    return threshold;
+  }
+
+  /**
+   * Box average over a (2r+1)² window, from a summed-area table
+   */
+  function boxMean(gray, width, height, radius) {
+    const integral = new Float64Array((width + 1) * (height + 1));
+    for (let y = 0; y < height; y++) {
+      let row = 0;
+      for (let x = 0; x < width; x++) {
+        row += gray[y * width + x];
+        integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + row;
+      }
+    }
+
+    const mean = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+      const y0 = Math.max(0, y - radius);
+      const y1 = Math.min(height, y + radius + 1);
+      for (let x = 0; x < width; x++) {
+        const x0 = Math.max(0, x - radius);
+        const x1 = Math.min(width, x + radius + 1);
+        const total = integral[y1 * (width + 1) + x1] - integral[y0 * (width + 1) + x1] -
+          integral[y1 * (width + 1) + x0] + integral[y0 * (width + 1) + x0];
+        mean[y * width + x] = total / ((x1 - x0) * (y1 - y0));
+      }
+    }
+    return mean;
+  }
+
+  /**
+   * Gaussian-weighted average (sigma = radius / 2), as two 1D passes
+   */
+  function gaussianMean(gray, width, height, radius) {
+    const sigma = Math.max(radius / 2, 0.5);
+    const kernel = [];
+    for (let k = -radius; k <= radius; k++) kernel.push(Math.exp(-(k * k) / (2 * sigma * sigma)));
+
+    const pass = (input, horizontal) => {
+      const output = new Float32Array(width * height);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          let total = 0;
+          let weight = 0;
+          for (let k = -radius; k <= radius; k++) {
+            const sx = horizontal ? x + k : x;
+            const sy = horizontal ? y : y + k;
+            if (sx < 0 || sy < 0 || sx >= width || sy >= height) continue;
+            const w = kernel[k + radius];
+            total += input[sy * width + sx] * w;
+            weight += w;
+          }
+          output[y * width + x] = total / weight;
+        }
+      }
+      return output;
+    };
+
+    return pass(pass(gray, true), false);
+  }
+
+  /**
+   * Convert an image to ink (1) and paper (0)
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} imageData - RGBA pixels
+   * @param {Object} options - mode ('fixed' | 'otsu' | 'adaptive'), threshold,
+   *   method ('mean' | 'gaussian'), radius, offset (see DEFAULTS)
+   * @returns {{width: number, height: number, data: Uint8Array, threshold: number|null}}
+   *   threshold: the global cutoff used (null for adaptive)
+   */
+  function binarize(imageData, options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+    if (!MODES.includes(settings.mode)) throw new Error(`Unknown threshold mode "${settings.mode}"`);
+
+    const { width, height } = imageData;
+    const gray = luminance(imageData);
+    const data = new Uint8Array(width * height);
+
+    if (settings.mode === 'adaptive') {
+      if (!ADAPTIVE_METHODS.includes(settings.method)) throw new Error(`Unknown adaptive method "${settings.method}"`);
+      const radius = Math.max(1, Math.round(settings.radius));
+      const mean = settings.method === 'gaussian'
+        ? gaussianMean(gray, width, height, radius)
+        : boxMean(gray, width, height, radius);
+      for (let i = 0; i < data.length; i++) {
+        data[i] = gray[i] < mean[i] - settings.offset ? 1 : 0;
+      }
+      return { width, height, data, threshold: null };
+    }
+
+    const threshold = settings.mode === 'otsu' ? otsuThreshold(gray) : settings.threshold;
+    for (let i = 0; i < data.length; i++) {
+      data[i] = gray[i] < threshold ? 1 : 0;
+    }
+    return { width, height, data, threshold };
+  }
+
+  /**
+   * Cutoffs that split the image's tones into bands plus paper
+   * A one-dimensional k-means over the histogram: the classes settle on the
+   * image's dominant tones and the cutoffs sit halfway between them.
+   * @param {Float32Array} gray - Luminance from luminance()
+   * @param {number} bands - Number of ink bands (the lightest class is paper)
+   * @returns {number[]} bands ascending cutoffs
+   */
+  function levelThresholds(gray, bands) {
+    if (!(bands >= 1)) throw new Error('Posterize needs at least one band');
+
+    const histogram = new Float64Array(256);
+    let lightest = 0;
+    let darkest = 255;
+    for (let i = 0; i < gray.length; i++) {
+      const level = Math.min(255, Math.max(0, Math.round(gray[i])));
+      histogram[level]++;
+      if (level > lightest) lightest = level;
+      if (level < darkest) darkest = level;
+    }
+
+    // Start evenly spread over the tones present, then refine
+    const classes = bands + 1;
+    let centers = Array.from({ length: classes }, (_, i) =>
+      darkest + (lightest - darkest) * (i + 0.5) / classes);
+    for (let iteration = 0; iteration < 50; iteration++) {
+      const sums = new Float64Array(classes);
+      const counts = new Float64Array(classes);
+      let k = 0;
+      for (let level = 0; level < 256; level++) {
+        while (k < classes - 1 && level > (centers[k] + centers[k + 1]) / 2) k++;
+        sums[k] += level * histogram[level];
+        counts[k] += histogram[level];
+      }
+      const next = centers.map((center, i) => (counts[i] > 0 ? sums[i] / counts[i] : center));
+      const settled = next.every((center, i) => Math.abs(center - centers[i]) < 0.01);
+      centers = next;
+      if (settled) break;
+    }
+
+    // Flat images collapse classes together; keep every band at least one level wide
+    const thresholds = [];
+    for (let i = 0; i < bands; i++) {
+      const cutoff = Math.ceil((centers[i] + centers[i + 1]) / 2);
+      thresholds.push(i > 0 ? Math.max(cutoff, thresholds[i - 1] + 1) : cutoff);
+    }
+    return thresholds;
+  }
+
+  /**
+   * Split an image into tonal bands, one bitmap per band
+   * Band i holds the pixels from thresholds[i - 1] (0 for the first) up to
+   * thresholds[i]; anything lighter than the last cutoff is paper.
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} imageData - RGBA pixels
+   * @param {number[]} thresholds - Ascending cutoffs (see levelThresholds)
+   * @returns {Array<{min: number, max: number, bitmap: Object}>} Darkest band first
+   */
+  function posterize(imageData, thresholds) {
+    if (thresholds.length === 0) throw new Error('Posterize needs at least one band');
+    for (let i = 1; i < thresholds.length; i++) {
+      if (!(thresholds[i] > thresholds[i - 1])) throw new Error('Posterize thresholds must be ascending');
+    }
+
+    const { width, height } = imageData;
+    const gray = luminance(imageData);
+    return thresholds.map((max, i) => {
+      const min = i === 0 ? 0 : thresholds[i - 1];
+      const data = new Uint8Array(width * height);
+      for (let j = 0; j < data.length; j++) {
+        data[j] = gray[j] >= min && gray[j] < max ? 1 : 0;
+      }
+      return { min, max, bitmap: { width, height, data, threshold: null } };
+    });
+  }
+
+  /**
+   * Black and white RGBA pixels of a bitmap, for tracing and preview
+   * @param {{width: number, height: number, data: Uint8Array}} bitmap - From binarize
+   * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+   */
+  function toImageData(bitmap) {
+    const data = new Uint8ClampedArray(bitmap.width * bitmap.height * 4);
+    for (let i = 0, j = 0; i < bitmap.data.length; i++, j += 4) {
+      const value = bitmap.data[i] ? 0 : 255;
+      data[j] = data[j + 1] = data[j + 2] = value;
+      data[j + 3] = 255;
+    }
+    return { width: bitmap.width, height: bitmap.height, data };
+  }
+
+  return {
+    MODES,
+    ADAPTIVE_METHODS,
+    DEFAULTS,
+    luminance,
+    otsuThreshold,
+    binarize,
+    levelThresholds,
+    posterize,
+    toImageData
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Binarize;
+}
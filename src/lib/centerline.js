@@ -0,0 +1,418 @@
+// centerline.js - Single-stroke (centerline) tracing of line art
+// Potrace traces the outline of every dark region, so a drawn line becomes two
+// parallel strokes. Here the binarized bitmap is thinned to a one pixel wide
+// skeleton (Zhang-Suen), the skeleton is followed into polylines, short spurs
+// left by thinning are pruned and the lines are smoothed. Loaded with
+// importScripts() in the trace worker (global Centerline) and with require() in tests.
+
+var Centerline = (function() {
+  'use strict';
+
+  const DEFAULTS = {
+    threshold: 128,  // Luminance below this is ink (same as Potrace)
+    spurLength: 10,  // Branches ending in a tip shorter than this (px) are removed
+    smoothing: 2,    // Moving average radius (points)
+    tolerance: 0.5   // Simplification tolerance (px)
+  };
+
+  // 8-neighbourhood, clockwise from north: P2..P9 in Zhang-Suen terms
+  const OFFSETS = [[0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1]];
+
+  /**
+   * Binarize RGBA image data
+   * Transparent pixels count as paper.
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} imageData
+   * @param {number} threshold - Luminance (0-255) below which a pixel is ink
+   * @returns {{width: number, height: number, data: Uint8Array}} 1 = ink
+   */
+  function binarize(imageData, threshold = DEFAULTS.threshold) {
+    const { width, height, data } = imageData;
+    const bits = new Uint8Array(width * height);
+    for (let i = 0, j = 0; j < bits.length; i += 4, j++) {
+      const alpha = data[i + 3] / 255;
+      const luminance = 0.2126 * data[i] + 0.7153 * data[i + 1] + 0.0721 * data[i + 2];
+      bits[j] = luminance * alpha + 255 * (1 - alpha) < threshold ? 1 : 0;
+    }
+    return { width, height, data: bits };
+  }
+
+  /**
+   * Neighbour values P2..P9 of a pixel (0 outside the bitmap)
+   */
+  function neighbours(bitmap, x, y) {
+    return OFFSETS.map(([dx, dy]) => {
+      const nx = x + dx;
+      const ny = y + dy;
+      return nx >= 0 && ny >= 0 && nx < bitmap.width && ny < bitmap.height ? bitmap.data[ny * bitmap.width + nx] : 0;
+    });
+  }
+
+  /**
+   * Thin a bitmap to a one pixel wide skeleton (Zhang-Suen), in place
+   * A last pass removes the corner pixels of staircases, which Zhang-Suen
+   * keeps but which would make every diagonal step a junction.
+   * @param {{width: number, height: number, data: Uint8Array}} bitmap
+   * @returns {Object} The same bitmap
+   */
+  function thin(bitmap) {
+    const { width, height, data } = bitmap;
+    let changed = true;
+
+    while (changed) {
+      changed = false;
+      for (let step = 0; step < 2; step++) {
+        const remove = [];
+        for (let y = 0; y < height; y++) {
+          for (let x = 0; x < width; x++) {
+            if (!data[y * width + x]) continue;
+            const p = neighbours(bitmap, x, y);
+            const count = p.reduce((sum, value) => sum + value, 0);
+            if (count < 2 || count > 6) continue;
+
+            let transitions = 0;
+            for (let i = 0; i < 8; i++) {
+              if (!p[i] && p[(i + 1) % 8]) transitions++;
+            }
+            if (transitions !== 1) continue;
+
+            // p[0] = N, p[2] = E, p[4] = S, p[6] = W
+            if (step === 0 ? p[0] * p[2] * p[4] || p[2] * p[4] * p[6] : p[0] * p[2] * p[6] || p[0] * p[4] * p[6]) continue;
+            remove.push(y * width + x);
+          }
+        }
+        for (const index of remove) data[index] = 0;
+        if (remove.length > 0) changed = true;
+      }
+    }
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (!data[y * width + x]) continue;
+        const p = neighbours(bitmap, x, y);
+        const corner = (p[0] && p[2]) || (p[2] && p[4]) || (p[4] && p[6]) || (p[6] && p[0]);
+        if (corner && connectivity(p) === 1) data[y * width + x] = 0;
+      }
+    }
+    return bitmap;
+  }
+
+  /**
+   * Yokoi 8-connectivity number: how many separate skeleton branches touch a
+   * pixel (1 means the pixel can be removed without splitting anything)
+   */
+  function connectivity(p) {
+    const q = p.map(value => 1 - value);
+    let number = 0;
+    for (let k = 0; k < 8; k += 2) {
+      number += q[k] - q[k] * q[(k + 1) % 8] * q[(k + 2) % 8];
+    }
+    return number;
+  }
+
+  /**
+   * Follow a skeleton into polylines
+   * Ends and junctions (pixels without exactly two neighbours) are graph nodes;
+   * touching junction pixels form one node at their centre. Every run of
+   * pixels between two nodes becomes a polyline; loops without nodes become
+   * closed polylines.
+   * @param {{width: number, height: number, data: Uint8Array}} skeleton
+   * @returns {Array<{points: number[][], closed: boolean, ends: number[]}>}
+   *   Points at pixel centres; ends are the node ids of open lines
+   */
+  function skeletonToPolylines(skeleton) {
+    const { width, height, data } = skeleton;
+    const size = width * height;
+
+    const linked = (index) => {
+      const x = index % width;
+      const y = (index - x) / width;
+      const result = [];
+      for (const [dx, dy] of OFFSETS) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx >= 0 && ny >= 0 && nx < width && ny < height && data[ny * width + nx]) result.push(ny * width + nx);
+      }
+      return result;
+    };
+    const point = index => [index % width + 0.5, Math.floor(index / width) + 0.5];
+
+    const degree = new Uint8Array(size);
+    for (let i = 0; i < size; i++) {
+      if (data[i]) degree[i] = linked(i).length;
+    }
+
+    // Junction pixels that touch are one node, identified by its first pixel
+    const nodeOf = new Int32Array(size).fill(-1);
+    const centres = new Map();
+    for (let i = 0; i < size; i++) {
+      if (!data[i] || degree[i] === 2 || nodeOf[i] >= 0) continue;
+      const cluster = [i];
+      nodeOf[i] = i;
+      if (degree[i] > 2) {
+        for (let k = 0; k < cluster.length; k++) {
+          for (const index of linked(cluster[k])) {
+            if (degree[index] > 2 && nodeOf[index] < 0) {
+              nodeOf[index] = i;
+              cluster.push(index);
+            }
+          }
+        }
+      }
+      const points = cluster.map(point);
+      centres.set(i, [
+        points.reduce((sum, p) => sum + p[0], 0) / points.length,
+        points.reduce((sum, p) => sum + p[1], 0) / points.length
+      ]);
+    }
+
+    const visited = new Uint8Array(size);
+    const usedSteps = new Set();
+    const stepKey = (a, b) => (a < b ? a * size + b : b * size + a);
+    const polylines = [];
+
+    for (let node = 0; node < size; node++) {
+      if (!data[node] || degree[node] === 2) continue;
+
+      for (const first of linked(node)) {
+        if (nodeOf[first] >= 0 && nodeOf[first] === nodeOf[node]) continue;
+        if (usedSteps.has(stepKey(node, first))) continue;
+        usedSteps.add(stepKey(node, first));
+
+        const line = [];
+        let prev = node;
+        let cur = first;
+        while (degree[cur] === 2 && !visited[cur]) {
+          visited[cur] = 1;
+          line.push(cur);
+          const next = linked(cur).find(index => index !== prev && !usedSteps.has(stepKey(cur, index)));
+          if (next === undefined) break;
+          usedSteps.add(stepKey(cur, next));
+          prev = cur;
+          cur = next;
+        }
+
+        const start = nodeOf[node];
+        const end = degree[cur] !== 2 ? nodeOf[cur] : -1;
+        const points = [centres.get(start), ...line.map(point)];
+        if (end >= 0) points.push(centres.get(end));
+        polylines.push({ points, closed: false, ends: end >= 0 ? [start, end] : [start] });
+      }
+    }
+
+    // What is left are loops
+    for (let start = 0; start < size; start++) {
+      if (!data[start] || degree[start] !== 2 || visited[start]) continue;
+
+      const line = [];
+      let prev = -1;
+      let cur = start;
+      while (cur !== undefined && !visited[cur]) {
+        visited[cur] = 1;
+        line.push(cur);
+        const next = linked(cur).find(index => index !== prev && !visited[index]);
+        prev = cur;
+        cur = next;
+      }
+      if (line.length > 2) polylines.push({ points: line.map(point), closed: true, ends: [] });
+    }
+
+    return polylines;
+  }
+
+  function polylineLength(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+      length += Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]);
+    }
+    return length;
+  }
+
+  /**
+   * Remove short branches that end in a tip, then join lines that meet at
+   * nodes where only two lines are left
+   * @param {Array} polylines - From skeletonToPolylines
+   * @param {number} spurLength - Branches shorter than this are removed (px);
+   *   loose pieces shorter than this are removed as specks
+   * @returns {Array} Polylines
+   */
+  function pruneSpurs(polylines, spurLength) {
+    let lines = polylines.slice();
+
+    const countEnds = () => {
+      const counts = new Map();
+      for (const line of lines) {
+        for (const end of line.ends) counts.set(end, (counts.get(end) || 0) + 1);
+      }
+      return counts;
+    };
+
+    if (spurLength > 0) {
+      let removed = true;
+      while (removed) {
+        const counts = countEnds();
+        const kept = lines.filter(line => {
+          if (line.closed || polylineLength(line.points) >= spurLength) return true;
+          // Short lines are kept only between two other lines' nodes
+          const loop = line.ends.length === 2 && line.ends[0] === line.ends[1];
+          return !loop && line.ends.length === 2 && line.ends.every(end => counts.get(end) > 1);
+        });
+        removed = kept.length < lines.length;
+        lines = kept;
+      }
+    }
+
+    // Join lines through nodes that now connect exactly two of them
+    const counts = countEnds();
+    let joined = true;
+    while (joined) {
+      joined = false;
+      for (const [node, count] of counts) {
+        if (count !== 2) continue;
+        const pair = lines.filter(line => line.ends.length === 2 && line.ends.includes(node));
+        if (pair.length !== 2) {
+          // A line whose two ends meet at this node is a loop
+          if (pair.length === 1 && pair[0].ends[0] === node && pair[0].ends[1] === node) {
+            pair[0].closed = true;
+            pair[0].points.pop();
+            pair[0].ends = [];
+          }
+          counts.delete(node);
+          continue;
+        }
+
+        const [a, b] = pair;
+        const aPoints = a.ends[1] === node ? a.points : a.points.slice().reverse();
+        const bPoints = b.ends[0] === node ? b.points : b.points.slice().reverse();
+        const aStart = a.ends[1] === node ? a.ends[0] : a.ends[1];
+        const bEnd = b.ends[0] === node ? b.ends[1] : b.ends[0];
+        const merged = { points: aPoints.concat(bPoints.slice(1)), closed: false, ends: [aStart, bEnd] };
+        lines = lines.filter(line => line !== a && line !== b).concat([merged]);
+        counts.delete(node);
+        joined = true;
+      }
+    }
+
+    return lines;
+  }
+
+  /**
+   * Smooth a polyline with a moving average (open lines keep their ends)
+   */
+  function smoothPoints(points, closed, radius) {
+    if (radius < 1 || points.length < 3) return points;
+    const n = points.length;
+    return points.map((p, i) => {
+      if (!closed && (i === 0 || i === n - 1)) return p;
+      let sx = 0, sy = 0, count = 0;
+      for (let k = -radius; k <= radius; k++) {
+        let j = i + k;
+        if (closed) {
+          j = (j + n) % n;
+        } else if (j < 0 || j >= n) {
+          continue;
+        }
+        sx += points[j][0];
+        sy += points[j][1];
+        count++;
+      }
+      return [sx / count, sy / count];
+    });
+  }
+
+  /**
+   * Ramer-Douglas-Peucker simplification
+   */
+  function simplifyPoints(points, tolerance) {
+    if (tolerance <= 0 || points.length < 3) return points;
+
+    const keep = new Uint8Array(points.length);
+    keep[0] = keep[points.length - 1] = 1;
+    const stack = [[0, points.length - 1]];
+    while (stack.length > 0) {
+      const [first, last] = stack.pop();
+      const [ax, ay] = points[first];
+      const [bx, by] = points[last];
+      const length = Math.hypot(bx - ax, by - ay);
+
+      let farthest = -1;
+      let maxDistance = tolerance;
+      for (let i = first + 1; i < last; i++) {
+        const [px, py] = points[i];
+        const distance = length > 0
+          ? Math.abs((bx - ax) * (ay - py) - (ax - px) * (by - ay)) / length
+          : Math.hypot(px - ax, py - ay);
+        if (distance > maxDistance) {
+          maxDistance = distance;
+          farthest = i;
+        }
+      }
+      if (farthest >= 0) {
+        keep[farthest] = 1;
+        stack.push([first, farthest], [farthest, last]);
+      }
+    }
+    return points.filter((p, i) => keep[i]);
+  }
+
+  /**
+   * Trace the centerlines of an image
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} imageData - RGBA pixels
+   * @param {Object} options - threshold, spurLength, smoothing, tolerance (see DEFAULTS)
+   * @returns {Array<{points: number[][], closed: boolean}>} Polylines in pixels
+   */
+  function trace(imageData, options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+    const skeleton = thin(binarize(imageData, settings.threshold));
+    const lines = pruneSpurs(skeletonToPolylines(skeleton), settings.spurLength);
+
+    return lines
+      .map(line => {
+        const smooth = smoothPoints(line.points, line.closed, Math.round(settings.smoothing));
+        // Simplify closed lines as open ones that end where they start
+        const points = line.closed
+          ? simplifyPoints(smooth.concat([smooth[0]]), settings.tolerance).slice(0, -1)
+          : simplifyPoints(smooth, settings.tolerance);
+        return { points, closed: line.closed };
+      })
+      .filter(line => line.points.length > 1);
+  }
+
+  /**
+   * Path data for traced polylines
+   * @param {Array<{points: number[][], closed: boolean}>} polylines
+   * @returns {string}
+   */
+  function toPathData(polylines) {
+    const format = value => Number(value.toFixed(2));
+    return polylines
+      .map(({ points, closed }) => 'M' + points.map(p => `${format(p[0])} ${format(p[1])}`).join(' L') + (closed ? ' Z' : ''))
+      .join(' ');
+  }
+
+  /**
+   * SVG document for traced polylines, shaped like Potrace's output
+   * @param {Array} polylines - From trace
+   * @param {number} width - Image width (px)
+   * @param {number} height - Image height (px)
+   * @returns {string}
+   */
+  function getSVG(polylines, width, height) {
+    return `<svg id="svg" version="1.1" width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">` +
+      `<path d="${toPathData(polylines)}" stroke="black" fill="none"/></svg>`;
+  }
+
+  return {
+    DEFAULTS,
+    binarize,
+    thin,
+    skeletonToPolylines,
+    pruneSpurs,
+    trace,
+    toPathData,
+    getSVG
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Centerline;
+}
@@ -0,0 +1,250 @@
+// color-quantize.js - Color separation for multi-pen tracing
+// Reduces an image to a small palette (median cut, refined by k-means, or a
+// fixed list such as the machine's pens) and splits it into one bitmap per
+// palette color. Loaded as a plain <script> in the renderer (global
+// ColorQuantize), with importScripts() in the trace worker and with require()
+// in the main process and tests.
+
+var ColorQuantize = (function() {
+  'use strict';
+
+  const METHODS = ['kmeans', 'median-cut', 'pens'];
+
+  // Colors are grouped into 5 bits per channel before clustering
+  const BIN_SHIFT = 3;
+
+  /**
+   * Parse a list of hex colors
+   * @param {string} text - Colors separated by commas or spaces, e.g. "#000, #d32f2f"
+   * @returns {string[]} Colors as lowercase #rrggbb
+   */
+  function parsePalette(text) {
+    return String(text || '').split(/[\s,]+/).filter(Boolean).map(entry => {
+      const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(entry);
+      if (!match) throw new Error(`"${entry}" is not a hex color`);
+      const hex = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1];
+      return `#${hex.toLowerCase()}`;
+    });
+  }
+
+  function hexToRgb(color) {
+    const value = parseInt(color.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+  }
+
+  function rgbToHex(rgb) {
+    return '#' + rgb.map(c => Math.round(c).toString(16).padStart(2, '0')).join('');
+  }
+
+  function distance(a, b) {
+    const dr = a[0] - b[0];
+    const dg = a[1] - b[1];
+    const db = a[2] - b[2];
+    return dr * dr + dg * dg + db * db;
+  }
+
+  /**
+   * Distinct colors of the opaque pixels with their counts
+   * @returns {Array<{rgb: number[], count: number}>}
+   */
+  function colorHistogram(imageData) {
+    const { data } = imageData;
+    const bins = new Map();
+    for (let i = 0; i < data.length; i += 4) {
+      if (data[i + 3] < 128) continue;
+      const key = ((data[i] >> BIN_SHIFT) << 10) | ((data[i + 1] >> BIN_SHIFT) << 5) | (data[i + 2] >> BIN_SHIFT);
+      let bin = bins.get(key);
+      if (!bin) {
+        bin = { sum: [0, 0, 0], count: 0 };
+        bins.set(key, bin);
+      }
+      bin.sum[0] += data[i];
+      bin.sum[1] += data[i + 1];
+      bin.sum[2] += data[i + 2];
+      bin.count++;
+    }
+    return Array.from(bins.values(), bin => ({ rgb: bin.sum.map(c => c / bin.count), count: bin.count }));
+  }
+
+  // Count-weighted mean color
+  function mean(colors) {
+    const sum = [0, 0, 0];
+    let count = 0;
+    for (const color of colors) {
+      for (let c = 0; c < 3; c++) sum[c] += color.rgb[c] * color.count;
+      count += color.count;
+    }
+    return sum.map(c => c / count);
+  }
+
+  /**
+   * Median cut: split the box with the widest channel until there are enough
+   * boxes. Each box is cut where the two halves have the least squared error
+   * along that channel, which keeps clusters of similar colors together.
+   * @param {Array<{rgb: number[], count: number}>} colors - From colorHistogram
+   * @param {number} count - Palette size
+   * @returns {number[][]} RGB palette
+   */
+  function medianCut(colors, count) {
+    const range = box => {
+      let best = { channel: 0, width: -1 };
+      for (let c = 0; c < 3; c++) {
+        const values = box.map(color => color.rgb[c]);
+        const width = Math.max(...values) - Math.min(...values);
+        if (width > best.width) best = { channel: c, width };
+      }
+      return best;
+    };
+
+    const boxes = colors.length > 0 ? [colors] : [];
+    while (boxes.length < count) {
+      // Split the widest box that still holds more than one color
+      let target = -1;
+      let widest = { width: 0 };
+      boxes.forEach((box, i) => {
+        if (box.length < 2) return;
+        const boxRange = range(box);
+        if (boxRange.width > widest.width) {
+          widest = boxRange;
+          target = i;
+        }
+      });
+      if (target < 0) break;
+
+      const channel = widest.channel;
+      const box = boxes[target].slice().sort((a, b) => a.rgb[channel] - b.rgb[channel]);
+      let totalCount = 0;
+      let totalSum = 0;
+      let totalSquares = 0;
+      for (const color of box) {
+        totalCount += color.count;
+        totalSum += color.rgb[channel] * color.count;
+        totalSquares += color.rgb[channel] * color.rgb[channel] * color.count;
+      }
+
+      // Squared error of a group = sum of squares - sum² / count
+      let split = 1;
+      let bestError = Infinity;
+      let lowCount = 0;
+      let lowSum = 0;
+      let lowSquares = 0;
+      for (let i = 1; i < box.length; i++) {
+        const value = box[i - 1].rgb[channel];
+        lowCount += box[i - 1].count;
+        lowSum += value * box[i - 1].count;
+        lowSquares += value * value * box[i - 1].count;
+        const highSum = totalSum - lowSum;
+        const error = lowSquares - lowSum * lowSum / lowCount +
+          (totalSquares - lowSquares) - highSum * highSum / (totalCount - lowCount);
+        if (error < bestError) {
+          bestError = error;
+          split = i;
+        }
+      }
+      boxes.splice(target, 1, box.slice(0, split), box.slice(split));
+    }
+    return boxes.map(mean);
+  }
+
+  /**
+   * k-means (Lloyd's algorithm), started from the median cut palette
+   * @param {Array<{rgb: number[], count: number}>} colors - From colorHistogram
+   * @param {number} count - Palette size
+   * @param {number} iterations - Upper bound on refinement passes
+   * @returns {number[][]} RGB palette
+   */
+  function kMeans(colors, count, iterations = 20) {
+    let centers = medianCut(colors, count);
+    for (let pass = 0; pass < iterations; pass++) {
+      const sums = centers.map(() => [0, 0, 0]);
+      const counts = centers.map(() => 0);
+      for (const color of colors) {
+        const nearest = nearestIndex(centers, color.rgb);
+        for (let c = 0; c < 3; c++) sums[nearest][c] += color.rgb[c] * color.count;
+        counts[nearest] += color.count;
+      }
+      const next = centers.map((center, i) => (counts[i] > 0 ? sums[i].map(c => c / counts[i]) : center));
+      const moved = next.some((center, i) => distance(center, centers[i]) > 0.25);
+      centers = next;
+      if (!moved) break;
+    }
+    return centers;
+  }
+
+  function nearestIndex(palette, rgb) {
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let i = 0; i < palette.length; i++) {
+      const d = distance(palette[i], rgb);
+      if (d < bestDistance) {
+        bestDistance = d;
+        best = i;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Pick a palette for an image
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} imageData - RGBA pixels
+   * @param {Object} options - method ('kmeans' | 'median-cut'), colors (palette size)
+   * @returns {string[]} Palette as #rrggbb, darkest first
+   */
+  function buildPalette(imageData, options) {
+    if (!['kmeans', 'median-cut'].includes(options.method)) {
+      throw new Error(`Unknown quantization method "${options.method}"`);
+    }
+    if (!(options.colors >= 1)) throw new Error('The palette needs at least one color');
+
+    const colors = colorHistogram(imageData);
+    const palette = options.method === 'kmeans' ? kMeans(colors, options.colors) : medianCut(colors, options.colors);
+    const luminance = rgb => 0.2126 * rgb[0] + 0.7152 * rgb[1] + 0.0722 * rgb[2];
+    return palette.sort((a, b) => luminance(a) - luminance(b)).map(rgbToHex);
+  }
+
+  /**
+   * Split an image into one bitmap per palette color (nearest color wins)
+   * Transparent pixels belong to no color.
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} imageData - RGBA pixels
+   * @param {string[]} palette - #rrggbb colors
+   * @returns {Array<{color: string, bitmap: Object}>} In palette order; bitmap
+   *   is { width, height, data } with 1 for the color's pixels
+   */
+  function separate(imageData, palette) {
+    const { width, height, data } = imageData;
+    const rgbPalette = palette.map(hexToRgb);
+    const bitmaps = palette.map(() => new Uint8Array(width * height));
+
+    // Images have far fewer distinct colors than pixels
+    const cache = new Map();
+    const rgb = [0, 0, 0];
+    for (let i = 0, j = 0; j < width * height; i += 4, j++) {
+      if (data[i + 3] < 128) continue;
+      const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+      let index = cache.get(key);
+      if (index === undefined) {
+        rgb[0] = data[i];
+        rgb[1] = data[i + 1];
+        rgb[2] = data[i + 2];
+        index = nearestIndex(rgbPalette, rgb);
+        cache.set(key, index);
+      }
+      bitmaps[index][j] = 1;
+    }
+
+    return palette.map((color, i) => ({ color, bitmap: { width, height, data: bitmaps[i] } }));
+  }
+
+  return {
+    METHODS,
+    parsePalette,
+    buildPalette,
+    medianCut,
+    kMeans,
+    separate
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ColorQuantize;
+}
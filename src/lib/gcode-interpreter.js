@@ -0,0 +1,360 @@
+// gcode-interpreter.js - Modal G-code interpreter
+// Runs G-code through a small modal state machine (motion mode, distance mode,
+// units, G92 offsets, feed) and reports every XY move in machine millimetres
+// with the pen state and the source line it came from. Arcs are flattened.
+// Pen state comes from the machine profile's pen commands when they match,
+// otherwise from common dialects: M3/M4/M5 servo or spindle pens, M42 pins
+// (johnny5) and Z moves. Files without any pen information draw on feed moves.
+// Loaded as a plain <script> in the renderer (global GcodeInterpreter) and
+// with require() in the main process and tests.
+
+var GcodeInterpreter = (function() {
+  'use strict';
+
+  const MM_PER_INCH = 25.4;
+  const DEFAULT_ARC_TOLERANCE = 0.01; // mm chord error when flattening arcs
+  const MAX_ARC_SEGMENTS = 720;
+
+  /**
+   * Normalize a G-code line for comparison (comments removed, upper case, single spaces)
+   */
+  function normalizeLine(line) {
+    return String(line).split(';')[0].replace(/\(.*?\)/g, '').trim().toUpperCase().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * First command line of a (possibly multi-line) pen command
+   */
+  function commandSignature(command) {
+    const lines = String(command || '').split(/\r?\n/).map(normalizeLine).filter(Boolean);
+    return lines[0] || null;
+  }
+
+  /**
+   * Split a normalized line into G codes, M codes and the remaining words
+   * @returns {{g: number[], m: number[], words: Object}}
+   */
+  function parseWords(line) {
+    const g = [];
+    const m = [];
+    const words = {};
+    for (const match of line.matchAll(/([A-Z])\s*([-+]?(?:\d+\.?\d*|\.\d+))/g)) {
+      const letter = match[1];
+      const value = parseFloat(match[2]);
+      if (letter === 'G') g.push(value);
+      else if (letter === 'M') m.push(value);
+      else if (letter !== 'N') words[letter] = value;
+    }
+    return { g, m, words };
+  }
+
+  /**
+   * Z heights (mm) of the profile's pen commands, if both use Z
+   */
+  function profilePenZ(profile) {
+    const scale = profile.units === 'in' ? MM_PER_INCH : 1;
+    const zOf = command => {
+      const signature = commandSignature(command);
+      if (!signature) return null;
+      const { words } = parseWords(signature);
+      return words.Z === undefined ? null : words.Z * scale;
+    };
+    const up = zOf(profile.penUp);
+    const down = zOf(profile.penDown);
+    return up !== null && down !== null && up !== down ? { up, down } : null;
+  }
+
+  /**
+   * Flatten an arc into points (excluding the start point)
+   * @param {number[]} start - Start point
+   * @param {number[]} end - End point
+   * @param {number[]} center - Arc center
+   * @param {boolean} clockwise - G2 (true) or G3 (false)
+   * @param {number} tolerance - Maximum chord error (mm)
+   * @returns {number[][]} Points along the arc ending exactly at `end`
+   */
+  function flattenArc(start, end, center, clockwise, tolerance) {
+    const r0 = Math.hypot(start[0] - center[0], start[1] - center[1]);
+    const r1 = Math.hypot(end[0] - center[0], end[1] - center[1]);
+    const a0 = Math.atan2(start[1] - center[1], start[0] - center[0]);
+    const a1 = Math.atan2(end[1] - center[1], end[0] - center[0]);
+
+    let sweep = a1 - a0;
+    const fullCircle = Math.hypot(end[0] - start[0], end[1] - start[1]) < 1e-9;
+    if (clockwise) {
+      if (sweep >= 0 || fullCircle) sweep -= 2 * Math.PI;
+    } else if (sweep <= 0 || fullCircle) {
+      sweep += 2 * Math.PI;
+    }
+
+    const radius = Math.max(r0, r1);
+    if (radius < 1e-9) return [end.slice()];
+
+    // Largest step angle whose chord stays within the tolerance
+    const maxStep = radius > tolerance ? 2 * Math.acos(1 - tolerance / radius) : Math.PI / 2;
+    const count = Math.min(MAX_ARC_SEGMENTS, Math.max(1, Math.ceil(Math.abs(sweep) / maxStep)));
+
+    const points = [];
+    for (let i = 1; i < count; i++) {
+      const t = i / count;
+      const angle = a0 + sweep * t;
+      const r = r0 + (r1 - r0) * t; // Blend mismatched start/end radii
+      points.push([center[0] + r * Math.cos(angle), center[1] + r * Math.sin(angle)]);
+    }
+    points.push(end.slice());
+    return points;
+  }
+
+  /**
+   * Center of an arc given in radius (R) format, as GRBL computes it
+   */
+  function radiusArcCenter(start, end, radius, clockwise) {
+    const x = end[0] - start[0];
+    const y = end[1] - start[1];
+    const d = Math.hypot(x, y);
+    if (d < 1e-9) return null;
+
+    const disc = 4 * radius * radius - x * x - y * y;
+    let h = -Math.sqrt(Math.max(0, disc)) / d;
+    if (!clockwise) h = -h;
+    if (radius < 0) h = -h; // Negative R selects the arc over 180 degrees
+
+    return [start[0] + 0.5 * (x - y * h), start[1] + 0.5 * (y + x * h)];
+  }
+
+  /**
+   * Create a modal machine that executes G-code one line at a time
+   * @param {Object} options - Same options as interpret()
+   * @returns {{state: Object, warnings: Array, execute: Function, hasPenCommands: Function}}
+   *   execute(rawLine, lineIndex) returns the program items the line produced
+   *   (see interpret); `draw` is only set by interpret()
+   */
+  function createMachine(options = {}) {
+    const profile = options.profile || {};
+    const arcTolerance = options.arcTolerance || DEFAULT_ARC_TOLERANCE;
+    const penUp = commandSignature(profile.penUp);
+    const penDown = commandSignature(profile.penDown);
+    const penZ = profilePenZ(profile);
+    const defaultFeed = profile.defaultFeed || 3000;
+
+    // Modal state (GRBL power-on defaults)
+    const state = {
+      motion: 0,
+      absolute: true,
+      arcAbsolute: false, // G90.1 / G91.1 (IJ relative to the start by default)
+      plane: 17,
+      scale: profile.units === 'in' ? MM_PER_INCH : 1,
+      feed: 0,
+      position: [0, 0], // Machine coordinates (mm)
+      z: null,
+      offset: [0, 0], // G92 offset (mm)
+      penDown: false
+    };
+
+    const warnings = [];
+    let hasPenCommands = false;
+
+    function execute(rawLine, lineIndex) {
+      const items = [];
+      const line = normalizeLine(rawLine);
+      if (!line) return items;
+
+      const { g, m, words } = parseWords(line);
+
+      // Non-motion modal codes first, so units and distance mode apply to this line
+      let machineCoords = false;
+      let setOffset = false;
+      let home = false;
+      for (const code of g) {
+        switch (code) {
+          case 0: case 1: case 2: case 3: state.motion = code; break;
+          case 17: case 18: case 19: state.plane = code; break;
+          case 20: state.scale = MM_PER_INCH; break;
+          case 21: state.scale = 1; break;
+          case 28: home = true; break;
+          case 53: machineCoords = true; break;
+          case 90: state.absolute = true; break;
+          case 91: state.absolute = false; break;
+          case 90.1: state.arcAbsolute = true; break;
+          case 91.1: state.arcAbsolute = false; break;
+          case 92: setOffset = true; break;
+          case 92.1: state.offset = [0, 0]; break;
+          default: break;
+        }
+      }
+      if (words.F !== undefined) state.feed = words.F * state.scale;
+
+      // Pen state: profile commands win over the generic dialects
+      let pen = null;
+      if (penUp && line === penUp) pen = false;
+      else if (penDown && line === penDown) pen = true;
+      else if (m.includes(5)) pen = false;
+      else if (m.includes(3) || m.includes(4)) pen = words.S === undefined || words.S > 0;
+      else if (m.includes(42) && words.S !== undefined) pen = words.S === 0; // johnny5: S0 lowers the pen
+
+      if (setOffset) {
+        // G92: make the current position read as the given coordinates
+        ['X', 'Y'].forEach((axis, i) => {
+          if (words[axis] !== undefined) state.offset[i] = state.position[i] - words[axis] * state.scale;
+        });
+        if (words.Z !== undefined && pen === null) state.z = words.Z * state.scale;
+      } else if (words.Z !== undefined) {
+        const z = machineCoords || state.absolute ? words.Z * state.scale : (state.z || 0) + words.Z * state.scale;
+        state.z = z;
+        if (pen === null) {
+          // Closer to the profile's pen-down height, or at/below the work surface
+          pen = penZ ? Math.abs(z - penZ.down) < Math.abs(z - penZ.up) : z <= 0;
+        }
+      }
+
+      if (pen !== null) {
+        hasPenCommands = true;
+        state.penDown = pen;
+        items.push({ type: 'pen', down: pen, line: lineIndex });
+      }
+
+      if (home) {
+        // G28: return to the machine origin
+        pushMove([0, 0], true);
+        return items;
+      }
+      if (setOffset) return items;
+
+      const hasXY = words.X !== undefined || words.Y !== undefined;
+      if (!hasXY && !((state.motion === 2 || state.motion === 3) && (words.I !== undefined || words.J !== undefined))) {
+        return items;
+      }
+
+      // Target in machine coordinates
+      const target = ['X', 'Y'].map((axis, i) => {
+        if (words[axis] === undefined) return state.position[i];
+        const value = words[axis] * state.scale;
+        if (machineCoords) return value;
+        return state.absolute ? value + state.offset[i] : state.position[i] + value;
+      });
+
+      if (state.motion === 0 || state.motion === 1) {
+        pushMove(target, state.motion === 0);
+        return items;
+      }
+
+      if (state.plane !== 17) {
+        warnings.push({ line: lineIndex, message: `Arc outside the XY plane (G${state.plane}) drawn as a line` });
+        pushMove(target, false);
+        return items;
+      }
+
+      // G2 / G3 arcs
+      const clockwise = state.motion === 2;
+      const start = state.position.slice();
+      let center;
+      if (words.R !== undefined) {
+        center = radiusArcCenter(start, target, words.R * state.scale, clockwise);
+        if (!center) {
+          warnings.push({ line: lineIndex, message: 'Radius arc needs distinct start and end points' });
+          return items;
+        }
+      } else {
+        const i = (words.I || 0) * state.scale;
+        const j = (words.J || 0) * state.scale;
+        center = state.arcAbsolute ? [i + state.offset[0], j + state.offset[1]] : [start[0] + i, start[1] + j];
+      }
+
+      for (const point of flattenArc(start, target, center, clockwise, arcTolerance)) {
+        pushMove(point, false, true);
+      }
+      return items;
+
+      function pushMove(to, rapid, arc) {
+        const move = {
+          type: 'move',
+          from: state.position,
+          to,
+          rapid,
+          feed: rapid ? defaultFeed : (state.feed || defaultFeed),
+          penDown: state.penDown,
+          line: lineIndex
+        };
+        if (arc) move.arc = true;
+        items.push(move);
+        state.position = to;
+      }
+    }
+
+    return {
+      state,
+      warnings,
+      execute,
+      hasPenCommands: () => hasPenCommands
+    };
+  }
+
+  /**
+   * Interpret G-code
+   * @param {string} text - G-code program
+   * @param {Object} options - Options
+   * @param {Object} options.profile - Machine profile (penUp, penDown, units, defaultFeed)
+   * @param {number} options.arcTolerance - Maximum arc chord error in mm (default 0.01)
+   * @returns {{program: Array, paths: Array, bounds: Object|null, hasPenCommands: boolean, warnings: Array}}
+   *   program: ordered {type: 'move', from, to, rapid, feed, penDown, draw, line} and
+   *   {type: 'pen', down, line} items (mm, mm/min, 0-based line numbers);
+   *   paths: pen-down polylines of {x, y, line} points
+   */
+  function interpret(text, options = {}) {
+    const machine = createMachine(options);
+    const program = [];
+
+    const lines = String(text).split(/\r?\n/);
+    for (let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
+      for (const item of machine.execute(lines[lineIndex], lineIndex)) program.push(item);
+    }
+
+    const hasPenCommands = machine.hasPenCommands();
+    const warnings = machine.warnings;
+
+    // Without pen commands (e.g. laser or plain CAM output) feed moves draw
+    const paths = [];
+    let bounds = null;
+    let current = null;
+    for (const item of program) {
+      if (item.type === 'pen') {
+        current = null;
+        continue;
+      }
+      item.draw = hasPenCommands ? item.penDown : !item.rapid;
+
+      // Bounds cover every position moved to, travel included
+      const [x, y] = item.to;
+      if (!bounds) bounds = { minX: x, maxX: x, minY: y, maxY: y };
+      bounds.minX = Math.min(bounds.minX, x);
+      bounds.maxX = Math.max(bounds.maxX, x);
+      bounds.minY = Math.min(bounds.minY, y);
+      bounds.maxY = Math.max(bounds.maxY, y);
+
+      if (!item.draw) {
+        current = null;
+        continue;
+      }
+      if (!current) {
+        current = [{ x: item.from[0], y: item.from[1], line: item.line }];
+        paths.push(current);
+      }
+      current.push({ x: item.to[0], y: item.to[1], line: item.line });
+    }
+
+    return { program, paths, bounds, hasPenCommands, warnings };
+  }
+
+  return {
+    normalizeLine,
+    commandSignature,
+    parseWords,
+    flattenArc,
+    createMachine,
+    interpret
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GcodeInterpreter;
+}
@@ -0,0 +1,141 @@
+// hatch-fill.js - Hatch fill for filled shapes
+// A pen plotter cannot fill an area, so filled regions are drawn as parallel
+// strokes clipped to the shape. Holes follow the shape's fill rule. Loaded as
+// a plain <script> in the renderer (global HatchFill) and with require() in
+// the main process and tests.
+
+var HatchFill = (function() {
+  'use strict';
+
+  const FILL_RULES = ['nonzero', 'evenodd'];
+
+  // Strokes shorter than this (in output units) are dropped
+  const MIN_STROKE = 1e-6;
+
+  /**
+   * Distance between hatch lines for a pen
+   * @param {number} penWidth - Pen line width
+   * @param {number} density - 1 for lines that touch (solid), 0.5 for gaps as
+   *   wide as the pen, ...
+   * @returns {number} Spacing in the units of penWidth
+   */
+  function spacingForPen(penWidth, density = 1) {
+    if (!(penWidth > 0)) throw new Error('Pen width must be greater than 0');
+    if (!(density > 0)) throw new Error('Hatch density must be greater than 0');
+    return penWidth / density;
+  }
+
+  /**
+   * Collect the non-horizontal edges of closed rings, rotated so the hatch
+   * direction is horizontal
+   */
+  function collectEdges(rings, cos, sin) {
+    const edges = [];
+    for (const ring of rings) {
+      if (ring.length < 3) continue;
+      const points = ring.map(([x, y]) => [x * cos + y * sin, -x * sin + y * cos]);
+      for (let i = 0; i < points.length; i++) {
+        const [x1, y1] = points[i];
+        const [x2, y2] = points[(i + 1) % points.length];
+        if (y1 === y2) continue;
+        // Stored bottom to top; winding records the original direction
+        edges.push(y1 < y2
+          ? { yMin: y1, yMax: y2, x: x1, slope: (x2 - x1) / (y2 - y1), winding: 1 }
+          : { yMin: y2, yMax: y1, x: x2, slope: (x1 - x2) / (y1 - y2), winding: -1 });
+      }
+    }
+    return edges.sort((a, b) => a.yMin - b.yMin);
+  }
+
+  /**
+   * Hatch lines in one direction
+   * @param {Array<number[][]>} rings - Closed outlines (implicitly closed)
+   * @param {Object} options - angle (degrees), spacing, fillRule
+   * @returns {Array<number[][]>} Two-point strokes, alternating direction row by row
+   */
+  function hatchDirection(rings, options) {
+    const angle = (options.angle || 0) * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const spacing = options.spacing;
+    const evenOdd = options.fillRule === 'evenodd';
+
+    const edges = collectEdges(rings, cos, sin);
+    if (edges.length === 0) return [];
+    const yMax = Math.max(...edges.map(edge => edge.yMax));
+
+    // Rows sit on a grid shared by every shape, so neighbouring shapes line up
+    const lines = [];
+    let active = [];
+    let nextEdge = 0;
+    let row = 0;
+    for (let y = (Math.floor(edges[0].yMin / spacing) + 0.5) * spacing; y < yMax; y += spacing) {
+      while (nextEdge < edges.length && edges[nextEdge].yMin <= y) active.push(edges[nextEdge++]);
+      active = active.filter(edge => edge.yMax > y);
+
+      const crossings = active
+        .map(edge => ({ x: edge.x + (y - edge.yMin) * edge.slope, winding: edge.winding }))
+        .sort((a, b) => a.x - b.x);
+
+      const segments = [];
+      let winding = 0;
+      let start = null;
+      for (const crossing of crossings) {
+        winding += crossing.winding;
+        const inside = evenOdd ? winding % 2 !== 0 : winding !== 0;
+        if (inside && start === null) {
+          start = crossing.x;
+        } else if (!inside && start !== null) {
+          if (crossing.x - start > MIN_STROKE) segments.push([start, crossing.x]);
+          start = null;
+        }
+      }
+
+      // Serpentine: every other row runs backwards to keep travel short
+      if (row % 2 === 1) {
+        segments.reverse();
+        segments.forEach(segment => segment.reverse());
+      }
+      for (const [x1, x2] of segments) {
+        lines.push([
+          [x1 * cos - y * sin, x1 * sin + y * cos],
+          [x2 * cos - y * sin, x2 * sin + y * cos]
+        ]);
+      }
+      if (segments.length > 0) row++;
+    }
+    return lines;
+  }
+
+  /**
+   * Hatch a filled shape
+   * @param {Array<number[][]>} rings - The shape's subpaths as closed outlines
+   * @param {Object} options
+   * @param {number} options.spacing - Distance between lines (see spacingForPen)
+   * @param {number} options.angle - Line angle in degrees (0 = along X)
+   * @param {boolean} options.crossHatch - Add a second set of lines at angle + 90°
+   * @param {string} options.fillRule - 'nonzero' (SVG default) or 'evenodd'
+   * @returns {Array<number[][]>} Strokes as two-point polylines
+   */
+  function hatchRings(rings, options) {
+    if (!(options.spacing > 0)) throw new Error('Hatch spacing must be greater than 0');
+    const fillRule = FILL_RULES.includes(options.fillRule) ? options.fillRule : 'nonzero';
+    const angle = options.angle || 0;
+
+    const lines = hatchDirection(rings, { spacing: options.spacing, angle, fillRule });
+    if (options.crossHatch) {
+      lines.push(...hatchDirection(rings, { spacing: options.spacing, angle: angle + 90, fillRule }));
+    }
+    return lines;
+  }
+
+  return {
+    FILL_RULES,
+    spacingForPen,
+    hatchRings
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HatchFill;
+}
@@ -0,0 +1,116 @@
+// image-filters.js - Image adjustments applied before tracing
+// The color adjustments are canvas filters (CSS filter syntax); masking and
+// edge detection work on raw RGBA pixels. Loaded with importScripts() in the trace worker
+// (global ImageFilters) and with require() in tests.
+
+var ImageFilters = (function() {
+  'use strict';
+
+  /**
+   * Canvas filter for the color adjustments of the Trace tab
+   * @param {Object} adjust - brightness, contrast, saturation (-100..100),
+   *   hue (degrees), greyscale, sepia
+   * @returns {string} Filter for CanvasRenderingContext2D.filter ('none' when unchanged)
+   */
+  function canvasFilter(adjust) {
+    const filters = [];
+    if (adjust.brightness) filters.push(`brightness(${1 + adjust.brightness / 100})`);
+    if (adjust.contrast) filters.push(`contrast(${1 + adjust.contrast / 100})`);
+    if (adjust.saturation) filters.push(`saturate(${1 + adjust.saturation / 100})`);
+    if (adjust.hue) filters.push(`hue-rotate(${adjust.hue}deg)`);
+    if (adjust.greyscale) filters.push('grayscale(100%)');
+    if (adjust.sepia) filters.push('sepia(100%)');
+    return filters.length > 0 ? filters.join(' ') : 'none';
+  }
+
+  /**
+   * Blank out the unmasked part of an image (in place)
+   * Removed pixels become opaque white paper, so nothing there is traced.
+   * Partly covered pixels (soft brush edges) fade towards white.
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} imageData - RGBA pixels
+   * @param {{data: Uint8ClampedArray}} mask - RGBA pixels of the same size; alpha is the painted coverage
+   * @param {string} mode - 'include' keeps the painted area, 'exclude' removes it
+   * @returns {Object} imageData
+   */
+  function applyMask(imageData, mask, mode) {
+    const { data } = imageData;
+    const include = mode === 'include';
+    for (let i = 0; i < data.length; i += 4) {
+      const coverage = mask.data[i + 3] / 255;
+      const keep = include ? coverage : 1 - coverage;
+      if (keep === 1) continue;
+      const paper = 255 * (1 - keep);
+      data[i] = data[i] * keep + paper;
+      data[i + 1] = data[i + 1] * keep + paper;
+      data[i + 2] = data[i + 2] * keep + paper;
+      data[i + 3] = data[i + 3] * keep + paper;
+    }
+    return imageData;
+  }
+
+  /**
+   * Sobel edge detection
+   * Edges become black on white, the format Potrace expects (dark = traced).
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} imageData - RGBA pixels
+   * @param {number} threshold - Gradient magnitude above which a pixel is an edge
+   * @param {boolean} invert - White edges on black instead
+   * @returns {{width: number, height: number, data: Uint8ClampedArray}} RGBA pixels
+   */
+  function sobel(imageData, threshold, invert) {
+    const { width, height } = imageData;
+    const src = imageData.data;
+    const output = new Uint8ClampedArray(src.length);
+
+    // Sobel kernels
+    const sobelX = [-1, 0, 1, -2, 0, 2, -1, 0, 1];
+    const sobelY = [-1, -2, -1, 0, 0, 0, 1, 2, 1];
+
+    // Convert to grayscale first for edge detection
+    const gray = new Float32Array(width * height);
+    for (let i = 0; i < width * height; i++) {
+      const idx = i * 4;
+      gray[i] = 0.299 * src[idx] + 0.587 * src[idx + 1] + 0.114 * src[idx + 2];
+    }
+
+    // Borders are background: white, or black when inverted
+    const background = invert ? 0 : 255;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let value = background;
+
+        if (x > 0 && y > 0 && x < width - 1 && y < height - 1) {
+          let gx = 0;
+          let gy = 0;
+          for (let ky = -1; ky <= 1; ky++) {
+            for (let kx = -1; kx <= 1; kx++) {
+              const g = gray[(y + ky) * width + (x + kx)];
+              const k = (ky + 1) * 3 + (kx + 1);
+              gx += g * sobelX[k];
+              gy += g * sobelY[k];
+            }
+          }
+          const edge = Math.sqrt(gx * gx + gy * gy) > threshold;
+          value = edge === invert ? 255 : 0;
+        }
+
+        const outIdx = (y * width + x) * 4;
+        output[outIdx] = value;
+        output[outIdx + 1] = value;
+        output[outIdx + 2] = value;
+        output[outIdx + 3] = 255;
+      }
+    }
+
+    return { width, height, data: output };
+  }
+
+  return {
+    canvasFilter,
+    applyMask,
+    sobel
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImageFilters;
+}
@@ -0,0 +1,290 @@
+// plot-estimator.js - Plot time and distance estimation
+// Reads generated G-code and estimates pen-down distance, pen-up travel, pen
+// lifts and duration from the machine profile's feed, acceleration and pen
+// delay. Motion is planned like GRBL: each run of moves between pen commands
+// starts and ends at rest, with corner speeds limited by junction deviation.
+// The same timing drives the Render tab's playback timeline.
+// Loaded as a plain <script> in the renderer (global PlotEstimator) and with
+// require() in the main process and tests.
+
+var PlotEstimator = (function() {
+  'use strict';
+
+  const DEFAULT_KINEMATICS = {
+    defaultFeed: 3000, // mm/min, used for rapids and moves without a feed
+    acceleration: 500, // mm/s²
+    penDelay: 150, // ms per pen up or down
+    junctionDeviation: 0.01 // mm
+  };
+
+  // Shared with the Render tab's G-code interpreter (global in the renderer)
+  const Interpreter = typeof GcodeInterpreter !== 'undefined' ? GcodeInterpreter : require('./gcode-interpreter');
+
+  /**
+   * Parse G-code into moves and pen events
+   * @param {string} text - G-code
+   * @param {Object} profile - Machine profile (penUp/penDown commands, units, defaultFeed)
+   * @returns {Array} Program of {type: 'move', from, to, feed, rapid, draw} and {type: 'pen', down} items (mm, mm/min)
+   */
+  function parseProgram(text, profile) {
+    return Interpreter.interpret(text, { profile }).program;
+  }
+
+  /**
+   * Time to cover a distance starting at vIn and ending at vOut, cruising at vMax
+   */
+  function segmentTime(length, vIn, vOut, vMax, accel) {
+    if (length <= 0) return 0;
+    if (!(accel > 0) || !isFinite(accel)) return length / vMax;
+
+    const accelDist = (vMax * vMax - vIn * vIn) / (2 * accel);
+    const decelDist = (vMax * vMax - vOut * vOut) / (2 * accel);
+    if (accelDist + decelDist <= length) {
+      return (vMax - vIn) / accel + (vMax - vOut) / accel + (length - accelDist - decelDist) / vMax;
+    }
+
+    // Triangle profile: never reaches cruise speed
+    const peak = Math.sqrt((2 * accel * length + vIn * vIn + vOut * vOut) / 2);
+    return (peak - vIn) / accel + (peak - vOut) / accel;
+  }
+
+  /**
+   * Maximum speed through the corner between two unit directions (GRBL junction deviation)
+   */
+  function junctionSpeed(dirA, dirB, accel, deviation) {
+    const cosTheta = -(dirA[0] * dirB[0] + dirA[1] * dirB[1]);
+    if (cosTheta > 0.999999) return 0; // Full reversal
+    if (cosTheta < -0.999999) return Infinity; // Straight line
+    const sinHalf = Math.sqrt(0.5 * (1 - cosTheta));
+    return Math.sqrt(accel * deviation * sinHalf / (1 - sinHalf));
+  }
+
+  /**
+   * Time for each move of a run of connected moves that starts and ends at rest
+   * @param {Array} moves - Moves with from/to (mm) and feed (mm/min)
+   * @param {Object} kinematics - acceleration and junctionDeviation
+   * @returns {number[]} Seconds per move (0 for moves that go nowhere)
+   */
+  function planRun(moves, kinematics) {
+    const accel = kinematics.acceleration;
+    const times = moves.map(() => 0);
+    const segments = [];
+    moves.forEach((move, index) => {
+      const dx = move.to[0] - move.from[0];
+      const dy = move.to[1] - move.from[1];
+      const length = Math.hypot(dx, dy);
+      const vMax = move.feed / 60;
+      if (length > 0 && vMax > 0) {
+        segments.push({ index, length, dir: [dx / length, dy / length], vMax });
+      }
+    });
+    if (segments.length === 0) return times;
+
+    if (!(accel > 0)) {
+      segments.forEach(segment => { times[segment.index] = segment.length / segment.vMax; });
+      return times;
+    }
+
+    // Entry speed limits from corners and feeds
+    const entry = segments.map((segment, i) => {
+      if (i === 0) return 0;
+      const previous = segments[i - 1];
+      const corner = junctionSpeed(previous.dir, segment.dir, accel, kinematics.junctionDeviation);
+      return Math.min(corner, segment.vMax, previous.vMax);
+    });
+    entry.push(0);
+
+    // Backward pass: must be able to decelerate into the next entry speed
+    for (let i = segments.length - 1; i >= 0; i--) {
+      entry[i] = Math.min(entry[i], Math.sqrt(entry[i + 1] * entry[i + 1] + 2 * accel * segments[i].length));
+    }
+    // Forward pass: must be able to accelerate from the previous entry speed
+    for (let i = 0; i < segments.length; i++) {
+      entry[i + 1] = Math.min(entry[i + 1], Math.sqrt(entry[i] * entry[i] + 2 * accel * segments[i].length));
+    }
+
+    segments.forEach((segment, i) => {
+      times[segment.index] = segmentTime(segment.length, entry[i], entry[i + 1], segment.vMax, accel);
+    });
+    return times;
+  }
+
+  /**
+   * Time every item of an interpreted program
+   * @param {Array} program - Moves and pen events (see parseProgram)
+   * @param {Object} profile - Machine profile (acceleration, penDelay)
+   * @returns {number[]} Seconds per program item
+   */
+  function timeProgram(program, profile) {
+    const kinematics = {
+      ...DEFAULT_KINEMATICS,
+      acceleration: profile.acceleration ?? DEFAULT_KINEMATICS.acceleration,
+      penDelay: profile.penDelay ?? DEFAULT_KINEMATICS.penDelay
+    };
+
+    const times = new Array(program.length).fill(0);
+    let runStart = 0;
+    const flushRun = end => {
+      const run = program.slice(runStart, end);
+      planRun(run, kinematics).forEach((time, i) => { times[runStart + i] = time; });
+    };
+
+    program.forEach((item, index) => {
+      if (item.type !== 'pen') return;
+      // The machine stops for every pen command
+      flushRun(index);
+      times[index] = kinematics.penDelay / 1000;
+      runStart = index + 1;
+    });
+    flushRun(program.length);
+
+    return times;
+  }
+
+  /**
+   * Estimate distance and duration of a G-code program
+   * @param {string} text - G-code
+   * @param {Object} profile - Machine profile (pen commands, defaultFeed, acceleration, penDelay)
+   * @returns {{drawDistance: number, travelDistance: number, penLifts: number, duration: number,
+   *   drawTime: number, travelTime: number, penTime: number}} Distances in mm, times in seconds
+   */
+  function estimateGcode(text, profile) {
+    return estimateProgram(parseProgram(text, profile), profile);
+  }
+
+  /**
+   * Estimate distance and duration of an interpreted program (see parseProgram)
+   * @param {Array} program - Moves and pen events
+   * @param {Object} profile - Machine profile (acceleration, penDelay)
+   * @returns {Object} Same as estimateGcode
+   */
+  function estimateProgram(program, profile) {
+    const times = timeProgram(program, profile);
+    const result = {
+      drawDistance: 0,
+      travelDistance: 0,
+      penLifts: 0,
+      duration: 0,
+      drawTime: 0,
+      travelTime: 0,
+      penTime: 0
+    };
+
+    let penDown = false;
+    program.forEach((item, index) => {
+      if (item.type === 'pen') {
+        if (penDown && !item.down) result.penLifts++;
+        penDown = item.down;
+        result.penTime += times[index];
+        return;
+      }
+
+      const length = Math.hypot(item.to[0] - item.from[0], item.to[1] - item.from[1]);
+      if (item.draw) {
+        result.drawDistance += length;
+        result.drawTime += times[index];
+      } else {
+        result.travelDistance += length;
+        result.travelTime += times[index];
+      }
+    });
+
+    result.duration = result.drawTime + result.travelTime + result.penTime;
+    return result;
+  }
+
+  /**
+   * Build a playback timeline for an interpreted program
+   * @param {Array} program - Moves and pen events (see parseProgram)
+   * @param {Object} profile - Machine profile (acceleration, penDelay)
+   * @returns {{program: Array, start: number[], end: number[], duration: number}} Times in seconds
+   */
+  function buildTimeline(program, profile) {
+    const times = timeProgram(program, profile);
+    const start = [];
+    const end = [];
+    let clock = 0;
+    times.forEach(time => {
+      start.push(clock);
+      clock += time;
+      end.push(clock);
+    });
+    return { program, start, end, duration: clock };
+  }
+
+  /**
+   * Find where the machine is at a point in time
+   * @param {Object} timeline - Timeline from buildTimeline
+   * @param {number} time - Seconds from the start
+   * @returns {{index: number, fraction: number, position: number[], penDown: boolean}|null}
+   *   index of the item in progress (or the last finished one), how far through it, and the pen head
+   */
+  function locate(timeline, time) {
+    const { program, start, end } = timeline;
+    if (program.length === 0) return null;
+
+    // First item still running at `time`
+    let lo = 0;
+    let hi = program.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (end[mid] > time) hi = mid;
+      else lo = mid + 1;
+    }
+
+    const item = program[lo];
+    const duration = end[lo] - start[lo];
+    const fraction = duration > 0 ? Math.min(1, Math.max(0, (time - start[lo]) / duration)) : 1;
+
+    // Pen head: interpolate the current move; otherwise the last position reached
+    let position = [0, 0];
+    for (let i = lo; i >= 0; i--) {
+      const previous = program[i];
+      if (previous.type !== 'move') continue;
+      position = i === lo
+        ? [previous.from[0] + (previous.to[0] - previous.from[0]) * fraction,
+          previous.from[1] + (previous.to[1] - previous.from[1]) * fraction]
+        : previous.to;
+      break;
+    }
+    const penDown = item.type === 'move' ? item.penDown : item.down;
+
+    return { index: lo, fraction, position, penDown };
+  }
+
+  /**
+   * Format seconds as "1h 02m", "12m 30s" or "45s"
+   */
+  function formatDuration(seconds) {
+    const total = Math.round(seconds);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = total % 60;
+    if (h > 0) return `${h}h ${String(m).padStart(2, '0')}m`;
+    if (m > 0) return `${m}m ${String(s).padStart(2, '0')}s`;
+    return `${s}s`;
+  }
+
+  /**
+   * Format a distance in mm as mm or m
+   */
+  function formatDistance(mm) {
+    return mm >= 1000 ? `${(mm / 1000).toFixed(2)} m` : `${mm.toFixed(0)} mm`;
+  }
+
+  return {
+    DEFAULT_KINEMATICS,
+    parseProgram,
+    segmentTime,
+    estimateGcode,
+    estimateProgram,
+    buildTimeline,
+    locate,
+    formatDuration,
+    formatDistance
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PlotEstimator;
+}
@@ -0,0 +1,582 @@
+// svg-path.js - SVG geometry helpers
+// Parses path data, transforms and basic shapes, and flattens everything into
+// polylines. Loaded as a plain <script> in the renderer (global SvgPath) and
+// with require() in the main process and tests.
+
+var SvgPath = (function() {
+  'use strict';
+
+  // ============ MATRICES ============
+  // Matrices use the SVG layout [a, b, c, d, e, f]:
+  //   x' = a*x + c*y + e
+  //   y' = b*x + d*y + f
+
+  const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+  /**
+   * Multiply two matrices (m1 applied after m2)
+   */
+  function multiply(m1, m2) {
+    return [
+      m1[0] * m2[0] + m1[2] * m2[1],
+      m1[1] * m2[0] + m1[3] * m2[1],
+      m1[0] * m2[2] + m1[2] * m2[3],
+      m1[1] * m2[2] + m1[3] * m2[3],
+      m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+      m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+    ];
+  }
+
+  /**
+   * Apply a matrix to a point
+   */
+  function applyMatrix(m, x, y) {
+    return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+  }
+
+  /**
+   * Approximate uniform scale factor of a matrix (used for flattening tolerance)
+   */
+  function matrixScale(m) {
+    return Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2])) || 1;
+  }
+
+  /**
+   * Parse an SVG transform attribute into a single matrix
+   * @param {string} str - e.g. "translate(10 20) rotate(45)"
+   * @returns {number[]} Matrix
+   */
+  function parseTransform(str) {
+    let result = IDENTITY.slice();
+    if (!str) return result;
+
+    const re = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+    let match;
+    while ((match = re.exec(str)) !== null) {
+      const args = parseNumberList(match[2]);
+      let m = IDENTITY;
+
+      switch (match[1]) {
+        case 'matrix':
+          if (args.length === 6) m = args;
+          break;
+        case 'translate':
+          m = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+          break;
+        case 'scale': {
+          const sx = args[0] !== undefined ? args[0] : 1;
+          const sy = args[1] !== undefined ? args[1] : sx;
+          m = [sx, 0, 0, sy, 0, 0];
+          break;
+        }
+        case 'rotate': {
+          const a = (args[0] || 0) * Math.PI / 180;
+          const cos = Math.cos(a);
+          const sin = Math.sin(a);
+          m = [cos, sin, -sin, cos, 0, 0];
+          if (args.length >= 3) {
+            const cx = args[1];
+            const cy = args[2];
+            m = multiply(multiply([1, 0, 0, 1, cx, cy], m), [1, 0, 0, 1, -cx, -cy]);
+          }
+          break;
+        }
+        case 'skewX':
+          m = [1, 0, Math.tan((args[0] || 0) * Math.PI / 180), 1, 0, 0];
+          break;
+        case 'skewY':
+          m = [1, Math.tan((args[0] || 0) * Math.PI / 180), 0, 1, 0, 0];
+          break;
+      }
+
+      result = multiply(result, m);
+    }
+
+    return result;
+  }
+
+  /**
+   * Parse a whitespace/comma separated list of numbers
+   */
+  function parseNumberList(str) {
+    if (!str) return [];
+    const matches = String(str).match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g);
+    return matches ? matches.map(Number) : [];
+  }
+
+  // ============ PATH DATA PARSING ============
+
+  const PARAM_COUNTS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+
+  /**
+   * Tokenize path data into commands with numeric arguments.
+   * Handles compact forms such as "M1.5.5-2-2" and arc flags written as "a1 1 0 011 1".
+   * @param {string} d - Path data
+   * @returns {Array<{cmd: string, args: number[]}>}
+   */
+  function parsePathData(d) {
+    const commands = [];
+    if (!d) return commands;
+
+    let i = 0;
+    const len = d.length;
+    let current = null;
+
+    const isSep = (c) => c === ' ' || c === ',' || c === '\n' || c === '\r' || c === '\t';
+
+    function readNumber() {
+      const re = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/y;
+      re.lastIndex = i;
+      const m = re.exec(d);
+      if (!m) return null;
+      i = re.lastIndex;
+      return parseFloat(m[0]);
+    }
+
+    function readFlag() {
+      const c = d[i];
+      if (c === '0' || c === '1') {
+        i++;
+        return c === '1' ? 1 : 0;
+      }
+      return null;
+    }
+
+    while (i < len) {
+      const c = d[i];
+
+      if (isSep(c)) {
+        i++;
+        continue;
+      }
+
+      const upper = c.toUpperCase();
+      if (PARAM_COUNTS[upper] !== undefined && /[a-zA-Z]/.test(c)) {
+        current = c;
+        i++;
+        if (upper === 'Z') {
+          commands.push({ cmd: c, args: [] });
+        }
+        continue;
+      }
+
+      if (!current || current.toUpperCase() === 'Z') {
+        // Stray number without a command - malformed, stop here
+        break;
+      }
+
+      const count = PARAM_COUNTS[current.toUpperCase()];
+      const args = [];
+      let ok = true;
+      for (let n = 0; n < count; n++) {
+        while (i < len && isSep(d[i])) i++;
+        const isArcFlag = current.toUpperCase() === 'A' && (n === 3 || n === 4);
+        const value = isArcFlag ? readFlag() : readNumber();
+        if (value === null) {
+          ok = false;
+          break;
+        }
+        args.push(value);
+      }
+      if (!ok) break;
+
+      commands.push({ cmd: current, args });
+
+      // Implicit lineto after a moveto
+      if (current === 'M') current = 'L';
+      else if (current === 'm') current = 'l';
+    }
+
+    return commands;
+  }
+
+  // ============ CURVE FLATTENING ============
+
+  /**
+   * Number of segments needed so a uniformly-subdivided Bezier stays within tolerance.
+   * Uses the bound max|B''| / (8 n^2) on the chord deviation.
+   */
+  function bezierSegments(secondDiff, tolerance) {
+    const n = Math.ceil(Math.sqrt(secondDiff / (8 * tolerance)));
+    return Math.min(Math.max(n, 1), 1000);
+  }
+
+  function flattenCubic(points, p0, p1, p2, p3, tolerance) {
+    const ddx1 = p0[0] - 2 * p1[0] + p2[0];
+    const ddy1 = p0[1] - 2 * p1[1] + p2[1];
+    const ddx2 = p1[0] - 2 * p2[0] + p3[0];
+    const ddy2 = p1[1] - 2 * p2[1] + p3[1];
+    const dd = 6 * Math.max(Math.hypot(ddx1, ddy1), Math.hypot(ddx2, ddy2));
+    const n = bezierSegments(dd, tolerance);
+
+    for (let k = 1; k <= n; k++) {
+      const t = k / n;
+      const mt = 1 - t;
+      const a = mt * mt * mt;
+      const b = 3 * mt * mt * t;
+      const c = 3 * mt * t * t;
+      const e = t * t * t;
+      points.push([
+        a * p0[0] + b * p1[0] + c * p2[0] + e * p3[0],
+        a * p0[1] + b * p1[1] + c * p2[1] + e * p3[1]
+      ]);
+    }
+  }
+
+  function flattenQuadratic(points, p0, p1, p2, tolerance) {
+    const dd = 2 * Math.hypot(p0[0] - 2 * p1[0] + p2[0], p0[1] - 2 * p1[1] + p2[1]);
+    const n = bezierSegments(dd, tolerance);
+
+    for (let k = 1; k <= n; k++) {
+      const t = k / n;
+      const mt = 1 - t;
+      points.push([
+        mt * mt * p0[0] + 2 * mt * t * p1[0] + t * t * p2[0],
+        mt * mt * p0[1] + 2 * mt * t * p1[1] + t * t * p2[1]
+      ]);
+    }
+  }
+
+  /**
+   * Flatten an elliptical arc (SVG endpoint parameterization, F.6.5 of the spec)
+   */
+  function flattenArc(points, p0, rx, ry, xAxisRotation, largeArc, sweep, p1, tolerance) {
+    if (p0[0] === p1[0] && p0[1] === p1[1]) return;
+
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (rx === 0 || ry === 0) {
+      points.push([p1[0], p1[1]]);
+      return;
+    }
+
+    const phi = xAxisRotation * Math.PI / 180;
+    const cosPhi = Math.cos(phi);
+    const sinPhi = Math.sin(phi);
+
+    const dx2 = (p0[0] - p1[0]) / 2;
+    const dy2 = (p0[1] - p1[1]) / 2;
+    const x1p = cosPhi * dx2 + sinPhi * dy2;
+    const y1p = -sinPhi * dx2 + cosPhi * dy2;
+
+    // Scale radii up if they can't span the endpoints
+    const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+    if (lambda > 1) {
+      const s = Math.sqrt(lambda);
+      rx *= s;
+      ry *= s;
+    }
+
+    const num = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+    const den = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+    let coef = Math.sqrt(Math.max(0, num / den));
+    if (largeArc === sweep) coef = -coef;
+
+    const cxp = coef * (rx * y1p) / ry;
+    const cyp = coef * -(ry * x1p) / rx;
+    const cx = cosPhi * cxp - sinPhi * cyp + (p0[0] + p1[0]) / 2;
+    const cy = sinPhi * cxp + cosPhi * cyp + (p0[1] + p1[1]) / 2;
+
+    const angle = (ux, uy, vx, vy) => {
+      const a = Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+      return a;
+    };
+
+    const theta1 = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+    let dTheta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+    if (!sweep && dTheta > 0) dTheta -= 2 * Math.PI;
+    if (sweep && dTheta < 0) dTheta += 2 * Math.PI;
+
+    const r = Math.max(rx, ry);
+    const step = tolerance < r ? 2 * Math.acos(1 - tolerance / r) : Math.PI / 2;
+    const n = Math.min(Math.max(Math.ceil(Math.abs(dTheta) / step), 1), 1000);
+
+    for (let k = 1; k <= n; k++) {
+      if (k === n) {
+        points.push([p1[0], p1[1]]);
+        break;
+      }
+      const t = theta1 + dTheta * k / n;
+      const ex = rx * Math.cos(t);
+      const ey = ry * Math.sin(t);
+      points.push([cosPhi * ex - sinPhi * ey + cx, sinPhi * ex + cosPhi * ey + cy]);
+    }
+  }
+
+  /**
+   * Flatten path data into polylines (one per subpath)
+   * @param {string} d - Path data
+   * @param {Object} options
+   * @param {number[]} options.matrix - Transform applied to the output points
+   * @param {number} options.tolerance - Max chord deviation in output units
+   * @returns {Array<{points: number[][], closed: boolean}>}
+   */
+  function flattenPathData(d, options = {}) {
+    const matrix = options.matrix || IDENTITY;
+    // Flatten in local space with a tolerance scaled back from output units
+    const tolerance = (options.tolerance || 0.05) / matrixScale(matrix);
+
+    const subpaths = [];
+    let points = null;
+    let cx = 0, cy = 0;          // Current point
+    let sx = 0, sy = 0;          // Subpath start
+    let lastCtrl = null;         // Last control point for S/T reflection
+    let lastCmd = '';
+
+    function startSubpath(x, y) {
+      if (points && points.length > 1) {
+        subpaths.push({ points, closed: false });
+      }
+      points = [[x, y]];
+      sx = x;
+      sy = y;
+    }
+
+    function ensureSubpath() {
+      if (!points) startSubpath(cx, cy);
+    }
+
+    for (const { cmd, args } of parsePathData(d)) {
+      const rel = cmd === cmd.toLowerCase();
+      const ox = rel ? cx : 0;
+      const oy = rel ? cy : 0;
+
+      switch (cmd.toUpperCase()) {
+        case 'M':
+          cx = ox + args[0];
+          cy = oy + args[1];
+          startSubpath(cx, cy);
+          lastCtrl = null;
+          break;
+
+        case 'L':
+          ensureSubpath();
+          cx = ox + args[0];
+          cy = oy + args[1];
+          points.push([cx, cy]);
+          lastCtrl = null;
+          break;
+
+        case 'H':
+          ensureSubpath();
+          cx = (rel ? cx : 0) + args[0];
+          points.push([cx, cy]);
+          lastCtrl = null;
+          break;
+
+        case 'V':
+          ensureSubpath();
+          cy = (rel ? cy : 0) + args[0];
+          points.push([cx, cy]);
+          lastCtrl = null;
+          break;
+
+        case 'C': {
+          ensureSubpath();
+          const p1 = [ox + args[0], oy + args[1]];
+          const p2 = [ox + args[2], oy + args[3]];
+          const p3 = [ox + args[4], oy + args[5]];
+          flattenCubic(points, [cx, cy], p1, p2, p3, tolerance);
+          lastCtrl = p2;
+          cx = p3[0];
+          cy = p3[1];
+          break;
+        }
+
+        case 'S': {
+          ensureSubpath();
+          const p1 = lastCtrl && /[CS]/i.test(lastCmd)
+            ? [2 * cx - lastCtrl[0], 2 * cy - lastCtrl[1]]
+            : [cx, cy];
+          const p2 = [ox + args[0], oy + args[1]];
+          const p3 = [ox + args[2], oy + args[3]];
+          flattenCubic(points, [cx, cy], p1, p2, p3, tolerance);
+          lastCtrl = p2;
+          cx = p3[0];
+          cy = p3[1];
+          break;
+        }
+
+        case 'Q': {
+          ensureSubpath();
+          const p1 = [ox + args[0], oy + args[1]];
+          const p2 = [ox + args[2], oy + args[3]];
+          flattenQuadratic(points, [cx, cy], p1, p2, tolerance);
+          lastCtrl = p1;
+          cx = p2[0];
+          cy = p2[1];
+          break;
+        }
+
+        case 'T': {
+          ensureSubpath();
+          const p1 = lastCtrl && /[QT]/i.test(lastCmd)
+            ? [2 * cx - lastCtrl[0], 2 * cy - lastCtrl[1]]
+            : [cx, cy];
+          const p2 = [ox + args[0], oy + args[1]];
+          flattenQuadratic(points, [cx, cy], p1, p2, tolerance);
+          lastCtrl = p1;
+          cx = p2[0];
+          cy = p2[1];
+          break;
+        }
+
+        case 'A': {
+          ensureSubpath();
+          const p1 = [ox + args[5], oy + args[6]];
+          flattenArc(points, [cx, cy], args[0], args[1], args[2], args[3], args[4], p1, tolerance);
+          cx = p1[0];
+          cy = p1[1];
+          lastCtrl = null;
+          break;
+        }
+
+        case 'Z':
+          if (points) {
+            const last = points[points.length - 1];
+            if (last[0] !== sx || last[1] !== sy) points.push([sx, sy]);
+            if (points.length > 1) subpaths.push({ points, closed: true });
+          }
+          points = null;
+          cx = sx;
+          cy = sy;
+          lastCtrl = null;
+          break;
+      }
+
+      lastCmd = cmd;
+    }
+
+    if (points && points.length > 1) {
+      subpaths.push({ points, closed: false });
+    }
+
+    // Transform into output space
+    if (matrix !== IDENTITY) {
+      for (const sp of subpaths) {
+        sp.points = sp.points.map(p => applyMatrix(matrix, p[0], p[1]));
+      }
+    }
+
+    return subpaths;
+  }
+
+  // ============ SHAPES ============
+
+  /**
+   * Convert a basic shape element into equivalent path data
+   * @param {string} tag - Element name (rect, circle, ellipse, line, polyline, polygon, path)
+   * @param {Object} attrs - Element attributes
+   * @returns {string|null} Path data or null if the element has no geometry
+   */
+  function shapeToPathData(tag, attrs) {
+    const num = (name, fallback = 0) => {
+      const v = parseFloat(attrs[name]);
+      return isNaN(v) ? fallback : v;
+    };
+
+    switch (tag) {
+      case 'path':
+        return attrs.d || null;
+
+      case 'rect': {
+        const x = num('x');
+        const y = num('y');
+        const w = num('width');
+        const h = num('height');
+        if (w <= 0 || h <= 0) return null;
+
+        let rx = attrs.rx !== undefined ? num('rx') : undefined;
+        let ry = attrs.ry !== undefined ? num('ry') : undefined;
+        if (rx === undefined) rx = ry;
+        if (ry === undefined) ry = rx;
+        rx = Math.min(rx || 0, w / 2);
+        ry = Math.min(ry || 0, h / 2);
+
+        if (rx > 0 && ry > 0) {
+          return `M${x + rx},${y}H${x + w - rx}A${rx},${ry} 0 0 1 ${x + w},${y + ry}` +
+            `V${y + h - ry}A${rx},${ry} 0 0 1 ${x + w - rx},${y + h}` +
+            `H${x + rx}A${rx},${ry} 0 0 1 ${x},${y + h - ry}` +
+            `V${y + ry}A${rx},${ry} 0 0 1 ${x + rx},${y}Z`;
+        }
+        return `M${x},${y}H${x + w}V${y + h}H${x}Z`;
+      }
+
+      case 'circle':
+      case 'ellipse': {
+        const cx = num('cx');
+        const cy = num('cy');
+        const rx = tag === 'circle' ? num('r') : num('rx');
+        const ry = tag === 'circle' ? num('r') : num('ry');
+        if (rx <= 0 || ry <= 0) return null;
+        return `M${cx + rx},${cy}A${rx},${ry} 0 0 1 ${cx - rx},${cy}` +
+          `A${rx},${ry} 0 0 1 ${cx + rx},${cy}Z`;
+      }
+
+      case 'line':
+        return `M${num('x1')},${num('y1')}L${num('x2')},${num('y2')}`;
+
+      case 'polyline':
+      case 'polygon': {
+        const values = parseNumberList(attrs.points);
+        if (values.length < 4) return null;
+        let d = `M${values[0]},${values[1]}`;
+        for (let i = 2; i + 1 < values.length; i += 2) {
+          d += `L${values[i]},${values[i + 1]}`;
+        }
+        return tag === 'polygon' ? d + 'Z' : d;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  // ============ POLYLINE HELPERS ============
+
+  /**
+   * Compute the bounding box of a list of polylines
+   * @param {Array<number[][]>} polylines
+   * @returns {{minX, minY, maxX, maxY}|null}
+   */
+  function getBounds(polylines) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const line of polylines) {
+      for (const p of line) {
+        if (p[0] < minX) minX = p[0];
+        if (p[1] < minY) minY = p[1];
+        if (p[0] > maxX) maxX = p[0];
+        if (p[1] > maxY) maxY = p[1];
+      }
+    }
+    return minX === Infinity ? null : { minX, minY, maxX, maxY };
+  }
+
+  /**
+   * Total length of a polyline
+   */
+  function polylineLength(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+      length += Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]);
+    }
+    return length;
+  }
+
+  return {
+    IDENTITY,
+    multiply,
+    applyMatrix,
+    parseTransform,
+    parseNumberList,
+    parsePathData,
+    flattenPathData,
+    shapeToPathData,
+    getBounds,
+    polylineLength
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SvgPath;
+}
@@ -0,0 +1,148 @@
+// work-area.js - Work area placement and machine coordinate mapping
+// The "bed" frame has its origin at the bottom-left corner of the work area with
+// X to the right and Y up (as drawn in the Render tab). A machine's origin
+// corner decides how bed coordinates map to the coordinates sent in G-code.
+// Loaded as a plain <script> in the renderer (global WorkArea) and with
+// require() in the main process and tests.
+
+var WorkArea = (function() {
+  'use strict';
+
+  const POSITIONS = [
+    'top-left', 'top-center', 'top-right',
+    'center-left', 'center', 'center-right',
+    'bottom-left', 'bottom-center', 'bottom-right'
+  ];
+
+  /**
+   * Place the paper inside the work area using a nine-grid position
+   * @param {number} workWidth - Work area width (mm)
+   * @param {number} workHeight - Work area height (mm)
+   * @param {number} paperWidth - Paper width (mm)
+   * @param {number} paperHeight - Paper height (mm)
+   * @param {string} position - e.g. 'top-left', 'center', 'bottom-right'
+   * @returns {{x: number, y: number, width: number, height: number}} Paper rect in bed coordinates
+   */
+  function placePaper(workWidth, workHeight, paperWidth, paperHeight, position) {
+    const [row, col] = splitPosition(position);
+
+    let x = (workWidth - paperWidth) / 2;
+    if (col === 'left') x = 0;
+    else if (col === 'right') x = workWidth - paperWidth;
+
+    let y = (workHeight - paperHeight) / 2;
+    if (row === 'bottom') y = 0;
+    else if (row === 'top') y = workHeight - paperHeight;
+
+    return { x, y, width: paperWidth, height: paperHeight };
+  }
+
+  /**
+   * Split a nine-grid position into row and column ('center' -> center/center)
+   */
+  function splitPosition(position) {
+    if (!POSITIONS.includes(position) || position === 'center') {
+      return ['center', 'center'];
+    }
+    const [row, col] = position.split('-');
+    return [row, col === 'center' ? 'center' : col];
+  }
+
+  /**
+   * Axis directions and offsets for a machine origin
+   * machine = (sx * bedX + ox, sy * bedY + oy)
+   * @param {{workWidth: number, workHeight: number, origin: string}} machine
+   */
+  function originAxes(machine) {
+    const w = machine.workWidth;
+    const h = machine.workHeight;
+
+    switch (machine.origin) {
+      case 'top-left': return { sx: 1, sy: -1, ox: 0, oy: h };
+      case 'bottom-right': return { sx: -1, sy: 1, ox: w, oy: 0 };
+      case 'top-right': return { sx: -1, sy: -1, ox: w, oy: h };
+      case 'center': return { sx: 1, sy: 1, ox: -w / 2, oy: -h / 2 };
+      default: return { sx: 1, sy: 1, ox: 0, oy: 0 };
+    }
+  }
+
+  /**
+   * Convert bed coordinates to machine coordinates
+   */
+  function bedToMachine(x, y, machine) {
+    const a = originAxes(machine);
+    return [a.sx * x + a.ox, a.sy * y + a.oy];
+  }
+
+  /**
+   * Convert machine coordinates to bed coordinates
+   */
+  function machineToBed(x, y, machine) {
+    const a = originAxes(machine);
+    return [a.sx * (x - a.ox), a.sy * (y - a.oy)];
+  }
+
+  /**
+   * Affine map from page coordinates (mm, Y down as in SVG) to machine coordinates
+   * for a page whose bottom-left corner sits at (pageX, pageY) on the bed.
+   * @returns {number[]} Matrix [a, b, c, d, e, f] (SVG convention)
+   */
+  function pageToMachine(pageX, pageY, pageHeight, machine) {
+    const a = originAxes(machine);
+    return [a.sx, 0, 0, -a.sy, a.sx * pageX + a.ox, a.sy * (pageY + pageHeight) + a.oy];
+  }
+
+  /**
+   * Affine map placing an artwork box on the page. The box starts centered on
+   * the page, is moved by the offset and rotated about its own center.
+   * @param {number} artWidth - Artwork width (mm)
+   * @param {number} artHeight - Artwork height (mm)
+   * @param {number} pageWidth - Page width (mm)
+   * @param {number} pageHeight - Page height (mm)
+   * @param {Object} placement - {offsetX, offsetY} of the box center from the page
+   *   center (mm, Y down) and rotation (degrees, clockwise as in SVG rotate())
+   * @returns {number[]} Matrix [a, b, c, d, e, f] from artwork box to page coordinates
+   */
+  function placeArtwork(artWidth, artHeight, pageWidth, pageHeight, placement) {
+    const angle = ((placement && placement.rotation) || 0) * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const cx = pageWidth / 2 + ((placement && placement.offsetX) || 0);
+    const cy = pageHeight / 2 + ((placement && placement.offsetY) || 0);
+
+    return [
+      cos, sin, -sin, cos,
+      cx - (cos * artWidth / 2 - sin * artHeight / 2),
+      cy - (sin * artWidth / 2 + cos * artHeight / 2)
+    ];
+  }
+
+  /**
+   * Bounds of a width x height box after applying a matrix
+   * @returns {{minX: number, minY: number, maxX: number, maxY: number}}
+   */
+  function boxBounds(matrix, width, height) {
+    const corners = [[0, 0], [width, 0], [width, height], [0, height]].map(([x, y]) => [
+      matrix[0] * x + matrix[2] * y + matrix[4],
+      matrix[1] * x + matrix[3] * y + matrix[5]
+    ]);
+    const xs = corners.map(c => c[0]);
+    const ys = corners.map(c => c[1]);
+    return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+  }
+
+  return {
+    POSITIONS,
+    placePaper,
+    originAxes,
+    bedToMachine,
+    machineToBed,
+    pageToMachine,
+    placeArtwork,
+    boxBounds
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WorkArea;
+}
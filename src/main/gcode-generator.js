@@ -0,0 +1,618 @@
+// gcode-generator.js - Built-in SVG to G-code generator
+// Flattens SVG geometry into polylines, fits it to the output size and writes
+// G-code using vpype gwrite style templates (document_start, segment_first, ...)
+// so the output matches vpype's gwrite for the same machine profile.
+
+const { parseStringPromise } = require('xml2js');
+const SvgPath = require('../lib/svg-path');
+const HatchFill = require('../lib/hatch-fill');
+const { optimizeLayers } = require('./path-optimizer');
+const { normalizeColor, assignPens } = require('./pen-separation');
+
+// Elements that never contribute plotted geometry
+const SKIPPED_TAGS = new Set([
+  'defs', 'clipPath', 'mask', 'symbol', 'marker', 'pattern', 'title', 'desc',
+  'metadata', 'style', 'script', 'text', 'image', 'linearGradient',
+  'radialGradient', 'filter', 'foreignObject', 'sodipodi:namedview'
+]);
+
+const SHAPE_TAGS = new Set(['path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon']);
+
+// Millimetres per output unit
+const UNIT_FACTORS = {
+  mm: 1,
+  cm: 10,
+  in: 25.4,
+  inch: 25.4,
+  px: 25.4 / 96
+};
+
+// ============ SVG READING ============
+
+/**
+ * Strip a namespace prefix from an element name (svg:path -> path)
+ */
+function localName(name) {
+  const idx = name.indexOf(':');
+  return idx === -1 || name.startsWith('sodipodi:') ? name : name.slice(idx + 1);
+}
+
+/**
+ * Check whether an element is hidden via display/visibility
+ */
+function isHidden(attrs) {
+  if (attrs.display === 'none' || attrs.visibility === 'hidden') return true;
+  if (attrs.style && /(^|;)\s*display\s*:\s*none/.test(attrs.style)) return true;
+  return false;
+}
+
+/**
+ * Read a presentation attribute, preferring the style attribute
+ */
+function readStyleProperty(attrs, name) {
+  const match = attrs.style && new RegExp(`(?:^|;)\\s*${name}\\s*:\\s*([^;]+)`).exec(attrs.style);
+  return match ? match[1].trim() : attrs[name];
+}
+
+/**
+ * Walk the parsed SVG tree and collect shapes with their accumulated transforms
+ * Each shape records its top-level layer (name and data-pen-color from the
+ * group), its color (the stroke, else the fill) and how it is painted
+ * (filled, stroked, fillRule) for hatching.
+ * @param {Object} root - xml2js node for the <svg> element
+ * @returns {Array<{d: string, matrix: number[], layer: number, layerName: string, layerColor: string|null,
+ *   color: string, filled: boolean, stroked: boolean, fillRule: string}>}
+ */
+function collectShapes(root) {
+  const shapes = [];
+  const idMap = new Map();
+
+  // Index elements by id so <use> references can be resolved
+  (function indexIds(node) {
+    if (node.$ && node.$.id) idMap.set(node.$.id, node);
+    for (const child of node.$$ || []) indexIds(child);
+  })(root);
+
+  function visit(node, matrix, layer, depth, paint) {
+    const tag = localName(node['#name']);
+    const attrs = node.$ || {};
+
+    if (SKIPPED_TAGS.has(tag) || isHidden(attrs) || depth > 64) return;
+
+    let m = attrs.transform ? SvgPath.multiply(matrix, SvgPath.parseTransform(attrs.transform)) : matrix;
+    const inherit = (name) => {
+      const value = readStyleProperty(attrs, name);
+      return value === undefined || value === 'inherit' ? paint[name] : value;
+    };
+    const p = { stroke: inherit('stroke'), fill: inherit('fill'), 'fill-rule': inherit('fill-rule') };
+
+    if (SHAPE_TAGS.has(tag)) {
+      const d = SvgPath.shapeToPathData(tag, attrs);
+      if (d) {
+        const color = normalizeColor(p.stroke) || normalizeColor(p.fill) || '#000000';
+        const painted = value => Boolean(value) && !['none', 'transparent'].includes(String(value).trim());
+        shapes.push({
+          d,
+          matrix: m,
+          ...layer,
+          color,
+          filled: painted(p.fill),
+          stroked: painted(p.stroke),
+          fillRule: p['fill-rule'] === 'evenodd' ? 'evenodd' : 'nonzero'
+        });
+      }
+      return;
+    }
+
+    if (tag === 'use') {
+      const href = attrs.href || attrs['xlink:href'];
+      const target = href && idMap.get(href.replace(/^#/, ''));
+      if (!target) return;
+      const x = parseFloat(attrs.x) || 0;
+      const y = parseFloat(attrs.y) || 0;
+      m = SvgPath.multiply(m, [1, 0, 0, 1, x, y]);
+      if (localName(target['#name']) === 'symbol') {
+        for (const child of target.$$ || []) visit(child, m, layer, depth + 1, p);
+      } else {
+        visit(target, m, layer, depth + 1, p);
+      }
+      return;
+    }
+
+    if (tag === 'svg' && depth > 0) {
+      const x = parseFloat(attrs.x) || 0;
+      const y = parseFloat(attrs.y) || 0;
+      m = SvgPath.multiply(m, [1, 0, 0, 1, x, y]);
+    }
+
+    for (const child of node.$$ || []) {
+      visit(child, m, layer, depth + 1, p);
+    }
+  }
+
+  // Each top-level group becomes its own layer; loose elements share layer 1
+  let nextLayer = 2;
+  const rootAttrs = root.$ || {};
+  const rootMatrix = rootAttrs.transform ? SvgPath.parseTransform(rootAttrs.transform) : SvgPath.IDENTITY;
+  const rootPaint = {
+    stroke: readStyleProperty(rootAttrs, 'stroke'),
+    fill: readStyleProperty(rootAttrs, 'fill') || 'black',
+    'fill-rule': readStyleProperty(rootAttrs, 'fill-rule')
+  };
+  const looseLayer = { layer: 1, layerName: 'Layer 1', layerColor: null };
+  for (const child of root.$$ || []) {
+    let layer = looseLayer;
+    if (localName(child['#name']) === 'g') {
+      const attrs = child.$ || {};
+      const id = nextLayer++;
+      layer = {
+        layer: id,
+        layerName: attrs['inkscape:label'] || attrs.id || `Layer ${id}`,
+        layerColor: normalizeColor(attrs['data-pen-color'])
+      };
+    }
+    visit(child, rootMatrix, layer, 1, rootPaint);
+  }
+
+  return shapes;
+}
+
+/**
+ * Flatten collected shapes into layers of polylines
+ * @param {Array} shapes - Output of collectShapes
+ * @param {number} tolerance - Max chord deviation in SVG user units
+ * @param {Object} options - fills: keep filled shapes apart as
+ *   { rings, fillRule, outline } in layer.fills (for hatchLayers)
+ * @returns {Array<{id: number, lines: number[][][], fills?: Array}>}
+ */
+function flattenShapes(shapes, tolerance, options = {}) {
+  const layers = new Map();
+
+  for (const shape of shapes) {
+    if (!layers.has(shape.layer)) {
+      layers.set(shape.layer, options.fills ? { id: shape.layer, lines: [], fills: [] } : { id: shape.layer, lines: [] });
+    }
+    const layer = layers.get(shape.layer);
+    const polylines = SvgPath.flattenPathData(shape.d, { matrix: shape.matrix, tolerance }).map(sub => sub.points);
+    if (options.fills && shape.filled) {
+      layer.fills.push({ rings: polylines, fillRule: shape.fillRule, outline: shape.stroked });
+    } else {
+      layer.lines.push(...polylines);
+    }
+  }
+
+  return Array.from(layers.values())
+    .filter(layer => layer.lines.length > 0 || (layer.fills && layer.fills.length > 0))
+    .sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Read the document's user-space box from viewBox, or width/height (in px)
+ * @param {Object} attrs - Attributes of the <svg> element
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}|null}
+ */
+function readViewBox(attrs) {
+  const viewBox = SvgPath.parseNumberList(attrs.viewBox || '');
+  if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+    return { minX: viewBox[0], minY: viewBox[1], maxX: viewBox[0] + viewBox[2], maxY: viewBox[1] + viewBox[3] };
+  }
+
+  // Without a viewBox one user unit is one CSS pixel
+  const toPx = (value) => {
+    const match = /^\s*([\d.]+)\s*([a-z]*)\s*$/i.exec(value || '');
+    if (!match) return 0;
+    const factor = UNIT_FACTORS[match[2].toLowerCase() || 'px'];
+    return factor ? parseFloat(match[1]) * factor / UNIT_FACTORS.px : 0;
+  };
+  const width = toPx(attrs.width);
+  const height = toPx(attrs.height);
+  return width > 0 && height > 0 ? { minX: 0, minY: 0, maxX: width, maxY: height } : null;
+}
+
+/**
+ * Parse SVG source into collected shapes and the document's viewBox
+ * @param {string} svgContent - SVG file contents
+ * @returns {Promise<{shapes: Array, viewBox: Object|null}>}
+ */
+async function readSvgDocument(svgContent) {
+  const parsed = await parseStringPromise(svgContent, {
+    explicitChildren: true,
+    preserveChildrenOrder: true,
+    explicitArray: true
+  });
+
+  const rootName = Object.keys(parsed)[0];
+  if (!rootName || localName(rootName) !== 'svg') {
+    throw new Error('File is not an SVG document');
+  }
+
+  const root = parsed[rootName];
+  return { shapes: collectShapes(root), viewBox: readViewBox(root.$ || {}) };
+}
+
+/**
+ * Parse SVG source into collected shapes
+ * @param {string} svgContent - SVG file contents
+ * @returns {Promise<Array>} Shapes (see collectShapes)
+ */
+async function readSvgShapes(svgContent) {
+  return (await readSvgDocument(svgContent)).shapes;
+}
+
+// ============ GEOMETRY ============
+
+/**
+ * Apply a point transform to every point in every layer (returns new layers)
+ */
+function mapLayers(layers, fn) {
+  const mapLine = line => line.map(p => fn(p[0], p[1]));
+  return layers.map(layer => {
+    const mapped = { ...layer, lines: layer.lines.map(mapLine) };
+    if (layer.fills) mapped.fills = layer.fills.map(fill => ({ ...fill, rings: fill.rings.map(mapLine) }));
+    return mapped;
+  });
+}
+
+/**
+ * Every polyline of a set of layers, fill outlines included
+ */
+function layerGeometry(layers) {
+  return layers.flatMap(layer => [...layer.lines, ...(layer.fills || []).flatMap(fill => fill.rings)]);
+}
+
+/**
+ * Replace filled shapes with hatch lines
+ * @param {Array} layers - Layers from flattenShapes with fills, in mm
+ * @param {Object} hatch - spacing, angle, crossHatch (see HatchFill.hatchRings);
+ *   outline: also draw the outline of shapes that have no stroke
+ * @returns {Array} Layers with only lines
+ */
+function hatchLayers(layers, hatch) {
+  return layers.map(({ fills, ...layer }) => {
+    const lines = [...layer.lines];
+    for (const fill of fills || []) {
+      if (fill.outline || hatch.outline) lines.push(...fill.rings);
+      lines.push(...HatchFill.hatchRings(fill.rings, { ...hatch, fillRule: fill.fillRule }));
+    }
+    return { ...layer, lines };
+  }).filter(layer => layer.lines.length > 0);
+}
+
+/**
+ * Scale geometry to fit inside a page and center it, like
+ * `vpype layout --fit-to-margins 0mm WxH`
+ * @param {Array} layers - Layers in SVG user units
+ * @param {number} width - Page width (mm)
+ * @param {number} height - Page height (mm)
+ * @param {Object} box - Box to fit instead of the geometry bounds (e.g. the viewBox)
+ * @returns {Array} Layers in page coordinates (mm)
+ */
+function fitToPage(layers, width, height, box) {
+  const bounds = box || SvgPath.getBounds(layerGeometry(layers));
+  if (!bounds) return layers;
+
+  const w = bounds.maxX - bounds.minX;
+  const h = bounds.maxY - bounds.minY;
+  const scale = Math.min(w > 0 ? width / w : Infinity, h > 0 ? height / h : Infinity);
+  const s = isFinite(scale) ? scale : 1;
+
+  const offsetX = (width - w * s) / 2 - bounds.minX * s;
+  const offsetY = (height - h * s) / 2 - bounds.minY * s;
+
+  return mapLayers(layers, (x, y) => [x * s + offsetX, y * s + offsetY]);
+}
+
+// ============ TEMPLATE FORMATTING ============
+
+/**
+ * Format a value using a Python format spec (subset: sign, zero pad, width,
+ * precision and the d/f/e/g/s types) as used by vpype gwrite templates
+ * @param {*} value - Value to format
+ * @param {string} spec - Format spec, e.g. ".4f"
+ * @returns {string}
+ */
+function formatValue(value, spec) {
+  if (!spec) return String(value);
+
+  const match = spec.match(/^([<>^=])?([+\- ])?(0)?(\d+)?(?:\.(\d+))?([dfFeEgGs%])?$/);
+  if (!match) return String(value);
+
+  const [, align, sign, zero, width, precision, type] = match;
+  let text;
+
+  if (typeof value === 'number') {
+    const prec = precision !== undefined ? parseInt(precision, 10) : 6;
+    switch (type) {
+      case 'd':
+        text = String(Math.round(Math.abs(value)));
+        break;
+      case 'f':
+      case 'F':
+        text = Math.abs(value).toFixed(prec);
+        break;
+      case 'e':
+      case 'E':
+        text = Math.abs(value).toExponential(prec).replace(/e([+-])(\d)$/, 'e$10$2');
+        if (type === 'E') text = text.toUpperCase();
+        break;
+      case 'g':
+      case 'G':
+        text = String(parseFloat(Math.abs(value).toPrecision(prec || 1)));
+        break;
+      case '%':
+        text = (Math.abs(value) * 100).toFixed(prec) + '%';
+        break;
+      default:
+        text = precision !== undefined
+          ? String(parseFloat(Math.abs(value).toPrecision(prec || 1)))
+          : String(Math.abs(value));
+    }
+
+    const negative = value < 0 || Object.is(value, -0);
+    const signChar = negative ? '-' : sign === '+' ? '+' : sign === ' ' ? ' ' : '';
+
+    if (width && text.length + signChar.length < parseInt(width, 10)) {
+      const padLength = parseInt(width, 10) - text.length - signChar.length;
+      if (zero || align === '=') {
+        return signChar + '0'.repeat(padLength) + text;
+      }
+      text = signChar + text;
+      return align === '<' ? text + ' '.repeat(padLength) : ' '.repeat(padLength) + text;
+    }
+    return signChar + text;
+  }
+
+  text = String(value);
+  if (precision !== undefined) text = text.slice(0, parseInt(precision, 10));
+  if (width && text.length < parseInt(width, 10)) {
+    const pad = ' '.repeat(parseInt(width, 10) - text.length);
+    return align === '>' ? pad + text : text + pad;
+  }
+  return text;
+}
+
+/**
+ * Expand a gwrite template like "G1 X{x:.4f} Y{y:.4f}\n"
+ * @param {string} template - Template text ({{ and }} are literal braces)
+ * @param {Object} vars - Values available to the template
+ * @returns {string}
+ */
+function formatTemplate(template, vars) {
+  if (!template) return '';
+  return template.replace(/\{\{|\}\}|\{(\w+)(?::([^}]*))?\}/g, (match, name, spec) => {
+    if (match === '{{') return '{';
+    if (match === '}}') return '}';
+    if (!(name in vars)) return match;
+    return formatValue(vars[name], spec);
+  });
+}
+
+// ============ G-CODE OUTPUT ============
+
+/**
+ * Write G-code for layers of polylines using a gwrite profile
+ * @param {Array} layers - Layers in page coordinates (mm)
+ * @param {Object} profile - gwrite settings (document_start, segment, unit, ...)
+ * @param {Object} options
+ * @param {number} options.pageWidth - Page width in mm (for horizontal_flip)
+ * @param {number} options.pageHeight - Page height in mm (for vertical_flip)
+ * @param {string} options.fileName - Output file name for the {filename} variable
+ * @param {boolean} options.penChanges - Pause with M0 before every pen after the first
+ *   (layers with a pen also get a pen comment, see formatPenComment)
+ * @returns {string} G-code text
+ */
+function writeGcode(layers, profile, options = {}) {
+  const unitFactor = UNIT_FACTORS[profile.unit || 'mm'] || 1;
+  const pageWidth = options.pageWidth || 0;
+  const pageHeight = options.pageHeight || 0;
+
+  const out = [];
+  let lastX = 0, lastY = 0;
+  let lastIX = 0, lastIY = 0;
+
+  out.push(formatTemplate(profile.document_start, { filename: options.fileName || '' }));
+
+  layers.forEach((layer, layerIndex) => {
+    const layerVars = {
+      layer_index: layerIndex,
+      layer_index1: layerIndex + 1,
+      layer_id: layer.id,
+      filename: options.fileName || ''
+    };
+
+    if (layerIndex > 0) out.push(formatTemplate(profile.layer_join, layerVars));
+    if (layer.pen !== undefined) {
+      out.push(formatPenComment(layer));
+      if (options.penChanges && layerIndex > 0) {
+        out.push(`M0 ; Change to pen ${layer.pen} (${layer.name.replace(/[\r\n;()]/g, ' ')})\n`);
+      }
+    }
+    out.push(formatTemplate(profile.layer_start, layerVars));
+
+    layer.lines.forEach((line, lineIndex) => {
+      const lineVars = { ...layerVars, lines_index: lineIndex, lines_index1: lineIndex + 1 };
+
+      if (lineIndex > 0) out.push(formatTemplate(profile.line_join, lineVars));
+      out.push(formatTemplate(profile.line_start, lineVars));
+
+      line.forEach((point, index) => {
+        let x = point[0];
+        let y = point[1];
+        if (profile.horizontal_flip) x = pageWidth - x;
+        if (profile.vertical_flip) y = pageHeight - y;
+        x /= unitFactor;
+        y /= unitFactor;
+
+        const ix = Math.round(x);
+        const iy = Math.round(y);
+        const vars = {
+          ...lineVars,
+          x, y,
+          _x: -x, _y: -y,
+          dx: x - lastX, dy: y - lastY,
+          _dx: lastX - x, _dy: lastY - y,
+          ix, iy,
+          idx: ix - lastIX, idy: iy - lastIY,
+          index: index,
+          index1: index + 1
+        };
+
+        let template = profile.segment;
+        if (index === 0 && profile.segment_first !== undefined) {
+          template = profile.segment_first;
+        } else if (index === line.length - 1 && profile.segment_last !== undefined) {
+          template = profile.segment_last;
+        }
+        out.push(formatTemplate(template, vars));
+
+        lastX = x;
+        lastY = y;
+        lastIX = ix;
+        lastIY = iy;
+      });
+
+      out.push(formatTemplate(profile.line_end, lineVars));
+    });
+
+    out.push(formatTemplate(profile.layer_end, layerVars));
+  });
+
+  out.push(formatTemplate(profile.document_end, { filename: options.fileName || '' }));
+
+  return out.join('');
+}
+
+/**
+ * Convert SVG source into G-code
+ * @param {string} svgContent - SVG file contents
+ * @param {Object} options
+ * @param {Object} options.profile - gwrite profile
+ * @param {number} options.widthMm - Output width
+ * @param {number} options.heightMm - Output height
+ * @param {string} options.fit - 'geometry' (default) fits the drawing bounds like vpype;
+ *   'viewBox' fits the document's viewBox, matching how the SVG previews on screen
+ * @param {number[]} options.transform - Matrix from output box to machine coordinates
+ *   (see WorkArea.pageToMachine / placeArtwork); identity when omitted
+ * @param {Object} options.optimize - Path optimization options (see path-optimizer.js)
+ * @param {Object} options.hatch - Hatch filled shapes: penWidth (mm) and density
+ *   (see HatchFill.spacingForPen), angle (degrees, relative to the artwork),
+ *   crossHatch, outline (also outline shapes without a stroke)
+ * @param {Object} options.pens - Multi-pen output: by ('layer' | 'color'), map
+ *   ({ [group key]: pen }, see assignPens) and output ('pauses' for one file with
+ *   an M0 pen change between pens, 'files' for one program per pen)
+ * @param {number} options.tolerance - Curve flattening tolerance (mm)
+ * @param {string} options.fileName - Output file name
+ * @returns {Promise<{gcode: string, pathCount: number, pointCount: number, bounds: Object,
+ *   optimization: Object|null, pens: Array|null}>} With options.pens, pens lists
+ *   {pen, name, color} and, for 'files' output, each pen's gcode
+ */
+async function svgToGcode(svgContent, options) {
+  const tolerance = options.tolerance || 0.05;
+  const svg = await readSvgDocument(svgContent);
+  const { viewBox } = svg;
+  let { shapes } = svg;
+
+  let pens = null;
+  if (options.pens) {
+    ({ shapes, pens } = assignPens(shapes, options.pens));
+  }
+
+  // Coarse pass to find the scale, then flatten again at the requested tolerance
+  let layers = flattenShapes(shapes, 1);
+  const coarseBounds = SvgPath.getBounds(layers.flatMap(layer => layer.lines));
+  if (!coarseBounds) {
+    throw new Error('SVG contains no drawable paths');
+  }
+  const span = Math.max(coarseBounds.maxX - coarseBounds.minX, coarseBounds.maxY - coarseBounds.minY) || 1;
+  const approxScale = Math.max(options.widthMm, options.heightMm) / span;
+  layers = flattenShapes(shapes, tolerance / approxScale, { fills: Boolean(options.hatch) });
+
+  layers = fitToPage(layers, options.widthMm, options.heightMm, options.fit === 'viewBox' ? viewBox : null);
+
+  // Hatch on the page, before rotation, so the angle follows the artwork
+  if (options.hatch) {
+    const spacing = HatchFill.spacingForPen(options.hatch.penWidth, options.hatch.density);
+    layers = hatchLayers(layers, { ...options.hatch, spacing });
+  }
+
+  const t = options.transform;
+  if (t) {
+    layers = mapLayers(layers, (x, y) => SvgPath.applyMatrix(t, x, y));
+  }
+
+  // Optimize in machine coordinates so travel is measured from the machine origin
+  let optimization = null;
+  if (options.optimize) {
+    const optimized = optimizeLayers(layers, options.optimize);
+    layers = optimized.layers;
+    optimization = optimized.stats;
+  }
+
+  if (pens) {
+    layers = layers.map(layer => ({ ...layer, ...pens.find(pen => pen.pen === layer.id) }));
+    pens = pens.filter(pen => layers.some(layer => layer.pen === pen.pen));
+  }
+
+  const writeOptions = {
+    pageWidth: options.widthMm,
+    pageHeight: options.heightMm,
+    fileName: options.fileName,
+    penChanges: Boolean(pens)
+  };
+  const gcode = writeGcode(layers, options.profile, writeOptions);
+
+  if (pens && options.pens.output === 'files') {
+    pens = pens.map(pen => ({
+      ...pen,
+      gcode: writeGcode(layers.filter(layer => layer.pen === pen.pen), options.profile, writeOptions)
+    }));
+  }
+
+  const allLines = layers.flatMap(layer => layer.lines);
+  return {
+    gcode,
+    pathCount: allLines.length,
+    pointCount: allLines.reduce((sum, line) => sum + line.length, 0),
+    bounds: SvgPath.getBounds(allLines),
+    optimization,
+    pens
+  };
+}
+
+/**
+ * Format the job comment written at the top of generated files.
+ * The Render tab reads it back to draw the matching work area and paper.
+ * @param {Object} info - Values to record (numbers, strings or number arrays)
+ * @returns {string} Comment line
+ */
+function formatJobComment(info) {
+  const round = (v) => typeof v === 'number' ? Math.round(v * 1000) / 1000 : v;
+  const parts = Object.entries(info)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${key}=${Array.isArray(value) ? value.map(round).join(',') : round(value)}`);
+  return `; gellyscope ${parts.join(' ')}\n`;
+}
+
+/**
+ * Format the comment that starts each pen's part of a program
+ * The Render tab colors the lines after it in the pen's color.
+ * @param {Object} pen - pen (number), name, color (#rrggbb)
+ * @returns {string} Comment line, e.g. "; gellyscope-pen pen=2 color=#e03131 name=Red%20ink"
+ */
+function formatPenComment(pen) {
+  return `; gellyscope-pen pen=${pen.pen} color=${pen.color} name=${encodeURIComponent(pen.name)}\n`;
+}
+
+module.exports = {
+  formatJobComment,
+  formatPenComment,
+  readSvgShapes,
+  readSvgDocument,
+  flattenShapes,
+  fitToPage,
+  hatchLayers,
+  formatValue,
+  formatTemplate,
+  writeGcode,
+  svgToGcode
+};
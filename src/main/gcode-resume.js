@@ -0,0 +1,96 @@
+// gcode-resume.js - Resume an interrupted plot part way through a file
+// Replays the file up to the chosen line through the modal interpreter, then
+// writes a preamble that restores units, distance and arc modes and the feed,
+// lifts the pen, travels to where the chosen line starts and lowers the pen
+// again if it was down there. The rest of the file follows unchanged.
+
+const GcodeInterpreter = require('../lib/gcode-interpreter');
+
+function formatNumber(value) {
+  return Number(value.toFixed(4)).toString();
+}
+
+/**
+ * Split a (possibly multi-line) command from the profile into lines
+ */
+function commandLines(command) {
+  return String(command || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Build a job that continues a file from a line
+ * @param {string} text - G-code program
+ * @param {number} line - 0-based line to resume at
+ * @param {Object} options - profile: machine profile (pen commands, units)
+ * @returns {{gcode: string, preambleLines: number, lineOffset: number, start: number[], penDown: boolean, warnings: string[]}}
+ *   the first preambleLines lines are added; after them lineOffset maps a
+ *   line of the resumed job back to the original file (original = resumed +
+ *   lineOffset); start is the machine position (mm) where the chosen line begins
+ */
+function buildResumeJob(text, line, options = {}) {
+  const profile = options.profile || {};
+  const lines = String(text).split(/\r?\n/);
+  if (!Number.isInteger(line) || line < 0 || line >= lines.length) {
+    throw new Error(`Line ${line + 1} is outside the file`);
+  }
+
+  const machine = GcodeInterpreter.createMachine({ profile });
+
+  // Header lines before the first move or pen command (job comment, M17, ...)
+  // are repeated; G92 depends on where the machine was, so it is not
+  const setup = [];
+  let inHeader = true;
+  for (let i = 0; i < line; i++) {
+    const items = machine.execute(lines[i], i);
+    if (items.length > 0) inHeader = false;
+    if (!inHeader) continue;
+
+    const normalized = GcodeInterpreter.normalizeLine(lines[i]);
+    const { g } = GcodeInterpreter.parseWords(normalized);
+    if (lines[i].startsWith('; gellyscope ') || (normalized && !g.includes(92))) setup.push(lines[i]);
+  }
+
+  const state = machine.state;
+  const warnings = [];
+  if (state.offset[0] !== 0 || state.offset[1] !== 0) {
+    warnings.push('The file sets a G92 offset before this line; it must still be active on the controller');
+  }
+  if (commandLines(profile.penUp).length === 0) {
+    warnings.push('The machine profile has no pen up command; the travel to the start point may draw');
+  }
+
+  // Coordinates in the file's units and work coordinates
+  const toUnits = value => formatNumber(value / state.scale);
+  const x = state.position[0] - state.offset[0];
+  const y = state.position[1] - state.offset[1];
+
+  const preamble = [`; resumed at line ${line + 1}`, ...setup];
+  preamble.push(state.scale === 1 ? 'G21' : 'G20');
+  preamble.push('G90');
+  if (state.arcAbsolute) preamble.push('G90.1');
+  if (state.plane !== 17) preamble.push(`G${state.plane}`);
+  preamble.push(...commandLines(profile.penUp));
+  preamble.push(`G0 X${toUnits(x)} Y${toUnits(y)}`);
+  // Restore the feed and the motion mode (lines may rely on a modal G0/G1)
+  if (state.feed > 0) {
+    preamble.push(`G1 F${toUnits(state.feed)}`);
+    if (state.motion === 0) preamble.push('G0');
+  } else if (state.motion === 1) {
+    preamble.push('G1');
+  }
+  if (state.penDown) preamble.push(...commandLines(profile.penDown));
+  if (!state.absolute) preamble.push('G91');
+
+  return {
+    gcode: preamble.concat(lines.slice(line)).join('\n'),
+    preambleLines: preamble.length,
+    lineOffset: line - preamble.length,
+    start: state.position.slice(),
+    penDown: state.penDown,
+    warnings
+  };
+}
+
+module.exports = {
+  buildResumeJob
+};
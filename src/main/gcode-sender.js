@@ -0,0 +1,583 @@
+// gcode-sender.js - Stream G-code to a plotter
+// Works over any connection that writes strings and emits 'data' (a serial
+// port, a TCP socket, ...). GRBL is fed by character counting so its receive
+// buffer stays full; Marlin gets one numbered, checksummed line per "ok" and
+// honours resend requests.
+
+const { EventEmitter } = require('events');
+
+const PROTOCOLS = ['grbl', 'marlin'];
+
+// GRBL's serial receive buffer is 128 bytes; keep one byte spare
+const GRBL_RX_BUFFER = 127;
+
+// GRBL real-time commands (not buffered, no "ok")
+const GRBL_REALTIME = {
+  status: '?',
+  feedHold: '!',
+  cycleStart: '~',
+  reset: '\x18'
+};
+
+// Program pauses (M0/M1), e.g. pen changes; handled by the sender
+const PROGRAM_PAUSE = /^M0*[01]$/i;
+
+/**
+ * Strip comments and blank lines, keeping the source line numbers
+ * Program pauses keep their comment as the message to show.
+ * @param {string} text - G-code program
+ * @returns {Array<{text: string, line: number, pause?: boolean, message?: string}>}
+ *   Commands with 0-based source lines
+ */
+function prepareLines(text) {
+  const lines = [];
+  String(text).split(/\r?\n/).forEach((raw, line) => {
+    const [code, ...comment] = raw.split(';');
+    const command = code.replace(/\(.*?\)/g, '').trim();
+    if (!command) return;
+    if (PROGRAM_PAUSE.test(command)) {
+      const message = comment.join(';').trim() || (/\((.*?)\)/.exec(code) || [])[1] || '';
+      lines.push({ text: command, line, pause: true, message: message.trim() });
+    } else {
+      lines.push({ text: command, line });
+    }
+  });
+  return lines;
+}
+
+/**
+ * Marlin/RepRap checksum: XOR of every byte before the '*'
+ */
+function marlinChecksum(text) {
+  let checksum = 0;
+  for (let i = 0; i < text.length; i++) {
+    checksum ^= text.charCodeAt(i) & 0xff;
+  }
+  return checksum;
+}
+
+/**
+ * Parse a GRBL status report such as <Idle|MPos:1.000,2.000,0.000|FS:0,0>
+ * @param {string} report - Status line
+ * @returns {{state: string, machinePosition: number[]|null, workPosition: number[]|null}}
+ */
+function parseGrblStatus(report) {
+  const fields = report.replace(/^<|>$/g, '').split('|');
+  const numbers = value => value.split(',').map(Number);
+  const status = { state: fields[0], machinePosition: null, workPosition: null };
+  let offset = null;
+
+  for (const field of fields.slice(1)) {
+    const [key, value] = field.split(':');
+    if (key === 'MPos') status.machinePosition = numbers(value);
+    else if (key === 'WPos') status.workPosition = numbers(value);
+    else if (key === 'WCO') offset = numbers(value);
+  }
+
+  // GRBL reports one of MPos/WPos; derive the other when the offset is known
+  if (offset) {
+    if (status.machinePosition && !status.workPosition) {
+      status.workPosition = status.machinePosition.map((v, i) => v - (offset[i] || 0));
+    } else if (status.workPosition && !status.machinePosition) {
+      status.machinePosition = status.workPosition.map((v, i) => v + (offset[i] || 0));
+    }
+  }
+  return status;
+}
+
+/**
+ * Parse a Marlin M114 position report such as X:10.00 Y:5.00 Z:0.00 E:0.00 Count X:800 ...
+ * @param {string} line - Response line
+ * @returns {{state: null, machinePosition: null, workPosition: number[]}|null} Null if not a report
+ */
+function parseMarlinPosition(line) {
+  const match = /^X:(-?[\d.]+)\s*Y:(-?[\d.]+)\s*Z:(-?[\d.]+)/.exec(line);
+  if (!match) return null;
+  return { state: null, machinePosition: null, workPosition: match.slice(1, 4).map(Number) };
+}
+
+/**
+ * Streams G-code over a connection and tracks the controller's responses
+ *
+ * Events:
+ * - 'state' (state) - idle, running, paused, held, stopping
+ * - 'progress' ({acknowledged, sent, total, line}) - line is the source line last accepted
+ * - 'line-error' ({line, command, message}) - controller rejected a command
+ * - 'pause' ({line, message}) - reached a program pause (M0/M1); the job is
+ *   paused once the lines before it are acknowledged and continues on resume()
+ * - 'status' (status) - parsed GRBL status report or Marlin M114 position
+ * - 'message' (text) - any other controller output
+ * - 'done' ({total}) / 'failed' (Error) - job finished or aborted by an error
+ */
+class GcodeSender extends EventEmitter {
+  /**
+   * @param {Object} connection - Object with write(data) that emits 'data', 'close' and 'error'
+   * @param {Object} options
+   * @param {string} options.protocol - 'grbl' (character counting) or 'marlin' (ok per line)
+   * @param {number} options.bufferSize - GRBL receive buffer size (default 127)
+   * @param {number} options.statusInterval - GRBL status poll interval in ms while running (0 = off)
+   * @param {boolean} options.stopOnError - Abort the job when a line is rejected (default true)
+   * @param {string} options.penUp - Pen up command sent after stopping
+   */
+  constructor(connection, options = {}) {
+    super();
+    if (!PROTOCOLS.includes(options.protocol || 'grbl')) {
+      throw new Error(`Unknown controller protocol "${options.protocol}"`);
+    }
+
+    this.connection = connection;
+    this.protocol = options.protocol || 'grbl';
+    this.bufferSize = options.bufferSize || GRBL_RX_BUFFER;
+    this.statusInterval = options.statusInterval ?? 250;
+    this.stopOnError = options.stopOnError !== false;
+    this.penUp = options.penUp || '';
+
+    this.state = 'idle';
+    this.job = null;
+    this.pending = []; // Lines sent and waiting for "ok" (oldest first)
+    this.commandQueue = []; // Manual commands waiting for a free slot
+    this.statusWaiters = [];
+    this.received = '';
+    this.lineNumber = 0; // Marlin line number of the last numbered line sent
+    this.history = new Map(); // Marlin line number -> sent entry (for resends)
+    this.resendFrom = null; // Line number requested by Marlin, resent after its "ok"
+    this.resendQueue = [];
+    this.statusTimer = null;
+    this.lastStatus = null;
+
+    this.onData = data => this.receive(data);
+    this.onClose = () => this.fail(new Error('Connection closed'));
+    this.onConnectionError = error => this.fail(error);
+    connection.on('data', this.onData);
+    connection.on('close', this.onClose);
+    connection.on('error', this.onConnectionError);
+  }
+
+  /**
+   * Stop listening to the connection (does not close it)
+   */
+  detach() {
+    this.clearStatusTimer();
+    this.connection.removeListener('data', this.onData);
+    this.connection.removeListener('close', this.onClose);
+    this.connection.removeListener('error', this.onConnectionError);
+  }
+
+  /**
+   * Stream a G-code program
+   * @param {string} text - G-code
+   * @returns {Promise<{total: number}>} Resolves when every line is acknowledged
+   */
+  start(text) {
+    if (this.job) {
+      return Promise.reject(new Error('A job is already running'));
+    }
+
+    const lines = prepareLines(text);
+    return new Promise((resolve, reject) => {
+      this.job = { lines, next: 0, acknowledged: 0, resolve, reject };
+      this.lineNumber = 0;
+      this.history.clear();
+      this.resendFrom = null;
+      this.resendQueue = [];
+
+      if (this.protocol === 'marlin') {
+        // Reset Marlin's line counter before numbering lines
+        this.sendRaw({ text: 'M110 N0', line: -1, numbered: true, number: 0 });
+      }
+
+      this.setState('running');
+      this.startStatusTimer();
+      this.pump();
+    });
+  }
+
+  /**
+   * Send a single command outside of a job
+   * @param {string} command - G-code line(s)
+   * @returns {Promise<void>} Resolves on "ok", rejects on an error response
+   */
+  command(command) {
+    const lines = prepareLines(command);
+    return lines.reduce((previous, line) => previous.then(() => new Promise((resolve, reject) => {
+      this.commandQueue.push({ text: line.text, line: -1, resolve, reject });
+      this.pump();
+    })), Promise.resolve());
+  }
+
+  /**
+   * Write a real-time command (GRBL only, not acknowledged)
+   * @param {string} name - status, feedHold, cycleStart or reset
+   */
+  realtime(name) {
+    if (this.protocol !== 'grbl') return;
+    this.connection.write(GRBL_REALTIME[name]);
+  }
+
+  /**
+   * Stop sending new lines; moves already buffered by the controller finish
+   */
+  pause() {
+    if (this.state !== 'running') return;
+    this.setState('paused');
+  }
+
+  /**
+   * Continue after pause() or feedHold()
+   */
+  resume() {
+    if (this.state === 'held') this.realtime('cycleStart');
+    if (this.state !== 'paused' && this.state !== 'held') return;
+    this.setState('running');
+    if (!this.finishIfDone()) this.pump();
+  }
+
+  /**
+   * Decelerate to a stop immediately (GRBL "!"). Marlin has no feed hold, so
+   * streaming pauses and buffered moves finish.
+   */
+  feedHold() {
+    if (this.state !== 'running' && this.state !== 'paused') return;
+    if (this.protocol === 'grbl') {
+      this.realtime('feedHold');
+      this.setState('held');
+    } else {
+      this.setState('paused');
+    }
+  }
+
+  /**
+   * Abort the job, discard the controller's buffer and lift the pen
+   * GRBL is held before the soft reset so it keeps its position.
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    const job = this.job;
+    this.setState('stopping');
+
+    if (this.protocol === 'grbl') {
+      this.realtime('feedHold');
+      await this.waitForStatus(status => /^(Hold:0|Idle)/.test(status.state), 2000);
+      this.realtime('reset');
+    } else {
+      // Quick stop (handled immediately when Marlin has the emergency parser)
+      this.connection.write('M410\n');
+    }
+
+    // Everything in flight is gone
+    this.finishJob();
+    this.rejectPending(new Error('Stopped'));
+    if (job) job.reject(new Error('Job stopped'));
+
+    // Let the banner (GRBL) or late replies (Marlin) pass before the next command
+    await delay(500);
+    this.received = '';
+    this.pending = [];
+    this.setState('idle');
+
+    if (this.penUp) {
+      try {
+        await this.command(this.penUp);
+      } catch (error) {
+        this.emit('message', `Pen up after stop failed: ${error.message}`);
+      }
+    }
+  }
+
+  // ============ INTERNALS ============
+
+  setState(state) {
+    if (this.state === state) return;
+    this.state = state;
+    this.emit('state', state);
+  }
+
+  /**
+   * Send as many lines as flow control allows
+   */
+  pump() {
+    // Manual commands go first, one at a time so replies can be matched
+    while (this.commandQueue.length > 0 && this.canSend(this.commandQueue[0].text)) {
+      if (this.job && this.state === 'running') break;
+      this.sendRaw(this.commandQueue.shift());
+    }
+
+    const job = this.job;
+    if (!job || this.state !== 'running' || this.resendFrom !== null) return;
+
+    while (this.resendQueue.length > 0 && this.canSend(this.resendQueue[0].text)) {
+      this.sendRaw(this.resendQueue.shift());
+    }
+    if (this.resendQueue.length > 0) return;
+
+    while (job.next < job.lines.length && this.canSend(job.lines[job.next].text)) {
+      if (job.lines[job.next].pause) {
+        this.programPause();
+        return;
+      }
+      const entry = { ...job.lines[job.next], numbered: this.protocol === 'marlin' };
+      job.next++;
+      this.sendRaw(entry);
+    }
+  }
+
+  /**
+   * Pause at an M0/M1 line instead of sending it
+   * Controllers wait for a button (Marlin) or cycle start (GRBL) on M0, so
+   * the pause is kept on this side, where resume() can end it.
+   */
+  programPause() {
+    const job = this.job;
+    if (this.pending.length > 0) return; // Paused once the buffered lines are accepted
+
+    const entry = job.lines[job.next];
+    job.next++;
+    job.acknowledged++;
+    job.lastLine = entry.line;
+    this.setState('paused');
+    this.emitProgress();
+    this.emit('pause', { line: entry.line, message: entry.message });
+  }
+
+  /**
+   * Whether the controller has room for another line
+   */
+  canSend(text) {
+    if (this.protocol === 'marlin') return this.pending.length === 0;
+    const used = this.pending.reduce((sum, entry) => sum + entry.length, 0);
+    return this.pending.length === 0 || used + text.length + 1 <= this.bufferSize;
+  }
+
+  /**
+   * Write a line and remember it until it is acknowledged
+   */
+  sendRaw(entry) {
+    let data = entry.text;
+    if (entry.numbered) {
+      if (entry.number === undefined) entry.number = ++this.lineNumber;
+      const numbered = `N${entry.number} ${entry.text}`;
+      data = `${numbered}*${marlinChecksum(numbered)}`;
+      this.history.set(entry.number, entry);
+    }
+    entry.length = data.length + 1;
+    this.pending.push(entry);
+    this.connection.write(data + '\n');
+    this.emitProgress();
+  }
+
+  /**
+   * Split incoming data into lines
+   */
+  receive(data) {
+    this.received += data.toString();
+    let index;
+    while ((index = this.received.indexOf('\n')) >= 0) {
+      const line = this.received.slice(0, index).trim();
+      this.received = this.received.slice(index + 1);
+      if (line) this.handleResponse(line);
+    }
+  }
+
+  /**
+   * React to one line from the controller
+   */
+  handleResponse(line) {
+    const lower = line.toLowerCase();
+
+    if (line.startsWith('<')) {
+      this.lastStatus = parseGrblStatus(line);
+      this.emit('status', this.lastStatus);
+      this.statusWaiters = this.statusWaiters.filter(waiter => !waiter(this.lastStatus));
+      return;
+    }
+
+    const position = parseMarlinPosition(line);
+    if (position) {
+      this.lastStatus = position;
+      this.emit('status', position);
+      return;
+    }
+
+    if (lower.startsWith('resend:') || lower.startsWith('rs ')) {
+      // Marlin lost a line; the "ok" that follows does not acknowledge anything
+      const number = parseInt(line.replace(/^\D+/, ''), 10);
+      if (this.history.has(number)) this.resendFrom = number;
+      return;
+    }
+
+    if (lower.startsWith('ok')) {
+      if (this.resendFrom !== null) {
+        // Everything from the requested line on was discarded by Marlin
+        const from = this.resendFrom;
+        this.resendFrom = null;
+        this.pending = [];
+        this.resendQueue = [...this.history.keys()]
+          .filter(number => number >= from)
+          .sort((a, b) => a - b)
+          .map(number => this.history.get(number));
+        this.pump();
+        return;
+      }
+      this.acknowledge(null);
+      return;
+    }
+
+    if (lower.startsWith('error')) {
+      // Marlin reports bad checksums/line numbers before asking for a resend
+      if (this.protocol === 'marlin' && /checksum|line number|last line/i.test(line)) return;
+      this.acknowledge(line);
+      return;
+    }
+
+    if (line.startsWith('ALARM')) {
+      this.fail(new Error(`Controller alarm: ${line}`));
+      return;
+    }
+
+    // Banners, [MSG:...], echo:busy and other chatter
+    this.emit('message', line);
+  }
+
+  /**
+   * Complete the oldest pending line
+   * @param {string|null} error - Error response, or null for "ok"
+   */
+  acknowledge(error) {
+    const entry = this.pending.shift();
+    if (!entry) {
+      if (error) this.emit('message', error);
+      return;
+    }
+    if (entry.numbered) this.history.delete(entry.number - 100); // Keep a short resend window
+
+    if (entry.resolve) {
+      if (error) entry.reject(new Error(error));
+      else entry.resolve();
+      this.pump();
+      return;
+    }
+
+    const job = this.job;
+    if (!job) return;
+
+    if (entry.line >= 0 && !entry.acknowledged) {
+      entry.acknowledged = true;
+      job.acknowledged++;
+      job.lastLine = entry.line;
+    }
+
+    if (error) {
+      this.emit('line-error', { line: entry.line, command: entry.text, message: error });
+      if (this.stopOnError) {
+        this.fail(new Error(`Line ${entry.line + 1} (${entry.text}): ${error}`));
+        return;
+      }
+    }
+
+    this.emitProgress();
+
+    if (!this.finishIfDone()) this.pump();
+  }
+
+  /**
+   * Complete the job once every line is acknowledged
+   * @returns {boolean} True when the job finished
+   */
+  finishIfDone() {
+    const job = this.job;
+    if (!job || job.next < job.lines.length || this.pending.length > 0 || this.resendQueue.length > 0) {
+      return false;
+    }
+    this.finishJob();
+    this.setState('idle');
+    this.emit('done', { total: job.lines.length });
+    job.resolve({ total: job.lines.length });
+    return true;
+  }
+
+  emitProgress() {
+    const job = this.job;
+    if (!job) return;
+    this.emit('progress', {
+      acknowledged: job.acknowledged,
+      sent: job.next,
+      total: job.lines.length,
+      line: job.lastLine ?? -1
+    });
+  }
+
+  /**
+   * Abort with an error (connection lost, alarm, rejected line)
+   */
+  fail(error) {
+    const job = this.job;
+    this.finishJob();
+    this.rejectPending(error);
+    this.setState('idle');
+    if (job) {
+      this.emit('failed', error);
+      job.reject(error);
+    }
+  }
+
+  finishJob() {
+    this.job = null;
+    this.clearStatusTimer();
+    this.history.clear();
+    this.resendFrom = null;
+    this.resendQueue = [];
+  }
+
+  rejectPending(error) {
+    const waiting = [...this.pending, ...this.commandQueue].filter(entry => entry.reject);
+    this.pending = [];
+    this.commandQueue = [];
+    waiting.forEach(entry => entry.reject(error));
+  }
+
+  startStatusTimer() {
+    if (this.protocol !== 'grbl' || !(this.statusInterval > 0)) return;
+    this.clearStatusTimer();
+    this.statusTimer = setInterval(() => this.realtime('status'), this.statusInterval);
+  }
+
+  clearStatusTimer() {
+    if (this.statusTimer) clearInterval(this.statusTimer);
+    this.statusTimer = null;
+  }
+
+  /**
+   * Poll GRBL status until a report matches, or give up after a timeout
+   * @returns {Promise<boolean>} Whether a matching report arrived
+   */
+  waitForStatus(predicate, timeout) {
+    return new Promise(resolve => {
+      const poll = setInterval(() => this.realtime('status'), 100);
+      const timer = setTimeout(() => finish(false), timeout);
+      const finish = matched => {
+        clearInterval(poll);
+        clearTimeout(timer);
+        this.statusWaiters = this.statusWaiters.filter(waiter => waiter !== check);
+        resolve(matched);
+        return true;
+      };
+      const check = status => predicate(status) && finish(true);
+      this.statusWaiters.push(check);
+      this.realtime('status');
+    });
+  }
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  PROTOCOLS,
+  GRBL_REALTIME,
+  GcodeSender,
+  prepareLines,
+  marlinChecksum,
+  parseGrblStatus,
+  parseMarlinPosition
+};
@@ -0,0 +1,119 @@
+// job-history.js - Log of every plot streamed to a machine
+// Entries are kept in history.json in the gellyroller workspace (newest last)
+// and can be exported as CSV for keeping track of machine time and pen wear.
+
+const fs = require('fs');
+const GcodeInterpreter = require('../lib/gcode-interpreter');
+
+// Oldest entries are dropped beyond this
+const HISTORY_LIMIT = 1000;
+
+const CSV_COLUMNS = [
+  ['startedAt', 'Started'],
+  ['endedAt', 'Ended'],
+  ['duration', 'Duration (s)'],
+  ['file', 'File'],
+  ['machine', 'Machine'],
+  ['status', 'Status'],
+  ['drawDistance', 'Distance drawn (mm)'],
+  ['message', 'Message']
+];
+
+/**
+ * Pen-down distance of the part of a program that was plotted
+ * @param {string} text - G-code
+ * @param {Object} options - profile (pen commands), fromLine / toLine: 0-based
+ *   range of lines that reached the machine (inclusive)
+ * @returns {number} mm
+ */
+function drawnDistance(text, options = {}) {
+  const fromLine = options.fromLine || 0;
+  const toLine = options.toLine !== undefined ? options.toLine : Infinity;
+  const { program } = GcodeInterpreter.interpret(text, { profile: options.profile || {} });
+
+  let distance = 0;
+  for (const item of program) {
+    if (item.type !== 'move' || !item.draw || item.line < fromLine || item.line > toLine) continue;
+    distance += Math.hypot(item.to[0] - item.from[0], item.to[1] - item.from[1]);
+  }
+  return distance;
+}
+
+/**
+ * Build a history entry
+ * @param {Object} job - file, machine (profile name), machineId, startedAt /
+ *   endedAt (Date), status (completed | interrupted), message, drawDistance (mm)
+ * @returns {Object} Entry as stored in history.json
+ */
+function createHistoryEntry(job) {
+  return {
+    id: `${job.startedAt.getTime().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    file: job.file,
+    machine: job.machine,
+    machineId: job.machineId,
+    startedAt: job.startedAt.toISOString(),
+    endedAt: job.endedAt.toISOString(),
+    duration: Math.round((job.endedAt - job.startedAt) / 1000),
+    status: job.status,
+    drawDistance: Math.round(job.drawDistance * 10) / 10,
+    message: job.message || ''
+  };
+}
+
+/**
+ * Load the history
+ * @param {string} filePath - Path to history.json
+ * @returns {Object[]} Entries, oldest first
+ */
+function loadHistory(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return Array.isArray(data.entries) ? data.entries : [];
+  } catch (error) {
+    console.error('Error reading job history, starting a new one:', error);
+    return [];
+  }
+}
+
+/**
+ * Add an entry to the history on disk
+ * @param {string} filePath - Path to history.json
+ * @param {Object} entry - Entry from createHistoryEntry
+ * @returns {Object[]} Entries after adding
+ */
+function appendHistory(filePath, entry) {
+  const entries = loadHistory(filePath);
+  entries.push(entry);
+  const kept = entries.slice(-HISTORY_LIMIT);
+  fs.writeFileSync(filePath, JSON.stringify({ entries: kept }, null, 2), 'utf8');
+  return kept;
+}
+
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write history entries as CSV (with a header row)
+ * @param {Object[]} entries - History entries
+ * @returns {string}
+ */
+function historyToCsv(entries) {
+  const rows = [CSV_COLUMNS.map(([, title]) => title)];
+  for (const entry of entries) {
+    rows.push(CSV_COLUMNS.map(([key]) => entry[key]));
+  }
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  HISTORY_LIMIT,
+  drawnDistance,
+  createHistoryEntry,
+  loadHistory,
+  appendHistory,
+  historyToCsv
+};
@@ -0,0 +1,189 @@
+// job-queue.js - Persistent queue of G-code jobs for the connected machine
+// Jobs run one after another. After each job the queue waits for the user to
+// change the paper and continue. The queue is saved to queue.json in the
+// gellyroller workspace, so it survives restarts; a job that fails stays at the
+// front of the queue with its error.
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Load queued jobs
+ * @param {string} filePath - Path to queue.json
+ * @returns {Object[]} Jobs in run order
+ */
+function loadQueue(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return Array.isArray(data.jobs) ? data.jobs.filter(job => job && job.id && job.filePath) : [];
+  } catch (error) {
+    console.error('Error reading job queue, starting empty:', error);
+    return [];
+  }
+}
+
+/**
+ * Write queued jobs to disk
+ * @param {string} filePath - Path to queue.json
+ * @param {Object[]} jobs - Jobs in run order
+ */
+function saveQueue(filePath, jobs) {
+  fs.writeFileSync(filePath, JSON.stringify({ jobs }, null, 2), 'utf8');
+}
+
+/**
+ * Runs queued jobs in order
+ *
+ * States: idle, running, paper-change (waiting for continue()).
+ * Every change is reported through emit({ type: 'queue', ...status() }).
+ */
+class JobQueue {
+  /**
+   * @param {Object} options - filePath: queue.json; runJob(job): plots a job,
+   *   resolving when it completes; emit(event): status updates
+   */
+  constructor(options) {
+    this.filePath = options.filePath;
+    this.runJob = options.runJob;
+    this.emit = options.emit || (() => {});
+    this.jobs = loadQueue(this.filePath);
+    this.state = 'idle';
+    this.current = null; // id of the running job
+    this.stopRequested = false;
+  }
+
+  status() {
+    return {
+      state: this.state,
+      current: this.current,
+      stopRequested: this.stopRequested,
+      jobs: this.jobs.map(job => ({ ...job }))
+    };
+  }
+
+  /**
+   * Add a G-code file to the end of the queue
+   * @param {string} filePath - G-code file
+   * @param {Object} options - machineId, source (eject | render)
+   * @returns {Object} Queued job
+   */
+  add(filePath, options = {}) {
+    const job = {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      filePath,
+      name: path.basename(filePath),
+      machineId: options.machineId || null,
+      source: options.source || 'render',
+      addedAt: new Date().toISOString(),
+      error: null
+    };
+    this.jobs.push(job);
+    this.changed();
+    return job;
+  }
+
+  /**
+   * Remove a job (not the running one)
+   */
+  remove(id) {
+    if (id === this.current) throw new Error('The running job cannot be removed');
+    this.jobs = this.jobs.filter(job => job.id !== id);
+    this.changed();
+  }
+
+  /**
+   * Move a job up (-1) or down (+1); the running job stays first
+   */
+  move(id, offset) {
+    const index = this.jobs.findIndex(job => job.id === id);
+    const target = index + offset;
+    const first = this.current ? 1 : 0;
+    if (index < first || target < first || target >= this.jobs.length) return;
+    const [job] = this.jobs.splice(index, 1);
+    this.jobs.splice(target, 0, job);
+    this.changed();
+  }
+
+  /**
+   * Remove every job that is not running
+   */
+  clear() {
+    this.jobs = this.jobs.filter(job => job.id === this.current);
+    this.changed();
+  }
+
+  /**
+   * Run the queue from the first job
+   */
+  start() {
+    if (this.state !== 'idle') throw new Error('The queue is already running');
+    if (this.jobs.length === 0) throw new Error('The queue is empty');
+    this.stopRequested = false;
+    return this.runNext();
+  }
+
+  /**
+   * Run the next job after the paper was changed
+   */
+  continue() {
+    if (this.state !== 'paper-change') throw new Error('The queue is not waiting for a paper change');
+    return this.runNext();
+  }
+
+  /**
+   * Stop after the running job (or right away while waiting for paper)
+   */
+  stop() {
+    if (this.state === 'running') {
+      this.stopRequested = true;
+      this.changed();
+    } else if (this.state === 'paper-change') {
+      this.setState('idle');
+    }
+  }
+
+  async runNext() {
+    const job = this.jobs[0];
+    if (!job) {
+      this.setState('idle');
+      return;
+    }
+
+    this.current = job.id;
+    job.error = null;
+    this.setState('running');
+
+    try {
+      await this.runJob(job);
+      this.jobs = this.jobs.filter(queued => queued.id !== job.id);
+      this.current = null;
+      const more = this.jobs.length > 0 && !this.stopRequested;
+      this.stopRequested = false;
+      this.setState(more ? 'paper-change' : 'idle');
+    } catch (error) {
+      // Keep the job at the front so it can be resumed or retried
+      job.error = error.message;
+      this.current = null;
+      this.stopRequested = false;
+      this.setState('idle');
+    }
+  }
+
+  setState(state) {
+    this.state = state;
+    this.changed();
+  }
+
+  changed() {
+    saveQueue(this.filePath, this.jobs);
+    this.emit({ type: 'queue', ...this.status() });
+  }
+}
+
+module.exports = {
+  JobQueue,
+  loadQueue,
+  saveQueue
+};
@@ -0,0 +1,88 @@
+// machine-control.js - Manual machine commands
+// Builds jog, home, pen and set-origin commands from a machine profile, so
+// the control panel never hardcodes a dialect. Jog distances are given in the
+// bed frame (work area bottom-left, Y up) and mapped through the profile's
+// origin corner, so "up" on screen is always up on the bed.
+
+const WorkArea = require('../lib/work-area');
+
+const MM_PER_INCH = 25.4;
+
+function formatNumber(value) {
+  return Number(value.toFixed(3)).toString();
+}
+
+/**
+ * Relative move of the pen
+ * GRBL gets a $J= jog (cancellable, limit checked, leaves the modal state alone);
+ * Marlin gets a relative G1 wrapped in G91/G90 in the profile's units.
+ * @param {Object} profile - Machine profile (protocol, units, origin, jogFeed)
+ * @param {number} dx - Bed X distance in mm (right)
+ * @param {number} dy - Bed Y distance in mm (up)
+ * @returns {string} G-code (one command per line)
+ */
+function jogCommand(profile, dx, dy) {
+  const [x0, y0] = WorkArea.bedToMachine(0, 0, profile);
+  const [x1, y1] = WorkArea.bedToMachine(dx, dy, profile);
+  const delta = [x1 - x0, y1 - y0];
+
+  if (profile.protocol === 'grbl') {
+    const axes = axisWords(delta, 1);
+    return `$J=G21 G91 ${axes} F${formatNumber(profile.jogFeed)}`;
+  }
+
+  const scale = profile.units === 'in' ? 1 / MM_PER_INCH : 1;
+  const axes = axisWords(delta, scale);
+  return ['G91', `G1 ${axes} F${formatNumber(profile.jogFeed * scale)}`, 'G90'].join('\n');
+}
+
+function axisWords(delta, scale) {
+  const words = [];
+  if (delta[0] !== 0) words.push(`X${formatNumber(delta[0] * scale)}`);
+  if (delta[1] !== 0) words.push(`Y${formatNumber(delta[1] * scale)}`);
+  return words.length > 0 ? words.join(' ') : 'X0';
+}
+
+/**
+ * G-code for a control panel action
+ * @param {Object} profile - Machine profile
+ * @param {string} action - jog | home | pen-up | pen-down | set-origin
+ * @param {Object} options - For jog: {x, y} bed distances in mm
+ * @returns {string} G-code (one command per line)
+ */
+function controlCommand(profile, action, options = {}) {
+  let command;
+  let label;
+  switch (action) {
+    case 'jog':
+      return jogCommand(profile, Number(options.x) || 0, Number(options.y) || 0);
+    case 'home':
+      command = profile.homeCommand;
+      label = 'home';
+      break;
+    case 'pen-up':
+      command = profile.penUp;
+      label = 'pen up';
+      break;
+    case 'pen-down':
+      command = profile.penDown;
+      label = 'pen down';
+      break;
+    case 'set-origin':
+      command = profile.originCommand;
+      label = 'set origin';
+      break;
+    default:
+      throw new Error(`Unknown machine action "${action}"`);
+  }
+
+  if (!String(command || '').trim()) {
+    throw new Error(`${profile.name} has no ${label} command`);
+  }
+  return command;
+}
+
+module.exports = {
+  jogCommand,
+  controlCommand
+};
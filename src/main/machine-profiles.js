@@ -0,0 +1,343 @@
+// machine-profiles.js - Plotter machine profiles
+// Profiles are stored as JSON in the gellyroller workspace and compiled into
+// gwrite templates for the G-code generator (or a temporary vpype config).
+// The gwrite profiles of an older vpype.toml are imported on first load.
+
+const fs = require('fs');
+const path = require('path');
+const ColorQuantize = require('../lib/color-quantize');
+const { loadGwriteProfiles } = require('./vpype-config');
+
+const VALID_UNITS = ['mm', 'in'];
+const VALID_ORIGINS = ['bottom-left', 'top-left', 'bottom-right', 'top-right', 'center'];
+const VALID_PROTOCOLS = ['grbl', 'marlin'];
+const VALID_CONNECTIONS = ['serial', 'tcp', 'websocket'];
+
+// Default profile - matches the original johnny5 gwrite profile
+const DEFAULT_PROFILE = {
+  id: 'johnny5',
+  name: 'johnny5',
+  units: 'mm',
+  penUp: 'M42 P0 S1',
+  penDown: 'M42 P0 S0',
+  header: '',
+  footer: '',
+  drawFeed: 0,
+  travelFeed: 0,
+  workWidth: 400,
+  workHeight: 400,
+  // The original gwrite profile wrote SVG coordinates (Y down) unflipped,
+  // which corresponds to a machine whose origin is the top-left corner
+  origin: 'top-left',
+  paperMargin: 5,
+  // Used by the plot time estimator
+  defaultFeed: 3000, // mm/min for rapids and moves without F
+  acceleration: 500, // mm/s²
+  penDelay: 150, // ms per pen up/down
+  // Streaming: M42 pin control is a Marlin command
+  protocol: 'marlin',
+  baudRate: 115200,
+  // Network controllers (FluidNC/ESP3D): telnet ('tcp') or 'websocket'
+  connection: 'serial',
+  host: '',
+  networkPort: 23,
+  // OctoPrint-compatible server the Render tab can upload jobs to
+  octoprintUrl: '',
+  octoprintApiKey: '',
+  // Manual control (Render tab machine control panel)
+  jogFeed: 1500, // mm/min
+  homeCommand: 'G28',
+  originCommand: 'G92 X0 Y0',
+  // Colors of the pens loaded in the machine, for Trace color separation
+  penColors: ''
+};
+
+/**
+ * Fill in missing fields on a stored profile
+ * @param {Object} profile - Profile as read from disk
+ * @returns {Object} Complete profile
+ */
+function normalizeProfile(profile) {
+  const normalized = { ...DEFAULT_PROFILE, ...profile };
+  normalized.drawFeed = Number(normalized.drawFeed) || 0;
+  normalized.travelFeed = Number(normalized.travelFeed) || 0;
+  normalized.workWidth = Number(normalized.workWidth);
+  normalized.workHeight = Number(normalized.workHeight);
+  normalized.paperMargin = Number(normalized.paperMargin) || 0;
+  normalized.defaultFeed = Number(normalized.defaultFeed) || DEFAULT_PROFILE.defaultFeed;
+  normalized.acceleration = Number(normalized.acceleration) || 0;
+  normalized.penDelay = Number(normalized.penDelay) || 0;
+  normalized.baudRate = Number(normalized.baudRate) || DEFAULT_PROFILE.baudRate;
+  normalized.jogFeed = Number(normalized.jogFeed) || DEFAULT_PROFILE.jogFeed;
+  normalized.networkPort = Number(normalized.networkPort) || DEFAULT_PROFILE.networkPort;
+  return normalized;
+}
+
+/**
+ * Validate a profile
+ * @param {Object} profile - Profile to check
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateProfile(profile) {
+  if (!profile || !profile.id) return 'Profile is missing an id';
+  if (!profile.name || !String(profile.name).trim()) return 'Profile name is required';
+  if (!VALID_UNITS.includes(profile.units)) return `${profile.name}: units must be mm or in`;
+  if (!VALID_ORIGINS.includes(profile.origin)) return `${profile.name}: invalid origin "${profile.origin}"`;
+  if (!(profile.workWidth > 0) || !(profile.workHeight > 0)) {
+    return `${profile.name}: work area must be larger than zero`;
+  }
+  if (!String(profile.penUp || '').trim() || !String(profile.penDown || '').trim()) {
+    return `${profile.name}: pen up and pen down commands are required`;
+  }
+  if (profile.drawFeed < 0 || profile.travelFeed < 0) return `${profile.name}: feed rates cannot be negative`;
+  if (profile.paperMargin < 0) return `${profile.name}: paper margin cannot be negative`;
+  if (!(profile.defaultFeed > 0)) return `${profile.name}: default feed must be larger than zero`;
+  if (!(profile.jogFeed > 0)) return `${profile.name}: jog feed must be larger than zero`;
+  if (profile.acceleration < 0 || profile.penDelay < 0) {
+    return `${profile.name}: acceleration and pen delay cannot be negative`;
+  }
+  if (!VALID_PROTOCOLS.includes(profile.protocol)) return `${profile.name}: protocol must be grbl or marlin`;
+  if (!VALID_CONNECTIONS.includes(profile.connection)) {
+    return `${profile.name}: connection must be serial, tcp or websocket`;
+  }
+  if (profile.connection !== 'serial') {
+    if (!String(profile.host || '').trim()) return `${profile.name}: a network connection needs a host`;
+    if (!Number.isInteger(profile.networkPort) || profile.networkPort < 1 || profile.networkPort > 65535) {
+      return `${profile.name}: network port must be between 1 and 65535`;
+    }
+  }
+  if (profile.octoprintUrl && !/^https?:\/\/[^/]/.test(profile.octoprintUrl)) {
+    return `${profile.name}: OctoPrint URL must start with http:// or https://`;
+  }
+  try {
+    ColorQuantize.parsePalette(profile.penColors);
+  } catch (error) {
+    return `${profile.name}: pen colors: ${error.message}`;
+  }
+  return null;
+}
+
+/**
+ * Create the store used when no profiles file exists yet
+ */
+function createDefaultStore() {
+  return { activeId: DEFAULT_PROFILE.id, profiles: [{ ...DEFAULT_PROFILE }] };
+}
+
+/**
+ * Convert a gwrite profile from a vpype config into a machine profile
+ * Pen commands are the lines of the segment templates that are not moves. The
+ * work area and connection settings are not part of gwrite and keep their
+ * defaults.
+ * @param {string} name - gwrite profile name
+ * @param {Object} gwrite - gwrite settings (document_start, segment_first, ...)
+ * @returns {Object} Machine profile
+ */
+function gwriteToProfile(name, gwrite) {
+  const lines = template => String(template || '').split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  const commands = template => lines(template).filter(l => !l.includes('{x'));
+  const move = template => lines(template).find(l => l.includes('{x')) || '';
+  const feed = line => {
+    const match = /\bF(\d+(?:\.\d+)?)/.exec(line);
+    return match ? Number(match[1]) : 0;
+  };
+
+  const penUp = commands(gwrite.segment_last);
+  const penDown = commands(gwrite.segment_first);
+  // Units, absolute mode and pen up are written by profileToGwrite already
+  const generated = new Set(['G20', 'G21', 'G90', ...penUp]);
+  const travel = move(gwrite.segment_first);
+
+  // Unflipped gwrite output is Y down, i.e. a top-left machine origin
+  const vertical = gwrite.vertical_flip ? 'bottom' : 'top';
+  const horizontal = gwrite.horizontal_flip ? 'right' : 'left';
+
+  return normalizeProfile({
+    id: String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'imported',
+    name: String(name),
+    units: ['in', 'inch'].includes(gwrite.unit) ? 'in' : 'mm',
+    penUp: penUp.join('\n') || DEFAULT_PROFILE.penUp,
+    penDown: penDown.join('\n') || DEFAULT_PROFILE.penDown,
+    header: commands(gwrite.document_start).filter(l => !generated.has(l)).join('\n'),
+    footer: commands(gwrite.document_end).filter(l => !generated.has(l)).join('\n'),
+    drawFeed: feed(move(gwrite.segment)),
+    travelFeed: /^G1\b/.test(travel) ? feed(travel) : 0,
+    origin: `${vertical}-${horizontal}`
+  });
+}
+
+/**
+ * Import the gwrite profiles of a vpype config as a new machines.json
+ * @param {string} filePath - Path to machines.json (written when anything is imported)
+ * @param {string} configPath - Path to vpype.toml
+ * @returns {Object|null} Imported store; null when there is nothing to import
+ */
+function importVpypeStore(filePath, configPath) {
+  let gwriteProfiles;
+  try {
+    gwriteProfiles = loadGwriteProfiles(configPath);
+  } catch (error) {
+    console.error('Error reading vpype config, not importing it:', error);
+    return null;
+  }
+
+  const profiles = [];
+  for (const [name, gwrite] of Object.entries(gwriteProfiles)) {
+    const profile = gwriteToProfile(name, gwrite);
+    const error = validateProfile(profile);
+    if (error) {
+      console.warn(`Skipping gwrite profile "${name}" from ${configPath}: ${error}`);
+      continue;
+    }
+    const taken = new Set(profiles.map(p => p.id));
+    let id = profile.id;
+    for (let n = 2; taken.has(id); n++) id = `${profile.id}-${n}`;
+    profiles.push({ ...profile, id });
+  }
+  if (profiles.length === 0) return null;
+
+  const store = { activeId: profiles[0].id, profiles };
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    saveMachineStore(filePath, store);
+    console.log(`Imported ${profiles.length} machine profile(s) from ${configPath} into ${filePath}`);
+  } catch (error) {
+    console.error('Error saving imported machine profiles:', error);
+  }
+  return store;
+}
+
+/**
+ * Load machine profiles from disk
+ * @param {string} filePath - Path to machines.json
+ * @param {string} legacyConfigPath - vpype.toml of older versions, imported
+ *   when machines.json does not exist yet (optional)
+ * @returns {{activeId: string, profiles: Object[]}}
+ */
+function loadMachineStore(filePath, legacyConfigPath) {
+  if (!fs.existsSync(filePath)) {
+    return (legacyConfigPath && importVpypeStore(filePath, legacyConfigPath)) || createDefaultStore();
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const profiles = Array.isArray(data.profiles) ? data.profiles.map(normalizeProfile) : [];
+    if (profiles.length === 0) {
+      return createDefaultStore();
+    }
+    const activeId = profiles.some(p => p.id === data.activeId) ? data.activeId : profiles[0].id;
+    return { activeId, profiles };
+  } catch (error) {
+    console.error('Error reading machine profiles, using defaults:', error);
+    return createDefaultStore();
+  }
+}
+
+/**
+ * Validate and write machine profiles to disk
+ * @param {string} filePath - Path to machines.json
+ * @param {{activeId: string, profiles: Object[]}} store - Profiles to save
+ */
+function saveMachineStore(filePath, store) {
+  if (!store || !Array.isArray(store.profiles) || store.profiles.length === 0) {
+    throw new Error('At least one machine profile is required');
+  }
+
+  const profiles = store.profiles.map(normalizeProfile);
+  const ids = new Set();
+  for (const profile of profiles) {
+    const error = validateProfile(profile);
+    if (error) throw new Error(error);
+    if (ids.has(profile.id)) throw new Error(`Duplicate profile id "${profile.id}"`);
+    ids.add(profile.id);
+  }
+
+  const activeId = ids.has(store.activeId) ? store.activeId : profiles[0].id;
+  fs.writeFileSync(filePath, JSON.stringify({ activeId, profiles }, null, 2), 'utf8');
+  return { activeId, profiles };
+}
+
+/**
+ * Find a profile by id, falling back to the active profile
+ * @param {Object} store - Machine store
+ * @param {string} id - Profile id (optional)
+ * @returns {Object} Profile
+ */
+function getProfile(store, id) {
+  return store.profiles.find(p => p.id === id) ||
+    store.profiles.find(p => p.id === store.activeId) ||
+    store.profiles[0];
+}
+
+/**
+ * Turn a multi-line command block into template text ending in a newline
+ */
+function commandBlock(text) {
+  const lines = String(text || '').split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  return lines.length ? lines.join('\n') + '\n' : '';
+}
+
+/**
+ * Compile a machine profile into gwrite templates
+ * @param {Object} profile - Machine profile
+ * @returns {Object} gwrite settings (document_start, segment_first, ...)
+ */
+function profileToGwrite(profile) {
+  const unitCommand = profile.units === 'in' ? 'G20' : 'G21';
+  const drawFeed = profile.drawFeed > 0 ? ` F${profile.drawFeed}` : '';
+
+  // Travel with G1 when a travel feed is set, otherwise use a rapid move
+  const travel = profile.travelFeed > 0
+    ? `G1 X{x:.4f} Y{y:.4f} F${profile.travelFeed}\n`
+    : 'G0 X{x:.4f} Y{y:.4f}\n';
+  const draw = `G1 X{x:.4f} Y{y:.4f}${drawFeed}\n`;
+
+  return {
+    unit: profile.units,
+    document_start: `${unitCommand}\nG90\n` + commandBlock(profile.header) + commandBlock(profile.penUp),
+    segment_first: travel + commandBlock(profile.penDown),
+    segment: draw,
+    segment_last: draw + commandBlock(profile.penUp),
+    document_end: commandBlock(profile.penUp) + commandBlock(profile.footer),
+    vertical_flip: false
+  };
+}
+
+/**
+ * Quote a string as a TOML basic string
+ */
+function tomlString(value) {
+  return '"' + String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\t/g, '\\t') + '"';
+}
+
+/**
+ * Serialize gwrite settings as a vpype config file
+ * @param {string} name - Profile name used with `gwrite -p`
+ * @param {Object} gwrite - gwrite settings
+ * @returns {string} TOML text
+ */
+function gwriteToToml(name, gwrite) {
+  const lines = [`[gwrite.${name}]`];
+  for (const [key, value] of Object.entries(gwrite)) {
+    lines.push(`${key} = ${typeof value === 'string' ? tomlString(value) : String(value)}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  VALID_ORIGINS,
+  VALID_PROTOCOLS,
+  VALID_CONNECTIONS,
+  validateProfile,
+  loadMachineStore,
+  saveMachineStore,
+  getProfile,
+  gwriteToProfile,
+  profileToGwrite,
+  gwriteToToml
+};
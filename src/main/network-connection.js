@@ -0,0 +1,43 @@
+// network-connection.js - Network plotters (FluidNC, ESP3D and other ESP32 boards)
+// Opens the telnet (raw TCP) or WebSocket G-code endpoint named in a machine
+// profile. Both come back shaped like an open serial port, so streaming, flow
+// control and progress work the same as over USB.
+
+const { openTcpConnection } = require('./tcp-connection');
+const { openWebSocketConnection } = require('./websocket-connection');
+
+// Port path the app uses for the active machine's network address
+const NETWORK_PORT_PATH = 'network';
+
+/**
+ * Address of a network profile for display
+ * @param {Object} profile - Machine profile (connection, host, networkPort)
+ * @returns {string} e.g. "fluidnc.local:23" or "ws://fluidnc.local:81/"
+ */
+function networkAddress(profile) {
+  const address = `${profile.host}:${profile.networkPort}`;
+  return profile.connection === 'websocket' ? `ws://${address}/` : address;
+}
+
+/**
+ * Connect to the controller named by a profile
+ * @param {Object} profile - Machine profile (connection, host, networkPort)
+ * @param {Object} options - timeout in ms
+ * @returns {Promise<Object>} Open connection
+ */
+function openNetworkConnection(profile, options = {}) {
+  const host = String(profile.host || '').trim();
+  if (profile.connection === 'serial' || !host) {
+    return Promise.reject(new Error(`${profile.name} has no network address`));
+  }
+  if (profile.connection === 'websocket') {
+    return openWebSocketConnection(host, profile.networkPort, options);
+  }
+  return openTcpConnection(host, profile.networkPort, options);
+}
+
+module.exports = {
+  NETWORK_PORT_PATH,
+  networkAddress,
+  openNetworkConnection
+};
@@ -0,0 +1,208 @@
+// octoprint-client.js - OctoPrint REST API client
+// Uploads G-code to an OctoPrint-compatible server (OctoPrint, Moonraker's
+// OctoPrint emulation, PrusaLink), starts the job and polls its progress.
+// Every request carries the profile's API key in X-Api-Key.
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+const REQUEST_TIMEOUT = 30000; // ms, uploads of large files included
+const POLL_INTERVAL = 2000; // ms
+// Polls to wait for a job to leave "Operational" after it was started
+const START_POLLS = 15;
+
+// Job states that mean the printer is still busy with the job
+const ACTIVE_STATES = /^(Printing|Paused|Pausing|Resuming|Cancelling|Starting)/;
+const ERROR_STATES = /^(Error|Offline)/;
+
+/**
+ * Talks to one OctoPrint server
+ */
+class OctoPrintClient {
+  /**
+   * @param {Object} options - url (e.g. http://octopi.local), apiKey, timeout in ms
+   */
+  constructor(options) {
+    const url = String(options.url || '').trim();
+    if (!/^https?:\/\/[^/]/.test(url)) throw new Error('OctoPrint URL must start with http:// or https://');
+    this.baseUrl = new URL(url.endsWith('/') ? url : `${url}/`);
+    this.apiKey = options.apiKey || '';
+    this.timeout = options.timeout || REQUEST_TIMEOUT;
+  }
+
+  /**
+   * Send a request to the API
+   * @param {string} method - HTTP method
+   * @param {string} apiPath - Path below the base URL (e.g. "api/job")
+   * @param {Object} options - json: body to send as JSON; body + contentType: raw body
+   * @returns {Promise<Object|null>} Parsed JSON response (null when empty)
+   */
+  request(method, apiPath, options = {}) {
+    const url = new URL(apiPath, this.baseUrl);
+    let body = null;
+    const headers = { 'X-Api-Key': this.apiKey, Accept: 'application/json' };
+    if (options.json !== undefined) {
+      body = Buffer.from(JSON.stringify(options.json));
+      headers['Content-Type'] = 'application/json';
+    } else if (options.body) {
+      body = options.body;
+      headers['Content-Type'] = options.contentType;
+    }
+    if (body) headers['Content-Length'] = body.length;
+
+    const transport = url.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+      const request = transport.request(url, { method, headers, timeout: this.timeout }, response => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => {
+          const text = Buffer.concat(chunks).toString('utf8');
+          if (response.statusCode >= 400) {
+            reject(new Error(`OctoPrint ${method} /${apiPath} failed (${response.statusCode}): ${errorMessage(response.statusCode, text)}`));
+            return;
+          }
+          try {
+            resolve(text ? JSON.parse(text) : null);
+          } catch (error) {
+            reject(new Error(`OctoPrint sent an invalid response to ${method} /${apiPath}`));
+          }
+        });
+      });
+      request.on('timeout', () => request.destroy(new Error('timed out')));
+      request.on('error', error => reject(new Error(`Could not reach OctoPrint at ${this.baseUrl.origin}: ${error.message}`)));
+      request.end(body || undefined);
+    });
+  }
+
+  /**
+   * Server version; a cheap way to check the URL and API key
+   * @returns {Promise<{api: string, server: string, text: string}>}
+   */
+  version() {
+    return this.request('GET', 'api/version');
+  }
+
+  /**
+   * Upload a file to the server's local storage
+   * @param {string} name - File name on the server
+   * @param {string|Buffer} content - G-code
+   * @param {Object} options - print: select the file and start the job
+   * @returns {Promise<{name: string, path: string, started: boolean}>}
+   */
+  async uploadFile(name, content, options = {}) {
+    const fields = { select: String(Boolean(options.print)), print: String(Boolean(options.print)) };
+    const { body, contentType } = multipartBody(name, content, fields);
+    const result = await this.request('POST', 'api/files/local', { body, contentType });
+
+    const file = (result && result.files && result.files.local) || {};
+    return { name: file.name || name, path: file.path || name, started: Boolean(options.print) };
+  }
+
+  /**
+   * Select an uploaded file and start it
+   * @param {string} filePath - Path of the file on the server
+   */
+  startFile(filePath) {
+    const encoded = filePath.split('/').map(encodeURIComponent).join('/');
+    return this.request('POST', `api/files/local/${encoded}`, { json: { command: 'select', print: true } });
+  }
+
+  /**
+   * Pause, resume or cancel the current job
+   * @param {string} action - pause | resume | cancel
+   */
+  controlJob(action) {
+    switch (action) {
+      case 'pause': return this.request('POST', 'api/job', { json: { command: 'pause', action: 'pause' } });
+      case 'resume': return this.request('POST', 'api/job', { json: { command: 'pause', action: 'resume' } });
+      case 'cancel': return this.request('POST', 'api/job', { json: { command: 'cancel' } });
+      default: return Promise.reject(new Error(`Unknown OctoPrint action "${action}"`));
+    }
+  }
+
+  /**
+   * Current job state
+   * @returns {Promise<{state: string, file: string|null, completion: number|null, printTime: number|null, printTimeLeft: number|null, active: boolean}>}
+   */
+  async getJob() {
+    const result = await this.request('GET', 'api/job') || {};
+    const progress = result.progress || {};
+    const state = result.state || 'Unknown';
+    return {
+      state,
+      file: (result.job && result.job.file && result.job.file.name) || null,
+      completion: typeof progress.completion === 'number' ? progress.completion : null,
+      printTime: typeof progress.printTime === 'number' ? progress.printTime : null,
+      printTimeLeft: typeof progress.printTimeLeft === 'number' ? progress.printTimeLeft : null,
+      active: ACTIVE_STATES.test(state)
+    };
+  }
+
+  /**
+   * Poll the job until it ends
+   * A job that was just started may still report "Operational" for a moment,
+   * so the end is only accepted once it has been active (or never starts).
+   * @param {Object} options - interval in ms, onStatus(status) callback,
+   *   isCancelled() to stop polling early
+   * @returns {Promise<Object>} Last status
+   */
+  async pollJob(options = {}) {
+    const interval = options.interval !== undefined ? options.interval : POLL_INTERVAL;
+    let seenActive = false;
+    let polls = 0;
+
+    for (;;) {
+      const status = await this.getJob();
+      polls++;
+      if (options.onStatus) options.onStatus(status);
+      if (ERROR_STATES.test(status.state)) throw new Error(`OctoPrint reports "${status.state}"`);
+
+      if (status.active) seenActive = true;
+      else if (seenActive || polls >= START_POLLS) return status;
+
+      if (options.isCancelled && options.isCancelled()) return status;
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
+  }
+}
+
+/**
+ * Pull the error text out of an OctoPrint error response
+ */
+function errorMessage(statusCode, text) {
+  try {
+    const parsed = JSON.parse(text);
+    if (parsed && parsed.error) return parsed.error;
+  } catch (error) {
+    // Plain text or HTML error page
+  }
+  if (statusCode === 401 || statusCode === 403) return 'check the API key';
+  if (statusCode === 409) return 'the printer is not ready (busy or not connected)';
+  return text.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 200) || 'no details';
+}
+
+/**
+ * Build a multipart/form-data body with one file and some text fields
+ * @param {string} name - File name
+ * @param {string|Buffer} content - File content
+ * @param {Object} fields - Extra form fields
+ * @returns {{body: Buffer, contentType: string}}
+ */
+function multipartBody(name, content, fields) {
+  const boundary = `----gellyscope${crypto.randomBytes(12).toString('hex')}`;
+  const parts = [];
+  for (const [field, value] of Object.entries(fields)) {
+    parts.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${field}"\r\n\r\n${value}\r\n`));
+  }
+  const safeName = name.replace(/["\r\n]/g, '_');
+  parts.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${safeName}"\r\nContent-Type: application/octet-stream\r\n\r\n`));
+  parts.push(Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8'));
+  parts.push(Buffer.from(`\r\n--${boundary}--\r\n`));
+  return { body: Buffer.concat(parts), contentType: `multipart/form-data; boundary=${boundary}` };
+}
+
+module.exports = {
+  OctoPrintClient,
+  multipartBody
+};
@@ -0,0 +1,420 @@
+// path-optimizer.js - Pen path optimization for plotting
+// Traced SVGs list paths in raster-scan order, which makes the plotter travel
+// back and forth across the bed. These helpers merge touching paths, reorder
+// them to reduce pen-up travel and simplify polylines before G-code is written.
+// All coordinates are in mm; a line is an array of [x, y] points.
+
+const DEFAULT_OPTIONS = {
+  merge: false,
+  mergeTolerance: 0.1,
+  reorder: false,
+  reverse: true,
+  reloop: false,
+  simplify: false,
+  simplifyTolerance: 0.05,
+  twoOptWindow: 50,
+  twoOptPasses: 4,
+  start: [0, 0]
+};
+
+const EPSILON = 1e-9;
+
+// ============ GEOMETRY HELPERS ============
+
+function distance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1]);
+}
+
+function isClosed(line, tolerance = EPSILON) {
+  return line.length > 2 && distance(line[0], line[line.length - 1]) <= tolerance;
+}
+
+/**
+ * Total pen-up travel when drawing lines in order
+ * @param {Array} lines - Lines in drawing order
+ * @param {number[]} start - Pen position before the first line
+ * @returns {number} Travel distance (mm)
+ */
+function travelDistance(lines, start = [0, 0]) {
+  let total = 0;
+  let position = start;
+  for (const line of lines) {
+    if (line.length === 0) continue;
+    total += distance(position, line[0]);
+    position = line[line.length - 1];
+  }
+  return total;
+}
+
+// ============ SPATIAL INDEX ============
+
+/**
+ * Uniform grid of points for nearest-neighbour queries
+ * Entries are removed lazily by marking their owner as used.
+ */
+class PointGrid {
+  constructor(cellSize) {
+    this.cellSize = cellSize > 0 ? cellSize : 1;
+    this.cells = new Map();
+    this.minCell = [Infinity, Infinity];
+    this.maxCell = [-Infinity, -Infinity];
+  }
+
+  cellOf(point) {
+    return [Math.floor(point[0] / this.cellSize), Math.floor(point[1] / this.cellSize)];
+  }
+
+  insert(point, entry) {
+    const [cx, cy] = this.cellOf(point);
+    const key = `${cx},${cy}`;
+    if (!this.cells.has(key)) this.cells.set(key, []);
+    this.cells.get(key).push({ point, entry });
+    this.minCell = [Math.min(this.minCell[0], cx), Math.min(this.minCell[1], cy)];
+    this.maxCell = [Math.max(this.maxCell[0], cx), Math.max(this.maxCell[1], cy)];
+  }
+
+  /**
+   * Find the nearest entry accepted by the filter
+   * @param {number[]} point - Query point
+   * @param {Function} accept - entry => boolean
+   * @param {number} maxDistance - Give up beyond this distance
+   * @returns {{point, entry, distance}|null}
+   */
+  nearest(point, accept, maxDistance = Infinity) {
+    const [cx, cy] = this.cellOf(point);
+    const maxRing = Math.max(
+      cx - this.minCell[0], this.maxCell[0] - cx,
+      cy - this.minCell[1], this.maxCell[1] - cy
+    );
+    let best = null;
+
+    const consider = (bucket) => {
+      for (const item of bucket) {
+        if (!accept(item.entry)) continue;
+        const d = distance(point, item.point);
+        if (d <= maxDistance && (!best || d < best.distance)) {
+          best = { point: item.point, entry: item.entry, distance: d };
+        }
+      }
+    };
+
+    for (let ring = 0; ring <= maxRing; ring++) {
+      // Anything in this ring is at least (ring - 1) cells away
+      const ringDistance = (ring - 1) * this.cellSize;
+      if (ringDistance > maxDistance || (best && ringDistance > best.distance)) break;
+
+      // Once a ring has more cells than the grid holds, scan the buckets directly
+      if (ring * 8 > this.cells.size) {
+        for (const bucket of this.cells.values()) consider(bucket);
+        break;
+      }
+
+      for (let x = cx - ring; x <= cx + ring; x++) {
+        // Only the ring's perimeter: full rows at the top and bottom, two cells otherwise
+        const step = x === cx - ring || x === cx + ring ? 1 : Math.max(ring * 2, 1);
+        for (let y = cy - ring; y <= cy + ring; y += step) {
+          const bucket = this.cells.get(`${x},${y}`);
+          if (bucket) consider(bucket);
+        }
+      }
+    }
+
+    return best;
+  }
+}
+
+/**
+ * Pick a grid cell size from the spread of the lines
+ */
+function gridCellSize(lines) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const line of lines) {
+    for (const [x, y] of [line[0], line[line.length - 1]]) {
+      minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+    }
+  }
+  const span = Math.max(maxX - minX, maxY - minY);
+  return Math.max(span / Math.sqrt(Math.max(lines.length, 1)), 0.01);
+}
+
+// ============ SIMPLIFICATION ============
+
+/**
+ * Simplify a polyline with the Ramer-Douglas-Peucker algorithm
+ * @param {Array} points - Polyline points
+ * @param {number} tolerance - Max deviation (mm)
+ * @returns {Array} Simplified points (endpoints are kept)
+ */
+function simplifyLine(points, tolerance) {
+  if (points.length <= 2 || !(tolerance > 0)) return points.slice();
+
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+  const stack = [[0, points.length - 1]];
+
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    const a = points[first];
+    const b = points[last];
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const length = Math.hypot(dx, dy);
+
+    let maxDistance = -1;
+    let index = -1;
+    for (let i = first + 1; i < last; i++) {
+      const p = points[i];
+      const d = length > EPSILON
+        ? Math.abs(dy * p[0] - dx * p[1] + b[0] * a[1] - b[1] * a[0]) / length
+        : distance(p, a);
+      if (d > maxDistance) {
+        maxDistance = d;
+        index = i;
+      }
+    }
+
+    if (maxDistance > tolerance) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+
+  return points.filter((_, i) => keep[i]);
+}
+
+// ============ MERGING ============
+
+/**
+ * Join lines whose endpoints lie within a tolerance, like `vpype linemerge`
+ * @param {Array} lines - Lines to merge
+ * @param {number} tolerance - Max gap to bridge (mm)
+ * @param {boolean} allowReverse - Allow flipping lines to connect them
+ * @returns {Array} Merged lines
+ */
+function mergeLines(lines, tolerance, allowReverse = true) {
+  const open = lines.filter(line => line.length > 0);
+  if (open.length < 2 || !(tolerance >= 0)) return open.map(line => line.slice());
+
+  const grid = new PointGrid(Math.max(tolerance, gridCellSize(open) / 4));
+  const used = new Uint8Array(open.length);
+  open.forEach((line, index) => {
+    if (isClosed(line)) return; // Loops are already complete
+    grid.insert(line[0], { index, atStart: true });
+    grid.insert(line[line.length - 1], { index, atStart: false });
+  });
+
+  const merged = [];
+  for (let i = 0; i < open.length; i++) {
+    if (used[i]) continue;
+    used[i] = 1;
+    let current = open[i].slice();
+
+    if (!isClosed(current)) {
+      // Grow forward from the end, then backward from the start
+      for (const forward of [true, false]) {
+        while (!isClosed(current, tolerance)) {
+          const tip = forward ? current[current.length - 1] : current[0];
+          const match = grid.nearest(tip, entry =>
+            !used[entry.index] && (allowReverse || entry.atStart === forward), tolerance);
+          if (!match) break;
+
+          used[match.entry.index] = 1;
+          let next = open[match.entry.index].slice();
+          // Orient the next line so it continues from the tip
+          if (match.entry.atStart !== forward) next.reverse();
+          if (distance(tip, forward ? next[0] : next[next.length - 1]) <= EPSILON) {
+            next = forward ? next.slice(1) : next.slice(0, -1);
+          }
+          current = forward ? current.concat(next) : next.concat(current);
+        }
+      }
+    }
+
+    merged.push(current);
+  }
+
+  return merged;
+}
+
+// ============ ORDERING ============
+
+/**
+ * Rotate a closed loop so it starts at the given vertex
+ */
+function rotateLoop(line, index) {
+  if (index <= 0) return line.slice();
+  // Drop the duplicated closing point, rotate, then close again
+  const ring = line.slice(0, -1);
+  const rotated = ring.slice(index).concat(ring.slice(0, index));
+  rotated.push(rotated[0]);
+  return rotated;
+}
+
+/**
+ * Order lines greedily by nearest start point, optionally flipping lines and
+ * choosing the start vertex of closed loops (`vpype linesort` / `reloop`)
+ * @param {Array} lines - Lines to order
+ * @param {Object} options - {reverse, reloop, start}
+ * @returns {Array} Oriented lines in drawing order
+ */
+function orderLines(lines, options) {
+  if (lines.length < 2 && !options.reloop) return lines.map(line => line.slice());
+
+  const grid = new PointGrid(gridCellSize(lines));
+  const used = new Uint8Array(lines.length);
+  lines.forEach((line, index) => {
+    const closed = isClosed(line);
+    if (closed && options.reloop) {
+      // Any vertex of a loop can be its start
+      for (let v = 0; v < line.length - 1; v++) grid.insert(line[v], { index, vertex: v });
+      return;
+    }
+    grid.insert(line[0], { index, vertex: 0 });
+    if (options.reverse) grid.insert(line[line.length - 1], { index, vertex: -1 });
+  });
+
+  const ordered = [];
+  let position = options.start || [0, 0];
+  for (let n = 0; n < lines.length; n++) {
+    const match = grid.nearest(position, entry => !used[entry.index]);
+    if (!match) break;
+
+    const { index, vertex } = match.entry;
+    used[index] = 1;
+    let line;
+    if (vertex === -1) line = lines[index].slice().reverse();
+    else if (vertex > 0) line = rotateLoop(lines[index], vertex);
+    else line = lines[index].slice();
+
+    ordered.push(line);
+    position = line[line.length - 1];
+  }
+
+  return ordered;
+}
+
+/**
+ * Improve an ordering with windowed 2-opt: reversing a run of lines (and the
+ * direction of each line in it) when that shortens travel
+ * @param {Array} lines - Oriented lines in drawing order
+ * @param {Object} options - {start, twoOptWindow, twoOptPasses}
+ * @returns {Array} Improved ordering
+ */
+function twoOpt(lines, options) {
+  const route = lines.slice();
+  const start = options.start || [0, 0];
+  const span = Math.max(2, options.twoOptWindow || DEFAULT_OPTIONS.twoOptWindow);
+  const passes = options.twoOptPasses || DEFAULT_OPTIONS.twoOptPasses;
+
+  const head = (i) => route[i][0];
+  const tail = (i) => (i < 0 ? start : route[i][route[i].length - 1]);
+
+  for (let pass = 0; pass < passes; pass++) {
+    let improved = false;
+
+    for (let i = 0; i < route.length - 1; i++) {
+      const before = tail(i - 1);
+      for (let j = i + 1; j < Math.min(route.length, i + span); j++) {
+        const after = j + 1 < route.length ? head(j + 1) : null;
+        const current = distance(before, head(i)) + (after ? distance(tail(j), after) : 0);
+        const swapped = distance(before, tail(j)) + (after ? distance(head(i), after) : 0);
+
+        if (swapped < current - EPSILON) {
+          const run = route.slice(i, j + 1).reverse().map(line => line.slice().reverse());
+          route.splice(i, run.length, ...run);
+          improved = true;
+        }
+      }
+    }
+
+    if (!improved) break;
+  }
+
+  return route;
+}
+
+// ============ PIPELINE ============
+
+/**
+ * Optimize layers of lines for plotting
+ * Layers keep their order; the pen position carries over between layers.
+ * @param {Array<{id: number, lines: Array}>} layers - Layers in mm
+ * @param {Object} options - See DEFAULT_OPTIONS
+ * @returns {{layers: Array, stats: {travelBefore: number, travelAfter: number, pathsBefore: number, pathsAfter: number}}}
+ */
+function optimizeLayers(layers, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const allBefore = layers.flatMap(layer => layer.lines);
+  const stats = {
+    travelBefore: travelDistance(allBefore, opts.start),
+    pathsBefore: allBefore.length
+  };
+
+  let position = opts.start;
+  const optimized = layers.map(layer => {
+    let lines = layer.lines.filter(line => line.length > 0);
+
+    if (opts.merge) lines = mergeLines(lines, opts.mergeTolerance, opts.reverse);
+    if (opts.simplify) lines = lines.map(line => simplifyLine(line, opts.simplifyTolerance));
+    if (opts.reorder || opts.reloop) {
+      const orderOptions = { ...opts, start: position };
+      if (opts.reorder) {
+        lines = orderLines(lines, orderOptions);
+        if (opts.reverse) lines = twoOpt(lines, orderOptions);
+      } else {
+        // Keep the order, only move loop starts next to the pen
+        lines = lines.map(line => {
+          const result = orderLines([line], { ...orderOptions, reverse: false })[0];
+          position = result[result.length - 1];
+          return result;
+        });
+      }
+    }
+
+    if (lines.length) {
+      const last = lines[lines.length - 1];
+      position = last[last.length - 1];
+    }
+    return { ...layer, lines };
+  });
+
+  const allAfter = optimized.flatMap(layer => layer.lines);
+  stats.travelAfter = travelDistance(allAfter, opts.start);
+  stats.pathsAfter = allAfter.length;
+
+  return { layers: optimized, stats };
+}
+
+/**
+ * Equivalent vpype pipeline commands for the optimization options
+ * @param {Object} options - See DEFAULT_OPTIONS
+ * @returns {string[]} Command-line arguments
+ */
+function toVpypeArgs(options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const args = [];
+  if (opts.merge) {
+    args.push('linemerge', '--tolerance', `${opts.mergeTolerance}mm`);
+    if (!opts.reverse) args.push('--no-flip');
+  }
+  if (opts.simplify) args.push('linesimplify', '--tolerance', `${opts.simplifyTolerance}mm`);
+  if (opts.reloop) args.push('reloop');
+  if (opts.reorder) {
+    args.push('linesort');
+    if (!opts.reverse) args.push('--no-flip');
+  }
+  return args;
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  travelDistance,
+  simplifyLine,
+  mergeLines,
+  orderLines,
+  twoOpt,
+  optimizeLayers,
+  toVpypeArgs
+};
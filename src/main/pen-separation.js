@@ -0,0 +1,135 @@
+// pen-separation.js - Map SVG layers or stroke colors to plotter pens
+// Shapes collected by the G-code generator carry their top-level layer and
+// their paint color. Grouping them by either gives the pen groups shown in
+// the Eject tab; each group is assigned a pen number, and shapes of the same
+// pen are plotted together as one output layer.
+
+const PEN_GROUPINGS = ['layer', 'color'];
+
+// CSS color names likely to show up in plotter art
+const NAMED_COLORS = {
+  black: '#000000',
+  white: '#ffffff',
+  red: '#ff0000',
+  green: '#008000',
+  lime: '#00ff00',
+  blue: '#0000ff',
+  yellow: '#ffff00',
+  cyan: '#00ffff',
+  aqua: '#00ffff',
+  magenta: '#ff00ff',
+  fuchsia: '#ff00ff',
+  orange: '#ffa500',
+  purple: '#800080',
+  brown: '#a52a2a',
+  pink: '#ffc0cb',
+  gray: '#808080',
+  grey: '#808080',
+  navy: '#000080',
+  teal: '#008080',
+  maroon: '#800000',
+  olive: '#808000',
+  silver: '#c0c0c0',
+  gold: '#ffd700'
+};
+
+/**
+ * Normalize an SVG paint value to a lowercase #rrggbb color
+ * @param {string} value - e.g. "#F00", "rgb(255, 0, 0)", "red"
+ * @returns {string|null} Hex color, or null for none / unknown paints (gradients, currentColor)
+ */
+function normalizeColor(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text || text === 'none' || text === 'transparent') return null;
+
+  if (/^#[0-9a-f]{6}$/.test(text)) return text;
+  if (/^#[0-9a-f]{3}$/.test(text)) return `#${text[1]}${text[1]}${text[2]}${text[2]}${text[3]}${text[3]}`;
+
+  const rgb = /^rgba?\(\s*([\d.]+%?)\s*,\s*([\d.]+%?)\s*,\s*([\d.]+%?)/.exec(text);
+  if (rgb) {
+    const channel = part => {
+      const number = part.endsWith('%') ? parseFloat(part) * 2.55 : parseFloat(part);
+      return Math.max(0, Math.min(255, Math.round(number))).toString(16).padStart(2, '0');
+    };
+    return `#${channel(rgb[1])}${channel(rgb[2])}${channel(rgb[3])}`;
+  }
+
+  return NAMED_COLORS[text] || null;
+}
+
+/**
+ * Key of the pen group a shape belongs to
+ */
+function groupKey(shape, by) {
+  return by === 'color' ? shape.color : String(shape.layer);
+}
+
+/**
+ * List the pen groups of a drawing in plotting order
+ * @param {Array} shapes - Shapes from readSvgDocument (layer, layerName, layerColor, color)
+ * @param {string} by - 'layer' (top-level groups) or 'color' (stroke, else fill)
+ * @returns {Array<{key: string, name: string, color: string, shapes: number}>}
+ */
+function listPenGroups(shapes, by) {
+  if (!PEN_GROUPINGS.includes(by)) throw new Error(`Unknown pen grouping "${by}"`);
+
+  const groups = new Map();
+  for (const shape of shapes) {
+    const key = groupKey(shape, by);
+    if (!groups.has(key)) {
+      groups.set(key, by === 'color'
+        ? { key, name: key, color: key, shapes: 0 }
+        : { key, name: shape.layerName, color: shape.layerColor || shape.color, shapes: 0 });
+    }
+    groups.get(key).shapes++;
+  }
+
+  const list = Array.from(groups.values());
+  // Layers plot in document order; colors in order of appearance
+  if (by === 'layer') list.sort((a, b) => Number(a.key) - Number(b.key));
+  return list;
+}
+
+/**
+ * Assign a pen to every shape
+ * Groups without an entry in the map get the next free pen number, so by
+ * default every group is its own pen. Shapes are moved to output layer
+ * <pen>, which keeps each pen's lines together through flattening and
+ * path optimization.
+ * @param {Array} shapes - Shapes from readSvgDocument
+ * @param {Object} options - by: 'layer' | 'color'; map: { [group key]: pen number }
+ * @returns {{shapes: Array, pens: Array<{pen: number, name: string, color: string}>}}
+ *   Shapes with layer set to their pen, and the pens in pen order
+ */
+function assignPens(shapes, options) {
+  const groups = listPenGroups(shapes, options.by);
+  const map = options.map || {};
+  const used = new Set(groups.map(group => Number(map[group.key])).filter(pen => Number.isInteger(pen) && pen > 0));
+
+  let nextPen = 1;
+  const penOf = new Map();
+  const pens = new Map();
+  for (const group of groups) {
+    let pen = Number(map[group.key]);
+    if (!Number.isInteger(pen) || pen < 1) {
+      while (used.has(nextPen)) nextPen++;
+      pen = nextPen;
+      used.add(pen);
+    }
+    penOf.set(group.key, pen);
+    // The first group on a pen names it
+    if (!pens.has(pen)) pens.set(pen, { pen, name: group.name, color: group.color || '#000000' });
+  }
+
+  return {
+    shapes: shapes.map(shape => ({ ...shape, layer: penOf.get(groupKey(shape, options.by)) })),
+    pens: Array.from(pens.values()).sort((a, b) => a.pen - b.pen)
+  };
+}
+
+module.exports = {
+  PEN_GROUPINGS,
+  normalizeColor,
+  listPenGroups,
+  assignPens
+};
@@ -0,0 +1,225 @@
+// plotter-session.js - The plotter connection shared by the whole app
+// Owns the open connection and its GcodeSender, and turns sender events into
+// plain objects for the renderer (progress is throttled so long GRBL jobs do
+// not flood IPC).
+
+const { GcodeSender } = require('./gcode-sender');
+
+const PROGRESS_INTERVAL = 100; // ms between progress events
+const IDLE_STATUS_INTERVAL = 500; // ms between GRBL position polls outside of jobs
+
+class PlotterSession {
+  /**
+   * @param {Function} emit - Receives every event as {type, ...}
+   */
+  constructor(emit) {
+    this.emit = emit;
+    this.connection = null;
+    this.sender = null;
+    this.info = null;
+    this.job = null;
+    this.lastJob = null; // Progress of the job that ended last (for the history)
+    this.lineOffset = 0;
+    this.preambleLines = 0;
+    this.lastProgress = 0;
+    this.progressTimer = null;
+    this.idleStatusTimer = null;
+  }
+
+  /**
+   * Whether a plotter is connected
+   */
+  isConnected() {
+    return this.sender !== null;
+  }
+
+  /**
+   * Take over an open connection
+   * @param {Object} connection - Stream with write() and 'data'/'close'/'error' events, plus close(callback)
+   * @param {Object} options - protocol and penUp (see GcodeSender), name shown in the UI
+   */
+  connect(connection, options) {
+    if (this.sender) throw new Error('Already connected');
+
+    const sender = new GcodeSender(connection, {
+      protocol: options.protocol,
+      penUp: options.penUp,
+      statusInterval: options.statusInterval
+    });
+
+    this.connection = connection;
+    this.sender = sender;
+    this.info = { name: options.name, protocol: sender.protocol };
+
+    sender.on('state', state => this.emit({ type: 'state', state }));
+    sender.on('progress', progress => this.reportProgress(progress));
+    sender.on('line-error', error => this.emit({ type: 'line-error', ...error }));
+    sender.on('pause', pause => {
+      this.flushProgress();
+      const line = pause.line >= this.preambleLines ? pause.line + this.lineOffset : -1;
+      this.emit({ type: 'program-pause', line, message: pause.message });
+    });
+    sender.on('status', status => this.emit({ type: 'status', status }));
+    sender.on('message', message => this.emit({ type: 'message', message }));
+    sender.on('failed', error => this.emit({ type: 'error', message: error.message }));
+
+    // The device went away (cable unplugged, socket closed)
+    connection.on('close', () => {
+      if (this.connection !== connection) return;
+      this.release();
+      this.emit({ type: 'disconnected' });
+    });
+
+    // Keep the position readout live; jobs poll on their own
+    if (sender.protocol === 'grbl' && options.statusInterval !== 0) {
+      this.idleStatusTimer = setInterval(() => {
+        if (!sender.job) sender.realtime('status');
+      }, IDLE_STATUS_INTERVAL);
+    }
+
+    this.emit({ type: 'connected', ...this.info });
+  }
+
+  /**
+   * Close the connection
+   * @returns {Promise<void>}
+   */
+  disconnect() {
+    const connection = this.connection;
+    this.release();
+    this.emit({ type: 'disconnected' });
+    return new Promise(resolve => {
+      if (!connection || typeof connection.close !== 'function') {
+        resolve();
+        return;
+      }
+      connection.close(() => resolve());
+    });
+  }
+
+  release() {
+    if (this.sender) {
+      if (this.sender.job) this.sender.fail(new Error('Disconnected'));
+      this.sender.detach();
+    }
+    if (this.progressTimer) clearTimeout(this.progressTimer);
+    if (this.idleStatusTimer) clearInterval(this.idleStatusTimer);
+    this.idleStatusTimer = null;
+    this.connection = null;
+    this.sender = null;
+    this.info = null;
+    this.job = null;
+    this.progressTimer = null;
+  }
+
+  /**
+   * Connection and job summary for the UI
+   */
+  status() {
+    return {
+      connected: this.isConnected(),
+      ...(this.info || {}),
+      state: this.sender ? this.sender.state : 'disconnected',
+      job: this.job
+    };
+  }
+
+  /**
+   * Stream a G-code program; resolves when the job ends
+   * @param {string} text - G-code
+   * @param {string} name - File name shown in the UI
+   * @param {Object} options - lineOffset: added to reported lines so progress
+   *   of a resumed job refers to the original file; preambleLines: leading
+   *   lines that are not in the file (reported as -1)
+   * @returns {Promise<{total: number}>}
+   */
+  sendJob(text, name, options = {}) {
+    const sender = this.requireSender();
+    if (sender.job) return Promise.reject(new Error('A job is already running'));
+
+    this.job = { name, acknowledged: 0, total: 0, line: -1 };
+    this.lineOffset = options.lineOffset || 0;
+    this.preambleLines = options.preambleLines || 0;
+    this.emit({ type: 'job-started', name });
+
+    return sender.start(text).then(result => {
+      this.flushProgress();
+      this.lastJob = this.job;
+      this.job = null;
+      this.emit({ type: 'done', name, total: result.total });
+      return result;
+    }, error => {
+      this.flushProgress();
+      this.lastJob = this.job;
+      this.job = null;
+      this.emit({ type: 'job-ended', name, message: error.message });
+      throw error;
+    });
+  }
+
+  /**
+   * Pause, resume, feed-hold or stop the running job
+   * @param {string} action - pause | resume | feed-hold | stop
+   */
+  async control(action) {
+    const sender = this.requireSender();
+    switch (action) {
+      case 'pause': sender.pause(); break;
+      case 'resume': sender.resume(); break;
+      case 'feed-hold': sender.feedHold(); break;
+      case 'stop': await sender.stop(); break;
+      default: throw new Error(`Unknown plotter action "${action}"`);
+    }
+  }
+
+  /**
+   * Send a command outside of a job
+   * @param {string} command - G-code line(s)
+   */
+  command(command) {
+    return this.requireSender().command(command);
+  }
+
+  /**
+   * Run a control panel command (jog, home, pen test...) between jobs
+   * Marlin is asked for its position afterwards; GRBL reports it when polled.
+   * @param {string} command - G-code line(s)
+   */
+  async machineCommand(command) {
+    const sender = this.requireSender();
+    if (sender.job) throw new Error('Wait for the plot to finish');
+
+    await sender.command(command);
+    if (sender.protocol === 'marlin') await sender.command('M114');
+  }
+
+  requireSender() {
+    if (!this.sender) throw new Error('No plotter connected');
+    return this.sender;
+  }
+
+  /**
+   * Forward progress at most every PROGRESS_INTERVAL ms
+   */
+  reportProgress(progress) {
+    if (!this.job) return;
+    const line = progress.line >= this.preambleLines ? progress.line + this.lineOffset : -1;
+    Object.assign(this.job, { acknowledged: progress.acknowledged, total: progress.total, line });
+
+    const now = Date.now();
+    if (now - this.lastProgress >= PROGRESS_INTERVAL) {
+      this.flushProgress();
+    } else if (!this.progressTimer) {
+      this.progressTimer = setTimeout(() => this.flushProgress(), PROGRESS_INTERVAL);
+    }
+  }
+
+  flushProgress() {
+    if (this.progressTimer) clearTimeout(this.progressTimer);
+    this.progressTimer = null;
+    this.lastProgress = Date.now();
+    if (this.job) this.emit({ type: 'progress', ...this.job });
+  }
+}
+
+module.exports = { PlotterSession };
@@ -0,0 +1,70 @@
+// serial-connection.js - Serial port access for plotter streaming
+// Thin wrapper around the serialport package so the rest of the main process
+// only sees a stream with write() and 'data'/'close'/'error' events.
+
+const DEFAULT_BAUD_RATE = 115200;
+
+/**
+ * Load the serialport package (native module, loaded on first use)
+ */
+function loadSerialPort() {
+  try {
+    return require('serialport').SerialPort;
+  } catch (error) {
+    throw new Error(`Serial support is unavailable: ${error.message}`);
+  }
+}
+
+/**
+ * List serial ports that look like they could be a plotter
+ * @param {Function} SerialPortClass - SerialPort implementation (for tests)
+ * @returns {Promise<Array<{path: string, manufacturer: string, serialNumber: string}>>}
+ */
+async function listSerialPorts(SerialPortClass = loadSerialPort()) {
+  const ports = await SerialPortClass.list();
+  return ports.map(port => ({
+    path: port.path,
+    manufacturer: port.manufacturer || '',
+    serialNumber: port.serialNumber || ''
+  }));
+}
+
+/**
+ * Open a serial port
+ * @param {string} portPath - Device path (e.g. /dev/ttyUSB0 or COM3)
+ * @param {number} baudRate - Baud rate
+ * @param {Object} options - Extra SerialPort options (e.g. binding for tests)
+ * @param {Function} SerialPortClass - SerialPort implementation (for tests)
+ * @returns {Promise<Object>} Open port
+ */
+function openSerialPort(portPath, baudRate = DEFAULT_BAUD_RATE, options = {}, SerialPortClass = loadSerialPort()) {
+  return new Promise((resolve, reject) => {
+    const port = new SerialPortClass({ path: portPath, baudRate, autoOpen: false, ...options });
+    port.open(error => {
+      if (error) reject(new Error(`Could not open ${portPath}: ${error.message}`));
+      else resolve(port);
+    });
+  });
+}
+
+/**
+ * Close a serial port, ignoring ports that are already closed
+ * @param {Object} port - Open port
+ * @returns {Promise<void>}
+ */
+function closeSerialPort(port) {
+  return new Promise(resolve => {
+    if (!port || !port.isOpen) {
+      resolve();
+      return;
+    }
+    port.close(() => resolve());
+  });
+}
+
+module.exports = {
+  DEFAULT_BAUD_RATE,
+  listSerialPorts,
+  openSerialPort,
+  closeSerialPort
+};
@@ -0,0 +1,80 @@
+// tcp-connection.js - TCP access for plotter streaming
+// Wraps a socket in the same shape as an open serial port (write(), close()
+// and 'data'/'close'/'error' events) so GcodeSender can stream over it.
+
+const net = require('net');
+const { EventEmitter } = require('events');
+
+const CONNECT_TIMEOUT = 5000; // ms
+
+class TcpConnection extends EventEmitter {
+  /**
+   * @param {net.Socket} socket - Connected socket
+   */
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    socket.setNoDelay(true);
+    socket.on('data', data => this.emit('data', data));
+    socket.on('error', error => {
+      // 'close' follows, so an unheard error is not fatal
+      if (this.listenerCount('error') > 0) this.emit('error', error);
+    });
+    socket.on('close', () => this.emit('close'));
+  }
+
+  get isOpen() {
+    return !this.socket.destroyed;
+  }
+
+  write(data) {
+    this.socket.write(data);
+  }
+
+  /**
+   * Close the socket
+   * @param {Function} callback - Called once the socket is closed
+   */
+  close(callback) {
+    if (this.socket.destroyed) {
+      if (callback) callback();
+      return;
+    }
+    if (callback) this.socket.once('close', () => callback());
+    this.socket.end();
+    // Don't wait forever for the other side to finish
+    setTimeout(() => this.socket.destroy(), 1000).unref();
+  }
+}
+
+/**
+ * Open a TCP connection
+ * @param {string} host - Host name or address
+ * @param {number} port - TCP port
+ * @param {Object} options - timeout in ms (default 5000)
+ * @returns {Promise<TcpConnection>}
+ */
+function openTcpConnection(host, port, options = {}) {
+  const timeout = options.timeout || CONNECT_TIMEOUT;
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host, port });
+    const timer = setTimeout(() => {
+      socket.destroy();
+      reject(new Error(`Could not connect to ${host}:${port}: timed out`));
+    }, timeout);
+
+    socket.once('connect', () => {
+      clearTimeout(timer);
+      resolve(new TcpConnection(socket));
+    });
+    socket.once('error', error => {
+      clearTimeout(timer);
+      reject(new Error(`Could not connect to ${host}:${port}: ${error.message}`));
+    });
+  });
+}
+
+module.exports = {
+  TcpConnection,
+  openTcpConnection
+};
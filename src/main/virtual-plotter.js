@@ -0,0 +1,497 @@
+// virtual-plotter.js - Software plotter for testing the send pipeline
+// Answers like GRBL or Marlin, runs every line through the G-code interpreter
+// to track position and pen state, enforces soft limits from the machine's
+// work area and records what it drew as an SVG. Serve it over TCP or a
+// WebSocket with listen(), or run `npm run simulator -- --protocol grbl
+// --port 2323` to test another sender against it.
+
+const net = require('net');
+const http = require('http');
+const { EventEmitter } = require('events');
+const GcodeInterpreter = require('../lib/gcode-interpreter');
+const WorkArea = require('../lib/work-area');
+const { marlinChecksum } = require('./gcode-sender');
+const { OPCODE, encodeFrame, acceptWebSocket } = require('./websocket-connection');
+
+// Port path the app uses for the built-in simulator
+const VIRTUAL_PORT_PATH = 'virtual';
+
+const GRBL_BANNER = "Grbl 1.1h ['$' for help]";
+const MARLIN_BANNER = ['start', 'echo:Marlin virtual plotter'];
+
+// GRBL codes the simulator can report
+const GRBL_ERROR_LOCKED = 'error:9'; // G-code locked out during alarm
+const GRBL_ERROR_JOG_LIMIT = 'error:15'; // Jog target exceeds machine travel
+const GRBL_ALARM_SOFT_LIMIT = 'ALARM:2';
+
+/**
+ * Work area in machine coordinates, or null when the profile has none
+ * @param {Object} profile - Machine profile (workWidth, workHeight, origin)
+ * @returns {{minX: number, maxX: number, minY: number, maxY: number}|null}
+ */
+function machineLimits(profile) {
+  if (!(profile.workWidth > 0) || !(profile.workHeight > 0)) return null;
+  const [x0, y0] = WorkArea.bedToMachine(0, 0, profile);
+  const [x1, y1] = WorkArea.bedToMachine(profile.workWidth, profile.workHeight, profile);
+  return { minX: Math.min(x0, x1), maxX: Math.max(x0, x1), minY: Math.min(y0, y1), maxY: Math.max(y0, y1) };
+}
+
+function withinLimits(point, limits) {
+  const tolerance = 1e-6;
+  return point[0] >= limits.minX - tolerance && point[0] <= limits.maxX + tolerance &&
+    point[1] >= limits.minY - tolerance && point[1] <= limits.maxY + tolerance;
+}
+
+function clampToLimits(point, limits) {
+  return [
+    Math.min(limits.maxX, Math.max(limits.minX, point[0])),
+    Math.min(limits.maxY, Math.max(limits.minY, point[1]))
+  ];
+}
+
+function formatNumber(value) {
+  return Number(value.toFixed(3)).toString();
+}
+
+/**
+ * A plotter that exists only in memory
+ *
+ * Write controller input with receive(); replies are emitted as 'data'.
+ *
+ * Events:
+ * - 'data' (text) - controller output
+ * - 'limit' ({line, target}) - a move left the work area (GRBL alarms, Marlin clamps)
+ */
+class VirtualPlotter extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.protocol - 'grbl' or 'marlin'
+   * @param {Object} options.profile - Machine profile (work area, origin, pen commands)
+   * @param {boolean} options.softLimits - Enforce the work area (default true)
+   */
+  constructor(options = {}) {
+    super();
+    this.protocol = options.protocol || 'grbl';
+    this.profile = options.profile || {};
+    this.limits = options.softLimits === false ? null : machineLimits(this.profile);
+
+    this.server = null;
+    this.client = null;
+
+    this.machine = GcodeInterpreter.createMachine({ profile: this.profile });
+    this.lineCount = 0;
+    this.alarm = false;
+    this.clearDrawing();
+    this.resetController();
+  }
+
+  /**
+   * Forget what has been drawn (position and pen state are kept)
+   */
+  clearDrawing() {
+    this.paths = [];
+    this.current = null;
+    this.violations = [];
+  }
+
+  /**
+   * Controller state lost on a reset (buffered input, hold, line numbers)
+   * A soft-limit alarm survives a soft reset and needs $X to clear.
+   */
+  resetController() {
+    this.received = '';
+    this.held = false;
+    this.queue = []; // GRBL lines waiting for a cycle start
+    this.lastLineNumber = 0; // Marlin
+  }
+
+  /**
+   * Position, pen and alarm state
+   */
+  status() {
+    const state = this.machine.state;
+    return {
+      position: state.position.slice(),
+      z: state.z || 0,
+      penDown: state.penDown,
+      alarm: this.alarm,
+      held: this.held,
+      lines: this.lineCount
+    };
+  }
+
+  /**
+   * Startup message, as sent after the port opens (DTR reset)
+   */
+  sendBanner() {
+    if (this.protocol === 'grbl') this.respond(GRBL_BANNER);
+    else this.respond(...MARLIN_BANNER);
+  }
+
+  respond(...lines) {
+    this.emit('data', lines.map(line => line + '\n').join(''));
+  }
+
+  /**
+   * Take input from the host
+   * @param {string|Buffer} data - Bytes written by the sender
+   */
+  receive(data) {
+    for (const char of data.toString('latin1')) {
+      if (this.protocol === 'grbl' && this.handleRealtime(char)) continue;
+
+      if (char === '\n' || char === '\r') {
+        const line = this.received.trim();
+        this.received = '';
+        if (!line) continue;
+        if (this.held) this.queue.push(line);
+        else this.handleLine(line);
+      } else {
+        this.received += char;
+      }
+    }
+  }
+
+  /**
+   * GRBL real-time commands act immediately, even mid-line
+   * @returns {boolean} Whether the character was a real-time command
+   */
+  handleRealtime(char) {
+    switch (char) {
+      case '?':
+        this.respond(this.grblStatusReport());
+        return true;
+      case '!':
+        this.held = true;
+        return true;
+      case '~':
+        this.held = false;
+        while (!this.held && this.queue.length > 0) this.handleLine(this.queue.shift());
+        return true;
+      case '\x18':
+        // Soft reset: buffered lines are discarded, the position is kept
+        this.resetController();
+        this.sendBanner();
+        return true;
+      default:
+        return char.charCodeAt(0) >= 0x80; // Extended real-time commands (jog cancel, overrides)
+    }
+  }
+
+  grblStatusReport() {
+    const { position, z } = this.status();
+    const offset = this.machine.state.offset;
+    const state = this.alarm ? 'Alarm' : this.held ? 'Hold:0' : 'Idle';
+    const mpos = [position[0], position[1], z].map(formatNumber).join(',');
+    const wco = [offset[0], offset[1], 0].map(formatNumber).join(',');
+    return `<${state}|MPos:${mpos}|FS:0,0|WCO:${wco}>`;
+  }
+
+  handleLine(line) {
+    if (this.protocol === 'grbl') this.handleGrblLine(line);
+    else this.handleMarlinLine(line);
+  }
+
+  handleGrblLine(line) {
+    const upper = line.toUpperCase();
+
+    if (upper === '$X') {
+      this.alarm = false;
+      this.respond('[MSG:Caution: Unlocked]', 'ok');
+      return;
+    }
+    if (upper === '$H') {
+      this.alarm = false;
+      this.machine.state.position = [0, 0];
+      this.respond('ok');
+      return;
+    }
+    if (upper.startsWith('$J=')) {
+      this.respond(this.alarm ? GRBL_ERROR_LOCKED : this.jog(line.slice(3)));
+      return;
+    }
+    if (upper.startsWith('$')) {
+      this.respond('ok');
+      return;
+    }
+    if (this.alarm) {
+      this.respond(GRBL_ERROR_LOCKED);
+      return;
+    }
+
+    if (!this.execute(line)) {
+      // Soft limit: GRBL holds, resets and locks out G-code until $X
+      this.alarm = true;
+      this.queue = [];
+      this.respond(GRBL_ALARM_SOFT_LIMIT);
+      return;
+    }
+    this.respond('ok');
+  }
+
+  /**
+   * GRBL jog: a G1 move whose G90/G91 only apply to itself
+   * @returns {string} Response line
+   */
+  jog(command) {
+    const state = this.machine.state;
+    const saved = { motion: state.motion, absolute: state.absolute, scale: state.scale, feed: state.feed };
+    const ok = this.execute(`G1 ${command}`);
+    Object.assign(state, saved);
+    return ok ? 'ok' : GRBL_ERROR_JOG_LIMIT;
+  }
+
+  handleMarlinLine(line) {
+    let command = line;
+
+    const star = command.indexOf('*');
+    const numbered = /^N(\d+)\s*/i.exec(command);
+    if (star >= 0) {
+      const checksum = parseInt(command.slice(star + 1), 10);
+      command = command.slice(0, star);
+      if (marlinChecksum(command) !== checksum) {
+        this.requestResend('checksum mismatch');
+        return;
+      }
+    }
+    if (numbered) {
+      const number = parseInt(numbered[1], 10);
+      command = command.slice(numbered[0].length).trim();
+      if (/^M110\b/i.test(command)) {
+        // M110 N<n> sets the current line number (the N word after M110 wins)
+        const requested = /N(\d+)/i.exec(command.slice(4));
+        this.lastLineNumber = requested ? parseInt(requested[1], 10) : number;
+        this.respond('ok');
+        return;
+      }
+      if (number !== this.lastLineNumber + 1) {
+        this.requestResend('Line Number is not Last Line Number+1');
+        return;
+      }
+      this.lastLineNumber = number;
+    }
+
+    const upper = command.toUpperCase();
+    if (/^M114\b/.test(upper)) {
+      const { position, z } = this.status();
+      this.respond(`X:${position[0].toFixed(2)} Y:${position[1].toFixed(2)} Z:${z.toFixed(2)} E:0.00 Count X:0 Y:0 Z:0`, 'ok');
+      return;
+    }
+
+    // Marlin's software endstops clamp the move instead of stopping
+    this.execute(command, { clamp: true });
+    this.respond('ok');
+  }
+
+  requestResend(reason) {
+    this.respond(`Error:${reason}, Last Line: ${this.lastLineNumber}`, `Resend: ${this.lastLineNumber + 1}`, 'ok');
+  }
+
+  /**
+   * Run one G-code line through the interpreter and record pen-down moves
+   * @param {string} line - G-code line
+   * @param {Object} options - clamp (Marlin) or reject (GRBL) moves outside the work area
+   * @returns {boolean} False when the line was rejected by the soft limits
+   */
+  execute(line, options = {}) {
+    const state = this.machine.state;
+    const before = {
+      position: state.position,
+      offset: state.offset.slice(),
+      z: state.z,
+      penDown: state.penDown
+    };
+
+    const lineNumber = this.lineCount++;
+    let items = this.machine.execute(line, lineNumber);
+
+    const outside = this.limits && items.find(item => item.type === 'move' && !withinLimits(item.to, this.limits));
+    if (outside) {
+      this.violations.push({ line: lineNumber, command: line, target: outside.to.slice() });
+      this.emit('limit', { line: lineNumber, target: outside.to.slice() });
+
+      if (!options.clamp) {
+        Object.assign(state, before);
+        return false;
+      }
+      items = items.map(item => item.type === 'move'
+        ? { ...item, from: clampToLimits(item.from, this.limits), to: clampToLimits(item.to, this.limits) }
+        : item);
+      state.position = clampToLimits(state.position, this.limits);
+    }
+
+    for (const item of items) this.record(item);
+    return true;
+  }
+
+  /**
+   * Extend the drawing with a program item
+   */
+  record(item) {
+    if (item.type !== 'move' || !item.penDown) {
+      this.current = null;
+      return;
+    }
+    if (item.from[0] === item.to[0] && item.from[1] === item.to[1]) return;
+    if (!this.current) {
+      this.current = [item.from.slice()];
+      this.paths.push(this.current);
+    }
+    this.current.push(item.to.slice());
+  }
+
+  /**
+   * What was drawn, as an SVG of the work area seen from above
+   * Coordinates are bed millimetres with the Y axis pointing down.
+   * @returns {string} SVG document
+   */
+  toSVG() {
+    const width = this.profile.workWidth || 0;
+    const height = this.profile.workHeight || 0;
+    const frame = { workWidth: width, workHeight: height, origin: this.profile.origin };
+
+    const polylines = this.paths.map(path => {
+      const points = path.map(([x, y]) => {
+        const [bx, by] = WorkArea.machineToBed(x, y, frame);
+        return `${formatNumber(bx)},${formatNumber(height - by)}`;
+      });
+      return `    <polyline points="${points.join(' ')}"/>`;
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}mm" height="${height}mm" viewBox="0 0 ${width} ${height}" data-limit-violations="${this.violations.length}">`,
+      `  <!-- Recorded by the gellyscope virtual plotter (${this.protocol}, origin ${this.profile.origin || 'bottom-left'}) -->`,
+      '  <g id="drawing" fill="none" stroke="#000000" stroke-width="0.3" stroke-linecap="round" stroke-linejoin="round">',
+      ...polylines,
+      '  </g>',
+      '</svg>',
+      ''
+    ].join('\n');
+  }
+
+  // ============ NETWORK SERVER ============
+
+  /**
+   * Serve the plotter on a TCP port (one client at a time, like a serial port)
+   * @param {number} port - Port, 0 for any free port
+   * @param {string} host - Address to bind (default 127.0.0.1)
+   * @param {Object} options - websocket: accept WebSocket clients (FluidNC
+   *   style, output in binary frames) instead of raw TCP
+   * @returns {Promise<{host: string, port: number}>}
+   */
+  listen(port = 0, host = '127.0.0.1', options = {}) {
+    if (options.websocket) {
+      this.server = http.createServer((request, response) => {
+        response.writeHead(426, { 'Content-Type': 'text/plain' });
+        response.end('WebSocket only');
+      });
+      this.server.on('upgrade', (request, socket, head) => {
+        const client = acceptWebSocket(request, socket, head);
+        if (!client) return;
+        // Web UI bookkeeping FluidNC sends first; senders must ignore it
+        socket.write(encodeFrame(OPCODE.text, 'CURRENT_ID:0', false));
+        this.attachClient(client);
+      });
+    } else {
+      this.server = net.createServer(socket => {
+        socket.setNoDelay(true);
+        this.attachClient(socket);
+      });
+    }
+    this.onOutput = text => {
+      if (this.client) this.client.write(text);
+    };
+    this.on('data', this.onOutput);
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.removeListener('error', reject);
+        resolve({ host, port: this.server.address().port });
+      });
+    });
+  }
+
+  /**
+   * @param {Object} client - Socket or WebSocket with write(), destroy() and
+   *   'data'/'error'/'close' events
+   */
+  attachClient(client) {
+    if (this.client) this.client.destroy();
+    this.client = client;
+
+    // A new connection reboots the controller, as opening a serial port does
+    this.alarm = false;
+    this.resetController();
+    client.on('data', data => this.receive(data));
+    client.on('error', () => {});
+    client.on('close', () => {
+      if (this.client === client) this.client = null;
+    });
+    this.sendBanner();
+  }
+
+  /**
+   * Stop serving and drop the client
+   * @returns {Promise<void>}
+   */
+  close() {
+    if (this.onOutput) this.removeListener('data', this.onOutput);
+    if (this.client) this.client.destroy();
+    this.client = null;
+    const server = this.server;
+    this.server = null;
+    return new Promise(resolve => {
+      if (!server) resolve();
+      else server.close(() => resolve());
+    });
+  }
+}
+
+module.exports = {
+  VIRTUAL_PORT_PATH,
+  VirtualPlotter,
+  machineLimits
+};
+
+// Standalone simulator: node src/main/virtual-plotter.js [--protocol grbl|marlin]
+//   [--port 2323] [--websocket] [--machine <id>] [--svg drawing.svg]
+if (require.main === module) {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const machineProfiles = require('./machine-profiles');
+
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 && args[index + 1] ? args[index + 1] : fallback;
+  };
+
+  const store = machineProfiles.loadMachineStore(path.join(os.homedir(), 'gellyroller', 'machines.json'));
+  const profile = machineProfiles.getProfile(store, option('machine', store.activeId));
+  const plotter = new VirtualPlotter({ protocol: option('protocol', profile.protocol), profile });
+  const svgPath = option('svg', null);
+  const websocket = args.includes('--websocket');
+
+  plotter.on('limit', ({ line, target }) => {
+    console.log(`Soft limit: line ${line + 1} moves to ${target.map(formatNumber).join(', ')}`);
+  });
+
+  plotter.listen(parseInt(option('port', '2323'), 10), '127.0.0.1', { websocket }).then(({ host, port }) => {
+    const address = websocket ? `ws://${host}:${port}/` : `${host}:${port}`;
+    console.log(`Virtual ${plotter.protocol} plotter "${profile.name}" listening on ${address}`);
+  }, error => {
+    console.error(`Could not start the simulator: ${error.message}`);
+    process.exit(1);
+  });
+
+  process.on('SIGINT', () => {
+    if (svgPath) {
+      fs.writeFileSync(svgPath, plotter.toSVG());
+      console.log(`Saved drawing to ${svgPath}`);
+    }
+    plotter.close().then(() => process.exit(0));
+  });
+}
@@ -0,0 +1,137 @@
+// vpype-config.js - Reads gwrite profiles from vpype.toml
+// Older versions kept the machine's gwrite profile in the app's vpype.toml; it
+// is read once to import those profiles into machines.json (see
+// machine-profiles.js). Only the subset of TOML used by vpype configs is
+// supported: tables, strings, numbers and booleans.
+
+const fs = require('fs');
+
+/**
+ * Decode escape sequences in a TOML basic string
+ */
+function unescapeBasic(str) {
+  return str.replace(/\\(u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|.)/g, (match, seq) => {
+    switch (seq[0]) {
+      case 'n': return '\n';
+      case 't': return '\t';
+      case 'r': return '\r';
+      case 'b': return '\b';
+      case 'f': return '\f';
+      case '"': return '"';
+      case '\\': return '\\';
+      case 'u':
+      case 'U':
+        return String.fromCodePoint(parseInt(seq.slice(1), 16));
+      default:
+        return match;
+    }
+  });
+}
+
+/**
+ * Parse the value part of a key/value line
+ * @param {string} raw - Text after the '=' sign
+ * @param {string[]} lines - All lines (for multi-line strings)
+ * @param {number} index - Current line index
+ * @returns {{value: *, nextIndex: number}}
+ */
+function parseValue(raw, lines, index) {
+  const text = raw.trim();
+
+  // Multi-line strings
+  for (const quote of ['"""', "'''"]) {
+    if (text.startsWith(quote)) {
+      let body = text.slice(3);
+      let i = index;
+      let end = body.indexOf(quote);
+      while (end === -1 && i + 1 < lines.length) {
+        i++;
+        body += '\n' + lines[i];
+        end = body.indexOf(quote);
+      }
+      body = end === -1 ? body : body.slice(0, end);
+      // A newline directly after the opening quotes is trimmed
+      if (body.startsWith('\n')) body = body.slice(1);
+      return { value: quote === '"""' ? unescapeBasic(body) : body, nextIndex: i + 1 };
+    }
+  }
+
+  if (text.startsWith('"')) {
+    const match = text.match(/^"((?:[^"\\]|\\.)*)"/);
+    return { value: match ? unescapeBasic(match[1]) : '', nextIndex: index + 1 };
+  }
+
+  if (text.startsWith("'")) {
+    const match = text.match(/^'([^']*)'/);
+    return { value: match ? match[1] : '', nextIndex: index + 1 };
+  }
+
+  const bare = text.replace(/\s*#.*$/, '');
+  if (bare === 'true') return { value: true, nextIndex: index + 1 };
+  if (bare === 'false') return { value: false, nextIndex: index + 1 };
+  const num = Number(bare.replace(/_/g, ''));
+  return { value: isNaN(num) ? bare : num, nextIndex: index + 1 };
+}
+
+/**
+ * Parse TOML text into a nested object
+ * @param {string} text - TOML source
+ * @returns {Object} Parsed tables
+ */
+function parseToml(text) {
+  const root = {};
+  let table = root;
+  const lines = text.split(/\r?\n/);
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i].trim();
+
+    if (!line || line.startsWith('#')) {
+      i++;
+      continue;
+    }
+
+    const header = line.match(/^\[([^\]]+)\]/);
+    if (header) {
+      table = root;
+      for (const key of header[1].split('.').map(k => k.trim().replace(/^["']|["']$/g, ''))) {
+        if (!table[key] || typeof table[key] !== 'object') table[key] = {};
+        table = table[key];
+      }
+      i++;
+      continue;
+    }
+
+    const eq = line.indexOf('=');
+    if (eq === -1) {
+      i++;
+      continue;
+    }
+
+    const key = line.slice(0, eq).trim().replace(/^["']|["']$/g, '');
+    const { value, nextIndex } = parseValue(line.slice(eq + 1), lines, i);
+    table[key] = value;
+    i = nextIndex;
+  }
+
+  return root;
+}
+
+/**
+ * Load all gwrite profiles from a vpype config file
+ * @param {string} configPath - Path to vpype.toml
+ * @returns {Object} Map of profile name to profile settings
+ */
+function loadGwriteProfiles(configPath) {
+  if (!fs.existsSync(configPath)) {
+    return {};
+  }
+  const config = parseToml(fs.readFileSync(configPath, 'utf8'));
+  return config.gwrite || {};
+}
+
+module.exports = {
+  parseToml,
+  loadGwriteProfiles
+};
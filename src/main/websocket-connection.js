@@ -0,0 +1,326 @@
+// websocket-connection.js - WebSocket access for plotter streaming
+// ESP32 controllers (FluidNC, ESP3D) take G-code over a WebSocket as well as
+// telnet. Node has no WebSocket client here, so this is a small RFC 6455
+// implementation over net: the client side for the app and the server side for
+// the virtual plotter, both shaped like an open serial port (write(), close()
+// and 'data'/'close'/'error' events) so GcodeSender can stream over them.
+
+const net = require('net');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const CONNECT_TIMEOUT = 5000; // ms
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+// Sub-protocol the ESP32 WebSocket servers expect from their web UIs
+const SUBPROTOCOL = 'arduino';
+
+const OPCODE = {
+  continuation: 0x0,
+  text: 0x1,
+  binary: 0x2,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xa
+};
+
+// Web UI bookkeeping sent as text frames by FluidNC/ESP3D, not controller output
+const WEBUI_MESSAGE = /^(CURRENT_ID|ACTIVE_ID|PING|currentID|activeID|DHT|ERROR):/;
+
+/**
+ * Value for Sec-WebSocket-Accept
+ */
+function acceptKey(key) {
+  return crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+}
+
+/**
+ * Encode a single (final) frame
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer|string} payload - Frame payload
+ * @param {boolean} masked - Clients must mask, servers must not
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload, masked) {
+  const data = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload), 'utf8');
+  let header;
+  if (data.length < 126) {
+    header = Buffer.from([0x80 | opcode, data.length]);
+  } else if (data.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(data.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(data.length), 2);
+  }
+  if (!masked) return Buffer.concat([header, data]);
+
+  header[1] |= 0x80;
+  const mask = crypto.randomBytes(4);
+  const body = Buffer.alloc(data.length);
+  for (let i = 0; i < data.length; i++) body[i] = data[i] ^ mask[i % 4];
+  return Buffer.concat([header, mask, body]);
+}
+
+/**
+ * Splits a byte stream into frames
+ */
+class FrameParser {
+  constructor() {
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Add received bytes
+   * @param {Buffer} chunk - Received bytes
+   * @returns {Array<{fin: boolean, opcode: number, payload: Buffer}>} Complete frames
+   */
+  push(chunk) {
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+    const frames = [];
+
+    for (;;) {
+      const buffer = this.buffer;
+      if (buffer.length < 2) break;
+
+      let length = buffer[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (buffer.length < 4) break;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (buffer.length < 10) break;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+      const masked = (buffer[1] & 0x80) !== 0;
+      const mask = masked ? buffer.subarray(offset, offset + 4) : null;
+      if (masked) offset += 4;
+      if (buffer.length < offset + length) break;
+
+      const payload = Buffer.from(buffer.subarray(offset, offset + length));
+      if (mask) {
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+      }
+      frames.push({ fin: (buffer[0] & 0x80) !== 0, opcode: buffer[0] & 0x0f, payload });
+      this.buffer = buffer.subarray(offset + length);
+    }
+
+    return frames;
+  }
+}
+
+/**
+ * One end of an open WebSocket
+ *
+ * Messages are emitted as 'data' (Buffer). Writes are sent as text frames,
+ * or binary frames on the server side (FluidNC sends controller output that way).
+ */
+class WebSocketConnection extends EventEmitter {
+  /**
+   * @param {net.Socket} socket - Socket after the handshake
+   * @param {Object} options - client: mask outgoing frames; binary: write
+   *   binary frames; filterWebUi: drop web UI bookkeeping messages; head: bytes
+   *   received after the handshake
+   */
+  constructor(socket, options = {}) {
+    super();
+    this.socket = socket;
+    this.client = Boolean(options.client);
+    this.opcode = options.binary ? OPCODE.binary : OPCODE.text;
+    this.filterWebUi = Boolean(options.filterWebUi);
+    this.parser = new FrameParser();
+    this.fragments = null;
+    this.closing = false;
+
+    socket.setNoDelay(true);
+    socket.on('data', data => this.receive(data));
+    socket.on('error', error => {
+      // 'close' follows, so an unheard error is not fatal
+      if (this.listenerCount('error') > 0) this.emit('error', error);
+    });
+    socket.on('close', () => this.emit('close'));
+    // Bytes that came with the handshake (a banner) wait until listeners are attached
+    if (options.head && options.head.length > 0) setImmediate(() => this.receive(options.head));
+  }
+
+  get isOpen() {
+    return !this.socket.destroyed && !this.closing;
+  }
+
+  write(data) {
+    if (!this.isOpen) return;
+    this.socket.write(encodeFrame(this.opcode, data, this.client));
+  }
+
+  receive(chunk) {
+    for (const frame of this.parser.push(chunk)) {
+      switch (frame.opcode) {
+        case OPCODE.ping:
+          if (!this.socket.destroyed) this.socket.write(encodeFrame(OPCODE.pong, frame.payload, this.client));
+          break;
+        case OPCODE.pong:
+          break;
+        case OPCODE.close:
+          if (!this.closing && !this.socket.destroyed) {
+            this.closing = true;
+            this.socket.end(encodeFrame(OPCODE.close, frame.payload.subarray(0, 2), this.client));
+          }
+          break;
+        default:
+          this.receiveData(frame);
+      }
+    }
+  }
+
+  /**
+   * Reassemble fragmented messages and pass them on
+   */
+  receiveData(frame) {
+    if (frame.opcode !== OPCODE.continuation) {
+      this.fragments = { opcode: frame.opcode, parts: [] };
+    }
+    if (!this.fragments) return;
+    this.fragments.parts.push(frame.payload);
+    if (!frame.fin) return;
+
+    const { opcode, parts } = this.fragments;
+    this.fragments = null;
+    const message = Buffer.concat(parts);
+    if (opcode === OPCODE.text && this.filterWebUi && WEBUI_MESSAGE.test(message.toString('utf8'))) return;
+    this.emit('data', message);
+  }
+
+  /**
+   * Close the WebSocket
+   * @param {Function} callback - Called once the socket is closed
+   */
+  close(callback) {
+    if (this.socket.destroyed) {
+      if (callback) callback();
+      return;
+    }
+    if (callback) this.socket.once('close', () => callback());
+    if (!this.closing) {
+      this.closing = true;
+      this.socket.write(encodeFrame(OPCODE.close, Buffer.from([0x03, 0xe8]), this.client)); // 1000: normal
+    }
+    // Don't wait forever for the other side to answer
+    setTimeout(() => this.socket.destroy(), 1000).unref();
+  }
+
+  destroy() {
+    this.socket.destroy();
+  }
+}
+
+/**
+ * Open a WebSocket to a controller
+ * @param {string} host - Host name or address
+ * @param {number} port - TCP port
+ * @param {Object} options - path (default '/'), timeout in ms (default 5000)
+ * @returns {Promise<WebSocketConnection>}
+ */
+function openWebSocketConnection(host, port, options = {}) {
+  const timeout = options.timeout || CONNECT_TIMEOUT;
+  const requestPath = options.path || '/';
+  const key = crypto.randomBytes(16).toString('base64');
+  const fail = message => new Error(`Could not connect to ws://${host}:${port}${requestPath}: ${message}`);
+
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host, port });
+    let response = Buffer.alloc(0);
+
+    const finish = error => {
+      clearTimeout(timer);
+      socket.removeListener('data', onData);
+      socket.removeListener('error', onError);
+      if (error) {
+        socket.destroy();
+        reject(error);
+      }
+    };
+    const timer = setTimeout(() => finish(fail('timed out')), timeout);
+
+    const onData = chunk => {
+      response = Buffer.concat([response, chunk]);
+      const end = response.indexOf('\r\n\r\n');
+      if (end < 0) return;
+
+      const lines = response.subarray(0, end).toString('latin1').split('\r\n');
+      const headers = {};
+      for (const line of lines.slice(1)) {
+        const colon = line.indexOf(':');
+        if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+      }
+      if (!/^HTTP\/1\.1 101/.test(lines[0])) {
+        finish(fail(lines[0] || 'no handshake response'));
+        return;
+      }
+      if (headers['sec-websocket-accept'] !== acceptKey(key)) {
+        finish(fail('invalid handshake response'));
+        return;
+      }
+
+      finish(null);
+      resolve(new WebSocketConnection(socket, { client: true, filterWebUi: true, head: response.subarray(end + 4) }));
+    };
+
+    socket.once('connect', () => {
+      socket.write([
+        `GET ${requestPath} HTTP/1.1`,
+        `Host: ${host}:${port}`,
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Key: ${key}`,
+        'Sec-WebSocket-Version: 13',
+        `Sec-WebSocket-Protocol: ${SUBPROTOCOL}`,
+        '',
+        ''
+      ].join('\r\n'));
+    });
+    const onError = error => finish(fail(error.message));
+    socket.on('data', onData);
+    socket.on('error', onError);
+  });
+}
+
+/**
+ * Complete the server side of a handshake (http server 'upgrade' event)
+ * @param {http.IncomingMessage} request - Upgrade request
+ * @param {net.Socket} socket - Request socket
+ * @param {Buffer} head - Bytes received after the request
+ * @returns {WebSocketConnection|null} Null when the request was refused
+ */
+function acceptWebSocket(request, socket, head) {
+  const key = request.headers['sec-websocket-key'];
+  if (!key || String(request.headers.upgrade).toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return null;
+  }
+
+  const protocols = String(request.headers['sec-websocket-protocol'] || '').split(',').map(value => value.trim());
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+    ...(protocols.includes(SUBPROTOCOL) ? [`Sec-WebSocket-Protocol: ${SUBPROTOCOL}`] : []),
+    '',
+    ''
+  ].join('\r\n'));
+  return new WebSocketConnection(socket, { binary: true, head });
+}
+
+module.exports = {
+  OPCODE,
+  encodeFrame,
+  FrameParser,
+  WebSocketConnection,
+  openWebSocketConnection,
+  acceptWebSocket
+};
@@ -0,0 +1,46 @@
+// workspace-files.js - What the galleries list from the gellyroller workspace
+// The app also writes files for itself next to the user's work, such as the
+// simulator's recording of each plotted G-code file; those are not artwork
+// and are kept out of the lists.
+
+const fs = require('fs');
+const path = require('path');
+
+// Simulator recordings: <job>.sim.svg next to <job>.gcode
+const SIMULATION_SUFFIX = '.sim.svg';
+
+/**
+ * Where the simulator's drawing of a G-code file is saved (next to the file)
+ */
+function getSimulatedDrawingPath(gcodeFilePath) {
+  const parsed = path.parse(gcodeFilePath);
+  return path.join(parsed.dir, parsed.name + SIMULATION_SUFFIX);
+}
+
+/**
+ * Whether a workspace file is a vector for the Vectors tab
+ * @param {string} fileName
+ */
+function isVectorFile(fileName) {
+  const lower = fileName.toLowerCase();
+  return path.extname(lower) === '.svg' && !lower.endsWith(SIMULATION_SUFFIX);
+}
+
+/**
+ * Vector files in a workspace directory
+ * @param {string} dirPath
+ * @returns {Array<{name: string, path: string}>}
+ */
+function listVectorFiles(dirPath) {
+  return fs.readdirSync(dirPath).filter(isVectorFile).map(file => ({
+    name: file,
+    path: path.join(dirPath, file)
+  }));
+}
+
+module.exports = {
+  SIMULATION_SUFFIX,
+  getSimulatedDrawingPath,
+  isVectorFile,
+  listVectorFiles
+};
@@ -4,8 +4,9 @@
 import { debugLog } from './shared/debug.js';
 import { state, setState } from './shared/state.js';
 import { toMm, fromMm } from './shared/utils.js';
-import { PAGE_SIZES, getWorkspaceWidth, getWorkspaceHeight } from './hardware.js';
+import { PAGE_SIZES, getGcodeBackend, getMachineProfiles, getMachineProfile } from './hardware.js';
 import { updateStatusBar } from './shared/statusBar.js';
+import { addToJobQueue } from './plotter.js';
 
 // ============ MODULE STATE ============
 
@@ -16,9 +17,13 @@ let ejectPageBackgroundElement = null;
 let ejectOriginalAspectRatio = 1; // Store original SVG aspect ratio
 let ejectPreviousUnit = 'in'; // Track previous unit for conversion
 let ejectScale = 100; // Scale percentage for the art (100 = 100%)
-let ejectPositionX = 0; // X offset in pixels from center
-let ejectPositionY = 0; // Y offset in pixels from center
+let ejectPositionX = 0; // X offset of the artwork center from the page center (mm)
+let ejectPositionY = 0; // Y offset of the artwork center from the page center (mm, down)
+let ejectRotation = 0; // Artwork rotation in degrees (clockwise)
+let ejectMmToPixelRatio = 1; // Preview pixels per mm on the page
 let ejectWorkAreaPosition = 'center'; // Position in work area: top-left, top-center, top-right, center-left, center, center-right, bottom-left, bottom-center, bottom-right
+let ejectMachineId = null; // Target machine profile for this job (null = active machine)
+let ejectPenMap = {}; // Pen number chosen for each pen group (layer id or color)
 let isDragging = false;
 let dragStartX = 0;
 let dragStartY = 0;
@@ -37,6 +42,11 @@ export function loadEjectTab() {
   const ejectDimensions = document.getElementById('ejectDimensions');
   const ejectTopToolbar = document.getElementById('ejectTopToolbar');
   const ejectBottomToolbar = document.getElementById('ejectBottomToolbar');
+  const ejectOptimizeToolbar = document.getElementById('ejectOptimizeToolbar');
+  const ejectHatchToolbar = document.getElementById('ejectHatchToolbar');
+  const ejectPenToolbar = document.getElementById('ejectPenToolbar');
+
+  populateEjectMachineSelect();
 
   if (state.currentSVGData && state.currentSVGData.content) {
     // Hide message and show SVG container
@@ -44,12 +54,23 @@ export function loadEjectTab() {
     ejectSvgContainer.style.display = 'flex';
     ejectTopToolbar.style.display = 'flex';
     ejectBottomToolbar.style.display = 'flex';
+    ejectOptimizeToolbar.style.display = 'flex';
+    ejectHatchToolbar.style.display = 'flex';
+    ejectPenToolbar.style.display = 'flex';
+
+    // Pen groups belong to the loaded file
+    ejectPenMap = {};
+    refreshEjectPenGroups();
 
-    // Reset position and scale for new SVG
+    // Reset position, rotation and scale for new SVG
     ejectPositionX = 0;
     ejectPositionY = 0;
+    ejectRotation = 0;
     ejectScale = 100;
 
+    const rotationInput = document.getElementById('ejectRotationInput');
+    if (rotationInput) rotationInput.value = 0;
+
     // Update scale slider if it exists
     const scaleSlider = document.getElementById('ejectScaleSlider');
     const scaleValue = document.getElementById('ejectScaleValue');
@@ -111,6 +132,11 @@ export function loadEjectTab() {
         path.style.strokeWidth = '1';
       });
 
+      // Keep the drawing scaled to the container (as in the generated output)
+      if (!viewBox && width && height && /^[\d.]+(px)?$/.test(svg.getAttribute('width') || '')) {
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+      }
+
       svg.removeAttribute('width');
       svg.removeAttribute('height');
       svg.style.width = '100%';
@@ -126,8 +152,8 @@ export function loadEjectTab() {
     updateEjectPageSizeButtons();
 
     // Update status bar with eject information
-    const workspaceWidth = getWorkspaceWidth();
-    const workspaceHeight = getWorkspaceHeight();
+    const workspaceWidth = getEjectMachine().workWidth;
+    const workspaceHeight = getEjectMachine().workHeight;
     const outputWidth = parseFloat(document.getElementById('ejectCustomWidth').value);
     const outputHeight = parseFloat(document.getElementById('ejectCustomHeight').value);
     const outputUnit = document.getElementById('ejectCustomUnit').value;
@@ -145,6 +171,9 @@ export function loadEjectTab() {
     ejectSvgContainer.style.display = 'none';
     ejectTopToolbar.style.display = 'none';
     ejectBottomToolbar.style.display = 'none';
+    ejectOptimizeToolbar.style.display = 'none';
+    ejectHatchToolbar.style.display = 'none';
+    ejectPenToolbar.style.display = 'none';
     ejectMessage.textContent = 'No vector image loaded';
 
     // Update status bar to show no vector loaded
@@ -155,8 +184,197 @@ export function loadEjectTab() {
   updateEjectNavButton();
 }
 
+// ============ MACHINE SELECTION ============
+
+/**
+ * Get the machine profile this job will be generated for
+ */
+function getEjectMachine() {
+  return getMachineProfile(ejectMachineId);
+}
+
+/**
+ * Fill the machine selector with the saved profiles
+ * Keeps the current choice if that profile still exists
+ */
+function populateEjectMachineSelect() {
+  const select = document.getElementById('ejectMachineSelect');
+  if (!select) return;
+
+  const profiles = getMachineProfiles();
+  if (!profiles.some(p => p.id === ejectMachineId)) {
+    ejectMachineId = null;
+  }
+
+  select.innerHTML = '';
+  for (const profile of profiles) {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name;
+    select.appendChild(option);
+  }
+  select.value = getEjectMachine().id;
+}
+
+/**
+ * Handle machine selection change
+ */
+function handleMachineChange(e) {
+  ejectMachineId = e.target.value;
+  debugLog('Eject target machine:', getEjectMachine().name);
+
+  // Work area limits and timing depend on the machine
+  updateEjectPageSizeButtons();
+  clearEjectEstimate();
+}
+
+/**
+ * Handle work area position button click
+ */
+function handleWorkAreaPositionClick(btn) {
+  ejectWorkAreaPosition = btn.dataset.position;
+  document.querySelectorAll('#ejectPositionGrid .position-btn').forEach(b => {
+    b.classList.toggle('active', b === btn);
+  });
+  debugLog('Work area position:', ejectWorkAreaPosition);
+}
+
+// ============ PATH OPTIMIZATION ============
+
+/**
+ * Read the path optimization options from the optimize toolbar
+ * @returns {Object} Options for the G-code generator (see path-optimizer.js)
+ */
+function getEjectOptimizeOptions() {
+  const options = {};
+  document.querySelectorAll('#ejectOptimizeToolbar [data-option]').forEach(input => {
+    if (input.type === 'checkbox') {
+      options[input.dataset.option] = input.checked;
+    } else {
+      const value = parseFloat(input.value);
+      options[input.dataset.option] = isNaN(value) || value < 0 ? 0 : value;
+    }
+  });
+  return options;
+}
+
+/**
+ * Show the travel saved by the last optimization
+ * @param {Object|null} stats - {travelBefore, travelAfter, pathsBefore, pathsAfter}
+ */
+function showEjectOptimizeReport(stats) {
+  const report = document.getElementById('ejectOptimizeReport');
+  if (!report) return;
+
+  if (!stats) {
+    report.textContent = '';
+    return;
+  }
+
+  const saved = stats.travelBefore > 0 ? (1 - stats.travelAfter / stats.travelBefore) * 100 : 0;
+  report.textContent = `Last job: travel ${stats.travelBefore.toFixed(0)} → ${stats.travelAfter.toFixed(0)} mm ` +
+    `(−${saved.toFixed(0)}%), ${stats.pathsBefore} → ${stats.pathsAfter} paths`;
+}
+
+/**
+ * Read the hatch options from the fill toolbar
+ * @returns {Object|null} Options for the G-code generator (angle, penWidth,
+ *   density, crossHatch, outline), null when filled shapes are not hatched
+ */
+function getEjectHatchOptions() {
+  const options = {};
+  document.querySelectorAll('#ejectHatchToolbar [data-option]').forEach(input => {
+    options[input.dataset.option] = input.type === 'checkbox' ? input.checked : parseFloat(input.value);
+  });
+  if (!options.enabled) return null;
+
+  delete options.enabled;
+  if (isNaN(options.angle)) options.angle = 0;
+  if (!(options.penWidth > 0)) options.penWidth = 0.5;
+  if (!(options.density > 0)) options.density = 1;
+  return options;
+}
+
+// ============ PENS ============
+
+/**
+ * Read the multi-pen options from the pens toolbar
+ * @returns {Object|null} Options for the G-code generator (by, output, map), null for a single pen
+ */
+function getEjectPenOptions() {
+  const by = document.getElementById('ejectPenBy')?.value;
+  if (!by) return null;
+  return {
+    by,
+    output: document.getElementById('ejectPenOutput').value,
+    map: { ...ejectPenMap }
+  };
+}
+
+/**
+ * List the loaded file's layers or colors with a pen number for each
+ */
+async function refreshEjectPenGroups() {
+  const container = document.getElementById('ejectPenGroups');
+  const by = document.getElementById('ejectPenBy')?.value;
+  const output = document.getElementById('ejectPenOutput');
+  if (!container) return;
+
+  container.innerHTML = '';
+  if (output) output.disabled = !by;
+  if (!by || !state.currentSVGData || !state.currentSVGData.path) return;
+
+  const result = await window.electronAPI.svgPenGroups(state.currentSVGData.path, by);
+  if (!result.success) {
+    container.textContent = 'Could not read the layers';
+    console.error('Error reading pen groups:', result.error);
+    return;
+  }
+
+  result.data.forEach((group, index) => {
+    const item = document.createElement('label');
+    item.className = 'eject-pen-group';
+    item.title = `${group.shapes} shape${group.shapes === 1 ? '' : 's'}`;
+
+    const swatch = document.createElement('span');
+    swatch.className = 'eject-pen-swatch';
+    swatch.style.background = group.color;
+    item.appendChild(swatch);
+    item.appendChild(document.createTextNode(`${group.name} → pen`));
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'custom-input eject-pen-number';
+    input.min = 1;
+    input.step = 1;
+    input.value = ejectPenMap[group.key] || index + 1;
+    ejectPenMap[group.key] = Number(input.value);
+    input.addEventListener('change', () => {
+      const pen = parseInt(input.value, 10);
+      ejectPenMap[group.key] = pen > 0 ? pen : index + 1;
+      input.value = ejectPenMap[group.key];
+      clearEjectEstimate();
+    });
+    item.appendChild(input);
+    container.appendChild(item);
+  });
+
+  if (result.data.length === 1) {
+    container.appendChild(document.createTextNode(`Only one ${by} found`));
+  }
+}
+
 // ============ DIMENSION HELPERS ============
 
+/**
+ * Get the artwork placement on the page as shown in the preview
+ * @returns {{offsetX: number, offsetY: number, rotation: number}} Offset of the artwork
+ *   center from the page center (mm, Y down) and rotation (degrees, clockwise)
+ */
+function getEjectPlacement() {
+  return { offsetX: ejectPositionX, offsetY: ejectPositionY, rotation: ejectRotation };
+}
+
 /**
  * Get eject page dimensions in mm (respects layout orientation)
  */
@@ -310,6 +528,9 @@ function updateEjectPageBackground() {
 
   debugLog('Output dimensions:', outputWidth, '×', outputHeight, outputUnit);
 
+  // Scale factor to convert mm to display pixels, using the page as reference
+  ejectMmToPixelRatio = displayWidth / widthMm;
+
   let scaledWidth, scaledHeight;
 
   if (!isNaN(outputWidth) && !isNaN(outputHeight) && outputWidth > 0 && outputHeight > 0) {
@@ -317,15 +538,11 @@ function updateEjectPageBackground() {
     const outputWidthMm = toMm(outputWidth, outputUnit);
     const outputHeightMm = toMm(outputHeight, outputUnit);
 
-    // Calculate scale factor to convert mm to display pixels
-    // Using the page's display dimensions as reference
-    const mmToPixelRatio = displayWidth / widthMm;
-
-    scaledWidth = outputWidthMm * mmToPixelRatio;
-    scaledHeight = outputHeightMm * mmToPixelRatio;
+    scaledWidth = outputWidthMm * ejectMmToPixelRatio;
+    scaledHeight = outputHeightMm * ejectMmToPixelRatio;
 
     debugLog('Output dimensions in mm:', outputWidthMm + 'mm × ' + outputHeightMm + 'mm');
-    debugLog('MM to pixel ratio:', mmToPixelRatio);
+    debugLog('MM to pixel ratio:', ejectMmToPixelRatio);
     debugLog('Calculated scaled size:', scaledWidth + 'px × ' + scaledHeight + 'px');
   } else {
     debugLog('No output dimensions set, using full page size');
@@ -345,16 +562,27 @@ function updateEjectPageBackground() {
   ejectSvgContainer.style.maxWidth = finalWidth + 'px';
   ejectSvgContainer.style.maxHeight = finalHeight + 'px';
 
-  // Apply position offset
-  ejectSvgContainer.style.left = `calc(50% + ${ejectPositionX}px)`;
-  ejectSvgContainer.style.top = `calc(50% + ${ejectPositionY}px)`;
-  ejectSvgContainer.style.transform = 'translate(-50%, -50%)';
+  // Apply position offset and rotation
+  updateEjectArtworkTransform();
   ejectSvgContainer.style.position = 'absolute';
   ejectSvgContainer.style.cursor = 'move';
 
   debugLog('Eject page background updated:', ejectPageSize, widthMm + 'mm × ' + heightMm + 'mm', 'scale:', ejectScale + '%');
 }
 
+/**
+ * Position and rotate the artwork preview from the placement state
+ */
+function updateEjectArtworkTransform() {
+  const ejectSvgContainer = document.getElementById('ejectSvgContainer');
+  if (!ejectSvgContainer) return;
+
+  ejectSvgContainer.style.left = `calc(50% + ${ejectPositionX * ejectMmToPixelRatio}px)`;
+  ejectSvgContainer.style.top = `calc(50% + ${ejectPositionY * ejectMmToPixelRatio}px)`;
+  ejectSvgContainer.style.transform = `translate(-50%, -50%) rotate(${ejectRotation}deg)`;
+  clearEjectEstimate();
+}
+
 /**
  * Remove eject page background
  */
@@ -385,8 +613,8 @@ function updateEjectPageSizeButtons() {
   const outputUnit = document.getElementById('ejectCustomUnit').value;
 
   // Get work area dimensions for validation
-  const workAreaWidth = getWorkspaceWidth();
-  const workAreaHeight = getWorkspaceHeight();
+  const workAreaWidth = getEjectMachine().workWidth;
+  const workAreaHeight = getEjectMachine().workHeight;
 
   // If no valid dimensions, check only against work area
   if (isNaN(outputWidth) || isNaN(outputHeight) || outputWidth <= 0 || outputHeight <= 0) {
@@ -513,8 +741,8 @@ function handleLayoutToggle(btn) {
   debugLog('Eject layout changed:', layout);
 
   // Update status bar
-  const workspaceWidth = getWorkspaceWidth();
-  const workspaceHeight = getWorkspaceHeight();
+  const workspaceWidth = getEjectMachine().workWidth;
+  const workspaceHeight = getEjectMachine().workHeight;
   const outputWidth = parseFloat(document.getElementById('ejectCustomWidth').value);
   const outputHeight = parseFloat(document.getElementById('ejectCustomHeight').value);
   const outputUnit = document.getElementById('ejectCustomUnit').value;
@@ -534,13 +762,7 @@ function handleLayoutToggle(btn) {
 function handleHorizontalCenter() {
   // Reset horizontal position to center
   ejectPositionX = 0;
-
-  // Update SVG container position
-  const ejectSvgContainer = document.getElementById('ejectSvgContainer');
-  if (ejectSvgContainer) {
-    ejectSvgContainer.style.left = `calc(50% + ${ejectPositionX}px)`;
-    ejectSvgContainer.style.top = `calc(50% + ${ejectPositionY}px)`;
-  }
+  updateEjectArtworkTransform();
 
   debugLog('Artwork centered horizontally');
 }
@@ -551,15 +773,35 @@ function handleHorizontalCenter() {
 function handleVerticalCenter() {
   // Reset vertical position to center
   ejectPositionY = 0;
+  updateEjectArtworkTransform();
 
-  // Update SVG container position
-  const ejectSvgContainer = document.getElementById('ejectSvgContainer');
-  if (ejectSvgContainer) {
-    ejectSvgContainer.style.left = `calc(50% + ${ejectPositionX}px)`;
-    ejectSvgContainer.style.top = `calc(50% + ${ejectPositionY}px)`;
+  debugLog('Artwork centered vertically');
+}
+
+/**
+ * Set the artwork rotation (degrees, clockwise) and update the preview
+ */
+function setEjectRotation(degrees) {
+  // Keep the angle in (-360, 360) so the input stays readable
+  ejectRotation = degrees % 360;
+
+  const rotationInput = document.getElementById('ejectRotationInput');
+  if (rotationInput && parseFloat(rotationInput.value) !== ejectRotation) {
+    rotationInput.value = ejectRotation;
   }
 
-  debugLog('Artwork centered vertically');
+  updateEjectArtworkTransform();
+  debugLog('Artwork rotation:', ejectRotation + '°');
+}
+
+/**
+ * Handle rotation input change (free angle)
+ */
+function handleRotationInput(e) {
+  const degrees = parseFloat(e.target.value);
+  if (!isNaN(degrees)) {
+    setEjectRotation(degrees);
+  }
 }
 
 /**
@@ -701,8 +943,8 @@ function handleEjectScaleInput() {
     debugLog('Scale changed:', ejectScale + '%');
 
     // Update status bar
-    const workspaceWidth = getWorkspaceWidth();
-    const workspaceHeight = getWorkspaceHeight();
+    const workspaceWidth = getEjectMachine().workWidth;
+    const workspaceHeight = getEjectMachine().workHeight;
     const outputWidth = parseFloat(document.getElementById('ejectCustomWidth').value);
     const outputHeight = parseFloat(document.getElementById('ejectCustomHeight').value);
     const outputUnit = document.getElementById('ejectCustomUnit').value;
@@ -744,18 +986,14 @@ function handleSvgMouseDown(e) {
 function handleSvgMouseMove(e) {
   if (!isDragging) return;
 
-  const deltaX = e.clientX - dragStartX;
-  const deltaY = e.clientY - dragStartY;
+  // Convert the screen delta into page millimetres
+  const deltaX = (e.clientX - dragStartX) / ejectMmToPixelRatio;
+  const deltaY = (e.clientY - dragStartY) / ejectMmToPixelRatio;
 
   ejectPositionX = dragOffsetX + deltaX;
   ejectPositionY = dragOffsetY + deltaY;
 
-  // Update SVG container position
-  const ejectSvgContainer = document.getElementById('ejectSvgContainer');
-  if (ejectSvgContainer) {
-    ejectSvgContainer.style.left = `calc(50% + ${ejectPositionX}px)`;
-    ejectSvgContainer.style.top = `calc(50% + ${ejectPositionY}px)`;
-  }
+  updateEjectArtworkTransform();
 
   e.preventDefault();
 }
@@ -774,7 +1012,7 @@ function handleSvgMouseUp(e) {
     ejectSvgContainer.style.cursor = 'move';
   }
 
-  debugLog('Art repositioned:', ejectPositionX + 'px,', ejectPositionY + 'px');
+  debugLog('Art repositioned:', ejectPositionX.toFixed(1) + 'mm,', ejectPositionY.toFixed(1) + 'mm');
 
   e.preventDefault();
 }
@@ -848,27 +1086,26 @@ async function handleSaveSvg() {
   // Create a group for the artwork
   const artworkGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
 
-  // Calculate position to center the artwork on the page
-  const offsetX = (pageWidthMm - scaledOutputWidthMm) / 2;
-  const offsetY = (pageHeightMm - scaledOutputHeightMm) / 2;
-
-  // Calculate the scale factor from original SVG to desired output size
-  let originalWidth, originalHeight;
+  // Original drawing box (viewBox, or width/height)
+  let originalX = 0, originalY = 0, originalWidth, originalHeight;
   const viewBox = svgElement.getAttribute('viewBox');
   if (viewBox) {
-    const viewBoxValues = viewBox.split(/\s+/);
-    originalWidth = parseFloat(viewBoxValues[2]);
-    originalHeight = parseFloat(viewBoxValues[3]);
+    const viewBoxValues = viewBox.trim().split(/[\s,]+/).map(parseFloat);
+    [originalX, originalY, originalWidth, originalHeight] = viewBoxValues;
   } else {
     originalWidth = parseFloat(svgElement.getAttribute('width')) || 100;
     originalHeight = parseFloat(svgElement.getAttribute('height')) || 100;
   }
 
-  const scaleX = scaledOutputWidthMm / originalWidth;
-  const scaleY = scaledOutputHeightMm / originalHeight;
+  // Fit the drawing box into the artwork box (uniform scale, centered) like the preview
+  const scale = Math.min(scaledOutputWidthMm / originalWidth, scaledOutputHeightMm / originalHeight);
+  const fitX = (scaledOutputWidthMm - originalWidth * scale) / 2 - originalX * scale;
+  const fitY = (scaledOutputHeightMm - originalHeight * scale) / 2 - originalY * scale;
 
-  // Apply transform to position and scale the artwork
-  artworkGroup.setAttribute('transform', `translate(${offsetX}, ${offsetY}) scale(${scaleX}, ${scaleY})`);
+  // Place the artwork box on the page with the preview's offset and rotation
+  const placement = WorkArea.placeArtwork(scaledOutputWidthMm, scaledOutputHeightMm, pageWidthMm, pageHeightMm, getEjectPlacement());
+  artworkGroup.setAttribute('transform',
+    `matrix(${placement.join(' ')}) translate(${fitX} ${fitY}) scale(${scale})`);
 
   // Copy all children from the original SVG to the group
   Array.from(svgElement.children).forEach(child => {
@@ -905,15 +1142,16 @@ async function handleSaveSvg() {
 }
 
 /**
- * Handle Generate G-code button click
+ * Collect the arguments for generating (or estimating) the current Eject job
+ * Alerts and returns null when no file is loaded or the dimensions are invalid
+ * @returns {{args: Array, marginWarning: string|null}|null} IPC arguments and an
+ *   optional warning when the artwork runs past the paper margin
  */
-async function handleEjectToGcode() {
-  debugLog('=== EJECT TO G-CODE CLICKED ===');
-
+function getEjectJobRequest() {
   // Verify we have a loaded SVG
   if (!state.currentSVGData || !state.currentSVGData.path) {
     alert('No vector file loaded. Please load a vector file first.');
-    return;
+    return null;
   }
 
   // Get output dimensions and apply scale
@@ -924,7 +1162,7 @@ async function handleEjectToGcode() {
   // Validate dimensions
   if (isNaN(outputWidth) || isNaN(outputHeight) || outputWidth <= 0 || outputHeight <= 0) {
     alert('Please enter valid output dimensions.');
-    return;
+    return null;
   }
 
   // Apply scale factor to output dimensions
@@ -932,31 +1170,135 @@ async function handleEjectToGcode() {
   const scaledOutputWidth = outputWidth * scaleFactor;
   const scaledOutputHeight = outputHeight * scaleFactor;
 
+  // Page layout as shown in the preview (page size, offset, rotation)
+  const dimensions = getEjectPageDimensions();
+  let placement = null;
+  let marginWarning = null;
+  if (dimensions) {
+    const [pageWidthMm, pageHeightMm] = dimensions;
+    placement = { pageWidth: pageWidthMm, pageHeight: pageHeightMm, ...getEjectPlacement() };
+
+    const margin = getEjectMachine().paperMargin;
+    const artWidthMm = toMm(scaledOutputWidth, outputUnit);
+    const artHeightMm = toMm(scaledOutputHeight, outputUnit);
+    const matrix = WorkArea.placeArtwork(artWidthMm, artHeightMm, pageWidthMm, pageHeightMm, placement);
+    const bounds = WorkArea.boxBounds(matrix, artWidthMm, artHeightMm);
+    const epsilon = 0.01;
+    if (bounds.minX < margin - epsilon || bounds.minY < margin - epsilon ||
+        bounds.maxX > pageWidthMm - margin + epsilon || bounds.maxY > pageHeightMm - margin + epsilon) {
+      marginWarning = `The artwork extends past the ${margin}mm paper margin.`;
+    }
+  }
+
   debugLog('Current SVG path:', state.currentSVGData.path);
   debugLog('Output dimensions (base):', outputWidth, 'x', outputHeight, outputUnit);
   debugLog('Output dimensions (scaled):', scaledOutputWidth, 'x', scaledOutputHeight, outputUnit, '(' + ejectScale + '%)');
 
+  const args = [
+    state.currentSVGData.path,
+    scaledOutputWidth,
+    scaledOutputHeight,
+    outputUnit,
+    ejectWorkAreaPosition,
+    {
+      backend: getGcodeBackend(),
+      machineId: getEjectMachine().id,
+      placement,
+      optimize: getEjectOptimizeOptions(),
+      hatch: getEjectHatchOptions(),
+      pens: getEjectPenOptions()
+    }
+  ];
+
+  return { args, marginWarning };
+}
+
+/**
+ * Handle Estimate button click - plot time and distance for the current layout
+ */
+async function handleEjectEstimate() {
+  const job = getEjectJobRequest();
+  if (!job) return;
+
+  const estimateBtn = document.getElementById('ejectEstimateBtn');
+  const estimateText = document.getElementById('ejectEstimate');
+  estimateBtn.disabled = true;
+  estimateText.textContent = 'Estimating...';
+
+  try {
+    const result = await window.electronAPI.estimateJob(...job.args);
+    if (!result.success) {
+      estimateText.textContent = '';
+      alert(`Failed to estimate job:\n\n${result.error}`);
+      return;
+    }
+
+    const { formatDistance, formatDuration } = PlotEstimator;
+    const estimate = result.data;
+    estimateText.textContent = `≈ ${formatDuration(estimate.duration)} · ` +
+      `${formatDistance(estimate.drawDistance)} drawn · ${formatDistance(estimate.travelDistance)} travel · ` +
+      `${estimate.penLifts} lifts`;
+    estimateText.title = job.marginWarning || '';
+    debugLog('Eject estimate:', estimate);
+  } catch (error) {
+    console.error('Error estimating job:', error);
+    estimateText.textContent = '';
+  } finally {
+    estimateBtn.disabled = false;
+  }
+}
+
+/**
+ * Clear the estimate when the job layout changes
+ */
+function clearEjectEstimate() {
+  const estimateText = document.getElementById('ejectEstimate');
+  if (estimateText) estimateText.textContent = '';
+}
+
+/**
+ * Handle Generate G-code button click
+ * @param {Object} options - queue: add the file to the job queue as well
+ */
+async function handleEjectToGcode(options = {}) {
+  debugLog('=== EJECT TO G-CODE CLICKED ===');
+
+  const job = getEjectJobRequest();
+  if (!job) return;
+
+  // Warn when the artwork runs into the paper margin or off the page
+  if (job.marginWarning && !confirm(`${job.marginWarning} Generate G-code anyway?`)) {
+    return;
+  }
+
   // Disable button and show loading state
-  const ejectToGcodeBtn = document.getElementById('ejectToGcodeBtn');
+  const ejectToGcodeBtn = document.getElementById(options.queue ? 'ejectToQueueBtn' : 'ejectToGcodeBtn');
   ejectToGcodeBtn.disabled = true;
   const originalText = ejectToGcodeBtn.innerHTML;
   ejectToGcodeBtn.innerHTML = '<span>⏳</span> Generating...';
 
   try {
     // Call the backend to convert SVG to G-code with scaled dimensions and position
-    const result = await window.electronAPI.ejectToGcode(
-      state.currentSVGData.path,
-      scaledOutputWidth,
-      scaledOutputHeight,
-      outputUnit,
-      ejectWorkAreaPosition
-    );
+    const result = await window.electronAPI.ejectToGcode(...job.args);
 
     debugLog('Eject result:', result);
     debugLog('Work area position:', ejectWorkAreaPosition);
 
     if (result.success) {
-      debugLog('G-code file created:', result.gcodeFilePath);
+      debugLog('G-code file created:', result.gcodeFilePath, `(${result.backend})`);
+      showEjectOptimizeReport(result.optimization || null);
+
+      // The Hardware tab's vpype choice was overridden for this job
+      if (result.warning) {
+        alert(result.warning);
+      }
+
+      if (options.queue) {
+        // One job per pen when the pens were written to separate files
+        for (const gcodeFilePath of result.gcodeFiles || [result.gcodeFilePath]) {
+          if (!await addToJobQueue(gcodeFilePath, 'eject')) break;
+        }
+      }
 
       // Clear eject data after generating
       setState({ currentSVGData: null });
@@ -1061,16 +1403,66 @@ export function initEjectTab() {
     document.addEventListener('mouseup', handleSvgMouseUp);
   }
 
+  // Target machine selector
+  const ejectMachineSelect = document.getElementById('ejectMachineSelect');
+  if (ejectMachineSelect) {
+    ejectMachineSelect.addEventListener('change', handleMachineChange);
+  }
+
+  // Rotation controls (90° steps or a free angle)
+  const ejectRotateLeftBtn = document.getElementById('ejectRotateLeftBtn');
+  if (ejectRotateLeftBtn) {
+    ejectRotateLeftBtn.addEventListener('click', () => setEjectRotation(ejectRotation - 90));
+  }
+
+  const ejectRotateRightBtn = document.getElementById('ejectRotateRightBtn');
+  if (ejectRotateRightBtn) {
+    ejectRotateRightBtn.addEventListener('click', () => setEjectRotation(ejectRotation + 90));
+  }
+
+  const ejectRotationInput = document.getElementById('ejectRotationInput');
+  if (ejectRotationInput) {
+    ejectRotationInput.addEventListener('input', handleRotationInput);
+  }
+
+  // Work area position grid (where the paper sits on the bed)
+  document.querySelectorAll('#ejectPositionGrid .position-btn').forEach(btn => {
+    btn.addEventListener('click', () => handleWorkAreaPositionClick(btn));
+  });
+
   // Save SVG button handler
   const ejectSaveSvgBtn = document.getElementById('ejectSaveSvgBtn');
   if (ejectSaveSvgBtn) {
     ejectSaveSvgBtn.addEventListener('click', handleSaveSvg);
   }
 
+  // Estimate button handler
+  const ejectEstimateBtn = document.getElementById('ejectEstimateBtn');
+  if (ejectEstimateBtn) {
+    ejectEstimateBtn.addEventListener('click', handleEjectEstimate);
+  }
+
+  // Optimization and hatch options change the estimate
+  document.querySelectorAll('#ejectOptimizeToolbar [data-option], #ejectHatchToolbar [data-option]').forEach(input => {
+    input.addEventListener('change', clearEjectEstimate);
+  });
+
+  // Pen mapping
+  document.getElementById('ejectPenBy')?.addEventListener('change', () => {
+    ejectPenMap = {};
+    refreshEjectPenGroups();
+    clearEjectEstimate();
+  });
+  document.getElementById('ejectPenOutput')?.addEventListener('change', clearEjectEstimate);
+
   // Generate G-code button handler
   const ejectToGcodeBtn = document.getElementById('ejectToGcodeBtn');
   if (ejectToGcodeBtn) {
-    ejectToGcodeBtn.addEventListener('click', handleEjectToGcode);
+    ejectToGcodeBtn.addEventListener('click', () => handleEjectToGcode());
+  }
+  const ejectToQueueBtn = document.getElementById('ejectToQueueBtn');
+  if (ejectToQueueBtn) {
+    ejectToQueueBtn.addEventListener('click', () => handleEjectToGcode({ queue: true }));
   }
 
   // Settings button handler (navigate to Hardware tab)
@@ -1,5 +1,5 @@
 import { debugLog } from './shared/debug.js';
-import { drawGcode, hasRenderPaths } from './render.js';
+import { drawGcode, hasRenderPaths, refreshRenderGcode } from './render.js';
 
 // ============ HARDWARE TAB ============
 
@@ -29,269 +29,113 @@ export let LOCKED_SIZES = new Set(['A0', 'A1', 'A2', 'A3', 'A4', 'A5', 'A6', 'A7
 // Current page size selection (shared across tabs)
 export let currentPageSize = 'A4';
 
-// Workspace dimensions (used by render tab for drawing boundaries)
-export let workspaceWidth = 400;
-export let workspaceHeight = 400;
 export let ejectOutputUnit = 'in'; // Output unit for G-code generation
 
-// Getter functions to access current values
-export function getWorkspaceWidth() {
-  return workspaceWidth;
-}
+// ============ MACHINE PROFILES ============
 
-export function getWorkspaceHeight() {
-  return workspaceHeight;
-}
+// Pen command presets offered in the profile editor
+const PEN_PRESETS = {
+  m42: { penUp: 'M42 P0 S1', penDown: 'M42 P0 S0' },
+  servo: { penUp: 'M5', penDown: 'M3 S90' },
+  z: { penUp: 'G0 Z5', penDown: 'G0 Z0' }
+};
 
-// Track if hardware info has been loaded
-let hardwareInfoLoaded = false;
+// Defaults for new profiles (matches the main process default profile)
+const DEFAULT_MACHINE = {
+  id: 'johnny5',
+  name: 'johnny5',
+  units: 'mm',
+  penUp: 'M42 P0 S1',
+  penDown: 'M42 P0 S0',
+  header: '',
+  footer: '',
+  drawFeed: 0,
+  travelFeed: 0,
+  workWidth: 400,
+  workHeight: 400,
+  origin: 'top-left',
+  paperMargin: 5,
+  defaultFeed: 3000,
+  acceleration: 500,
+  penDelay: 150,
+  protocol: 'marlin',
+  baudRate: 115200,
+  connection: 'serial',
+  host: '',
+  networkPort: 23,
+  octoprintUrl: '',
+  octoprintApiKey: '',
+  jogFeed: 1500,
+  homeCommand: 'G28',
+  originCommand: 'G92 X0 Y0',
+  penColors: ''
+};
 
-// Track vpype installation status
-let vpypeInstalled = false;
+// Profiles are loaded from ~/gellyroller/machines.json on startup
+let machineProfiles = [{ ...DEFAULT_MACHINE }];
+let activeMachineId = DEFAULT_MACHINE.id;
+let saveProfilesTimeout = null;
 
 /**
- * Get vpype installation status
+ * Get all machine profiles
  */
-export function isVpypeInstalled() {
-  return vpypeInstalled;
+export function getMachineProfiles() {
+  return machineProfiles;
 }
 
 /**
- * Update hardware tab button to show warning if vpype is not installed
+ * Get the active machine profile (used by Render and as the Eject default)
  */
-function updateHardwareTabWarning() {
-  const hardwareTabBtn = document.querySelector('[data-tab="hardware"]');
-  if (!hardwareTabBtn) return;
-
-  if (!vpypeInstalled) {
-    // Add warning indicator to tab button
-    if (!hardwareTabBtn.querySelector('.tab-warning')) {
-      const warningIcon = document.createElement('span');
-      warningIcon.className = 'tab-warning';
-      warningIcon.textContent = '!';
-      warningIcon.title = 'vpype not installed';
-      hardwareTabBtn.appendChild(warningIcon);
-    }
-    hardwareTabBtn.classList.add('has-warning');
-  } else {
-    // Remove warning indicator
-    const warningIcon = hardwareTabBtn.querySelector('.tab-warning');
-    if (warningIcon) {
-      warningIcon.remove();
-    }
-    hardwareTabBtn.classList.remove('has-warning');
-  }
+export function getActiveMachine() {
+  return machineProfiles.find(p => p.id === activeMachineId) || machineProfiles[0];
 }
 
 /**
- * Update the warning banner with contextual installation instructions
+ * Get a machine profile by id, falling back to the active machine
+ * @param {string} id - Profile id
  */
-function updateWarningBanner(banner, pythonOk, pipAvailable, pythonVersion, platform) {
-  banner.style.display = 'block';
-
-  // Determine what needs to be installed
-  const needsPython = !pythonOk;
-  const needsPip = pythonOk && !pipAvailable;
-  const needsVpype = pythonOk && pipAvailable;
-
-  let content = '';
-
-  if (needsPython) {
-    // Python not installed or wrong version
-    content = generatePythonWarning(pythonVersion, platform);
-  } else if (needsPip) {
-    // Python OK but pip missing
-    content = generatePipWarning(platform);
-  } else {
-    // Python and pip OK, just need vpype
-    content = generateVpypeWarning();
-  }
+export function getMachineProfile(id) {
+  return machineProfiles.find(p => p.id === id) || getActiveMachine();
+}
 
-  banner.innerHTML = content;
+// Getter functions for the active machine's work area (mm)
+export function getWorkspaceWidth() {
+  return getActiveMachine().workWidth;
 }
 
-/**
- * Generate warning for missing or old Python
- */
-function generatePythonWarning(currentVersion, platform) {
-  const isWindows = platform?.toLowerCase().includes('win');
-  const isMac = platform?.toLowerCase().includes('darwin') || platform?.toLowerCase().includes('mac');
-  const isLinux = !isWindows && !isMac;
-
-  return `
-    <div class="warning-header">
-      <span class="warning-icon">⚠️</span>
-      <h3 class="warning-title">Python 3.9+ Required</h3>
-    </div>
-    <p class="warning-message">
-      ${currentVersion && currentVersion !== 'Not installed'
-        ? `Your current Python version (${currentVersion}) is too old. vpype requires Python 3.9 or later.`
-        : 'Python is not installed. vpype requires Python 3.9 or later to run.'}
-    </p>
-    <div class="warning-install">
-      <h4>Install Python:</h4>
-      <div class="install-steps">
-        ${isWindows ? `
-        <div class="install-step">
-          <div class="step-number">1</div>
-          <div class="step-content">
-            <p><strong>Download Python from python.org</strong></p>
-            <p>Visit <a href="https://www.python.org/downloads/" target="_blank" rel="noopener">python.org/downloads</a> and download Python 3.9 or later</p>
-            <p class="step-note">⚠️ Important: Check "Add Python to PATH" during installation</p>
-          </div>
-        </div>
-        <div class="install-step">
-          <div class="step-number">2</div>
-          <div class="step-content">
-            <p><strong>Verify installation</strong></p>
-            <code>python --version</code>
-            <p class="step-note">Open a new Command Prompt or PowerShell window after installation</p>
-          </div>
-        </div>
-        ` : isMac ? `
-        <div class="install-step">
-          <div class="step-number">1</div>
-          <div class="step-content">
-            <p><strong>Install Homebrew</strong> (if not already installed)</p>
-            <code>/bin/bash -c "$(curl -fsSL https://raw.githubusercontent.com/Homebrew/install/HEAD/install.sh)"</code>
-          </div>
-        </div>
-        <div class="install-step">
-          <div class="step-number">2</div>
-          <div class="step-content">
-            <p><strong>Install Python via Homebrew</strong></p>
-            <code>brew install python@3.11</code>
-          </div>
-        </div>
-        <div class="install-step">
-          <div class="step-number">3</div>
-          <div class="step-content">
-            <p><strong>Verify installation</strong></p>
-            <code>python3 --version</code>
-          </div>
-        </div>
-        ` : `
-        <div class="install-step">
-          <div class="step-number">1</div>
-          <div class="step-content">
-            <p><strong>Install Python using your package manager</strong></p>
-            <p>Ubuntu/Debian:</p>
-            <code>sudo apt update && sudo apt install python3 python3-pip</code>
-            <p>Fedora:</p>
-            <code>sudo dnf install python3 python3-pip</code>
-            <p>Arch Linux:</p>
-            <code>sudo pacman -S python python-pip</code>
-          </div>
-        </div>
-        <div class="install-step">
-          <div class="step-number">2</div>
-          <div class="step-content">
-            <p><strong>Verify installation</strong></p>
-            <code>python3 --version</code>
-          </div>
-        </div>
-        `}
-      </div>
-      <p class="warning-footer">
-        After installing Python, restart Gellyroller and return to this tab to continue with vpype installation.
-      </p>
-    </div>
-  `;
+export function getWorkspaceHeight() {
+  return getActiveMachine().workHeight;
 }
 
+// Track if hardware info has been loaded
+let hardwareInfoLoaded = false;
+
+// Track vpype installation status
+let vpypeInstalled = false;
+
+// G-code generator backend: 'builtin' (JavaScript) or 'vpype' (optional external tool)
+let gcodeBackend = 'builtin';
+
 /**
- * Generate warning for missing pip
+ * Get vpype installation status
  */
-function generatePipWarning(platform) {
-  const isWindows = platform?.toLowerCase().includes('win');
-
-  return `
-    <div class="warning-header">
-      <span class="warning-icon">⚠️</span>
-      <h3 class="warning-title">pip Required</h3>
-    </div>
-    <p class="warning-message">
-      Python is installed, but <strong>pip</strong> (Python's package installer) is missing.
-      You need pip to install vpype.
-    </p>
-    <div class="warning-install">
-      <h4>Install pip:</h4>
-      <div class="install-steps">
-        <div class="install-step">
-          <div class="step-number">1</div>
-          <div class="step-content">
-            <p><strong>Download get-pip.py</strong></p>
-            <code>curl https://bootstrap.pypa.io/get-pip.py -o get-pip.py</code>
-          </div>
-        </div>
-        <div class="install-step">
-          <div class="step-number">2</div>
-          <div class="step-content">
-            <p><strong>Run the installer</strong></p>
-            <code>${isWindows ? 'python' : 'python3'} get-pip.py</code>
-          </div>
-        </div>
-        <div class="install-step">
-          <div class="step-number">3</div>
-          <div class="step-content">
-            <p><strong>Verify installation</strong></p>
-            <code>pip --version</code>
-          </div>
-        </div>
-      </div>
-      <p class="warning-footer">
-        After installing pip, restart Gellyroller to continue with vpype installation.
-      </p>
-    </div>
-  `;
+export function isVpypeInstalled() {
+  return vpypeInstalled;
 }
 
 /**
- * Generate warning for missing vpype
+ * Get the selected G-code generator backend
  */
-function generateVpypeWarning() {
-  return `
-    <div class="warning-header">
-      <span class="warning-icon">⚠️</span>
-      <h3 class="warning-title">vpype Required for G-code Generation</h3>
-    </div>
-    <p class="warning-message">
-      You need <strong>vpype</strong> installed to generate G-code files from your vectors.
-      vpype is a powerful command-line tool for manipulating and optimizing SVG files for plotters and CNC machines.
-    </p>
-    <div class="warning-install">
-      <h4>Installation Instructions:</h4>
-      <div class="install-steps">
-        <div class="install-step">
-          <div class="step-number">1</div>
-          <div class="step-content">
-            <p><strong>Install vpype via pip</strong></p>
-            <code>pip install vpype</code>
-            <p class="step-note">Or for user installation: <code>pip install --user vpype</code></p>
-          </div>
-        </div>
-        <div class="install-step">
-          <div class="step-number">2</div>
-          <div class="step-content">
-            <p><strong>Verify installation</strong></p>
-            <code>vpype --version</code>
-          </div>
-        </div>
-      </div>
-      <p class="warning-footer">
-        After installation, restart Gellyroller to detect vpype.
-        For more information, visit <a href="https://vpype.readthedocs.io" target="_blank" rel="noopener">vpype documentation</a>.
-      </p>
-    </div>
-  `;
+export function getGcodeBackend() {
+  return gcodeBackend;
 }
 
-
 /**
  * Initialize the Hardware tab
  * Sets up event listeners for the Hardware tab
  */
 export function initHardwareTab() {
+  initMachineProfileEditor();
   debugLog('Hardware tab initialized');
 }
 
@@ -303,43 +147,22 @@ export async function loadHardwareInfo() {
   if (hardwareInfoLoaded) return;
 
   try {
-    // Set workspace input values
-    document.getElementById('hwWorkspaceWidth').value = workspaceWidth;
-    document.getElementById('hwWorkspaceHeight').value = workspaceHeight;
     document.getElementById('hwOutputUnit').value = ejectOutputUnit;
 
-    // Add event listeners for workspace inputs
-    document.getElementById('hwWorkspaceWidth').addEventListener('input', (e) => {
-      const newWidth = parseFloat(e.target.value);
-      if (newWidth > 0) {
-        workspaceWidth = newWidth;
-        if (hasRenderPaths()) {
-          drawGcode();
-        }
-      }
-    });
-
-    document.getElementById('hwWorkspaceHeight').addEventListener('input', (e) => {
-      const newHeight = parseFloat(e.target.value);
-      if (newHeight > 0) {
-        workspaceHeight = newHeight;
-        if (hasRenderPaths()) {
-          drawGcode();
-        }
-      }
-    });
-
     document.getElementById('hwOutputUnit').addEventListener('change', (e) => {
       ejectOutputUnit = e.target.value;
       debugLog('Output unit changed to:', ejectOutputUnit);
     });
 
+    const backendSelect = document.getElementById('hwGcodeBackend');
+    backendSelect.value = gcodeBackend;
+    backendSelect.addEventListener('change', (e) => {
+      gcodeBackend = e.target.value;
+      debugLog('G-code backend changed to:', gcodeBackend);
+    });
+
     // Get system information
     const systemInfoResult = await window.electronAPI.getSystemInfo();
-    let pythonVersion = null;
-    let pythonMajor = 0;
-    let pythonMinor = 0;
-    let pipAvailable = false;
 
     if (systemInfoResult.success) {
       const info = systemInfoResult.data;
@@ -348,19 +171,6 @@ export async function loadHardwareInfo() {
       document.getElementById('hwPythonVersion').textContent = info.pythonVersion;
       document.getElementById('hwPipVersion').textContent = info.pipVersion || 'Not installed';
       document.getElementById('hwPlatform').textContent = info.platform;
-
-      // Parse Python version
-      pythonVersion = info.pythonVersion;
-      if (pythonVersion && pythonVersion !== 'Not installed') {
-        const versionMatch = pythonVersion.match(/(\d+)\.(\d+)/);
-        if (versionMatch) {
-          pythonMajor = parseInt(versionMatch[1]);
-          pythonMinor = parseInt(versionMatch[2]);
-        }
-      }
-
-      // Check if pip is available
-      pipAvailable = info.pipVersion && info.pipVersion !== 'Not installed';
     } else {
       document.getElementById('hwNodeVersion').textContent = 'Error loading';
       document.getElementById('hwNpmVersion').textContent = 'Error loading';
@@ -369,69 +179,45 @@ export async function loadHardwareInfo() {
       document.getElementById('hwPlatform').textContent = 'Error loading';
     }
 
-    // Get vpype information
+    // Get vpype information (optional - only used by the vpype backend)
     const vpypeInfoResult = await window.electronAPI.getVpypeInfo();
 
-    // Determine what's missing and update warning banner accordingly
-    const pythonOk = pythonMajor > 3 || (pythonMajor === 3 && pythonMinor >= 9);
-    const warningBanner = document.getElementById('vpypeWarningBanner');
-
-    if (vpypeInfoResult.success) {
+    if (vpypeInfoResult.success && vpypeInfoResult.data.installed) {
       const vpypeInfo = vpypeInfoResult.data;
-
-      if (vpypeInfo.installed) {
-        vpypeInstalled = true;
-        document.getElementById('hwVpypeStatus').textContent = '✓ Installed';
-        document.getElementById('hwVpypeStatus').style.color = '#4ade80';
-        document.getElementById('hwVpypeVersion').textContent = vpypeInfo.version;
-
-        // Hide warning banner - everything is good
-        if (warningBanner) {
-          warningBanner.style.display = 'none';
-        }
-
-        // Display plugins
-        const pluginsContainer = document.getElementById('hwVpypePlugins');
-        if (vpypeInfo.plugins && vpypeInfo.plugins.length > 0) {
-          const pluginsHtml = `
-            <div class="hardware-label" style="margin-top: 16px; margin-bottom: 8px;">Commands/Plugins</div>
-            <div class="hardware-value" style="opacity: 0.8; font-size: 14px;">${vpypeInfo.plugins.join(', ')}</div>
-          `;
-          pluginsContainer.innerHTML = pluginsHtml;
-        } else {
-          pluginsContainer.innerHTML = `
-            <div class="hardware-label" style="margin-top: 16px; margin-bottom: 8px;">Plugins</div>
-            <div class="hardware-value" style="opacity: 0.5;">No additional plugins detected</div>
-          `;
-        }
+      vpypeInstalled = true;
+      document.getElementById('hwVpypeStatus').textContent = '✓ Installed';
+      document.getElementById('hwVpypeStatus').style.color = '#4ade80';
+      document.getElementById('hwVpypeVersion').textContent = vpypeInfo.version;
+
+      // Display plugins
+      const pluginsContainer = document.getElementById('hwVpypePlugins');
+      if (vpypeInfo.plugins && vpypeInfo.plugins.length > 0) {
+        const pluginsHtml = `
+          <div class="hardware-label" style="margin-top: 16px; margin-bottom: 8px;">Commands/Plugins</div>
+          <div class="hardware-value" style="opacity: 0.8; font-size: 14px;">${vpypeInfo.plugins.join(', ')}</div>
+        `;
+        pluginsContainer.innerHTML = pluginsHtml;
       } else {
-        vpypeInstalled = false;
-        document.getElementById('hwVpypeStatus').textContent = '✗ Not Installed';
-        document.getElementById('hwVpypeStatus').style.color = '#f87171';
-        document.getElementById('hwVpypeVersion').textContent = '-';
-        document.getElementById('hwVpypePlugins').innerHTML = `
+        pluginsContainer.innerHTML = `
           <div class="hardware-label" style="margin-top: 16px; margin-bottom: 8px;">Plugins</div>
-          <div class="hardware-value" style="opacity: 0.5;">vpype not installed</div>
+          <div class="hardware-value" style="opacity: 0.5;">No additional plugins detected</div>
         `;
-
-        // Show warning banner with appropriate message
-        if (warningBanner) {
-          updateWarningBanner(warningBanner, pythonOk, pipAvailable, pythonVersion, systemInfoResult.data?.platform);
-        }
       }
     } else {
       vpypeInstalled = false;
-      document.getElementById('hwVpypeStatus').textContent = 'Error checking';
-      document.getElementById('hwVpypeStatus').style.color = '#f87171';
-
-      // Show warning banner
-      if (warningBanner) {
-        updateWarningBanner(warningBanner, pythonOk, pipAvailable, pythonVersion, systemInfoResult.data?.platform);
-      }
+      document.getElementById('hwVpypeStatus').textContent = vpypeInfoResult.success ? 'Not installed (optional)' : 'Error checking';
+      document.getElementById('hwVpypeStatus').style.color = '';
+      document.getElementById('hwVpypeVersion').textContent = '-';
+      document.getElementById('hwVpypePlugins').innerHTML = '';
     }
 
-    // Update tab warning indicator
-    updateHardwareTabWarning();
+    // The vpype backend can only be chosen when vpype is available
+    const vpypeOption = backendSelect.querySelector('option[value="vpype"]');
+    vpypeOption.disabled = !vpypeInstalled;
+    if (!vpypeInstalled && gcodeBackend === 'vpype') {
+      gcodeBackend = 'builtin';
+      backendSelect.value = gcodeBackend;
+    }
 
     // Populate paper sizes list
     populatePaperSizesList();
@@ -445,6 +231,228 @@ export async function loadHardwareInfo() {
   }
 }
 
+// ============ MACHINE PROFILE EDITOR ============
+
+/**
+ * Load machine profiles from the workspace
+ * Called once on startup so Eject and Render use the saved machines
+ */
+export async function loadMachineProfiles() {
+  try {
+    const result = await window.electronAPI.getMachineProfiles();
+    if (result.success) {
+      machineProfiles = result.data.profiles;
+      activeMachineId = result.data.activeId;
+      debugLog('Loaded machine profiles:', machineProfiles.map(p => p.name));
+    } else {
+      console.error('Failed to load machine profiles:', result.error);
+    }
+  } catch (error) {
+    console.error('Error loading machine profiles:', error);
+  }
+
+  refreshMachineProfileUI();
+}
+
+/**
+ * Save machine profiles (debounced so typing doesn't write on every change)
+ */
+function scheduleSaveMachineProfiles() {
+  clearTimeout(saveProfilesTimeout);
+  saveProfilesTimeout = setTimeout(async () => {
+    const result = await window.electronAPI.saveMachineProfiles({
+      activeId: activeMachineId,
+      profiles: machineProfiles
+    });
+    if (!result.success) {
+      console.error('Failed to save machine profiles:', result.error);
+      alert(`Failed to save machine profiles:\n\n${result.error}`);
+    }
+  }, 500);
+}
+
+/**
+ * Set up event listeners for the machine profile editor
+ */
+function initMachineProfileEditor() {
+  const select = document.getElementById('hwMachineSelect');
+  if (!select) return;
+
+  select.addEventListener('change', () => {
+    activeMachineId = select.value;
+    refreshMachineProfileUI();
+    scheduleSaveMachineProfiles();
+  });
+
+  document.getElementById('hwMachineNewBtn').addEventListener('click', () => {
+    addMachineProfile({ ...DEFAULT_MACHINE, name: uniqueMachineName('New Machine') });
+  });
+
+  document.getElementById('hwMachineCloneBtn').addEventListener('click', () => {
+    const source = getActiveMachine();
+    addMachineProfile({ ...source, name: uniqueMachineName(`${source.name} copy`) });
+  });
+
+  document.getElementById('hwMachineDeleteBtn').addEventListener('click', deleteActiveMachine);
+
+  document.getElementById('hwMachinePenPreset').addEventListener('change', (e) => {
+    const preset = PEN_PRESETS[e.target.value];
+    if (!preset) return;
+    Object.assign(getActiveMachine(), preset);
+    refreshMachineProfileUI();
+    scheduleSaveMachineProfiles();
+  });
+
+  // Fields are bound to profile properties through data-field attributes
+  document.querySelectorAll('#hardwareTab [data-field]').forEach(input => {
+    input.addEventListener('change', () => updateMachineField(input.dataset.field, input.value));
+  });
+}
+
+/**
+ * Update a field of the active machine profile
+ * Invalid values are rejected and the editor is reset to the stored value
+ * @param {string} field - Profile property name
+ * @param {string} rawValue - Value from the input element
+ */
+function updateMachineField(field, rawValue) {
+  const machine = getActiveMachine();
+  let value = rawValue;
+
+  if (['workWidth', 'workHeight', 'defaultFeed', 'baudRate', 'jogFeed'].includes(field)) {
+    value = parseFloat(rawValue);
+    if (!(value > 0)) {
+      populateMachineEditor();
+      return;
+    }
+  } else if (['drawFeed', 'travelFeed', 'paperMargin', 'acceleration', 'penDelay'].includes(field)) {
+    value = parseFloat(rawValue) || 0;
+    if (value < 0) {
+      populateMachineEditor();
+      return;
+    }
+  } else if (field === 'networkPort') {
+    value = parseInt(rawValue, 10);
+    if (!(value >= 1 && value <= 65535)) {
+      populateMachineEditor();
+      return;
+    }
+  } else if (field === 'host' || field === 'octoprintApiKey') {
+    value = rawValue.trim();
+  } else if (field === 'octoprintUrl') {
+    value = rawValue.trim();
+    if (value && !/^https?:\/\/[^/]/.test(value)) {
+      populateMachineEditor();
+      return;
+    }
+  } else if (field === 'penColors') {
+    try {
+      value = ColorQuantize.parsePalette(rawValue).join(', ');
+    } catch (error) {
+      populateMachineEditor();
+      return;
+    }
+  } else if (field === 'name' || field === 'penUp' || field === 'penDown') {
+    if (!rawValue.trim()) {
+      populateMachineEditor();
+      return;
+    }
+  }
+
+  machine[field] = value;
+  debugLog('Machine profile updated:', machine.name, field, value);
+
+  refreshMachineProfileUI();
+  scheduleSaveMachineProfiles();
+}
+
+/**
+ * Add a profile and make it the active machine
+ */
+function addMachineProfile(profile) {
+  profile.id = `machine-${Date.now()}`;
+  machineProfiles.push(profile);
+  activeMachineId = profile.id;
+  refreshMachineProfileUI();
+  scheduleSaveMachineProfiles();
+}
+
+/**
+ * Delete the active machine profile
+ */
+function deleteActiveMachine() {
+  if (machineProfiles.length <= 1) {
+    alert('At least one machine profile is required.');
+    return;
+  }
+
+  const machine = getActiveMachine();
+  const confirmed = confirm(`Delete machine profile "${machine.name}"?`);
+  if (!confirmed) return;
+
+  machineProfiles = machineProfiles.filter(p => p.id !== machine.id);
+  activeMachineId = machineProfiles[0].id;
+  refreshMachineProfileUI();
+  scheduleSaveMachineProfiles();
+}
+
+/**
+ * Find an unused profile name based on the given name
+ */
+function uniqueMachineName(baseName) {
+  let name = baseName;
+  let counter = 2;
+  while (machineProfiles.some(p => p.name === name)) {
+    name = `${baseName} ${counter}`;
+    counter++;
+  }
+  return name;
+}
+
+/**
+ * Refresh the machine selector, the editor and the Render preview
+ */
+function refreshMachineProfileUI() {
+  const select = document.getElementById('hwMachineSelect');
+  if (select) {
+    select.innerHTML = '';
+    for (const profile of machineProfiles) {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.name;
+      select.appendChild(option);
+    }
+    select.value = getActiveMachine().id;
+  }
+
+  populateMachineEditor();
+
+  // Work area size, pen commands and timing may have changed
+  if (hasRenderPaths()) {
+    refreshRenderGcode();
+    drawGcode();
+  }
+}
+
+/**
+ * Fill the editor fields from the active machine profile
+ */
+function populateMachineEditor() {
+  const machine = getActiveMachine();
+
+  document.querySelectorAll('#hardwareTab [data-field]').forEach(input => {
+    input.value = machine[input.dataset.field] ?? '';
+  });
+
+  // Show which pen preset (if any) matches the current commands
+  const presetSelect = document.getElementById('hwMachinePenPreset');
+  if (presetSelect) {
+    const preset = Object.entries(PEN_PRESETS)
+      .find(([, cmds]) => cmds.penUp === machine.penUp && cmds.penDown === machine.penDown);
+    presetSelect.value = preset ? preset[0] : 'custom';
+  }
+}
+
 /**
  * Populate the paper sizes list in the UI
  * Creates input fields for each paper size with lock/delete controls
@@ -0,0 +1,704 @@
+// Plotter Panel Module
+// Serial and network connections, job controls and the machine control panel in the Render
+// tab sidebar. Streaming runs in the main process; this module only sends
+// commands and shows its events.
+import { debugLog } from './shared/debug.js';
+import { getActiveMachine } from './hardware.js';
+import { getCurrentGcodeFilePath, showPlotProgress, clearPlotProgress, refreshSimulatedDrawing, getResumeLine, setResumeLine, loadGcodeFiles } from './render.js';
+
+// ============ PLOTTER PANEL ============
+
+// Port path main.js uses for the active machine's network address
+const NETWORK_PORT_PATH = 'network';
+
+// Connection and job state mirrored from the main process
+let plotterConnected = false;
+let plotterState = 'disconnected'; // idle, running, paused, held, stopping
+let plotterJobPath = null; // File being plotted
+let jogStep = 10; // mm per jog button press
+let machineBusy = false; // A control command is waiting for its "ok"
+let queueStatus = { state: 'idle', current: null, stopRequested: false, jobs: [] }; // Mirrored job queue
+
+/**
+ * Initialize the plotter panel
+ */
+export function initPlotterPanel() {
+  document.getElementById('plotterRefreshPortsBtn')?.addEventListener('click', refreshSerialPorts);
+  document.getElementById('plotterConnectBtn')?.addEventListener('click', handleConnectClick);
+  document.getElementById('plotterSendBtn')?.addEventListener('click', handleSendClick);
+  document.getElementById('plotterPauseBtn')?.addEventListener('click', handlePauseClick);
+  document.getElementById('plotterHoldBtn')?.addEventListener('click', () => plotterControl('feed-hold'));
+  document.getElementById('plotterStopBtn')?.addEventListener('click', handleStopClick);
+
+  initResumeControls();
+  initMachineControl();
+  initOctoPrintStatus();
+  initJobQueue();
+  window.electronAPI.onPlotterEvent(handlePlotterEvent);
+
+  refreshSerialPorts();
+  syncPlotterStatus();
+
+  debugLog('Plotter panel initialized');
+}
+
+/**
+ * Fill the port list
+ */
+async function refreshSerialPorts() {
+  const select = document.getElementById('plotterPortSelect');
+  if (!select) return;
+
+  const result = await window.electronAPI.listSerialPorts();
+  const previous = select.value;
+  select.innerHTML = '';
+
+  if (!result.success) {
+    const option = document.createElement('option');
+    option.value = '';
+    option.textContent = 'Serial ports unavailable';
+    select.appendChild(option);
+    console.error('Error listing serial ports:', result.error);
+    return;
+  }
+
+  // A network machine (FluidNC, ESP3D) is reached at its profile's address
+  const machine = getActiveMachine();
+  const networked = machine.connection && machine.connection !== 'serial' && machine.host;
+  if (networked) {
+    const option = document.createElement('option');
+    option.value = NETWORK_PORT_PATH;
+    const kind = machine.connection === 'websocket' ? 'WebSocket' : 'telnet';
+    option.textContent = `${machine.host}:${machine.networkPort} (${kind})`;
+    select.appendChild(option);
+  }
+
+  for (const port of result.data) {
+    const option = document.createElement('option');
+    option.value = port.path;
+    if (port.virtual) option.textContent = 'Virtual plotter (simulator)';
+    else option.textContent = port.manufacturer ? `${port.path} (${port.manufacturer})` : port.path;
+    select.appendChild(option);
+  }
+  if ([...select.options].some(option => option.value === previous)) select.value = previous;
+  else if (networked) select.value = NETWORK_PORT_PATH;
+}
+
+/**
+ * Pick up a connection that outlived a renderer reload
+ */
+async function syncPlotterStatus() {
+  const result = await window.electronAPI.plotterStatus();
+  if (!result.success) return;
+
+  plotterConnected = result.data.connected;
+  plotterState = result.data.state;
+  updateConnectionLabel(result.data.connected ? `${result.data.name} (${result.data.protocol})` : null);
+  updatePlotterControls();
+}
+
+/**
+ * Connect to the selected port using the active machine's protocol and baud rate
+ */
+async function handleConnectClick() {
+  if (plotterConnected) {
+    if (plotterState !== 'idle' && !confirm('A job is running. Disconnect anyway?')) return;
+    await window.electronAPI.plotterDisconnect();
+    return;
+  }
+
+  const portPath = document.getElementById('plotterPortSelect').value;
+  if (!portPath) {
+    alert('Select a serial port or network plotter first.');
+    return;
+  }
+
+  const connectBtn = document.getElementById('plotterConnectBtn');
+  connectBtn.disabled = true;
+  try {
+    const result = await window.electronAPI.plotterConnect(portPath, getActiveMachine().id);
+    if (!result.success) {
+      alert(`Could not connect:\n\n${result.error}`);
+    }
+  } finally {
+    connectBtn.disabled = false;
+  }
+}
+
+/**
+ * Stream the file shown in the Render tab
+ */
+async function handleSendClick() {
+  const filePath = getCurrentGcodeFilePath();
+  if (!filePath) {
+    alert('Select a G-code file to plot.');
+    return;
+  }
+
+  const fileName = filePath.split('/').pop();
+  if (!confirm(`Plot ${fileName} on ${getActiveMachine().name}?`)) return;
+
+  setPlotterError('');
+  plotterJobPath = filePath;
+  const result = await window.electronAPI.plotterSendFile(filePath);
+  if (!result.success) {
+    plotterJobPath = null;
+    alert(`Could not start the plot:\n\n${result.error}`);
+  }
+}
+
+/**
+ * Pause or resume streaming
+ */
+function handlePauseClick() {
+  plotterControl(plotterState === 'running' ? 'pause' : 'resume');
+}
+
+/**
+ * Abort the job after confirmation
+ */
+function handleStopClick() {
+  if (!confirm('Stop the plot? The current job cannot be resumed.')) return;
+  plotterControl('stop');
+}
+
+/**
+ * Send a job control action to the main process
+ * @param {string} action - pause | resume | feed-hold | stop
+ */
+async function plotterControl(action) {
+  const result = await window.electronAPI.plotterControl(action);
+  if (!result.success) {
+    console.error(`Plotter ${action} failed:`, result.error);
+    setPlotterError(result.error);
+  }
+}
+
+/**
+ * Handle an event from the main-process plotter session
+ * @param {Object} event - {type, ...}
+ */
+function handlePlotterEvent(event) {
+  switch (event.type) {
+    case 'connected':
+      plotterConnected = true;
+      plotterState = 'idle';
+      updateConnectionLabel(`${event.name} (${event.protocol})`);
+      setPlotterError('');
+      break;
+    case 'disconnected':
+      plotterConnected = false;
+      plotterState = 'disconnected';
+      plotterJobPath = null;
+      updateConnectionLabel(null);
+      updateMachinePosition(null);
+      break;
+    case 'state':
+      plotterState = event.state;
+      if (plotterState !== 'paused') setPlotterPause('');
+      break;
+    case 'job-started':
+      updateProgress(0, 0, event.name);
+      break;
+    case 'progress':
+      updateProgress(event.acknowledged, event.total, event.name);
+      if (plotterJobPath && plotterJobPath === getCurrentGcodeFilePath()) {
+        showPlotProgress(event.line);
+      }
+      break;
+    case 'done':
+      updateProgress(event.total, event.total, `${event.name} finished`);
+      plotterJobPath = null;
+      clearPlotProgress();
+      break;
+    case 'job-ended':
+      setPlotterError(event.message);
+      plotterJobPath = null;
+      break;
+    case 'line-error':
+      setPlotterError(`Line ${event.line + 1} (${event.command}): ${event.message}`);
+      break;
+    case 'program-pause':
+      // M0/M1 in the file, e.g. a pen change between pens
+      setPlotterPause(`${event.message || `Paused by the program at line ${event.line + 1}`}. Press Resume to continue.`);
+      break;
+    case 'error':
+      setPlotterError(event.message);
+      break;
+    case 'status':
+      updateMachinePosition(event.status);
+      return;
+    case 'queue':
+      updateJobQueue(event);
+      break;
+    case 'history-recorded':
+      refreshJobHistory();
+      return;
+    case 'simulator-recorded':
+      refreshSimulatedDrawing(event.filePath);
+      if (event.limitViolations > 0) {
+        setPlotterError(`Simulator: ${event.limitViolations} moves hit the soft limits`);
+      }
+      return;
+    default:
+      debugLog('Plotter:', event);
+      return;
+  }
+  updatePlotterControls();
+}
+
+/**
+ * Enable buttons for the current connection and job state
+ */
+function updatePlotterControls() {
+  const running = ['running', 'paused', 'held', 'stopping'].includes(plotterState);
+
+  const connectBtn = document.getElementById('plotterConnectBtn');
+  if (connectBtn) connectBtn.textContent = plotterConnected ? 'Disconnect' : 'Connect';
+
+  const pauseBtn = document.getElementById('plotterPauseBtn');
+  if (pauseBtn) {
+    pauseBtn.textContent = plotterState === 'running' ? '⏸ Pause' : '▶ Resume';
+    pauseBtn.disabled = !running || plotterState === 'stopping';
+  }
+
+  const sendBtn = document.getElementById('plotterSendBtn');
+  if (sendBtn) sendBtn.disabled = !plotterConnected || running;
+
+  const resumeBtn = document.getElementById('plotterResumeBtn');
+  if (resumeBtn) resumeBtn.disabled = !plotterConnected || running;
+
+  const holdBtn = document.getElementById('plotterHoldBtn');
+  if (holdBtn) holdBtn.disabled = plotterState !== 'running' && plotterState !== 'paused';
+
+  const stopBtn = document.getElementById('plotterStopBtn');
+  if (stopBtn) stopBtn.disabled = !running || plotterState === 'stopping';
+
+  updateJobQueueControls();
+
+  // Manual control only between jobs
+  const controlsEnabled = plotterConnected && plotterState === 'idle' && !machineBusy;
+  document.querySelectorAll('.machine-control-btn').forEach(button => {
+    button.disabled = !controlsEnabled;
+  });
+}
+
+/**
+ * Show the connected device, or "Not connected"
+ */
+function updateConnectionLabel(text) {
+  const label = document.getElementById('plotterConnectionStatus');
+  if (label) label.textContent = text || 'Not connected';
+}
+
+/**
+ * Update the progress bar
+ */
+function updateProgress(done, total, name) {
+  const bar = document.getElementById('plotterProgressBar');
+  const text = document.getElementById('plotterProgressText');
+  const percent = total > 0 ? (done / total) * 100 : 0;
+  if (bar) bar.style.width = `${percent}%`;
+  if (text) text.textContent = total > 0 ? `${name}: ${done} / ${total} lines (${percent.toFixed(0)}%)` : name;
+}
+
+/**
+ * Show (or clear) the last plotter error
+ */
+function setPlotterError(message) {
+  const error = document.getElementById('plotterError');
+  if (!error) return;
+  error.textContent = message;
+  error.style.display = message ? 'block' : 'none';
+}
+
+/**
+ * Show why the job paused itself (empty to hide)
+ */
+function setPlotterPause(message) {
+  const pause = document.getElementById('plotterPauseMessage');
+  if (!pause) return;
+  pause.textContent = message;
+  pause.style.display = message ? 'block' : 'none';
+}
+
+// ============ RESUME ============
+
+/**
+ * Set up the resume line input and the resume buttons
+ */
+function initResumeControls() {
+  document.getElementById('plotterResumeLine')?.addEventListener('change', (e) => {
+    const line = parseInt(e.target.value, 10);
+    setResumeLine(Number.isNaN(line) ? -1 : line - 1);
+  });
+  document.getElementById('plotterResumeClearBtn')?.addEventListener('click', () => setResumeLine(-1));
+  document.getElementById('plotterResumeBtn')?.addEventListener('click', handleResumeClick);
+  document.getElementById('plotterResumeSaveBtn')?.addEventListener('click', handleResumeSaveClick);
+}
+
+/**
+ * The file and line to resume from, or null (after telling the user why)
+ */
+function getResumeTarget() {
+  const filePath = getCurrentGcodeFilePath();
+  const line = getResumeLine();
+  if (!filePath || line < 0) {
+    alert('Choose where to resume: click a path on the canvas or a line of the G-code.');
+    return null;
+  }
+  return { filePath, line, fileName: filePath.split('/').pop() };
+}
+
+/**
+ * Plot the selected file from the resume line
+ */
+async function handleResumeClick() {
+  const target = getResumeTarget();
+  if (!target) return;
+
+  const message = `Plot ${target.fileName} from line ${target.line + 1} on ${getActiveMachine().name}?\n\n` +
+    'The pen is lifted and moved to the resume point first. The machine must still be at the same origin.';
+  if (!confirm(message)) return;
+
+  setPlotterError('');
+  plotterJobPath = target.filePath;
+  const result = await window.electronAPI.plotterSendFile(target.filePath, { fromLine: target.line });
+  if (!result.success) {
+    plotterJobPath = null;
+    alert(`Could not start the plot:\n\n${result.error}`);
+    return;
+  }
+  if (result.data.warnings.length > 0) setPlotterError(result.data.warnings.join('\n'));
+}
+
+/**
+ * Save the rest of the selected file, from the resume line, as a new file
+ */
+async function handleResumeSaveClick() {
+  const target = getResumeTarget();
+  if (!target) return;
+
+  const result = await window.electronAPI.saveResumedGcode(target.filePath, target.line);
+  if (!result.success) {
+    alert(`Could not save the resumed G-code:\n\n${result.error}`);
+    return;
+  }
+
+  const savedName = result.data.path.split('/').pop();
+  const warnings = result.data.warnings.length > 0 ? `\n\n${result.data.warnings.join('\n')}` : '';
+  alert(`Saved ${savedName}${warnings}`);
+  await loadGcodeFiles();
+}
+
+// ============ JOB QUEUE ============
+
+/**
+ * Set up the queue and history controls and load both
+ */
+function initJobQueue() {
+  document.getElementById('jobQueueAddBtn')?.addEventListener('click', async () => {
+    const filePath = getCurrentGcodeFilePath();
+    if (!filePath) {
+      alert('Select a G-code file to queue.');
+      return;
+    }
+    await addToJobQueue(filePath, 'render');
+  });
+  document.getElementById('jobQueueRunBtn')?.addEventListener('click', handleQueueRunClick);
+  document.getElementById('jobQueueStopBtn')?.addEventListener('click', () => queueControl('stop'));
+  document.getElementById('jobQueueClearBtn')?.addEventListener('click', () => {
+    if (confirm('Remove all waiting jobs from the queue?')) editJobQueue('clear');
+  });
+
+  document.getElementById('jobHistoryToggleBtn')?.addEventListener('click', () => {
+    const history = document.getElementById('jobHistory');
+    if (!history) return;
+    const show = history.style.display === 'none';
+    history.style.display = show ? 'block' : 'none';
+    if (show) refreshJobHistory();
+  });
+  document.getElementById('jobHistoryExportBtn')?.addEventListener('click', async () => {
+    const result = await window.electronAPI.historyExportCsv();
+    if (!result.success && !result.canceled) alert(`Could not export the history:\n\n${result.error}`);
+  });
+
+  window.electronAPI.queueStatus().then(result => {
+    if (result.success) updateJobQueue(result.data);
+  });
+}
+
+/**
+ * Add a G-code file to the end of the job queue
+ * @param {string} filePath - G-code file in the workspace
+ * @param {string} source - Where it was queued from (eject | render)
+ * @returns {Promise<boolean>} True when queued
+ */
+export async function addToJobQueue(filePath, source) {
+  const result = await window.electronAPI.queueAdd(filePath, getActiveMachine().id, source);
+  if (!result.success) {
+    alert(`Could not queue the file:\n\n${result.error}`);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Start the queue, or continue it once the paper has been changed
+ */
+function handleQueueRunClick() {
+  if (queueStatus.state === 'paper-change') {
+    queueControl('continue');
+    return;
+  }
+  const count = queueStatus.jobs.length;
+  if (!confirm(`Plot ${count} queued job${count === 1 ? '' : 's'} on ${getActiveMachine().name}? The queue pauses after each job for a paper change.`)) return;
+  queueControl('start');
+}
+
+async function queueControl(action) {
+  const result = await window.electronAPI.queueControl(action);
+  if (!result.success) alert(`Queue: ${result.error}`);
+}
+
+async function editJobQueue(action, id, offset) {
+  const result = await window.electronAPI.queueEdit(action, id, offset);
+  if (!result.success) alert(`Queue: ${result.error}`);
+}
+
+/**
+ * Show the queue from a status or 'queue' event
+ */
+function updateJobQueue(status) {
+  queueStatus = status;
+  const running = status.jobs.find(job => job.id === status.current);
+  if (running) plotterJobPath = running.filePath;
+
+  const list = document.getElementById('jobQueueList');
+  if (list) {
+    list.innerHTML = '';
+    if (status.jobs.length === 0) {
+      list.innerHTML = '<div class="job-queue-empty">No queued jobs</div>';
+    }
+    status.jobs.forEach((job, index) => {
+      const item = document.createElement('div');
+      item.className = 'job-queue-item';
+      if (job.id === status.current) item.classList.add('running');
+      if (job.error) item.classList.add('failed');
+      item.title = job.error ? `${job.filePath}\n${job.error}` : job.filePath;
+
+      const name = document.createElement('span');
+      name.className = 'job-queue-name';
+      name.textContent = `${index + 1}. ${job.name}`;
+      item.appendChild(name);
+
+      if (job.id !== status.current) {
+        for (const [label, title, handler] of [
+          ['↑', 'Move up', () => editJobQueue('move', job.id, -1)],
+          ['↓', 'Move down', () => editJobQueue('move', job.id, 1)],
+          ['✕', 'Remove from queue', () => editJobQueue('remove', job.id)]
+        ]) {
+          const button = document.createElement('button');
+          button.className = 'job-queue-item-btn';
+          button.textContent = label;
+          button.title = title;
+          button.addEventListener('click', handler);
+          item.appendChild(button);
+        }
+      }
+      list.appendChild(item);
+    });
+  }
+
+  const message = document.getElementById('jobQueueMessage');
+  if (message) {
+    const failed = status.jobs.find(job => job.error);
+    if (status.state === 'paper-change') {
+      message.textContent = `Change the paper or pen, then continue with ${status.jobs[0].name}.`;
+    } else if (status.state === 'running' && status.stopRequested) {
+      message.textContent = 'The queue stops after this job.';
+    } else if (status.state === 'idle' && failed) {
+      message.textContent = `${failed.name} did not finish: ${failed.error}`;
+    } else {
+      message.textContent = '';
+    }
+    message.style.display = message.textContent ? 'block' : 'none';
+  }
+
+  updateJobQueueControls();
+}
+
+/**
+ * Enable the queue buttons for the queue and plotter state
+ */
+function updateJobQueueControls() {
+  const plotterIdle = plotterConnected && plotterState === 'idle';
+
+  const runBtn = document.getElementById('jobQueueRunBtn');
+  if (runBtn) {
+    const waiting = queueStatus.state === 'paper-change';
+    runBtn.textContent = waiting ? '▶ Continue' : '▶ Run queue';
+    runBtn.disabled = !plotterIdle || (queueStatus.state === 'idle' ? queueStatus.jobs.length === 0 : !waiting);
+  }
+
+  const stopBtn = document.getElementById('jobQueueStopBtn');
+  if (stopBtn) stopBtn.disabled = queueStatus.state === 'idle' || queueStatus.stopRequested;
+
+  const clearBtn = document.getElementById('jobQueueClearBtn');
+  if (clearBtn) clearBtn.disabled = queueStatus.jobs.every(job => job.id === queueStatus.current);
+}
+
+/**
+ * Fill the history table (when it is open)
+ */
+async function refreshJobHistory() {
+  const history = document.getElementById('jobHistory');
+  if (!history || history.style.display === 'none') return;
+
+  const result = await window.electronAPI.historyList();
+  if (!result.success) {
+    history.textContent = 'Could not read the job history';
+    console.error('Error reading job history:', result.error);
+    return;
+  }
+  if (result.data.length === 0) {
+    history.innerHTML = '<div class="job-queue-empty">No plots recorded yet</div>';
+    return;
+  }
+
+  const table = document.createElement('table');
+  table.className = 'job-history-table';
+  table.innerHTML = '<thead><tr><th>Started</th><th>File</th><th>Machine</th><th>Time</th><th>Drawn</th><th></th></tr></thead>';
+  const body = document.createElement('tbody');
+  for (const entry of result.data) {
+    const row = document.createElement('tr');
+    row.className = entry.status;
+    const started = new Date(entry.startedAt);
+    const cells = [
+      `${started.toLocaleDateString()} ${started.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`,
+      entry.file,
+      entry.machine,
+      PlotEstimator.formatDuration(entry.duration),
+      PlotEstimator.formatDistance(entry.drawDistance),
+      entry.status === 'completed' ? '✓' : '✕'
+    ];
+    for (const text of cells) {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    }
+    row.title = entry.message || entry.status;
+    body.appendChild(row);
+  }
+  table.appendChild(body);
+  history.innerHTML = '';
+  history.appendChild(table);
+}
+
+// ============ OCTOPRINT ============
+
+/**
+ * Follow jobs uploaded to OctoPrint from the G-code list
+ */
+function initOctoPrintStatus() {
+  document.getElementById('plotterOctoPrintCancelBtn')?.addEventListener('click', async () => {
+    if (!confirm('Cancel the OctoPrint job?')) return;
+    const result = await window.electronAPI.octoprintControl(getActiveMachine().id, 'cancel');
+    if (!result.success) alert(`Could not cancel the job:\n\n${result.error}`);
+  });
+  window.electronAPI.onOctoPrintEvent(handleOctoPrintEvent);
+}
+
+/**
+ * Show OctoPrint job events from the main process
+ */
+function handleOctoPrintEvent(event) {
+  const row = document.getElementById('plotterOctoPrint');
+  const status = document.getElementById('plotterOctoPrintStatus');
+  const cancelBtn = document.getElementById('plotterOctoPrintCancelBtn');
+  if (!row || !status) return;
+  row.style.display = 'flex';
+
+  switch (event.type) {
+    case 'status': {
+      const percent = event.completion !== null ? ` ${event.completion.toFixed(0)}%` : '';
+      const left = event.printTimeLeft ? `, ${Math.ceil(event.printTimeLeft / 60)} min left` : '';
+      status.textContent = `OctoPrint: ${event.file} ${event.state}${percent}${left}`;
+      if (cancelBtn) cancelBtn.disabled = !event.active;
+      break;
+    }
+    case 'done':
+      status.textContent = `OctoPrint: ${event.file} finished (${event.state})`;
+      if (cancelBtn) cancelBtn.disabled = true;
+      break;
+    case 'error':
+      status.textContent = `OctoPrint: ${event.file} - ${event.message}`;
+      if (cancelBtn) cancelBtn.disabled = true;
+      console.error('OctoPrint job error:', event.message);
+      break;
+  }
+}
+
+// ============ MACHINE CONTROL ============
+
+/**
+ * Set up jog, home, pen test and set-origin buttons
+ */
+function initMachineControl() {
+  document.querySelectorAll('#machineStepSizes [data-step]').forEach(button => {
+    button.addEventListener('click', () => {
+      jogStep = parseFloat(button.dataset.step);
+      document.querySelectorAll('#machineStepSizes [data-step]').forEach(b => b.classList.toggle('active', b === button));
+    });
+  });
+
+  // Jog directions are in the bed frame (up = away from the bottom edge)
+  document.querySelectorAll('.machine-jog-pad [data-jog]').forEach(button => {
+    button.addEventListener('click', () => {
+      const [dx, dy] = button.dataset.jog.split(',').map(Number);
+      sendMachineCommand('jog', { x: dx * jogStep, y: dy * jogStep });
+    });
+  });
+
+  document.getElementById('machineHomeBtn')?.addEventListener('click', () => sendMachineCommand('home'));
+  document.getElementById('machinePenUpBtn')?.addEventListener('click', () => sendMachineCommand('pen-up'));
+  document.getElementById('machinePenDownBtn')?.addEventListener('click', () => sendMachineCommand('pen-down'));
+  document.getElementById('machineSetOriginBtn')?.addEventListener('click', () => {
+    if (!confirm('Make the current pen position the work origin (X0 Y0)?')) return;
+    sendMachineCommand('set-origin');
+  });
+}
+
+/**
+ * Send a control command built from the connected machine's profile
+ * @param {string} action - jog | home | pen-up | pen-down | set-origin
+ * @param {Object} options - For jog: {x, y} in mm
+ */
+async function sendMachineCommand(action, options = {}) {
+  machineBusy = true;
+  updatePlotterControls();
+  try {
+    const result = await window.electronAPI.plotterMachineCommand(action, options);
+    setPlotterError(result.success ? '' : result.error);
+  } finally {
+    machineBusy = false;
+    updatePlotterControls();
+  }
+}
+
+/**
+ * Show the position from a GRBL status report or Marlin M114
+ * @param {Object|null} status - Parsed status, or null when disconnected
+ */
+function updateMachinePosition(status) {
+  const position = document.getElementById('machinePosition');
+  const state = document.getElementById('machineState');
+  if (!position || !state) return;
+
+  const coords = status && (status.workPosition || status.machinePosition);
+  position.textContent = coords
+    ? `X ${coords[0].toFixed(2)}  Y ${coords[1].toFixed(2)}`
+    : 'X —  Y —';
+  if (!status) state.textContent = '';
+  else if (status.state) state.textContent = status.state;
+}
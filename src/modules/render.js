@@ -1,6 +1,5 @@
 import { debugLog } from './shared/debug.js';
-import { getWorkspaceWidth, getWorkspaceHeight } from './hardware.js';
-import { getEjectWorkAreaPosition } from './eject.js';
+import { getActiveMachine, getMachineProfile } from './hardware.js';
 
 // ============ RENDER TAB ============
 
@@ -16,6 +15,7 @@ let gcodeCollapseArrow;
 
 // State
 let currentGcodeFile = null;
+let currentGcodeFilePath = null;
 
 // Zoom and pan state for G-code rendering
 let renderZoom = 1;
@@ -24,11 +24,42 @@ let renderPanY = 0;
 let renderBaseScale = 1;
 let renderBounds = { minX: 0, maxX: 0, minY: 0, maxY: 0, width: 0, height: 0 };
 let renderPaths = [];
+let renderTravels = []; // Pen-up move chains as [[x, y], ...] in machine coordinates
+let renderJob = null; // Placement recorded by the generator (work area, origin, paper)
+let renderPens = []; // Pens of a multi-pen file: { line, pen, color, name } in file order
+let renderEstimate = null; // Plot time and distance estimate for the loaded file
+let renderTimeline = null; // Timed program for playback (see PlotEstimator.buildTimeline)
+let renderSimulated = null; // What the virtual plotter drew: { paths (bed polylines), limitViolations }
+
+// Playback state - null while showing the finished drawing
+let renderPlayback = null; // { time, playing, lastFrame, frameId }
+let gcodeHighlightedLine = -1;
+let renderResumeLine = -1; // 0-based G-code line a resumed plot starts at, or -1
+
+// Visible layers (toggled from the layer panel)
+const renderLayers = {
+  drawing: true,
+  travel: true,
+  markers: true, // Path start points and direction arrows
+  workArea: true,
+  paper: true,
+  reference: true,
+  simulated: true // Virtual plotter drawing
+};
 
 // Pan state
 let renderIsPanning = false;
 let renderPanStartX = 0;
 let renderPanStartY = 0;
+let renderClickStart = null; // Mouse-down position, to tell a click from a pan
+
+/**
+ * Get the path of the G-code file shown in the Render tab
+ * @returns {string|null} File path, or null when nothing is loaded
+ */
+export function getCurrentGcodeFilePath() {
+  return currentGcodeFilePath;
+}
 
 /**
  * Check if render paths are available
@@ -74,6 +105,18 @@ export function initRenderTab() {
     });
   }
 
+  // Layer toggles
+  document.querySelectorAll('#renderLayerControls [data-layer]').forEach(input => {
+    input.checked = renderLayers[input.dataset.layer];
+    input.addEventListener('change', () => {
+      renderLayers[input.dataset.layer] = input.checked;
+      if (renderPaths.length > 0) drawGcode();
+    });
+  });
+
+  initRenderPlayback();
+  initResumeSelection();
+
   // Zoom button handlers
   document.getElementById('renderZoomIn')?.addEventListener('click', () => {
     renderZoom *= 1.2;
@@ -111,6 +154,7 @@ export function initRenderTab() {
   // Pan functionality with mouse drag for G-code rendering
   renderCanvas.addEventListener('mousedown', (e) => {
     renderIsPanning = true;
+    renderClickStart = { x: e.clientX, y: e.clientY };
     renderPanStartX = e.clientX - renderPanX;
     renderPanStartY = e.clientY - renderPanY;
     renderCanvas.classList.add('panning');
@@ -124,13 +168,20 @@ export function initRenderTab() {
     }
   });
 
-  renderCanvas.addEventListener('mouseup', () => {
+  renderCanvas.addEventListener('mouseup', (e) => {
     renderIsPanning = false;
     renderCanvas.classList.remove('panning');
+
+    // A click without dragging picks the path to resume a plot from
+    if (renderClickStart && Math.hypot(e.clientX - renderClickStart.x, e.clientY - renderClickStart.y) < 4) {
+      pickResumePath(e);
+    }
+    renderClickStart = null;
   });
 
   renderCanvas.addEventListener('mouseleave', () => {
     renderIsPanning = false;
+    renderClickStart = null;
     renderCanvas.classList.remove('panning');
   });
 
@@ -160,13 +211,18 @@ async function handleGcodeDelete(filePath, fileName) {
       await loadGcodeFiles();
 
       // Clear preview if this was the active file
-      if (currentGcodeFile === filePath) {
+      if (currentGcodeFilePath === filePath) {
         currentGcodeFile = null;
+        currentGcodeFilePath = null;
         renderPaths = [];
+        renderTravels = [];
         renderCanvas.style.display = 'none';
         renderMessage.textContent = 'Select a G-code file to preview';
         renderMessage.style.display = 'block';
         document.getElementById('renderZoomControls').style.display = 'none';
+        document.getElementById('renderLayerControls').style.display = 'none';
+        document.getElementById('renderPlayback').style.display = 'none';
+        stopPlayback();
       }
     } else {
       alert('Error deleting file: ' + result.error);
@@ -177,6 +233,29 @@ async function handleGcodeDelete(filePath, fileName) {
   }
 }
 
+/**
+ * Upload a G-code file to the active machine's OctoPrint server and start it
+ * Progress arrives as OctoPrint events (shown by the plotter panel)
+ * @param {string} filePath - Path to the G-code file
+ * @param {string} fileName - Name of the file for the confirmation dialog
+ */
+async function handleGcodeOctoPrint(filePath, fileName) {
+  const machine = getActiveMachine();
+  if (!confirm(`Upload ${fileName} to ${machine.octoprintUrl} and start it?`)) return;
+
+  try {
+    const result = await window.electronAPI.octoprintSendFile(filePath, machine.id);
+    if (!result.success) {
+      alert(`Could not send to OctoPrint:\n\n${result.error}`);
+      return;
+    }
+    debugLog('Started on OctoPrint:', result.data.path);
+  } catch (error) {
+    console.error('Error sending to OctoPrint:', error);
+    alert(`Could not send to OctoPrint:\n\n${error.message}`);
+  }
+}
+
 /**
  * Load G-code files list
  * Called when switching to the render tab to display available G-code files
@@ -198,6 +277,11 @@ export async function loadGcodeFiles() {
     // Clear existing items
     gcodeList.innerHTML = '';
 
+    // Files can be uploaded when the machine has an OctoPrint server
+    const octoprintButton = getActiveMachine().octoprintUrl
+      ? '<button class="gcode-octoprint-btn" title="Upload to OctoPrint and start">📤</button>'
+      : '';
+
     // Load each G-code file
     for (const file of result.files) {
       const gcodeItem = document.createElement('div');
@@ -214,6 +298,7 @@ export async function loadGcodeFiles() {
       gcodeItem.innerHTML = `
         <div class="gcode-item-header">
           <div class="gcode-item-name" title="${file.name}">${file.name}</div>
+          ${octoprintButton}
           <button class="gcode-delete-btn" title="Delete file">🗑️</button>
         </div>
         <div class="gcode-item-info">
@@ -236,6 +321,15 @@ export async function loadGcodeFiles() {
         await loadGcodeFile(file.path);
       });
 
+      // OctoPrint button handler
+      const octoprintBtn = gcodeItem.querySelector('.gcode-octoprint-btn');
+      if (octoprintBtn) {
+        octoprintBtn.addEventListener('click', async (e) => {
+          e.stopPropagation(); // Prevent triggering the item click
+          await handleGcodeOctoPrint(file.path, file.name);
+        });
+      }
+
       // Delete button handler
       const deleteBtn = gcodeItem.querySelector('.gcode-delete-btn');
       if (deleteBtn) {
@@ -271,6 +365,8 @@ async function loadGcodeFile(filePath) {
     }
 
     currentGcodeFile = result.data;
+    currentGcodeFilePath = filePath;
+    setResumeLine(-1);
 
     // Hide message and show canvas
     renderMessage.style.display = 'none';
@@ -282,6 +378,7 @@ async function loadGcodeFile(filePath) {
 
     // Parse and render the G-code
     renderGcode(result.data);
+    loadSimulatedDrawing(filePath);
   } catch (error) {
     console.error('Error loading G-code file:', error);
     renderMessage.textContent = 'Error loading G-code file';
@@ -293,103 +390,189 @@ async function loadGcodeFile(filePath) {
 
 /**
  * Parse G-code text and extract drawing paths
- * Handles M42 pen control commands and G0/G1 movement commands
+ * Runs the modal G-code interpreter using the pen commands of the file's machine profile
  * @param {string} gcodeText - The G-code text to parse
  */
 function renderGcode(gcodeText) {
-  const lines = gcodeText.split('\n');
-
-  // Parse G-code to extract drawing commands
-  const paths = [];
-  let currentX = 0, currentY = 0;
-  let isPenDown = false;
-  let minX = Infinity, maxX = -Infinity;
-  let minY = Infinity, maxY = -Infinity;
-  let currentPath = [];
-
-  for (const line of lines) {
-    // Remove comments and trim
-    const cleanLine = line.split(';')[0].trim().toUpperCase();
-    if (!cleanLine) continue;
-
-    // Parse M42 commands (pen control)
-    // M42 P0 S1 = pen up (pin high)
-    // M42 P0 S0 = pen down (pin low)
-    if (cleanLine.includes('M42')) {
-      const sMatch = cleanLine.match(/S(\d+)/);
-      if (sMatch) {
-        const sValue = parseInt(sMatch[1]);
-        if (sValue === 1) {
-          // Pen up - save current path if it exists
-          if (currentPath.length > 0) {
-            paths.push([...currentPath]);
-            currentPath = [];
-          }
-          isPenDown = false;
-        } else if (sValue === 0) {
-          // Pen down - start new path at current position
-          isPenDown = true;
-          currentPath.push({ x: currentX, y: currentY });
-        }
-      }
-    }
-
-    // Parse G0/G1 movement commands
-    if (cleanLine.startsWith('G0') || cleanLine.startsWith('G00') ||
-        cleanLine.startsWith('G1') || cleanLine.startsWith('G01')) {
-
-      // Extract X, Y coordinates
-      const xMatch = cleanLine.match(/X([-\d.]+)/);
-      const yMatch = cleanLine.match(/Y([-\d.]+)/);
-
-      if (xMatch) currentX = parseFloat(xMatch[1]);
-      if (yMatch) currentY = parseFloat(yMatch[1]);
-
-      // Track bounds for all movements
-      minX = Math.min(minX, currentX);
-      maxX = Math.max(maxX, currentX);
-      minY = Math.min(minY, currentY);
-      maxY = Math.max(maxY, currentY);
-
-      // Only add to path if pen is down
-      if (isPenDown) {
-        currentPath.push({ x: currentX, y: currentY });
-      }
-    }
-  }
-
-  // Add the last path if it exists
-  if (currentPath.length > 0) {
-    paths.push(currentPath);
-  }
+  interpretRenderGcode(gcodeText);
 
   // If no paths found, show message
-  if (paths.length === 0) {
+  if (renderPaths.length === 0) {
     renderMessage.textContent = 'No drawing commands found in G-code';
     renderMessage.style.display = 'block';
     renderCanvas.style.display = 'none';
     document.getElementById('renderZoomControls').style.display = 'none';
+    document.getElementById('renderLayerControls').style.display = 'none';
+    document.getElementById('renderPlayback').style.display = 'none';
     return;
   }
 
-  // Store paths and bounds for re-rendering with zoom/pan
-  renderPaths = paths;
-  const width = maxX - minX;
-  const height = maxY - minY;
-  renderBounds = { minX, maxX, minY, maxY, width, height };
-
   // Reset zoom and pan on new file
   renderZoom = 1;
   renderPanX = 0;
   renderPanY = 0;
 
-  // Show zoom controls
+  // Show zoom and layer controls
   document.getElementById('renderZoomControls').style.display = 'flex';
+  document.getElementById('renderLayerControls').style.display = 'flex';
+  document.getElementById('renderPlayback').style.display = 'flex';
 
   // Draw the G-code
   drawGcode();
 }
 
+/**
+ * Interpret G-code into render paths, bounds and the plot estimate
+ * @param {string} gcodeText - The G-code text to interpret
+ */
+function interpretRenderGcode(gcodeText) {
+  // Job comment written by the G-code generator (decides the machine profile)
+  const jobLine = gcodeText.split('\n', 50).find(line => line.startsWith('; gellyscope '));
+  renderJob = jobLine ? parseJobComment(jobLine) : null;
+  renderPens = parsePenComments(gcodeText);
+
+  const profile = getRenderProfile();
+  const result = GcodeInterpreter.interpret(gcodeText, { profile });
+  if (result.warnings.length > 0) {
+    debugLog('G-code interpreter warnings:', result.warnings);
+  }
+
+  // Store paths and bounds for re-rendering with zoom/pan
+  renderPaths = result.paths;
+  renderTravels = collectTravels(result.program);
+  const { minX, maxX, minY, maxY } = result.bounds || { minX: 0, maxX: 0, minY: 0, maxY: 0 };
+  renderBounds = { minX, maxX, minY, maxY, width: maxX - minX, height: maxY - minY };
+
+  renderEstimate = result.program.length > 0 ? PlotEstimator.estimateProgram(result.program, profile) : null;
+  debugLog('Plot estimate:', renderEstimate);
+
+  // Timing may have changed, so playback starts over
+  renderTimeline = PlotEstimator.buildTimeline(result.program, profile);
+  stopPlayback();
+}
+
+/**
+ * Collect chains of pen-up moves from an interpreted program
+ * @param {Array} program - Interpreter program (see GcodeInterpreter.interpret)
+ * @returns {Array<Array<number[]>>} Travel polylines in machine coordinates
+ */
+function collectTravels(program) {
+  const travels = [];
+  let current = null;
+  for (const item of program) {
+    if (item.type !== 'move' || item.draw) {
+      current = null;
+      continue;
+    }
+    if (item.from[0] === item.to[0] && item.from[1] === item.to[1]) continue;
+    if (!current) {
+      current = [item.from];
+      travels.push(current);
+    }
+    current.push(item.to);
+  }
+  return travels;
+}
+
+/**
+ * Parse the "; gellyscope key=value ..." job comment
+ * @param {string} line - Comment line
+ * @returns {Object} Parsed values (numbers and number lists are converted)
+ */
+function parseJobComment(line) {
+  const job = {};
+  for (const part of line.slice('; gellyscope '.length).trim().split(/\s+/)) {
+    const [key, value] = part.split('=');
+    if (!key || value === undefined) continue;
+    const numbers = value.split(',').map(Number);
+    job[key] = numbers.every(n => !isNaN(n)) ? (numbers.length > 1 ? numbers : numbers[0]) : value;
+  }
+  return job;
+}
+
+/**
+ * Find the "; gellyscope-pen pen=N color=#rrggbb name=..." comments of a multi-pen file
+ * @param {string} gcodeText - G-code
+ * @returns {Array<{line: number, pen: number, color: string, name: string}>} Pens in file order
+ */
+function parsePenComments(gcodeText) {
+  const pens = [];
+  gcodeText.split('\n').forEach((line, index) => {
+    if (!line.startsWith('; gellyscope-pen ')) return;
+    const values = parseJobComment(`; gellyscope ${line.slice('; gellyscope-pen '.length)}`);
+    pens.push({
+      line: index,
+      pen: values.pen,
+      color: /^#[0-9a-f]{6}$/i.test(values.color) ? values.color : '#00ff00',
+      name: decodeURIComponent(String(values.name || ''))
+    });
+  });
+  return pens;
+}
+
+/**
+ * Pen drawing a G-code line (the last pen comment before it)
+ * @returns {Object|null} Entry of renderPens
+ */
+function penAtLine(line) {
+  let found = null;
+  for (const pen of renderPens) {
+    if (pen.line > line) break;
+    found = pen;
+  }
+  return found;
+}
+
+/**
+ * Get the machine profile for the loaded file (recorded machine, else the active one)
+ */
+function getRenderProfile() {
+  return renderJob && renderJob.machine ? getMachineProfile(String(renderJob.machine)) : getActiveMachine();
+}
+
+/**
+ * Re-interpret the loaded file (e.g. after machine pen commands or timing change)
+ */
+export function refreshRenderGcode() {
+  if (currentGcodeFile) interpretRenderGcode(currentGcodeFile);
+}
+
+/**
+ * Get the machine frame used to interpret the loaded file
+ * Uses the work area recorded in the file, otherwise the active machine
+ * @returns {{workWidth: number, workHeight: number, origin: string}}
+ */
+function getRenderFrame() {
+  if (renderJob && Array.isArray(renderJob.work) && renderJob.origin) {
+    return { workWidth: renderJob.work[0], workHeight: renderJob.work[1], origin: renderJob.origin };
+  }
+  const machine = getActiveMachine();
+  return { workWidth: machine.workWidth, workHeight: machine.workHeight, origin: machine.origin };
+}
+
+/**
+ * Get the paper rectangle in bed coordinates
+ * Uses the placement recorded in the file, otherwise the artwork bounds plus the machine's margin
+ * @param {Object} frame - Machine frame (see getRenderFrame)
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+function getRenderPaper(frame) {
+  if (renderJob && Array.isArray(renderJob.paper) && renderJob.paper.length === 4) {
+    const [x, y, width, height] = renderJob.paper;
+    return { x, y, width, height };
+  }
+
+  const margin = getActiveMachine().paperMargin;
+  const [x1, y1] = WorkArea.machineToBed(renderBounds.minX, renderBounds.minY, frame);
+  const [x2, y2] = WorkArea.machineToBed(renderBounds.maxX, renderBounds.maxY, frame);
+  return {
+    x: Math.min(x1, x2) - margin,
+    y: Math.min(y1, y2) - margin,
+    width: renderBounds.width + (margin * 2),
+    height: renderBounds.height + (margin * 2)
+  };
+}
+
 /**
  * Draw the G-code paths on the canvas with current zoom and pan
  * Applies coordinate transformations and scaling to fit the canvas
@@ -407,8 +590,10 @@ export function drawGcode() {
   canvas.height = containerHeight;
 
   // Get work area dimensions - this is the SINGLE work area that exists
-  const wsWidth = getWorkspaceWidth();
-  const wsHeight = getWorkspaceHeight();
+  const frame = getRenderFrame();
+  const wsWidth = frame.workWidth;
+  const wsHeight = frame.workHeight;
+  const paper = getRenderPaper(frame);
 
   // Calculate scale to fit the WORK AREA (not the artwork) in the canvas with padding
   const padding = 40;
@@ -429,10 +614,89 @@ export function drawGcode() {
   ctx.scale(scale, -scale); // Flip Y axis for typical G-code coordinate system
   ctx.translate(-wsWidth / 2, -wsHeight / 2); // Center the work area at origin
 
-  // Draw all paths
-  // G-code coordinates are absolute positions in work area (0,0 to wsWidth,wsHeight)
-  // Our transformation has positioned origin at work area bottom-left, so draw directly
-  ctx.strokeStyle = '#00ff00';
+  // G-code coordinates are machine coordinates; the machine's origin corner
+  // decides where they land on the bed (origin at work area bottom-left, Y up)
+  if (renderLayers.travel) drawTravelMoves(ctx, scale, frame);
+  if (renderPlayback) {
+    // Finished drawing as a faint guide, with the plotted part on top
+    if (renderLayers.drawing) drawPenPaths(ctx, scale, frame, 'rgba(0, 255, 0, 0.2)');
+    drawPlaybackProgress(ctx, scale, frame);
+  } else if (renderLayers.drawing && renderResumeLine >= 0) {
+    // What a resumed plot still has to draw, over the rest as a faint guide
+    drawPenPaths(ctx, scale, frame, 'rgba(0, 255, 0, 0.2)');
+    drawResumeRemainder(ctx, scale, frame);
+  } else if (renderLayers.drawing) {
+    drawPenPaths(ctx, scale, frame, null);
+  }
+  if (renderLayers.simulated && renderSimulated) drawSimulatedPaths(ctx, scale);
+  if (renderLayers.markers) drawPathMarkers(ctx, scale, frame);
+
+  // Draw work area bounding box in the same coordinate space as G-code
+  if (renderLayers.workArea) drawWorkAreaBounds(ctx, scale, frame);
+
+  // Draw paper outline showing where to place paper on work area
+  if (renderLayers.paper) drawPaperOutline(ctx, scale, paper);
+
+  // Draw reference lines from paper to work area edges
+  if (renderLayers.reference) drawPaperReferenceLines(ctx, scale, paper, frame);
+
+  // Pen head on top of everything
+  if (renderPlayback) drawPlaybackHead(ctx, scale, frame);
+  else if (renderResumeLine >= 0) drawResumeMarker(ctx, scale, frame);
+
+  ctx.restore();
+
+  // Draw info overlay
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+  ctx.font = '12px monospace';
+  ctx.fillText(`Dimensions: ${renderBounds.width.toFixed(2)} × ${renderBounds.height.toFixed(2)} mm`, 10, 20);
+  ctx.fillText(`Paths: ${renderPaths.length}`, 10, 35);
+  ctx.fillText(`Zoom: ${(renderZoom * 100).toFixed(0)}%`, 10, 50);
+  let infoY = 65;
+  if (renderEstimate) {
+    const { formatDistance, formatDuration } = PlotEstimator;
+    ctx.fillText(`Pen down: ${formatDistance(renderEstimate.drawDistance)}  Travel: ${formatDistance(renderEstimate.travelDistance)}`, 10, infoY);
+    ctx.fillText(`Pen lifts: ${renderEstimate.penLifts}  Est. time: ${formatDuration(renderEstimate.duration)}`, 10, infoY + 15);
+    infoY += 30;
+  }
+  if (renderJob && Array.isArray(renderJob.travel)) {
+    const [before, after] = renderJob.travel;
+    ctx.fillText(`Travel: ${before.toFixed(0)} → ${after.toFixed(0)} mm (optimized)`, 10, infoY);
+    infoY += 15;
+  }
+  if (renderLayers.simulated && renderSimulated) {
+    const hits = renderSimulated.limitViolations;
+    ctx.fillText(`Simulator: ${renderSimulated.paths.length} paths${hits > 0 ? `, ${hits} soft-limit hits` : ''}`, 10, infoY);
+    infoY += 15;
+  }
+  if (renderResumeLine >= 0) {
+    ctx.fillText(`Resume from line ${renderResumeLine + 1}`, 10, infoY);
+    infoY += 15;
+  }
+  // Pen legend: swatch, number and name
+  for (const pen of renderPens) {
+    ctx.fillStyle = pen.color;
+    ctx.fillRect(10, infoY - 9, 10, 10);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.fillText(`Pen ${pen.pen}: ${pen.name}`, 26, infoY);
+    infoY += 15;
+  }
+
+  // Draw work area dimensions in screen space
+  if (renderLayers.workArea) drawWorkAreaDimensions(ctx, containerWidth, containerHeight, scale, frame);
+
+  // Draw paper dimensions in screen space
+  if (renderLayers.paper) drawPaperDimensions(ctx, containerWidth, containerHeight, scale, paper, frame);
+}
+
+/**
+ * Draw pen-down paths
+ * @param {CanvasRenderingContext2D} ctx - Canvas context (in transformed G-code space)
+ * @param {number} scale - Current scale factor
+ * @param {Object} frame - Machine frame (work area size and origin corner)
+ * @param {string|null} color - Stroke color, or null for each pen's color (green without pens)
+ */
+function drawPenPaths(ctx, scale, frame, color) {
   ctx.lineWidth = 0.5 / scale; // Adjust line width based on scale
   ctx.lineCap = 'round';
   ctx.lineJoin = 'round';
@@ -441,38 +705,123 @@ export function drawGcode() {
     if (path.length < 2) continue;
 
     ctx.beginPath();
-    ctx.moveTo(path[0].x, path[0].y);
+    ctx.moveTo(...WorkArea.machineToBed(path[0].x, path[0].y, frame));
 
     for (let i = 1; i < path.length; i++) {
-      ctx.lineTo(path[i].x, path[i].y);
+      ctx.lineTo(...WorkArea.machineToBed(path[i].x, path[i].y, frame));
     }
 
+    const pen = color ? null : penAtLine(path[0].line);
+    const penColor = color || (pen ? pen.color : '#00ff00');
+    if (pen && isDarkColor(penColor)) {
+      // Dark ink would vanish on the dark canvas; outline it
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+      ctx.lineWidth = 1.5 / scale;
+      ctx.stroke();
+      ctx.lineWidth = 0.5 / scale;
+    }
+    ctx.strokeStyle = penColor;
     ctx.stroke();
   }
+}
 
-  // Draw work area bounding box in the same coordinate space as G-code
-  drawWorkAreaBounds(ctx, scale);
+/**
+ * Whether a #rrggbb color is too dark to see on the canvas background
+ */
+function isDarkColor(color) {
+  const value = parseInt(color.slice(1), 16);
+  const luminance = 0.299 * (value >> 16) + 0.587 * ((value >> 8) & 0xff) + 0.114 * (value & 0xff);
+  return luminance < 60;
+}
 
-  // Draw paper outline showing where to place paper on work area
-  drawPaperOutline(ctx, scale);
+/**
+ * Draw what the virtual plotter recorded over the intended drawing
+ * @param {CanvasRenderingContext2D} ctx - Canvas context (in transformed G-code space)
+ * @param {number} scale - Current scale factor
+ */
+function drawSimulatedPaths(ctx, scale) {
+  ctx.save();
+  ctx.strokeStyle = 'rgba(77, 171, 247, 0.8)';
+  ctx.lineWidth = 1.5 / scale;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
 
-  // Draw reference lines from paper to work area edges
-  drawPaperReferenceLines(ctx, scale);
+  ctx.beginPath();
+  for (const path of renderSimulated.paths) {
+    ctx.moveTo(...path[0]);
+    for (let i = 1; i < path.length; i++) ctx.lineTo(...path[i]);
+  }
+  ctx.stroke();
 
   ctx.restore();
+}
 
-  // Draw info overlay
-  ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
-  ctx.font = '12px monospace';
-  ctx.fillText(`Dimensions: ${renderBounds.width.toFixed(2)} × ${renderBounds.height.toFixed(2)} mm`, 10, 20);
-  ctx.fillText(`Paths: ${renderPaths.length}`, 10, 35);
-  ctx.fillText(`Zoom: ${(renderZoom * 100).toFixed(0)}%`, 10, 50);
+/**
+ * Draw pen-up travel moves as dashed lines
+ * @param {CanvasRenderingContext2D} ctx - Canvas context (in transformed G-code space)
+ * @param {number} scale - Current scale factor
+ * @param {Object} frame - Machine frame (work area size and origin corner)
+ */
+function drawTravelMoves(ctx, scale, frame) {
+  ctx.save();
+  ctx.strokeStyle = 'rgba(255, 107, 107, 0.7)';
+  ctx.lineWidth = 0.5 / scale;
+  ctx.setLineDash([4 / scale, 3 / scale]);
+
+  ctx.beginPath();
+  for (const travel of renderTravels) {
+    ctx.moveTo(...WorkArea.machineToBed(travel[0][0], travel[0][1], frame));
+    for (let i = 1; i < travel.length; i++) {
+      ctx.lineTo(...WorkArea.machineToBed(travel[i][0], travel[i][1], frame));
+    }
+  }
+  ctx.stroke();
 
-  // Draw work area dimensions in screen space
-  drawWorkAreaDimensions(ctx, containerWidth, containerHeight, scale);
+  ctx.restore();
+}
 
-  // Draw paper dimensions in screen space
-  drawPaperDimensions(ctx, containerWidth, containerHeight, scale);
+/**
+ * Draw a dot at the start of every path and an arrow showing its direction
+ * @param {CanvasRenderingContext2D} ctx - Canvas context (in transformed G-code space)
+ * @param {number} scale - Current scale factor
+ * @param {Object} frame - Machine frame (work area size and origin corner)
+ */
+function drawPathMarkers(ctx, scale, frame) {
+  const dotRadius = 2 / scale;
+  const arrowSize = 5 / scale;
+
+  ctx.save();
+  ctx.fillStyle = '#ffd43b';
+
+  for (const path of renderPaths) {
+    if (path.length < 2) continue;
+
+    // Start point
+    const [sx, sy] = WorkArea.machineToBed(path[0].x, path[0].y, frame);
+    ctx.beginPath();
+    ctx.arc(sx, sy, dotRadius, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Arrow at the middle segment, pointing the way the pen moves
+    const mid = Math.max(1, Math.floor(path.length / 2));
+    const [ax, ay] = WorkArea.machineToBed(path[mid - 1].x, path[mid - 1].y, frame);
+    const [bx, by] = WorkArea.machineToBed(path[mid].x, path[mid].y, frame);
+    const length = Math.hypot(bx - ax, by - ay);
+    if (length === 0) continue;
+
+    const ux = (bx - ax) / length;
+    const uy = (by - ay) / length;
+    const tipX = (ax + bx) / 2 + ux * arrowSize / 2;
+    const tipY = (ay + by) / 2 + uy * arrowSize / 2;
+    ctx.beginPath();
+    ctx.moveTo(tipX, tipY);
+    ctx.lineTo(tipX - ux * arrowSize - uy * arrowSize * 0.5, tipY - uy * arrowSize + ux * arrowSize * 0.5);
+    ctx.lineTo(tipX - ux * arrowSize + uy * arrowSize * 0.5, tipY - uy * arrowSize - ux * arrowSize * 0.5);
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  ctx.restore();
 }
 
 /**
@@ -481,11 +830,11 @@ export function drawGcode() {
  * This is the ONLY work area - same one shown on eject tab
  * @param {CanvasRenderingContext2D} ctx - Canvas context (in transformed G-code space)
  * @param {number} scale - Current scale factor
+ * @param {Object} frame - Machine frame (work area size and origin corner)
  */
-function drawWorkAreaBounds(ctx, scale) {
-  // Get current workspace dimensions from hardware settings (in mm)
-  const wsWidth = getWorkspaceWidth();
-  const wsHeight = getWorkspaceHeight();
+function drawWorkAreaBounds(ctx, scale, frame) {
+  const wsWidth = frame.workWidth;
+  const wsHeight = frame.workHeight;
 
   // Draw the work area bounding box from (0,0) to (wsWidth, wsHeight)
   // Transformation has already positioned this correctly (centered in view)
@@ -504,6 +853,23 @@ function drawWorkAreaBounds(ctx, scale) {
   ctx.textBaseline = 'bottom';
   ctx.fillText('Work Area', 5 / scale, -5 / scale);
   ctx.restore();
+
+  // Mark the machine origin (0,0)
+  const [originX, originY] = WorkArea.machineToBed(0, 0, frame);
+  ctx.fillStyle = '#ff6600';
+  ctx.beginPath();
+  ctx.arc(originX, originY, 4 / scale, 0, Math.PI * 2);
+  ctx.fill();
+
+  ctx.save();
+  ctx.scale(1, -1);
+  ctx.font = `${11 / scale}px monospace`;
+  ctx.textAlign = originX > wsWidth / 2 ? 'right' : 'left';
+  ctx.textBaseline = originY > wsHeight / 2 ? 'top' : 'bottom';
+  const labelOffsetX = originX > wsWidth / 2 ? -8 / scale : 8 / scale;
+  const labelOffsetY = originY > wsHeight / 2 ? 8 / scale : -8 / scale;
+  ctx.fillText('0,0', originX + labelOffsetX, -originY + labelOffsetY);
+  ctx.restore();
 }
 
 /**
@@ -511,18 +877,13 @@ function drawWorkAreaBounds(ctx, scale) {
  * Shows the size of paper needed, positioned around the actual artwork
  * @param {CanvasRenderingContext2D} ctx - Canvas context (in transformed G-code space)
  * @param {number} scale - Current scale factor
+ * @param {Object} paper - Paper rect in bed coordinates (see getRenderPaper)
  */
-function drawPaperOutline(ctx, scale) {
-  // Paper encompasses the artwork with margin
-  // The artwork position in work area is defined by renderBounds (actual G-code coordinates)
-  const margin = 5; // 5mm margin around artwork
-
-  // Paper position is based on where the artwork actually is in the work area
-  // renderBounds contains minX, maxX, minY, maxY from the actual G-code
-  const left = renderBounds.minX - margin;
-  const bottom = renderBounds.minY - margin;
-  const paperWidth = renderBounds.width + (margin * 2);
-  const paperHeight = renderBounds.height + (margin * 2);
+function drawPaperOutline(ctx, scale, paper) {
+  const left = paper.x;
+  const bottom = paper.y;
+  const paperWidth = paper.width;
+  const paperHeight = paper.height;
 
   ctx.save();
 
@@ -553,20 +914,21 @@ function drawPaperOutline(ctx, scale) {
  * Helps operators position paper precisely on CNC bed
  * @param {CanvasRenderingContext2D} ctx - Canvas context (in transformed G-code space)
  * @param {number} scale - Current scale factor
+ * @param {Object} paper - Paper rect in bed coordinates
+ * @param {Object} frame - Machine frame
  */
-function drawPaperReferenceLines(ctx, scale) {
+function drawPaperReferenceLines(ctx, scale, paper, frame) {
   // Paper bounds (same as drawPaperOutline)
-  const margin = 5;
-  const paperLeft = renderBounds.minX - margin;
-  const paperBottom = renderBounds.minY - margin;
-  const paperWidth = renderBounds.width + (margin * 2);
-  const paperHeight = renderBounds.height + (margin * 2);
+  const paperLeft = paper.x;
+  const paperBottom = paper.y;
+  const paperWidth = paper.width;
+  const paperHeight = paper.height;
   const paperRight = paperLeft + paperWidth;
   const paperTop = paperBottom + paperHeight;
 
   // Work area bounds
-  const wsWidth = getWorkspaceWidth();
-  const wsHeight = getWorkspaceHeight();
+  const wsWidth = frame.workWidth;
+  const wsHeight = frame.workHeight;
 
   ctx.save();
 
@@ -661,11 +1023,11 @@ function drawPaperReferenceLines(ctx, scale) {
  * @param {number} containerWidth - Width of the container
  * @param {number} containerHeight - Height of the container
  * @param {number} scale - Current scale factor
+ * @param {Object} frame - Machine frame
  */
-function drawWorkAreaDimensions(ctx, containerWidth, containerHeight, scale) {
-  // Get current workspace dimensions from hardware settings
-  const wsWidth = getWorkspaceWidth();
-  const wsHeight = getWorkspaceHeight();
+function drawWorkAreaDimensions(ctx, containerWidth, containerHeight, scale, frame) {
+  const wsWidth = frame.workWidth;
+  const wsHeight = frame.workHeight;
 
   // Calculate work area dimensions in screen pixels
   const workAreaWidth = wsWidth * scale;
@@ -745,20 +1107,19 @@ function drawWorkAreaDimensions(ctx, containerWidth, containerHeight, scale) {
  * @param {number} containerWidth - Width of the container
  * @param {number} containerHeight - Height of the container
  * @param {number} scale - Current scale factor
+ * @param {Object} paper - Paper rect in bed coordinates
+ * @param {Object} frame - Machine frame
  */
-function drawPaperDimensions(ctx, containerWidth, containerHeight, scale) {
-  // Paper size and position in work area coordinates
-  const margin = 5;
-  const paperWidth = renderBounds.width + (margin * 2);
-  const paperHeight = renderBounds.height + (margin * 2);
-
-  // Paper position in work area (matches drawPaperOutline)
-  const workAreaLeft = renderBounds.minX - margin;
-  const workAreaBottom = renderBounds.minY - margin;
+function drawPaperDimensions(ctx, containerWidth, containerHeight, scale, paper, frame) {
+  // Paper size and position in work area coordinates (matches drawPaperOutline)
+  const paperWidth = paper.width;
+  const paperHeight = paper.height;
+  const workAreaLeft = paper.x;
+  const workAreaBottom = paper.y;
 
   // Get work area dimensions
-  const wsWidth = getWorkspaceWidth();
-  const wsHeight = getWorkspaceHeight();
+  const wsWidth = frame.workWidth;
+  const wsHeight = frame.workHeight;
 
   // Convert work area coordinates to screen coordinates
   // Work area is centered in view and Y is flipped
@@ -838,3 +1199,463 @@ function drawPaperDimensions(ctx, containerWidth, containerHeight, scale) {
 
   ctx.restore();
 }
+
+// ============ PLAYBACK ============
+
+/**
+ * Set up the playback bar (play/pause, step by line, scrubber, speed)
+ */
+function initRenderPlayback() {
+  document.getElementById('renderPlayPause')?.addEventListener('click', togglePlayback);
+  document.getElementById('renderStepBack')?.addEventListener('click', () => stepPlayback(-1));
+  document.getElementById('renderStepForward')?.addEventListener('click', () => stepPlayback(1));
+  document.getElementById('renderPlaybackStop')?.addEventListener('click', () => {
+    stopPlayback();
+    drawGcode();
+  });
+
+  document.getElementById('renderScrubber')?.addEventListener('input', (e) => {
+    if (!renderTimeline) return;
+    pausePlayback();
+    setPlaybackTime(renderTimeline.duration * (parseFloat(e.target.value) / 1000));
+  });
+
+  // Keep the line highlight aligned while the G-code text scrolls
+  gcodeTextArea?.addEventListener('scroll', positionGcodeHighlight);
+}
+
+/**
+ * Start or pause playback (restarts from the beginning once finished)
+ */
+function togglePlayback() {
+  if (!renderTimeline || renderTimeline.duration <= 0) return;
+
+  if (renderPlayback && renderPlayback.playing) {
+    pausePlayback();
+    return;
+  }
+
+  if (!renderPlayback || renderPlayback.time >= renderTimeline.duration) {
+    renderPlayback = { time: 0, playing: false, lastFrame: 0, frameId: null };
+  }
+  renderPlayback.playing = true;
+  renderPlayback.lastFrame = performance.now();
+  renderPlayback.frameId = requestAnimationFrame(advancePlayback);
+  updatePlaybackControls();
+}
+
+/**
+ * Animation frame: move the playback clock forward by the elapsed time times the speed
+ * @param {number} now - Frame timestamp (ms)
+ */
+function advancePlayback(now) {
+  if (!renderPlayback || !renderPlayback.playing) return;
+
+  const speed = parseFloat(document.getElementById('renderPlaybackSpeed').value) || 1;
+  const elapsed = (now - renderPlayback.lastFrame) / 1000;
+  renderPlayback.lastFrame = now;
+
+  setPlaybackTime(renderPlayback.time + elapsed * speed);
+
+  if (renderPlayback.time >= renderTimeline.duration) {
+    pausePlayback();
+    return;
+  }
+  renderPlayback.frameId = requestAnimationFrame(advancePlayback);
+}
+
+/**
+ * Pause playback, keeping the current position
+ */
+function pausePlayback() {
+  if (!renderPlayback) return;
+  renderPlayback.playing = false;
+  if (renderPlayback.frameId) cancelAnimationFrame(renderPlayback.frameId);
+  renderPlayback.frameId = null;
+  updatePlaybackControls();
+}
+
+/**
+ * Leave playback and show the finished drawing
+ */
+function stopPlayback() {
+  pausePlayback();
+  renderPlayback = null;
+  highlightGcodeLine(renderResumeLine);
+  updatePlaybackControls();
+}
+
+/**
+ * Jump to a point in time and redraw
+ * @param {number} time - Seconds from the start of the plot
+ */
+function setPlaybackTime(time) {
+  if (!renderTimeline) return;
+  if (!renderPlayback) {
+    renderPlayback = { time: 0, playing: false, lastFrame: 0, frameId: null };
+  }
+  renderPlayback.time = Math.min(renderTimeline.duration, Math.max(0, time));
+
+  const located = PlotEstimator.locate(renderTimeline, renderPlayback.time);
+  highlightGcodeLine(located ? renderTimeline.program[located.index].line : -1);
+
+  updatePlaybackControls();
+  drawGcode();
+}
+
+/**
+ * Step to the end of the next G-code line, or back to the start of the current one
+ * @param {number} direction - 1 (forward) or -1 (back)
+ */
+function stepPlayback(direction) {
+  if (!renderTimeline || renderTimeline.program.length === 0) return;
+  pausePlayback();
+
+  const { program, start, end } = renderTimeline;
+  const time = renderPlayback ? renderPlayback.time : 0;
+  const located = PlotEstimator.locate(renderTimeline, time);
+  let index = located.index;
+
+  // Items from one line (e.g. a flattened arc) are contiguous
+  const groupStart = i => {
+    while (i > 0 && program[i - 1].line === program[i].line) i--;
+    return i;
+  };
+  const groupEnd = i => {
+    while (i < program.length - 1 && program[i + 1].line === program[i].line) i++;
+    return i;
+  };
+
+  if (direction > 0) {
+    index = groupEnd(index);
+    if (time >= end[index] && index < program.length - 1) index = groupEnd(index + 1);
+    setPlaybackTime(end[index]);
+  } else {
+    index = groupStart(index);
+    if (time <= start[index] && index > 0) index = groupStart(index - 1);
+    setPlaybackTime(start[index]);
+  }
+}
+
+/**
+ * Sync the playback bar with the playback state
+ */
+function updatePlaybackControls() {
+  const playButton = document.getElementById('renderPlayPause');
+  const scrubber = document.getElementById('renderScrubber');
+  const timeLabel = document.getElementById('renderPlaybackTime');
+  if (!playButton || !scrubber || !timeLabel) return;
+
+  const duration = renderTimeline ? renderTimeline.duration : 0;
+  const time = renderPlayback ? renderPlayback.time : duration;
+  const playing = renderPlayback && renderPlayback.playing;
+
+  playButton.textContent = playing ? '⏸' : '▶';
+  playButton.title = playing ? 'Pause' : 'Play';
+  scrubber.value = duration > 0 ? Math.round((time / duration) * 1000) : 1000;
+
+  const { formatDuration } = PlotEstimator;
+  timeLabel.textContent = `${formatDuration(time)} / ${formatDuration(duration)}`;
+}
+
+/**
+ * Draw the part of the plot finished at the playback time
+ * @param {CanvasRenderingContext2D} ctx - Canvas context (in transformed G-code space)
+ * @param {number} scale - Current scale factor
+ * @param {Object} frame - Machine frame (work area size and origin corner)
+ */
+function drawPlaybackProgress(ctx, scale, frame) {
+  const located = PlotEstimator.locate(renderTimeline, renderPlayback.time);
+  if (!located) return;
+
+  ctx.strokeStyle = '#00ff00';
+  ctx.lineWidth = 0.5 / scale;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+
+  const program = renderTimeline.program;
+  let last = null;
+  ctx.beginPath();
+  for (let i = 0; i <= located.index; i++) {
+    const item = program[i];
+    if (item.type !== 'move' || !item.draw) continue;
+
+    const to = i === located.index ? located.position : item.to;
+    if (last !== item.from) ctx.moveTo(...WorkArea.machineToBed(item.from[0], item.from[1], frame));
+    ctx.lineTo(...WorkArea.machineToBed(to[0], to[1], frame));
+    last = item.to;
+  }
+  ctx.stroke();
+}
+
+/**
+ * Draw the pen head at the playback position (filled while the pen is down)
+ * @param {CanvasRenderingContext2D} ctx - Canvas context (in transformed G-code space)
+ * @param {number} scale - Current scale factor
+ * @param {Object} frame - Machine frame (work area size and origin corner)
+ */
+function drawPlaybackHead(ctx, scale, frame) {
+  const located = PlotEstimator.locate(renderTimeline, renderPlayback.time);
+  if (!located) return;
+
+  const [x, y] = WorkArea.machineToBed(located.position[0], located.position[1], frame);
+  ctx.save();
+  ctx.beginPath();
+  ctx.arc(x, y, 5 / scale, 0, Math.PI * 2);
+  ctx.lineWidth = 1.5 / scale;
+  ctx.strokeStyle = '#ff922b';
+  ctx.fillStyle = '#ff922b';
+  if (located.penDown) ctx.fill();
+  ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * Highlight a line in the G-code text viewer and scroll it into view
+ * @param {number} line - 0-based line number, or -1 to clear
+ */
+function highlightGcodeLine(line) {
+  if (line === gcodeHighlightedLine) return;
+  gcodeHighlightedLine = line;
+
+  if (line >= 0 && gcodeTextArea) {
+    const lineHeight = parseFloat(getComputedStyle(gcodeTextArea).lineHeight) || 16;
+    const top = line * lineHeight;
+    if (top < gcodeTextArea.scrollTop || top + lineHeight > gcodeTextArea.scrollTop + gcodeTextArea.clientHeight) {
+      gcodeTextArea.scrollTop = top - gcodeTextArea.clientHeight / 2;
+    }
+  }
+  positionGcodeHighlight();
+}
+
+/**
+ * Place the highlight bar over the highlighted line
+ */
+function positionGcodeHighlight() {
+  const highlight = document.getElementById('gcodeLineHighlight');
+  if (!highlight || !gcodeTextArea) return;
+
+  if (gcodeHighlightedLine < 0) {
+    highlight.style.display = 'none';
+    return;
+  }
+
+  const style = getComputedStyle(gcodeTextArea);
+  const lineHeight = parseFloat(style.lineHeight) || 16;
+  const paddingTop = parseFloat(style.paddingTop) || 0;
+  highlight.style.display = 'block';
+  highlight.style.height = `${lineHeight}px`;
+  highlight.style.top = `${paddingTop + gcodeHighlightedLine * lineHeight - gcodeTextArea.scrollTop}px`;
+}
+
+/**
+ * Show how far a plot has got: everything up to a G-code line is drawn
+ * @param {number} line - 0-based source line last accepted by the plotter, or -1 for none
+ */
+export function showPlotProgress(line) {
+  if (!renderTimeline || renderTimeline.program.length === 0) return;
+  pausePlayback();
+
+  // Program items are in line order; find the last one at or before the line
+  const { program, end } = renderTimeline;
+  let lo = 0;
+  let hi = program.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (program[mid].line <= line) lo = mid + 1;
+    else hi = mid;
+  }
+  setPlaybackTime(lo > 0 ? end[lo - 1] : 0);
+}
+
+/**
+ * Return to the finished drawing after a plot
+ */
+export function clearPlotProgress() {
+  stopPlayback();
+  if (renderPaths.length > 0) drawGcode();
+}
+
+// ============ SIMULATOR OVERLAY ============
+
+/**
+ * Load the virtual plotter's recording of a G-code file, if there is one
+ * @param {string} filePath - G-code file path
+ */
+async function loadSimulatedDrawing(filePath) {
+  renderSimulated = null;
+  document.getElementById('renderSimulatedLayer').style.display = 'none';
+
+  const result = await window.electronAPI.readSimulatedDrawing(filePath);
+  if (filePath !== currentGcodeFilePath) return; // Another file was opened meanwhile
+  if (!result.success) {
+    console.error('Error loading simulated drawing:', result.error);
+    return;
+  }
+  if (!result.data) return;
+
+  renderSimulated = parseSimulatedDrawing(result.data);
+  document.getElementById('renderSimulatedLayer').style.display = '';
+  if (renderPaths.length > 0) drawGcode();
+}
+
+/**
+ * Read polylines from a simulator SVG (bed millimetres, Y down) into bed coordinates (Y up)
+ * @param {string} svgText - SVG written by the virtual plotter
+ * @returns {{paths: Array<Array<number[]>>, limitViolations: number}}
+ */
+function parseSimulatedDrawing(svgText) {
+  const doc = new DOMParser().parseFromString(svgText, 'image/svg+xml');
+  const svg = doc.documentElement;
+  const viewBox = (svg.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+  const height = viewBox[3] || 0;
+
+  const paths = [];
+  for (const polyline of doc.querySelectorAll('polyline')) {
+    const numbers = (polyline.getAttribute('points') || '').trim().split(/[\s,]+/).map(Number);
+    const path = [];
+    for (let i = 0; i + 1 < numbers.length; i += 2) path.push([numbers[i], height - numbers[i + 1]]);
+    if (path.length > 1) paths.push(path);
+  }
+  return { paths, limitViolations: parseInt(svg.getAttribute('data-limit-violations'), 10) || 0 };
+}
+
+/**
+ * Reload the simulator overlay after a job on the virtual plotter
+ * @param {string} filePath - G-code file the simulator drew
+ */
+export function refreshSimulatedDrawing(filePath) {
+  if (filePath === currentGcodeFilePath) loadSimulatedDrawing(filePath);
+}
+
+// ============ RESUME POINT ============
+
+/**
+ * Pick the resume line from the G-code viewer: clicking a line (or moving the
+ * caret with the keyboard) selects it
+ */
+function initResumeSelection() {
+  const selectCaretLine = () => {
+    const line = gcodeTextArea.value.slice(0, gcodeTextArea.selectionStart).split('\n').length - 1;
+    setResumeLine(line);
+  };
+  gcodeTextArea?.addEventListener('click', selectCaretLine);
+  gcodeTextArea?.addEventListener('keyup', selectCaretLine);
+}
+
+/**
+ * The G-code line a resumed plot starts at
+ * @returns {number} 0-based line, or -1 when none is selected
+ */
+export function getResumeLine() {
+  return renderResumeLine;
+}
+
+/**
+ * Select (or clear) the line a resumed plot starts at
+ * @param {number} line - 0-based G-code line, or -1 to clear
+ */
+export function setResumeLine(line) {
+  const lineCount = currentGcodeFile ? currentGcodeFile.split('\n').length : 0;
+  renderResumeLine = Number.isInteger(line) && line >= 0 && line < lineCount ? line : -1;
+
+  const input = document.getElementById('plotterResumeLine');
+  if (input) input.value = renderResumeLine >= 0 ? renderResumeLine + 1 : '';
+
+  if (!renderPlayback) highlightGcodeLine(renderResumeLine);
+  if (renderPaths.length > 0) drawGcode();
+}
+
+/**
+ * Select the path nearest to a canvas click (within 10 px) as the resume point
+ * @param {MouseEvent} e - Mouse event on the render canvas
+ */
+function pickResumePath(e) {
+  if (renderPaths.length === 0 || renderPlayback) return;
+
+  // Undo the canvas transform of drawGcode to get bed coordinates
+  const rect = renderCanvas.getBoundingClientRect();
+  const frame = getRenderFrame();
+  const scale = renderBaseScale * renderZoom;
+  const bedX = (e.clientX - rect.left - renderCanvas.width / 2 - renderPanX) / scale + frame.workWidth / 2;
+  const bedY = -(e.clientY - rect.top - renderCanvas.height / 2 - renderPanY) / scale + frame.workHeight / 2;
+
+  let nearest = null;
+  let nearestDistance = 10 / scale;
+  for (const path of renderPaths) {
+    const points = path.map(point => WorkArea.machineToBed(point.x, point.y, frame));
+    for (let i = 0; i < points.length; i++) {
+      const distance = distanceToSegment(bedX, bedY, points[Math.max(0, i - 1)], points[i]);
+      if (distance < nearestDistance) {
+        nearest = path;
+        nearestDistance = distance;
+      }
+    }
+  }
+
+  if (nearest) {
+    debugLog('Resume from path starting at line', nearest[0].line + 1);
+    setResumeLine(nearest[0].line);
+  }
+}
+
+/**
+ * Distance from a point to a line segment
+ */
+function distanceToSegment(x, y, [ax, ay], [bx, by]) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared > 0 ? Math.max(0, Math.min(1, ((x - ax) * dx + (y - ay) * dy) / lengthSquared)) : 0;
+  return Math.hypot(x - (ax + t * dx), y - (ay + t * dy));
+}
+
+/**
+ * Draw the pen-down moves from the resume line on
+ * @param {CanvasRenderingContext2D} ctx - Canvas context (in transformed G-code space)
+ * @param {number} scale - Current scale factor
+ * @param {Object} frame - Machine frame (work area size and origin corner)
+ */
+function drawResumeRemainder(ctx, scale, frame) {
+  ctx.strokeStyle = '#00ff00';
+  ctx.lineWidth = 0.5 / scale;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+
+  ctx.beginPath();
+  for (const path of renderPaths) {
+    for (let i = 1; i < path.length; i++) {
+      if (path[i].line < renderResumeLine) continue;
+      ctx.moveTo(...WorkArea.machineToBed(path[i - 1].x, path[i - 1].y, frame));
+      ctx.lineTo(...WorkArea.machineToBed(path[i].x, path[i].y, frame));
+    }
+  }
+  ctx.stroke();
+}
+
+/**
+ * Mark where the pen starts when the plot is resumed
+ * @param {CanvasRenderingContext2D} ctx - Canvas context (in transformed G-code space)
+ * @param {number} scale - Current scale factor
+ * @param {Object} frame - Machine frame (work area size and origin corner)
+ */
+function drawResumeMarker(ctx, scale, frame) {
+  if (!renderTimeline) return;
+
+  // The first move at or after the resume line starts where the pen goes
+  const item = renderTimeline.program.find(entry => entry.type === 'move' && entry.line >= renderResumeLine);
+  if (!item) return;
+
+  const [x, y] = WorkArea.machineToBed(item.from[0], item.from[1], frame);
+  ctx.save();
+  ctx.lineWidth = 1.5 / scale;
+  ctx.strokeStyle = '#f06595';
+  ctx.beginPath();
+  ctx.arc(x, y, 6 / scale, 0, Math.PI * 2);
+  ctx.moveTo(x - 9 / scale, y);
+  ctx.lineTo(x + 9 / scale, y);
+  ctx.moveTo(x, y - 9 / scale);
+  ctx.lineTo(x, y + 9 / scale);
+  ctx.stroke();
+  ctx.restore();
+}
@@ -10,7 +10,7 @@ export function initArrowButtons() {
       const direction = parseInt(btn.dataset.direction);
       const slider = document.getElementById(targetId);
 
-      if (!slider) return;
+      if (!slider || slider.disabled) return;
 
       const step = parseFloat(slider.step) || 1;
       const min = parseFloat(slider.min);
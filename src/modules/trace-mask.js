@@ -0,0 +1,307 @@
+// Trace Mask Module
+// Include/exclude mask painted over the Trace tab's image. The trace worker
+// blanks everything outside an include mask (or inside an exclude mask) before
+// tracing. Masks are saved next to the image as <image file>.mask.png; the
+// paint color records the mode, so a saved mask restores as it was painted.
+import { debugLog } from './shared/debug.js';
+
+// ============ MODULE STATE ============
+
+const MAX_MASK_SIZE = 2048; // Long side of the mask canvas (px); the worker stretches it over the image
+const MASK_COLORS = { include: '#34c759', exclude: '#ff3b30' };
+const SAVE_DELAY = 1000; // ms after the last edit
+
+let maskCanvas = null;
+let maskCtx = null;
+let maskFileName = null; // Image the mask belongs to
+let maskMode = 'include';
+let maskEmpty = true;
+let maskVersion = 0; // Bumped on every change, so the trace worker knows to refresh its copy
+let lastPoint = null; // Mask position of the last dab while painting
+let saveTimer = null;
+let onMaskChange = () => {};
+
+// ============ MASK STATE ============
+
+/**
+ * Counter that changes whenever the mask does
+ */
+export function getTraceMaskVersion() {
+  return maskVersion;
+}
+
+/**
+ * Snapshot of the mask for the trace worker
+ * @returns {Promise<Object|null>} { bitmap, mode }; null when nothing is painted
+ */
+export async function createTraceMaskBitmap() {
+  if (!maskCanvas || maskEmpty) return null;
+  return { bitmap: await createImageBitmap(maskCanvas), mode: maskMode };
+}
+
+/**
+ * Size the mask for a new image and load its saved mask, if any
+ * @param {string} fileName - Image file name in the gellyroller workspace
+ * @param {number} width - Natural width of the image
+ * @param {number} height - Natural height of the image
+ */
+export async function loadTraceMask(fileName, width, height) {
+  flushMaskSave();
+  const scale = Math.min(1, MAX_MASK_SIZE / Math.max(width, height));
+  maskCanvas.width = Math.max(1, Math.round(width * scale));
+  maskCanvas.height = Math.max(1, Math.round(height * scale));
+  maskFileName = fileName;
+  maskEmpty = true;
+  maskVersion++;
+
+  if (!fileName || !window.electronAPI) return;
+  try {
+    const result = await window.electronAPI.loadImageMask(fileName);
+    if (!result.success) throw new Error(result.error);
+    if (!result.data || maskFileName !== fileName) return;
+
+    const img = new Image();
+    img.src = result.data;
+    await img.decode();
+    if (maskFileName !== fileName) return;
+    maskCtx.drawImage(img, 0, 0, maskCanvas.width, maskCanvas.height);
+    setMaskMode(detectMaskMode());
+    maskEmpty = isMaskEmpty();
+    maskVersion++;
+    debugLog('Loaded trace mask for', fileName, `(${maskMode})`);
+  } catch (error) {
+    console.error('Error loading trace mask:', error);
+  }
+}
+
+/**
+ * Drop the mask when the Trace tab is cleared
+ */
+export function resetTraceMask() {
+  flushMaskSave();
+  maskFileName = null;
+  maskEmpty = true;
+  maskVersion++;
+  if (maskCanvas) {
+    maskCtx.clearRect(0, 0, maskCanvas.width, maskCanvas.height);
+  }
+}
+
+// Painted in the exclude color means an exclude mask
+function detectMaskMode() {
+  const { data } = maskCtx.getImageData(0, 0, maskCanvas.width, maskCanvas.height);
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] > 0) return data[i] > data[i + 1] ? 'exclude' : 'include';
+  }
+  return maskMode;
+}
+
+function isMaskEmpty() {
+  const { data } = maskCtx.getImageData(0, 0, maskCanvas.width, maskCanvas.height);
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] > 0) return false;
+  }
+  return true;
+}
+
+function setMaskMode(mode) {
+  maskMode = mode;
+  const select = document.getElementById('maskModeSelect');
+  if (select) select.value = mode;
+}
+
+// ============ PAINTING ============
+
+function readBrush() {
+  const rect = maskCanvas.getBoundingClientRect();
+  const size = parseInt(document.getElementById('maskBrushSizeSlider').value);
+  return {
+    // Brush size is in screen pixels, whatever the zoom
+    radius: Math.max(0.5, size / 2 * maskCanvas.width / rect.width),
+    hardness: parseInt(document.getElementById('maskHardnessSlider').value) / 100,
+    erase: document.querySelector('.mask-tool-btn.active')?.dataset.tool === 'eraser'
+  };
+}
+
+function toMaskPoint(event) {
+  const rect = maskCanvas.getBoundingClientRect();
+  return {
+    x: (event.clientX - rect.left) * maskCanvas.width / rect.width,
+    y: (event.clientY - rect.top) * maskCanvas.height / rect.height
+  };
+}
+
+// One round brush mark: solid up to the hardness, then fading to the edge
+function dab(point, brush) {
+  const color = MASK_COLORS[maskMode];
+  const gradient = maskCtx.createRadialGradient(point.x, point.y, 0, point.x, point.y, brush.radius);
+  gradient.addColorStop(0, color);
+  gradient.addColorStop(Math.min(brush.hardness, 0.99), color);
+  gradient.addColorStop(1, `${color}00`);
+
+  maskCtx.globalCompositeOperation = brush.erase ? 'destination-out' : 'source-over';
+  maskCtx.fillStyle = gradient;
+  maskCtx.beginPath();
+  maskCtx.arc(point.x, point.y, brush.radius, 0, Math.PI * 2);
+  maskCtx.fill();
+  maskCtx.globalCompositeOperation = 'source-over';
+}
+
+// Dabs a quarter brush apart along the pointer's path
+function strokeTo(point, brush) {
+  const spacing = Math.max(1, brush.radius / 4);
+  const dx = point.x - lastPoint.x;
+  const dy = point.y - lastPoint.y;
+  const steps = Math.floor(Math.hypot(dx, dy) / spacing);
+  for (let i = 1; i <= steps; i++) {
+    dab({ x: lastPoint.x + dx * i / steps, y: lastPoint.y + dy * i / steps }, brush);
+  }
+  if (steps > 0) lastPoint = point;
+}
+
+function handlePointerDown(event) {
+  if (event.button !== 0) return;
+  event.preventDefault();
+  maskCanvas.setPointerCapture(event.pointerId);
+  lastPoint = toMaskPoint(event);
+  dab(lastPoint, readBrush());
+}
+
+function handlePointerMove(event) {
+  if (!lastPoint) return;
+  strokeTo(toMaskPoint(event), readBrush());
+}
+
+function handlePointerUp() {
+  if (!lastPoint) return;
+  lastPoint = null;
+  maskChanged();
+}
+
+// Flip painted and unpainted areas
+function invertMask() {
+  const previous = document.createElement('canvas');
+  previous.width = maskCanvas.width;
+  previous.height = maskCanvas.height;
+  previous.getContext('2d').drawImage(maskCanvas, 0, 0);
+
+  maskCtx.fillStyle = MASK_COLORS[maskMode];
+  maskCtx.fillRect(0, 0, maskCanvas.width, maskCanvas.height);
+  maskCtx.globalCompositeOperation = 'destination-out';
+  maskCtx.drawImage(previous, 0, 0);
+  maskCtx.globalCompositeOperation = 'source-over';
+  maskChanged();
+}
+
+// Repaint the existing coverage in the new mode's color
+function recolorMask() {
+  maskCtx.globalCompositeOperation = 'source-in';
+  maskCtx.fillStyle = MASK_COLORS[maskMode];
+  maskCtx.fillRect(0, 0, maskCanvas.width, maskCanvas.height);
+  maskCtx.globalCompositeOperation = 'source-over';
+}
+
+// ============ SAVING ============
+
+function maskChanged() {
+  maskEmpty = isMaskEmpty();
+  maskVersion++;
+  scheduleMaskSave();
+  onMaskChange();
+}
+
+function scheduleMaskSave() {
+  clearTimeout(saveTimer);
+  const fileName = maskFileName;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    saveMask(fileName);
+  }, SAVE_DELAY);
+}
+
+// Save a pending edit right away (before the canvas is reused)
+function flushMaskSave() {
+  if (!saveTimer) return;
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  saveMask(maskFileName);
+}
+
+async function saveMask(fileName) {
+  if (!fileName || !window.electronAPI) return;
+  try {
+    // An empty mask removes the saved file
+    const data = maskEmpty ? null : maskCanvas.toDataURL('image/png');
+    const result = await window.electronAPI.saveImageMask(fileName, data);
+    if (!result.success) throw new Error(result.error);
+    debugLog(data ? 'Saved trace mask for' : 'Removed trace mask for', fileName);
+  } catch (error) {
+    console.error('Error saving trace mask:', error);
+  }
+}
+
+// ============ INITIALIZATION ============
+
+/**
+ * Wire up the mask canvas and the Mask section controls
+ * @param {Function} onChange - Called after every finished edit
+ */
+export function initTraceMask(onChange) {
+  maskCanvas = document.getElementById('traceMaskCanvas');
+  if (!maskCanvas) return;
+  maskCtx = maskCanvas.getContext('2d', { willReadFrequently: true });
+  onMaskChange = onChange;
+
+  maskCanvas.addEventListener('pointerdown', handlePointerDown);
+  maskCanvas.addEventListener('pointermove', handlePointerMove);
+  maskCanvas.addEventListener('pointerup', handlePointerUp);
+  maskCanvas.addEventListener('pointercancel', handlePointerUp);
+
+  // Painting takes over the pointer on the image
+  const paintToggle = document.getElementById('maskPaintToggle');
+  if (paintToggle) {
+    paintToggle.addEventListener('change', (e) => {
+      maskCanvas.classList.toggle('painting', e.target.checked);
+    });
+  }
+
+  const modeSelect = document.getElementById('maskModeSelect');
+  if (modeSelect) {
+    modeSelect.addEventListener('change', (e) => {
+      maskMode = e.target.value;
+      recolorMask();
+      maskChanged();
+      debugLog('Mask mode:', maskMode);
+    });
+  }
+
+  document.querySelectorAll('.mask-tool-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      document.querySelectorAll('.mask-tool-btn').forEach(b => b.classList.remove('active'));
+      btn.classList.add('active');
+    });
+  });
+
+  ['maskBrushSize', 'maskHardness'].forEach(name => {
+    const slider = document.getElementById(`${name}Slider`);
+    const display = document.getElementById(`${name}Value`);
+    if (!slider || !display) return;
+
+    slider.addEventListener('input', (e) => {
+      display.textContent = e.target.value;
+    });
+  });
+
+  const invertBtn = document.getElementById('maskInvertBtn');
+  if (invertBtn) {
+    invertBtn.addEventListener('click', invertMask);
+  }
+
+  const clearBtn = document.getElementById('maskClearBtn');
+  if (clearBtn) {
+    clearBtn.addEventListener('click', () => {
+      maskCtx.clearRect(0, 0, maskCanvas.width, maskCanvas.height);
+      maskChanged();
+    });
+  }
+}
@@ -1,8 +1,11 @@
 // Trace Tab Module
 import { debugLog } from './shared/debug.js';
 import { toMm, escapeHtml } from './shared/utils.js';
-import { PAGE_SIZES, currentPageSize, setCurrentPageSize } from './hardware.js';
+import { PAGE_SIZES, currentPageSize, setCurrentPageSize, getActiveMachine } from './hardware.js';
 import { updateStatusBar } from './shared/statusBar.js';
+import {
+  initTraceMask, loadTraceMask, resetTraceMask, getTraceMaskVersion, createTraceMaskBitmap
+} from './trace-mask.js';
 
 // ============ MODULE STATE ============
 
@@ -11,6 +14,12 @@ let traceDebounceTimer = null;
 let currentLayout = 'portrait'; // 'portrait' or 'landscape'
 let pageBackgroundElement = null;
 let outputScale = 100; // Output scale percentage
+let traceWorker = null;
+let traceWorkerSource = null; // { image, ready }: the image the worker holds
+let traceWorkerMask = null; // { version, ready }: the mask the worker holds
+let traceRunId = 0; // Latest trace run; older results are ignored
+let traceProcessedUrl = null; // Object URL of the processed bitmap
+let layerRun = null; // Posterize or color separation run in the worker (see startLayerRun)
 
 // ============ CORE TRACE FUNCTIONS ============
 
@@ -41,6 +50,10 @@ export function showImageInTraceTab(imageSrc, fileName) {
     isInitialLoad: true  // Flag to prevent infinite loop on trace updates
   };
 
+  // Runs still going for the previous image are dropped
+  traceRunId++;
+  hideTraceProgress();
+
   // Set the image
   traceImage.src = imageSrc;
   traceImageContainer.style.display = 'block';
@@ -69,199 +82,14 @@ export function showImageInTraceTab(imageSrc, fileName) {
       // Update dimension display
       updateDimensionDisplay();
 
-      // Run initial trace
-      performTrace();
+      // Run initial trace with the image's saved mask
+      loadTraceMask(fileName, traceImage.naturalWidth, traceImage.naturalHeight).then(performTrace);
     }
   };
 
   debugLog('Showing image in Trace tab:', fileName);
 }
 
-// Sobel edge detection algorithm
-function applySobelFilter(imageData, threshold, invert) {
-  const width = imageData.width;
-  const height = imageData.height;
-  const src = imageData.data;
-  const output = new Uint8ClampedArray(src.length);
-
-  // Sobel kernels
-  const sobelX = [-1, 0, 1, -2, 0, 2, -1, 0, 1];
-  const sobelY = [-1, -2, -1, 0, 0, 0, 1, 2, 1];
-
-  // Convert to grayscale first for edge detection
-  const gray = new Float32Array(width * height);
-  for (let i = 0; i < width * height; i++) {
-    const idx = i * 4;
-    // Luminance formula
-    gray[i] = 0.299 * src[idx] + 0.587 * src[idx + 1] + 0.114 * src[idx + 2];
-  }
-
-  // Apply Sobel operator
-  for (let y = 1; y < height - 1; y++) {
-    for (let x = 1; x < width - 1; x++) {
-      let gx = 0;
-      let gy = 0;
-
-      // Convolve with Sobel kernels
-      for (let ky = -1; ky <= 1; ky++) {
-        for (let kx = -1; kx <= 1; kx++) {
-          const idx = (y + ky) * width + (x + kx);
-          const kernelIdx = (ky + 1) * 3 + (kx + 1);
-          gx += gray[idx] * sobelX[kernelIdx];
-          gy += gray[idx] * sobelY[kernelIdx];
-        }
-      }
-
-      // Calculate gradient magnitude
-      let magnitude = Math.sqrt(gx * gx + gy * gy);
-
-      // Apply threshold - edges become BLACK (0) on WHITE (255) background
-      // This is the format Potrace expects (dark = traced, light = background)
-      let edgeValue = magnitude > threshold ? 0 : 255;
-
-      // Invert if requested (white edges on black background)
-      if (invert) {
-        edgeValue = 255 - edgeValue;
-      }
-
-      const outIdx = (y * width + x) * 4;
-      output[outIdx] = edgeValue;
-      output[outIdx + 1] = edgeValue;
-      output[outIdx + 2] = edgeValue;
-      output[outIdx + 3] = 255;
-    }
-  }
-
-  // Handle borders (set to background color - white by default, black if inverted)
-  const borderValue = invert ? 0 : 255;
-  for (let x = 0; x < width; x++) {
-    // Top row
-    output[x * 4] = borderValue;
-    output[x * 4 + 1] = borderValue;
-    output[x * 4 + 2] = borderValue;
-    output[x * 4 + 3] = 255;
-    // Bottom row
-    const bottomIdx = ((height - 1) * width + x) * 4;
-    output[bottomIdx] = borderValue;
-    output[bottomIdx + 1] = borderValue;
-    output[bottomIdx + 2] = borderValue;
-    output[bottomIdx + 3] = 255;
-  }
-  for (let y = 0; y < height; y++) {
-    // Left column
-    const leftIdx = (y * width) * 4;
-    output[leftIdx] = borderValue;
-    output[leftIdx + 1] = borderValue;
-    output[leftIdx + 2] = borderValue;
-    output[leftIdx + 3] = 255;
-    // Right column
-    const rightIdx = (y * width + width - 1) * 4;
-    output[rightIdx] = borderValue;
-    output[rightIdx + 1] = borderValue;
-    output[rightIdx + 2] = borderValue;
-    output[rightIdx + 3] = 255;
-  }
-
-  return new ImageData(output, width, height);
-}
-
-// Apply image processing filters and return processed image URL
-function applyImageProcessing(originalSrc) {
-  return new Promise((resolve) => {
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    const img = new Image();
-
-    img.onload = () => {
-      canvas.width = img.width;
-      canvas.height = img.height;
-      ctx.drawImage(img, 0, 0);
-
-      // Get current control values
-      const brightness = parseInt(document.getElementById('brightnessSlider').value);
-      const contrast = parseInt(document.getElementById('contrastSlider').value);
-      const saturation = parseInt(document.getElementById('saturationSlider').value);
-      const hue = parseInt(document.getElementById('hueSlider').value);
-      const greyscale = document.getElementById('greyscaleToggle').checked;
-      const sepia = document.getElementById('sepiaToggle').checked;
-
-      // Build CSS filter string
-      let filters = [];
-
-      if (brightness !== 0) {
-        filters.push(`brightness(${1 + brightness / 100})`);
-      }
-      if (contrast !== 0) {
-        filters.push(`contrast(${1 + contrast / 100})`);
-      }
-      if (saturation !== 0) {
-        filters.push(`saturate(${1 + saturation / 100})`);
-      }
-      if (hue !== 0) {
-        filters.push(`hue-rotate(${hue}deg)`);
-      }
-      if (greyscale) {
-        filters.push('grayscale(100%)');
-      }
-      if (sepia) {
-        filters.push('sepia(100%)');
-      }
-
-      // Apply CSS filters
-      if (filters.length > 0) {
-        ctx.filter = filters.join(' ');
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        ctx.drawImage(img, 0, 0);
-        ctx.filter = 'none'; // Reset filter for subsequent operations
-      }
-
-      // Apply Sobel edge detection if enabled
-      const sobelEnabled = document.getElementById('sobelToggle').checked;
-      if (sobelEnabled) {
-        const threshold = parseInt(document.getElementById('sobelThresholdSlider').value);
-        const invert = document.getElementById('sobelInvertToggle').checked;
-
-        // Get current image data and apply Sobel
-        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-        const sobelResult = applySobelFilter(imageData, threshold, invert);
-        ctx.putImageData(sobelResult, 0, 0);
-
-        debugLog('Sobel filter applied with threshold:', threshold, 'invert:', invert);
-      }
-
-      // Return processed image as data URL
-      resolve(canvas.toDataURL());
-    };
-
-    img.src = originalSrc;
-  });
-}
-
-// Scale image based on percentage
-function scaleImage(imageSrc, scalePercent) {
-  return new Promise((resolve) => {
-    if (scalePercent === 100) {
-      resolve(imageSrc);
-      return;
-    }
-
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    const img = new Image();
-
-    img.onload = () => {
-      const scale = scalePercent / 100;
-      canvas.width = Math.round(img.width * scale);
-      canvas.height = Math.round(img.height * scale);
-
-      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-      resolve(canvas.toDataURL());
-    };
-
-    img.src = imageSrc;
-  });
-}
-
 // Update dimension display
 function updateDimensionDisplay() {
   const originalDimensions = document.getElementById('originalDimensions');
@@ -344,143 +172,642 @@ function removeOuterFramePaths(svgDoc, svgWidth, svgHeight) {
   return removedCount;
 }
 
-// Debounced trace function
+// Trace the current image with the current settings (in the trace worker)
 async function performTrace() {
   if (!window.currentTraceImage || !window.currentTraceImage.src) {
     return;
   }
 
   try {
-    // First scale the image if needed
-    const scaledImageSrc = await scaleImage(
-      window.currentTraceImage.originalSrc,
-      window.currentTraceImage.scale
-    );
-
-    // Then apply image processing filters to the scaled image
-    const processedImageSrc = await applyImageProcessing(scaledImageSrc);
-
-    // Store the processed image and update the display
-    window.currentTraceImage.processedSrc = processedImageSrc;
-    const traceImage = document.getElementById('traceImage');
-    if (traceImage) {
-      traceImage.src = processedImageSrc;
-    }
+    const worker = getTraceWorker();
+    await ensureTraceSource(worker);
+    await ensureTraceMask(worker);
+
+    traceRunId++;
+    showTraceProgress('Starting', 0);
+    worker.postMessage({ type: 'trace', id: traceRunId, settings: getTraceSettings() });
+  } catch (error) {
+    hideTraceProgress();
+    console.error('Error tracing image:', error);
+  }
+}
+
+/**
+ * Apply path options to a traced SVG and show it as the current trace
+ * @param {string} svgString - Potrace or centerline SVG in image pixels
+ * @param {Object} options - centerline: the paths are single strokes (never filled)
+ */
+function showTraceResult(svgString, options) {
+  // Apply fill/stroke options (single strokes have nothing to fill)
+  const useFill = !options.centerline && document.getElementById('fillToggle').checked;
+  const styled = styleTracedSvg(svgString, {
+    fill: useFill,
+    hatch: useFill ? getHatchSettings() : null,
+    color: useFill ? '#000000' : document.getElementById('strokeColorPicker').value,
+    strokeWidth: document.getElementById('strokeWidthSlider').value
+  });
 
-    // Get potrace parameters
+  // Store the SVG data
+  window.currentTraceImage.svgData = styled.svgString;
+
+  // Update the display to show captured layers + current trace
+  updateLayersAndCurrentTrace();
+
+  // Enable capture button
+  const captureBtn = document.getElementById('captureTraceBtn');
+  if (captureBtn) {
+    captureBtn.disabled = false;
+  }
+
+  // Update status bar with trace information
+  if (window.currentTraceImage) {
     const turnPolicy = document.getElementById('turnPolicySelect').value;
     const turdSize = parseInt(document.getElementById('turdSizeSlider').value);
-    const alphaMax = parseFloat(document.getElementById('alphaMaxSlider').value);
-    const optTolerance = parseFloat(document.getElementById('optToleranceSlider').value);
-    const optCurve = document.getElementById('optCurveToggle').checked;
-
-    Potrace.setParameter({
-      turnpolicy: turnPolicy,
-      turdsize: turdSize,
-      optcurve: optCurve,
-      alphamax: alphaMax,
-      opttolerance: optTolerance
+    const nodeCount = styled.pathCount;
+
+    updateStatusBar('trace', {
+      imageName: window.currentTraceImage.fileName || 'Unknown',
+      dimensions: `${window.currentTraceImage.originalWidth} × ${window.currentTraceImage.originalHeight} px`,
+      turnPolicy: turnPolicy,
+      turdSize: turdSize,
+      nodeCount: nodeCount
     });
+  }
 
-    // Load processed image into potrace
-    Potrace.loadImageFromUrl(processedImageSrc);
+  // Update page background after trace
+  setTimeout(() => {
+    updatePageBackground();
+  }, 100);
 
-    // Process the image
-    Potrace.process(() => {
-      // Get SVG output
-      let svgString = Potrace.getSVG(1);
+  debugLog('Trace completed successfully with fill:', useFill);
+}
 
-      // Apply fill/stroke options
-      const useFill = document.getElementById('fillToggle').checked;
-      const strokeColor = document.getElementById('strokeColorPicker').value;
-      const strokeWidth = document.getElementById('strokeWidthSlider').value;
+/**
+ * Apply frame removal and the fill/stroke style to traced SVG output
+ * @param {string} svgString - Tracer output
+ * @param {Object} style - fill (solid regions), hatch (from getHatchSettings,
+ *   replaces the fill), color, strokeWidth
+ * @returns {{svgString: string, pathCount: number}}
+ */
+function styleTracedSvg(svgString, style) {
+  // Parse SVG to modify path attributes
+  const parser = new DOMParser();
+  const svgDoc = parser.parseFromString(svgString, 'image/svg+xml');
+  const svgElement = svgDoc.querySelector('svg');
+
+  // Get SVG dimensions before removing attributes
+  let svgWidth = 0, svgHeight = 0;
+  if (svgElement) {
+    svgWidth = parseFloat(svgElement.getAttribute('width')) || 0;
+    svgHeight = parseFloat(svgElement.getAttribute('height')) || 0;
+  }
 
-      // Parse SVG to modify path attributes
-      const parser = new DOMParser();
-      const svgDoc = parser.parseFromString(svgString, 'image/svg+xml');
-      const svgElement = svgDoc.querySelector('svg');
+  // Remove outer frame paths if enabled
+  const removeFrame = document.getElementById('removeFrameToggle').checked;
+  if (removeFrame && svgWidth > 0 && svgHeight > 0) {
+    removeOuterFramePaths(svgDoc, svgWidth, svgHeight);
+  }
 
-      // Get SVG dimensions before removing attributes
-      let svgWidth = 0, svgHeight = 0;
-      if (svgElement) {
-        svgWidth = parseFloat(svgElement.getAttribute('width')) || 0;
-        svgHeight = parseFloat(svgElement.getAttribute('height')) || 0;
-      }
+  // Get paths after potential frame removal
+  const paths = svgDoc.querySelectorAll('path');
 
-      // Remove outer frame paths if enabled
-      const removeFrame = document.getElementById('removeFrameToggle').checked;
-      if (removeFrame && svgWidth > 0 && svgHeight > 0) {
-        removeOuterFramePaths(svgDoc, svgWidth, svgHeight);
-      }
+  // Make SVG responsive by removing fixed dimensions
+  if (svgElement) {
+    // Preserve viewBox if it exists, or create one from width/height
+    if (!svgElement.hasAttribute('viewBox') && svgWidth > 0 && svgHeight > 0) {
+      svgElement.setAttribute('viewBox', `0 0 ${svgWidth} ${svgHeight}`);
+    }
 
-      // Get paths after potential frame removal
-      const paths = svgDoc.querySelectorAll('path');
+    // Remove fixed width and height to make it responsive
+    svgElement.removeAttribute('width');
+    svgElement.removeAttribute('height');
+  }
 
-      // Make SVG responsive by removing fixed dimensions
-      if (svgElement) {
-        // Preserve viewBox if it exists, or create one from width/height
-        if (!svgElement.hasAttribute('viewBox') && svgWidth > 0 && svgHeight > 0) {
-          svgElement.setAttribute('viewBox', `0 0 ${svgWidth} ${svgHeight}`);
-        }
+  const unitsPerMm = getSvgUnitsPerMm(svgWidth, svgHeight);
 
-        // Remove fixed width and height to make it responsive
-        svgElement.removeAttribute('width');
-        svgElement.removeAttribute('height');
-      }
+  paths.forEach(path => {
+    if (style.hatch) {
+      // Hatch mode: filled regions become pen lines
+      hatchTracedPath(path, style.hatch, unitsPerMm, style.color);
+    } else if (style.fill) {
+      // Fill mode: solid fill, no stroke
+      path.setAttribute('fill', style.color);
+      path.setAttribute('stroke', 'none');
+    } else {
+      // Stroke mode: no fill, custom stroke
+      path.setAttribute('fill', 'none');
+      path.setAttribute('stroke', style.color);
+      path.setAttribute('stroke-width', style.strokeWidth);
+    }
+  });
 
-      paths.forEach(path => {
-        if (useFill) {
-          // Fill mode: black fill, no stroke
-          path.setAttribute('fill', '#000000');
-          path.setAttribute('stroke', 'none');
-        } else {
-          // Stroke mode: no fill, custom stroke
-          path.setAttribute('fill', 'none');
-          path.setAttribute('stroke', strokeColor);
-          path.setAttribute('stroke-width', strokeWidth);
-        }
-      });
+  // Serialize back to string
+  const serializer = new XMLSerializer();
+  return { svgString: serializer.serializeToString(svgDoc), pathCount: paths.length };
+}
+
+// ============ TRACE WORKER ============
+
+/**
+ * Collect the pipeline settings for the trace worker
+ * @returns {Object} scale, adjust (color filters), sobel, binarize, mode, potrace, centerline
+ */
+function getTraceSettings() {
+  const sobelEnabled = document.getElementById('sobelToggle').checked;
+  return {
+    scale: window.currentTraceImage.scale,
+    adjust: {
+      brightness: parseInt(document.getElementById('brightnessSlider').value),
+      contrast: parseInt(document.getElementById('contrastSlider').value),
+      saturation: parseInt(document.getElementById('saturationSlider').value),
+      hue: parseInt(document.getElementById('hueSlider').value),
+      greyscale: document.getElementById('greyscaleToggle').checked,
+      sepia: document.getElementById('sepiaToggle').checked
+    },
+    sobel: sobelEnabled ? {
+      threshold: parseInt(document.getElementById('sobelThresholdSlider').value),
+      invert: document.getElementById('sobelInvertToggle').checked
+    } : null,
+    binarize: getBinarizeSettings(),
+    mode: getTraceMode(),
+    potrace: {
+      turnpolicy: document.getElementById('turnPolicySelect').value,
+      turdsize: parseInt(document.getElementById('turdSizeSlider').value),
+      optcurve: document.getElementById('optCurveToggle').checked,
+      alphamax: parseFloat(document.getElementById('alphaMaxSlider').value),
+      opttolerance: parseFloat(document.getElementById('optToleranceSlider').value)
+    },
+    centerline: getCenterlineSettings()
+  };
+}
+
+function getTraceWorker() {
+  if (!traceWorker) {
+    traceWorker = new Worker('src/workers/trace-worker.js');
+    traceWorker.onmessage = handleTraceWorkerMessage;
+    traceWorker.onerror = (event) => {
+      console.error('Trace worker error:', event.message);
+      hideTraceProgress();
+    };
+  }
+  return traceWorker;
+}
+
+// The worker keeps the decoded original; send it once per image
+function ensureTraceSource(worker) {
+  const image = window.currentTraceImage;
+  if (!traceWorkerSource || traceWorkerSource.image !== image) {
+    traceWorkerSource = { image, ready: sendTraceSource(worker, image.originalSrc) };
+  }
+  return traceWorkerSource.ready;
+}
+
+// The mask is sent again whenever it has been edited
+function ensureTraceMask(worker) {
+  const version = getTraceMaskVersion();
+  if (!traceWorkerMask || traceWorkerMask.version !== version) {
+    traceWorkerMask = { version, ready: sendTraceMask(worker) };
+  }
+  return traceWorkerMask.ready;
+}
 
-      // Serialize back to string
-      const serializer = new XMLSerializer();
-      svgString = serializer.serializeToString(svgDoc);
+async function sendTraceMask(worker) {
+  const mask = await createTraceMaskBitmap();
+  worker.postMessage({ type: 'mask', mask }, mask ? [mask.bitmap] : []);
+}
 
-      // Store the SVG data
-      window.currentTraceImage.svgData = svgString;
+// Decode an image and hand its pixels to the worker
+async function sendTraceSource(worker, imageSrc) {
+  const img = new Image();
+  img.src = imageSrc;
+  await img.decode();
+  const bitmap = await createImageBitmap(img);
+  worker.postMessage({ type: 'source', bitmap }, [bitmap]);
+}
 
-      // Update the display to show captured layers + current trace
-      updateLayersAndCurrentTrace();
+function handleTraceWorkerMessage(event) {
+  const message = event.data;
+  if (layerRun && message.id === layerRun.id && message.type !== 'progress') {
+    finishLayerRun(message);
+  }
 
-      // Enable capture button
-      const captureBtn = document.getElementById('captureTraceBtn');
-      if (captureBtn) {
-        captureBtn.disabled = false;
+  // Results of runs that were overtaken by a newer one are dropped
+  if (message.id !== traceRunId || !window.currentTraceImage) return;
+
+  switch (message.type) {
+    case 'progress':
+      showTraceProgress(message.stage, message.progress);
+      break;
+    case 'result': {
+      // Show the processed bitmap under the trace
+      if (traceProcessedUrl) URL.revokeObjectURL(traceProcessedUrl);
+      traceProcessedUrl = URL.createObjectURL(message.processed);
+      window.currentTraceImage.processedSrc = traceProcessedUrl;
+      const traceImage = document.getElementById('traceImage');
+      if (traceImage) {
+        traceImage.src = traceProcessedUrl;
       }
 
-      // Update status bar with trace information
-      if (window.currentTraceImage) {
-        const turnPolicy = document.getElementById('turnPolicySelect').value;
-        const turdSize = parseInt(document.getElementById('turdSizeSlider').value);
-        const nodeCount = paths.length;
-
-        updateStatusBar('trace', {
-          imageName: window.currentTraceImage.fileName || 'Unknown',
-          dimensions: `${window.currentTraceImage.originalWidth} × ${window.currentTraceImage.originalHeight} px`,
-          turnPolicy: turnPolicy,
-          turdSize: turdSize,
-          nodeCount: nodeCount
-        });
+      // Otsu picks its own cutoff; show it on the disabled slider
+      if (message.threshold !== null && getBinarizeSettings().mode === 'otsu') {
+        document.getElementById('thresholdSlider').value = message.threshold;
+        document.getElementById('thresholdValue').textContent = message.threshold;
       }
 
-      // Update page background after trace
-      setTimeout(() => {
-        updatePageBackground();
-      }, 100);
+      showTraceResult(message.svg, { centerline: message.centerline });
+      hideTraceProgress();
+      break;
+    }
+    case 'error':
+      console.error('Error tracing image:', message.message);
+      hideTraceProgress();
+      break;
+    default:
+      break;
+  }
+}
+
+// Show the running stage over the trace viewer
+function showTraceProgress(stage, progress) {
+  const container = document.getElementById('traceProgress');
+  if (!container) return;
+  container.style.display = 'flex';
+  document.getElementById('traceProgressLabel').textContent = `${stage}…`;
+  document.getElementById('traceProgressFill').style.width = `${Math.round(progress * 100)}%`;
+}
+
+function hideTraceProgress() {
+  const container = document.getElementById('traceProgress');
+  if (container) container.style.display = 'none';
+}
+
+// ============ THRESHOLD ============
+
+/**
+ * Read the black and white conversion settings from the Threshold section
+ * @returns {Object} Options for Binarize.binarize, plus preview (show the bitmap)
+ */
+function getBinarizeSettings() {
+  return {
+    mode: document.getElementById('thresholdModeSelect').value,
+    threshold: parseInt(document.getElementById('thresholdSlider').value),
+    method: document.getElementById('adaptiveMethodSelect').value,
+    radius: parseInt(document.getElementById('adaptiveRadiusSlider').value),
+    offset: parseInt(document.getElementById('adaptiveOffsetSlider').value),
+    preview: document.getElementById('bitmapPreviewToggle').checked
+  };
+}
+
+// ============ POSTERIZE ============
+
+const MAX_POSTERIZE_BANDS = 8;
+
+/**
+ * Parse hand-picked band cutoffs
+ * @param {string} text - Comma separated luminance values, e.g. "64, 128, 192"
+ * @returns {number[]|null} Ascending cutoffs; null when empty (automatic)
+ */
+function parsePosterizeThresholds(text) {
+  if (!text.trim()) return null;
+  const thresholds = text.split(',').map(value => Number(value.trim()));
+  if (thresholds.some(value => !Number.isInteger(value) || value < 1 || value > 255)) {
+    throw new Error('Thresholds must be whole numbers from 1 to 255');
+  }
+  if (thresholds.some((value, i) => i > 0 && value <= thresholds[i - 1])) {
+    throw new Error('Thresholds must be in ascending order');
+  }
+  if (thresholds.length > MAX_POSTERIZE_BANDS) {
+    throw new Error(`At most ${MAX_POSTERIZE_BANDS} bands`);
+  }
+  return thresholds;
+}
 
-      debugLog('Trace completed successfully with fill:', useFill);
+/**
+ * Read the Posterize section
+ * @returns {Object} bands, thresholds (null = automatic), hatch (null = solid
+ *   fill), styles: [{ color, density }] darkest band first
+ */
+function getPosterizeSettings() {
+  const thresholds = parsePosterizeThresholds(document.getElementById('posterizeThresholdsInput').value);
+  const bands = thresholds ? thresholds.length : parseInt(document.getElementById('posterizeBandsSlider').value);
+  const rows = document.querySelectorAll('#posterizeBandList .posterize-band');
+  const styles = [];
+  for (let i = 0; i < bands; i++) {
+    const fallback = getDefaultBandStyle(i, bands);
+    const density = parseFloat(rows[i]?.querySelector('.posterize-band-density').value);
+    styles.push({
+      color: rows[i]?.querySelector('.posterize-band-color').value || fallback.color,
+      density: density > 0 ? density : fallback.density
     });
+  }
+  return {
+    bands,
+    thresholds,
+    hatch: document.getElementById('posterizeHatchToggle').checked ? readHatchControls() : null,
+    styles
+  };
+}
+
+// Darker bands get darker greys and denser hatching
+function getDefaultBandStyle(index, bands) {
+  const grey = Math.round(200 * index / Math.max(1, bands - 1)).toString(16).padStart(2, '0');
+  return {
+    color: `#${grey}${grey}${grey}`,
+    density: Number(((bands - index) / bands).toFixed(2))
+  };
+}
+
+// One row per band: its layer color and hatch density
+function renderPosterizeBands() {
+  const list = document.getElementById('posterizeBandList');
+  const bands = parseInt(document.getElementById('posterizeBandsSlider').value);
+  const showDensity = document.getElementById('posterizeHatchToggle').checked;
+  list.innerHTML = '';
+
+  for (let i = 0; i < bands; i++) {
+    const style = getDefaultBandStyle(i, bands);
+    const row = document.createElement('div');
+    row.className = 'posterize-band';
+    row.style.cssText = 'display: flex; align-items: center; gap: 8px; margin-bottom: 6px; font-size: 12px;';
+
+    const label = document.createElement('span');
+    label.style.cssText = 'flex: 1;';
+    label.textContent = `Band ${i + 1}${i === 0 ? ' (darkest)' : ''}${i === bands - 1 && bands > 1 ? ' (lightest)' : ''}`;
+
+    const color = document.createElement('input');
+    color.type = 'color';
+    color.className = 'control-color posterize-band-color';
+    color.value = style.color;
+    color.title = 'Layer color';
+
+    const density = document.createElement('input');
+    density.type = 'number';
+    density.className = 'custom-input posterize-band-density';
+    density.min = '0.05';
+    density.max = '1';
+    density.step = '0.05';
+    density.value = style.density;
+    density.title = 'Hatch density: 1 = lines touch, 0.5 = gaps as wide as the pen';
+    density.style.cssText = `width: 64px; display: ${showDensity ? 'block' : 'none'};`;
+
+    row.appendChild(label);
+    row.appendChild(color);
+    row.appendChild(density);
+    list.appendChild(row);
+  }
+}
+
+/**
+ * Trace every tonal band of the current image into its own captured layer
+ */
+function posterizeToLayers() {
+  if (!window.currentTraceImage || !window.currentTraceImage.src) {
+    alert('No image to posterize');
+    return;
+  }
+
+  let posterize;
+  try {
+    posterize = getPosterizeSettings();
   } catch (error) {
-    console.error('Error tracing image:', error);
+    alert(error.message);
+    return;
+  }
+
+  startLayerRun({
+    type: 'posterize',
+    settings: { posterize: { bands: posterize.bands, thresholds: posterize.thresholds } },
+    button: document.getElementById('posterizeBtn'),
+    busyLabel: 'Posterizing',
+    addLayers: (message) => {
+      const strokeWidth = document.getElementById('strokeWidthSlider').value;
+      return message.bands.map((band, i) => {
+        const style = posterize.styles[i];
+        return {
+          name: `Band ${i + 1} (${band.min}-${band.max})`,
+          color: style.color,
+          ...styleTracedSvg(band.svg, {
+            fill: true,
+            hatch: posterize.hatch ? { ...posterize.hatch, density: style.density } : null,
+            color: style.color,
+            strokeWidth
+          })
+        };
+      });
+    }
+  });
+}
+
+// ============ COLOR SEPARATION ============
+
+/**
+ * Read the Color Separation section
+ * @returns {Object} method, colors (palette size), pens (the active machine's
+ *   pen colors, for the 'pens' method), skipPaper
+ */
+function getSeparationSettings() {
+  const method = document.getElementById('separationMethodSelect').value;
+  let pens = null;
+  if (method === 'pens') {
+    pens = ColorQuantize.parsePalette(getActiveMachine().penColors);
+    if (pens.length === 0) {
+      throw new Error('The active machine has no pen colors. Add them on the Hardware tab.');
+    }
+  }
+  return {
+    method,
+    colors: parseInt(document.getElementById('separationColorsSlider').value),
+    pens,
+    skipPaper: document.getElementById('separationSkipPaperToggle').checked
+  };
+}
+
+/**
+ * Trace every color of the current image into its own captured layer,
+ * styled with the Path Options in that color
+ */
+function separateColorsToLayers() {
+  if (!window.currentTraceImage || !window.currentTraceImage.src) {
+    alert('No image to separate');
+    return;
+  }
+
+  let separate;
+  try {
+    separate = getSeparationSettings();
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+
+  startLayerRun({
+    type: 'separate',
+    settings: { separate },
+    button: document.getElementById('separateColorsBtn'),
+    busyLabel: 'Separating',
+    addLayers: (message) => {
+      const useFill = document.getElementById('fillToggle').checked;
+      const hatch = useFill ? getHatchSettings() : null;
+      const strokeWidth = document.getElementById('strokeWidthSlider').value;
+      // Pen layers keep the pen's position in the machine's list
+      const prefix = separate.method === 'pens' ? 'Pen' : 'Color';
+      return message.colors.map((entry, i) => ({
+        name: `${prefix} ${i + 1} (${entry.color})`,
+        color: entry.color,
+        ...styleTracedSvg(entry.svg, { fill: useFill, hatch, color: entry.color, strokeWidth })
+      }));
+    }
+  });
+}
+
+// ============ LAYER RUNS ============
+
+/**
+ * Run a worker job whose result becomes captured layers (posterize, color separation)
+ * @param {Object} run
+ * @param {string} run.type - Worker message type; the result comes back as `${type}-result`
+ * @param {Object} run.settings - Added to getTraceSettings
+ * @param {HTMLButtonElement} run.button - Busy while the run is out
+ * @param {string} run.busyLabel - Button text while busy
+ * @param {Function} run.addLayers - Result message => [{ name, color, svgString, pathCount }]
+ */
+async function startLayerRun(run) {
+  const label = run.button.textContent;
+  run.button.disabled = true;
+  run.button.innerHTML = `${run.busyLabel}<span class="spinner"></span>`;
+
+  // A pending auto-trace would overtake the run
+  clearTimeout(traceDebounceTimer);
+
+  try {
+    const worker = getTraceWorker();
+    await ensureTraceSource(worker);
+    await ensureTraceMask(worker);
+
+    traceRunId++;
+    layerRun = { ...run, id: traceRunId, image: window.currentTraceImage, label };
+    showTraceProgress('Starting', 0);
+    worker.postMessage({ type: run.type, id: traceRunId, settings: { ...getTraceSettings(), ...run.settings } });
+  } catch (error) {
+    layerRun = null;
+    run.button.disabled = false;
+    run.button.textContent = label;
+    hideTraceProgress();
+    console.error(`Error in ${run.type} run:`, error);
+  }
+}
+
+// The layer run ended: add its layers, or just give the button back
+function finishLayerRun(message) {
+  const run = layerRun;
+  layerRun = null;
+  run.button.disabled = false;
+  run.button.textContent = run.label;
+  if (message.type !== `${run.type}-result` || run.image !== window.currentTraceImage) return;
+
+  hideTraceProgress();
+  // A band or color no pixel falls into has nothing to plot
+  const layers = run.addLayers(message).filter(layer => layer.pathCount > 0);
+  layers.forEach((layer, i) => {
+    capturedLayers.push({
+      id: Date.now() + i,
+      name: layer.name,
+      svgData: layer.svgString,
+      visible: true,
+      color: layer.color
+    });
+  });
+
+  updateLayersList();
+  updateLayersDisplay();
+  debugLog(`${run.type}: added`, layers.length, 'layers');
+}
+
+// ============ CENTERLINE TRACE ============
+
+// 'outline' (Potrace) or 'centerline'
+function getTraceMode() {
+  return document.getElementById('traceModeSelect')?.value || 'outline';
+}
+
+/**
+ * Read the centerline settings from Trace Parameters
+ * @returns {Object} Options for Centerline.trace
+ */
+function getCenterlineSettings() {
+  return {
+    spurLength: parseInt(document.getElementById('spurLengthSlider').value),
+    smoothing: parseInt(document.getElementById('centerlineSmoothingSlider').value)
+  };
+}
+
+// ============ HATCH FILL ============
+
+/**
+ * Read the hatch settings from Path Options
+ * @returns {Object|null} angle, penWidth (mm), density, crossHatch, outline; null when off
+ */
+function getHatchSettings() {
+  if (!document.getElementById('hatchToggle')?.checked) return null;
+  return readHatchControls();
+}
+
+// The hatch sliders, whether or not hatching is on (posterize uses them too)
+function readHatchControls() {
+  return {
+    angle: parseFloat(document.getElementById('hatchAngleSlider').value),
+    penWidth: parseFloat(document.getElementById('hatchPenWidthSlider').value),
+    density: parseFloat(document.getElementById('hatchDensitySlider').value),
+    crossHatch: document.getElementById('hatchCrossToggle').checked,
+    outline: document.getElementById('hatchOutlineToggle').checked
+  };
+}
+
+/**
+ * SVG user units per mm once the trace is fitted to the selected page
+ * (the same fit combineLayersToSVG gives the saved file)
+ */
+function getSvgUnitsPerMm(svgWidth, svgHeight) {
+  const dimensions = getPageDimensions();
+  if (!dimensions || !(svgWidth > 0) || !(svgHeight > 0)) {
+    return 3.7795275591; // 96 dpi
+  }
+  return Math.max(svgWidth / dimensions[0], svgHeight / dimensions[1]);
+}
+
+/**
+ * Replace a filled path with hatch lines, keeping its outline if requested
+ * Holes follow the path's fill-rule (Potrace uses evenodd).
+ * @param {Element} path - Traced <path>
+ * @param {Object} hatch - Settings from getHatchSettings
+ * @param {number} unitsPerMm - From getSvgUnitsPerMm
+ * @param {string} color - Stroke color of the hatch lines
+ */
+function hatchTracedPath(path, hatch, unitsPerMm, color = '#000000') {
+  const d = path.getAttribute('d') || '';
+  const rings = SvgPath.flattenPathData(d, { tolerance: 0.05 * unitsPerMm }).map(sub => sub.points);
+  const lines = HatchFill.hatchRings(rings, {
+    spacing: HatchFill.spacingForPen(hatch.penWidth, hatch.density) * unitsPerMm,
+    angle: hatch.angle,
+    crossHatch: hatch.crossHatch,
+    fillRule: path.getAttribute('fill-rule') === 'evenodd' ? 'evenodd' : 'nonzero'
+  });
+
+  const format = value => Number(value.toFixed(2));
+  const hatchData = lines.map(line => 'M' + line.map(p => `${format(p[0])} ${format(p[1])}`).join(' L')).join(' ');
+
+  path.setAttribute('d', hatch.outline ? `${d} ${hatchData}`.trim() : hatchData);
+  path.removeAttribute('fill-rule');
+  path.setAttribute('fill', 'none');
+  path.setAttribute('stroke', color);
+  path.setAttribute('stroke-width', format(hatch.penWidth * unitsPerMm));
+}
+
+// Hatch spacing is in mm on the page, so a new page size needs a new trace
+function retraceHatchForPage() {
+  if (getHatchSettings() && document.getElementById('fillToggle').checked &&
+      window.currentTraceImage && window.currentTraceImage.src) {
+    triggerAutoTrace();
   }
 }
 
@@ -927,10 +1254,11 @@ function cropSelectedLayers() {
 // ============ SAVE FUNCTIONALITY ============
 
 // Function to combine all layers into a single SVG with proper dimensions
+// Each layer becomes an Inkscape layer (<g>) so Eject can map layers to pens
 function combineLayersToSVG(layers, widthMm, heightMm) {
   console.log('[combineLayersToSVG] Starting with', layers.length, 'layers');
   const parser = new DOMParser();
-  const allPaths = [];
+  const groups = [];
   let viewBox = null;
 
   // Extract paths from all visible layers and get viewBox
@@ -953,6 +1281,9 @@ function combineLayersToSVG(layers, widthMm, heightMm) {
       const paths = svgDoc.querySelectorAll('path');
       console.log('[combineLayersToSVG] Found', paths.length, 'paths in layer:', layer.name);
 
+      const group = { name: layer.name, color: layer.color || null, paths: [] };
+      groups.push(group);
+
       paths.forEach((path, idx) => {
         const d = path.getAttribute('d');
         if (!d || d.trim() === '') {
@@ -960,10 +1291,11 @@ function combineLayersToSVG(layers, widthMm, heightMm) {
           return;
         }
 
-        allPaths.push({
+        group.paths.push({
           d: d,
           fill: path.getAttribute('fill') || 'none',
-          stroke: path.getAttribute('stroke') || '#000000',
+          fillRule: path.getAttribute('fill-rule'),
+          stroke: path.getAttribute('stroke') || group.color || '#000000',
           strokeWidth: path.getAttribute('stroke-width') || '1'
         });
 
@@ -977,9 +1309,10 @@ function combineLayersToSVG(layers, widthMm, heightMm) {
     }
   }
 
-  console.log('[combineLayersToSVG] Total paths collected:', allPaths.length);
+  const pathCount = groups.reduce((sum, group) => sum + group.paths.length, 0);
+  console.log('[combineLayersToSVG] Total paths collected:', pathCount);
 
-  if (allPaths.length === 0) {
+  if (pathCount === 0) {
     throw new Error('No paths found in layers');
   }
 
@@ -995,17 +1328,25 @@ function combineLayersToSVG(layers, widthMm, heightMm) {
   // Create SVG with proper dimensions
   let svg = `<?xml version="1.0" standalone="no"?>
 <!DOCTYPE svg PUBLIC "-//W3C//DTD SVG 1.1//EN" "http://www.w3.org/Graphics/SVG/1.1/DTD/svg11.dtd">
-<svg width="${widthMm}mm" height="${heightMm}mm" viewBox="${viewBox}" xmlns="http://www.w3.org/2000/svg" version="1.1">
+<svg width="${widthMm}mm" height="${heightMm}mm" viewBox="${viewBox}" xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" version="1.1">
 `;
 
-  // Add all paths
-  for (const path of allPaths) {
-    svg += `  <path d="${path.d}" fill="${path.fill}" stroke="${path.stroke}" stroke-width="${path.strokeWidth}"/>\n`;
-  }
+  // One group per layer, named after it; data-pen-color is the layer's pen
+  const escapeAttribute = (value) => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+  groups.forEach((group, index) => {
+    if (group.paths.length === 0) return;
+    const color = group.color ? ` data-pen-color="${escapeAttribute(group.color)}"` : '';
+    svg += `  <g id="layer${index + 1}" inkscape:groupmode="layer" inkscape:label="${escapeAttribute(group.name)}"${color}>\n`;
+    for (const path of group.paths) {
+      const fillRule = path.fillRule ? ` fill-rule="${path.fillRule}"` : '';
+      svg += `    <path d="${path.d}" fill="${path.fill}"${fillRule} stroke="${path.stroke}" stroke-width="${path.strokeWidth}"/>\n`;
+    }
+    svg += `  </g>\n`;
+  });
 
   svg += `</svg>`;
 
-  console.log('[combineLayersToSVG] ✓ Combined SVG created:', allPaths.length, 'paths,', widthMm + 'x' + heightMm + 'mm');
+  console.log('[combineLayersToSVG] ✓ Combined SVG created:', pathCount, 'paths in', groups.length, 'layers,', widthMm + 'x' + heightMm + 'mm');
   console.log('[combineLayersToSVG] SVG preview (first 500 chars):', svg.substring(0, 500));
   console.log('[combineLayersToSVG] SVG preview (last 200 chars):', svg.substring(svg.length - 200));
   return svg;
@@ -1014,6 +1355,15 @@ function combineLayersToSVG(layers, widthMm, heightMm) {
 // ============ EVENT LISTENERS INITIALIZATION ============
 
 export function initTraceTab() {
+  // ========== MASK CONTROLS ==========
+
+  // Re-trace after every finished stroke or mask edit
+  initTraceMask(() => {
+    if (window.currentTraceImage && window.currentTraceImage.src) {
+      triggerAutoTrace();
+    }
+  });
+
   // ========== IMAGE PROCESSING CONTROLS ==========
 
   // Brightness
@@ -1130,6 +1480,50 @@ export function initTraceTab() {
     });
   }
 
+  // ========== THRESHOLD CONTROLS ==========
+
+  // Threshold mode - the slider is set by hand only in fixed mode
+  const thresholdModeSelect = document.getElementById('thresholdModeSelect');
+
+  if (thresholdModeSelect) {
+    thresholdModeSelect.addEventListener('change', (e) => {
+      const mode = e.target.value;
+      document.getElementById('thresholdSlider').disabled = mode === 'otsu';
+      document.getElementById('thresholdLevelControl').style.display = mode === 'adaptive' ? 'none' : '';
+      document.getElementById('adaptiveThresholdControls').style.display = mode === 'adaptive' ? 'block' : 'none';
+      if (window.currentTraceImage && window.currentTraceImage.src) {
+        triggerAutoTrace();
+      }
+      debugLog('Threshold mode:', mode);
+    });
+  }
+
+  // Threshold sliders
+  ['threshold', 'adaptiveRadius', 'adaptiveOffset'].forEach(name => {
+    const slider = document.getElementById(`${name}Slider`);
+    const display = document.getElementById(`${name}Value`);
+    if (!slider || !display) return;
+
+    slider.addEventListener('input', (e) => {
+      display.textContent = e.target.value;
+      if (window.currentTraceImage && window.currentTraceImage.src) {
+        triggerAutoTrace();
+      }
+    });
+  });
+
+  // Adaptive window and bitmap preview
+  ['adaptiveMethodSelect', 'bitmapPreviewToggle'].forEach(id => {
+    const control = document.getElementById(id);
+    if (!control) return;
+
+    control.addEventListener('change', () => {
+      if (window.currentTraceImage && window.currentTraceImage.src) {
+        triggerAutoTrace();
+      }
+    });
+  });
+
   // ========== POTRACE PARAMETERS CONTROLS ==========
 
   // Turn Policy
@@ -1193,6 +1587,44 @@ export function initTraceTab() {
     });
   }
 
+  // Trace mode - Potrace outlines or centerlines
+  const traceModeSelect = document.getElementById('traceModeSelect');
+
+  if (traceModeSelect) {
+    traceModeSelect.addEventListener('change', (e) => {
+      const centerline = e.target.value === 'centerline';
+      document.getElementById('potraceControls').style.display = centerline ? 'none' : 'block';
+      document.getElementById('centerlineControls').style.display = centerline ? 'block' : 'none';
+
+      // Single strokes are never filled
+      const fillToggle = document.getElementById('fillToggle');
+      if (centerline && fillToggle.checked) {
+        fillToggle.checked = false;
+        fillToggle.dispatchEvent(new Event('change'));
+      }
+      fillToggle.disabled = centerline;
+
+      if (window.currentTraceImage && window.currentTraceImage.src) {
+        triggerAutoTrace();
+      }
+      debugLog('Trace mode:', e.target.value);
+    });
+  }
+
+  // Centerline sliders
+  ['spurLength', 'centerlineSmoothing'].forEach(name => {
+    const slider = document.getElementById(`${name}Slider`);
+    const display = document.getElementById(`${name}Value`);
+    if (!slider || !display) return;
+
+    slider.addEventListener('input', (e) => {
+      display.textContent = e.target.value;
+      if (window.currentTraceImage && window.currentTraceImage.src) {
+        triggerAutoTrace();
+      }
+    });
+  });
+
   // Remove Outer Frame
   const removeFrameToggle = document.getElementById('removeFrameToggle');
 
@@ -1293,18 +1725,99 @@ export function initTraceTab() {
     });
   }
 
+  // ========== POSTERIZE CONTROLS ==========
+
+  const posterizeBandsSlider = document.getElementById('posterizeBandsSlider');
+  const posterizeBandsValue = document.getElementById('posterizeBandsValue');
+
+  if (posterizeBandsSlider && posterizeBandsValue) {
+    posterizeBandsSlider.addEventListener('input', (e) => {
+      posterizeBandsValue.textContent = e.target.value;
+      renderPosterizeBands();
+    });
+    renderPosterizeBands();
+  }
+
+  // Hand-picked cutoffs set the number of bands
+  const posterizeThresholdsInput = document.getElementById('posterizeThresholdsInput');
+
+  if (posterizeThresholdsInput && posterizeBandsSlider) {
+    posterizeThresholdsInput.addEventListener('change', (e) => {
+      let thresholds;
+      try {
+        thresholds = parsePosterizeThresholds(e.target.value);
+      } catch (error) {
+        debugLog('Posterize thresholds:', error.message);
+        return;
+      }
+      posterizeBandsSlider.disabled = thresholds !== null;
+      if (thresholds && thresholds.length !== parseInt(posterizeBandsSlider.value)) {
+        posterizeBandsSlider.value = thresholds.length;
+        posterizeBandsSlider.dispatchEvent(new Event('input'));
+      }
+    });
+  }
+
+  const posterizeHatchToggle = document.getElementById('posterizeHatchToggle');
+
+  if (posterizeHatchToggle) {
+    posterizeHatchToggle.addEventListener('change', (e) => {
+      document.querySelectorAll('#posterizeBandList .posterize-band-density').forEach(input => {
+        input.style.display = e.target.checked ? 'block' : 'none';
+      });
+    });
+  }
+
+  const posterizeBtn = document.getElementById('posterizeBtn');
+
+  if (posterizeBtn) {
+    posterizeBtn.addEventListener('click', posterizeToLayers);
+  }
+
+  // ========== COLOR SEPARATION CONTROLS ==========
+
+  const separationMethodSelect = document.getElementById('separationMethodSelect');
+  const separationColorsControl = document.getElementById('separationColorsControl');
+
+  if (separationMethodSelect && separationColorsControl) {
+    separationMethodSelect.addEventListener('change', (e) => {
+      // The machine's pens fix the palette size
+      separationColorsControl.style.display = e.target.value === 'pens' ? 'none' : '';
+      debugLog('Color separation method:', e.target.value);
+    });
+  }
+
+  const separationColorsSlider = document.getElementById('separationColorsSlider');
+  const separationColorsValue = document.getElementById('separationColorsValue');
+
+  if (separationColorsSlider && separationColorsValue) {
+    separationColorsSlider.addEventListener('input', (e) => {
+      separationColorsValue.textContent = e.target.value;
+    });
+  }
+
+  const separateColorsBtn = document.getElementById('separateColorsBtn');
+
+  if (separateColorsBtn) {
+    separateColorsBtn.addEventListener('click', separateColorsToLayers);
+  }
+
   // ============ PATH OPTIONS CONTROLS ============
 
   // Fill toggle - show/hide stroke controls
   const fillToggle = document.getElementById('fillToggle');
   const strokeControls = document.getElementById('strokeControls');
 
+  const hatchControls = document.getElementById('hatchControls');
+
   if (fillToggle && strokeControls) {
     // Set initial state (fill is OFF by default, so show stroke controls)
     strokeControls.style.display = fillToggle.checked ? 'none' : 'block';
+    if (hatchControls) hatchControls.style.display = fillToggle.checked ? 'block' : 'none';
 
     fillToggle.addEventListener('change', (e) => {
       strokeControls.style.display = e.target.checked ? 'none' : 'block';
+      if (hatchControls) hatchControls.style.display = e.target.checked ? 'block' : 'none';
 
       // Re-trace with new fill/stroke settings
       if (window.currentTraceImage && window.currentTraceImage.src) {
@@ -1340,6 +1853,47 @@ export function initTraceTab() {
     });
   }
 
+  // Hatch fill toggle - show/hide hatch settings
+  const hatchToggle = document.getElementById('hatchToggle');
+  const hatchOptions = document.getElementById('hatchOptions');
+
+  if (hatchToggle && hatchOptions) {
+    hatchToggle.addEventListener('change', (e) => {
+      hatchOptions.style.display = e.target.checked ? 'block' : 'none';
+      if (window.currentTraceImage && window.currentTraceImage.src) {
+        triggerAutoTrace();
+      }
+      debugLog('Hatch fill:', e.target.checked);
+    });
+  }
+
+  // Hatch sliders
+  [
+    ['hatchAngleSlider', 'hatchAngleValue', value => `${value.toFixed(0)}°`],
+    ['hatchPenWidthSlider', 'hatchPenWidthValue', value => value.toFixed(2)],
+    ['hatchDensitySlider', 'hatchDensityValue', value => value.toFixed(2)]
+  ].forEach(([sliderId, valueId, format]) => {
+    const slider = document.getElementById(sliderId);
+    const display = document.getElementById(valueId);
+    if (!slider || !display) return;
+
+    slider.addEventListener('input', (e) => {
+      display.textContent = format(parseFloat(e.target.value));
+      if (window.currentTraceImage && window.currentTraceImage.src) {
+        triggerAutoTrace();
+      }
+    });
+  });
+
+  // Hatch toggles
+  ['hatchCrossToggle', 'hatchOutlineToggle'].forEach(id => {
+    document.getElementById(id)?.addEventListener('change', () => {
+      if (window.currentTraceImage && window.currentTraceImage.src) {
+        triggerAutoTrace();
+      }
+    });
+  });
+
   // ============ COLLAPSIBLE SECTIONS ============
   // Handle section collapse/expand
   document.querySelectorAll('.section-header').forEach(header => {
@@ -1389,6 +1943,7 @@ export function initTraceTab() {
 
       // Update page background
       updatePageBackground();
+      retraceHatchForPage();
 
       debugLog('Layout changed:', layout);
     });
@@ -1412,6 +1967,7 @@ export function initTraceTab() {
       } else {
         customInputs.style.display = 'none';
         updatePageBackground();
+        retraceHatchForPage();
       }
 
       debugLog('Page size selected:', size);
@@ -1762,6 +2318,9 @@ function clearTraceInterface() {
 
   // Clear current trace image
   window.currentTraceImage = null;
+  traceRunId++;
+  hideTraceProgress();
+  resetTraceMask();
 
   // Clear the trace image element
   const traceImage = document.getElementById('traceImage');
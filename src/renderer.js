@@ -15,8 +15,9 @@ import { initTraceTab } from './modules/trace.js';
 import { initVectorsTab } from './modules/vectors.js';
 import { initEjectTab, loadEjectTab } from './modules/eject.js';
 import { initRenderTab, loadGcodeFiles } from './modules/render.js';
+import { initPlotterPanel } from './modules/plotter.js';
 import { initScopeTab } from './modules/scope.js';
-import { initHardwareTab, loadHardwareInfo } from './modules/hardware.js';
+import { initHardwareTab, loadHardwareInfo, loadMachineProfiles } from './modules/hardware.js';
 
 // Import module functions that need to be called on tab switch
 import { loadVectors } from './modules/vectors.js';
@@ -76,9 +77,13 @@ window.addEventListener('DOMContentLoaded', async () => {
   initVectorsTab();
   initEjectTab();
   initRenderTab();
+  initPlotterPanel();
   initScopeTab();
   initHardwareTab();
 
+  // Load saved machine profiles (used by Eject and Render)
+  await loadMachineProfiles();
+
   // Load home screen initially since it's the default active tab
   await loadHomeScreen();
 
@@ -0,0 +1,212 @@
+// trace-worker.js - Trace pipeline off the renderer's main thread
+// Scales, masks and filters the Trace tab's image, converts it to black and white and
+// traces it with Potrace or Centerline. Every run has an id; when a newer run arrives, the older one
+// stops at its next stage, so while a slider keeps moving only the last
+// position is traced to the end.
+//
+// Messages in:
+//   { type: 'source', bitmap }        ImageBitmap of the original image
+//   { type: 'mask', mask }            { bitmap, mode } painted mask stretched over the image, or null
+//   { type: 'trace', id, settings }   See getTraceSettings in trace.js
+//   { type: 'posterize', id, settings }  settings.posterize: { bands, thresholds|null }
+//   { type: 'separate', id, settings }   settings.separate: { method, colors, pens, skipPaper }
+// Messages out:
+//   { type: 'progress', id, stage, progress }      progress 0..1
+//   { type: 'result', id, svg, processed, centerline, threshold }
+//     processed: PNG Blob (the bitmap when settings.binarize.preview is set)
+//     threshold: cutoff used, null for adaptive
+//   { type: 'posterize-result', id, bands: [{ min, max, svg }] }  darkest first
+//   { type: 'separate-result', id, colors: [{ color, svg }] }      palette order
+//   { type: 'cancelled', id } | { type: 'error', id, message }
+
+importScripts(
+  '../lib/image-filters.js', '../lib/binarize.js', '../lib/color-quantize.js',
+  '../lib/centerline.js', '../../potrace.js'
+);
+
+let source = null;
+let mask = null;
+let latestId = 0;
+
+const RUNS = {
+  trace: runTrace,
+  posterize: runPosterize,
+  separate: runSeparate
+};
+
+const PAPER = '#ffffff';
+
+self.onmessage = (event) => {
+  const message = event.data;
+
+  if (message.type === 'source') {
+    if (source) source.close();
+    source = message.bitmap;
+  } else if (message.type === 'mask') {
+    if (mask) mask.bitmap.close();
+    mask = message.mask;
+  } else if (RUNS[message.type]) {
+    latestId = message.id;
+    RUNS[message.type](message.id, message.settings).catch(error => {
+      self.postMessage({ type: 'error', id: message.id, message: error.message });
+    });
+  }
+};
+
+/**
+ * Report a stage, then let queued messages in
+ * @returns {Promise<boolean>} false when a newer run has started
+ */
+function stage(id, name, progress) {
+  self.postMessage({ type: 'progress', id, stage: name, progress });
+  return new Promise(resolve => setTimeout(() => resolve(id === latestId), 0));
+}
+
+/**
+ * Scale, mask and filter the source onto a canvas
+ * @returns {Promise<Object|null>} { canvas, ctx, width, height }; null when cancelled
+ */
+async function prepareImage(id, settings) {
+  if (!source) throw new Error('No image loaded to trace');
+
+  if (!(await stage(id, 'Scaling', 0))) return null;
+  const width = Math.max(1, Math.round(source.width * settings.scale / 100));
+  const height = Math.max(1, Math.round(source.height * settings.scale / 100));
+
+  // Masked out parts of the source become paper before any adjustment, so the
+  // filters and edge detection only respond to what is traced
+  let image = source;
+  let coverage = null;
+  if (mask) {
+    if (!(await stage(id, 'Masking', 0.1))) return null;
+    coverage = maskCoverage(width, height);
+    image = maskSource(width, height, coverage);
+  }
+
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.filter = ImageFilters.canvasFilter(settings.adjust);
+  ctx.drawImage(image, 0, 0, width, height);
+  ctx.filter = 'none';
+
+  if (settings.sobel) {
+    if (!(await stage(id, 'Detecting edges', 0.2))) return null;
+    const edges = ImageFilters.sobel(ctx.getImageData(0, 0, width, height), settings.sobel.threshold, settings.sobel.invert);
+    ctx.putImageData(new ImageData(edges.data, width, height), 0, 0);
+  }
+
+  // Darkening, contrast and inverted edges can turn that paper into ink again;
+  // mask once more so nothing outside the mask reaches the threshold
+  if (coverage) {
+    ctx.putImageData(ImageFilters.applyMask(ctx.getImageData(0, 0, width, height), coverage, mask.mode), 0, 0);
+  }
+
+  return { canvas, ctx, width, height };
+}
+
+// Painted coverage of the mask at the traced size (alpha channel)
+function maskCoverage(width, height) {
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(mask.bitmap, 0, 0, width, height);
+  return ctx.getImageData(0, 0, width, height);
+}
+
+// The scaled source with the mask applied
+function maskSource(width, height, coverage) {
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0, width, height);
+  ctx.putImageData(ImageFilters.applyMask(ctx.getImageData(0, 0, width, height), coverage, mask.mode), 0, 0);
+  return canvas;
+}
+
+async function runTrace(id, settings) {
+  const prepared = await prepareImage(id, settings);
+  if (!prepared) return cancelled(id);
+  const { canvas, ctx, width, height } = prepared;
+
+  if (!(await stage(id, 'Thresholding', 0.3))) return cancelled(id);
+  const bitmap = Binarize.binarize(ctx.getImageData(0, 0, width, height), settings.binarize);
+  // Pure black and white, so the tracers' own cutoff keeps every pixel as is
+  const imageData = Binarize.toImageData(bitmap);
+
+  if (!(await stage(id, 'Preparing preview', 0.4))) return cancelled(id);
+  if (settings.binarize.preview) {
+    ctx.putImageData(new ImageData(imageData.data, width, height), 0, 0);
+  }
+  const processed = await canvas.convertToBlob({ type: 'image/png' });
+
+  if (!(await stage(id, 'Tracing', 0.5))) return cancelled(id);
+  const svg = settings.mode === 'centerline'
+    ? Centerline.getSVG(Centerline.trace(imageData, settings.centerline), width, height)
+    : Potrace.toSVG(new Potrace(settings.potrace).trace(imageData));
+
+  if (id !== latestId) return cancelled(id);
+  self.postMessage({
+    type: 'result', id, svg, processed,
+    centerline: settings.mode === 'centerline',
+    threshold: bitmap.threshold
+  });
+}
+
+// Tonal bands are areas, so every band is outlined with Potrace
+async function runPosterize(id, settings) {
+  const prepared = await prepareImage(id, settings);
+  if (!prepared) return cancelled(id);
+  const { ctx, width, height } = prepared;
+
+  if (!(await stage(id, 'Splitting tones', 0.3))) return cancelled(id);
+  const imageData = ctx.getImageData(0, 0, width, height);
+  const thresholds = settings.posterize.thresholds ||
+    Binarize.levelThresholds(Binarize.luminance(imageData), settings.posterize.bands);
+  const bands = Binarize.posterize(imageData, thresholds);
+
+  const potrace = new Potrace(settings.potrace);
+  const results = [];
+  for (let i = 0; i < bands.length; i++) {
+    if (!(await stage(id, `Tracing band ${i + 1} of ${bands.length}`, 0.4 + 0.6 * i / bands.length))) {
+      return cancelled(id);
+    }
+    const { min, max, bitmap } = bands[i];
+    results.push({ min, max, svg: Potrace.toSVG(potrace.trace(Binarize.toImageData(bitmap))) });
+  }
+
+  if (id !== latestId) return cancelled(id);
+  self.postMessage({ type: 'posterize-result', id, bands: results });
+}
+
+// One Potrace outline per palette color; the paper color is left untraced
+async function runSeparate(id, settings) {
+  const prepared = await prepareImage(id, settings);
+  if (!prepared) return cancelled(id);
+  const { ctx, width, height } = prepared;
+
+  if (!(await stage(id, 'Quantizing colors', 0.3))) return cancelled(id);
+  const imageData = ctx.getImageData(0, 0, width, height);
+  const { method, colors, pens, skipPaper } = settings.separate;
+  // Pen palettes end with the paper; built palettes run darkest first, so
+  // one extra color is built and the lightest is taken as the paper
+  const palette = method === 'pens'
+    ? pens.concat(skipPaper ? [PAPER] : [])
+    : ColorQuantize.buildPalette(imageData, { method, colors: colors + (skipPaper ? 1 : 0) });
+  const traced = skipPaper ? palette.length - 1 : palette.length;
+  const separated = ColorQuantize.separate(imageData, palette).slice(0, traced);
+
+  const potrace = new Potrace(settings.potrace);
+  const results = [];
+  for (let i = 0; i < separated.length; i++) {
+    if (!(await stage(id, `Tracing color ${i + 1} of ${separated.length}`, 0.4 + 0.6 * i / separated.length))) {
+      return cancelled(id);
+    }
+    const { color, bitmap } = separated[i];
+    results.push({ color, svg: Potrace.toSVG(potrace.trace(Binarize.toImageData(bitmap))) });
+  }
+
+  if (id !== latestId) return cancelled(id);
+  self.postMessage({ type: 'separate-result', id, colors: results });
+}
+
+function cancelled(id) {
+  self.postMessage({ type: 'cancelled', id });
+}
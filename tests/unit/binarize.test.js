@@ -0,0 +1,141 @@
+const Binarize = require('../../src/lib/binarize');
+
+/**
+ * Grey RGBA image from a function of the pixel position
+ */
+function createImage(width, height, value) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      data[i] = data[i + 1] = data[i + 2] = value(x, y);
+      data[i + 3] = 255;
+    }
+  }
+  return { width, height, data };
+}
+
+const ink = (bitmap, x, y) => bitmap.data[y * bitmap.width + x];
+const countInk = bitmap => bitmap.data.reduce((sum, bit) => sum + bit, 0);
+
+describe('Binarize', () => {
+  describe('fixed', () => {
+    test('should mark pixels darker than the threshold as ink', () => {
+      const image = createImage(4, 1, x => [0, 99, 100, 255][x]);
+      const bitmap = Binarize.binarize(image, { mode: 'fixed', threshold: 100 });
+
+      expect(Array.from(bitmap.data)).toEqual([1, 1, 0, 0]);
+      expect(bitmap.threshold).toBe(100);
+    });
+
+    test('should default to a cutoff of 128', () => {
+      const image = createImage(2, 1, x => [127, 128][x]);
+      expect(Array.from(Binarize.binarize(image).data)).toEqual([1, 0]);
+    });
+
+    test('should treat transparent pixels as paper', () => {
+      const image = createImage(1, 1, () => 0);
+      image.data[3] = 0;
+      expect(Binarize.binarize(image).data[0]).toBe(0);
+    });
+  });
+
+  describe('otsu', () => {
+    test('should split a bimodal image between its two peaks', () => {
+      // Dark strokes around 170, paper around 230: a fixed 128 finds no ink
+      const image = createImage(20, 20, x => (x < 5 ? 165 + (x % 2) * 10 : 225 + (x % 2) * 10));
+      const bitmap = Binarize.binarize(image, { mode: 'otsu' });
+
+      expect(bitmap.threshold).toBeGreaterThan(175);
+      expect(bitmap.threshold).toBeLessThanOrEqual(225);
+      expect(countInk(bitmap)).toBe(100);
+      expect(countInk(Binarize.binarize(image, { mode: 'fixed' }))).toBe(0);
+    });
+
+    test('should compute the threshold from luminance', () => {
+      const gray = new Float32Array([10, 10, 10, 200, 200, 200]);
+      const threshold = Binarize.otsuThreshold(gray);
+      expect(threshold).toBeGreaterThan(10);
+      expect(threshold).toBeLessThanOrEqual(200);
+    });
+  });
+
+  describe('adaptive', () => {
+    // Paper brightens from 60 to 250 left to right; a dark line every 40px
+    const image = createImage(200, 40, x => Math.min(255, 60 + x) - (x % 40 < 3 ? 50 : 0));
+    const isLine = x => x % 40 < 3;
+
+    test.each(['mean', 'gaussian'])('should find lines under uneven lighting (%s window)', (method) => {
+      const bitmap = Binarize.binarize(image, { mode: 'adaptive', method, radius: 10, offset: 10 });
+
+      expect(bitmap.threshold).toBeNull();
+      for (let x = 0; x < image.width; x++) {
+        expect(ink(bitmap, x, 20)).toBe(isLine(x) ? 1 : 0);
+      }
+    });
+
+    test('should beat a global threshold on the same image', () => {
+      const otsu = Binarize.binarize(image, { mode: 'otsu' });
+      const wrong = Array.from({ length: image.width }, (_, x) => x)
+        .filter(x => ink(otsu, x, 20) !== (isLine(x) ? 1 : 0));
+      expect(wrong.length).toBeGreaterThan(0);
+    });
+
+    test('should leave flat areas as paper', () => {
+      const flat = createImage(30, 30, () => 40);
+      expect(countInk(Binarize.binarize(flat, { mode: 'adaptive' }))).toBe(0);
+    });
+  });
+
+  describe('posterize', () => {
+    // Three flat tones side by side: dark, mid and paper
+    const image = createImage(30, 10, x => (x < 10 ? 30 : x < 20 ? 120 : 230));
+
+    test('should place automatic cutoffs between the tones', () => {
+      const [low, high] = Binarize.levelThresholds(Binarize.luminance(image), 2);
+
+      expect(low).toBeGreaterThan(30);
+      expect(low).toBeLessThanOrEqual(120);
+      expect(high).toBeGreaterThan(120);
+      expect(high).toBeLessThanOrEqual(230);
+    });
+
+    test('should keep cutoffs ascending on a flat image', () => {
+      const flat = new Float32Array(50).fill(90);
+      expect(Binarize.levelThresholds(flat, 3)).toEqual([90, 91, 92]);
+    });
+
+    test('should split the image into one bitmap per band', () => {
+      const bands = Binarize.posterize(image, [75, 175]);
+
+      expect(bands.map(band => [band.min, band.max])).toEqual([[0, 75], [75, 175]]);
+      expect(ink(bands[0].bitmap, 5, 5)).toBe(1);
+      expect(ink(bands[0].bitmap, 15, 5)).toBe(0);
+      expect(ink(bands[1].bitmap, 15, 5)).toBe(1);
+      expect(countInk(bands[0].bitmap)).toBe(100);
+      expect(countInk(bands[1].bitmap)).toBe(100);
+    });
+
+    test('should leave tones above the last cutoff as paper', () => {
+      const bands = Binarize.posterize(image, [75, 175]);
+      const paper = bands.every(band => ink(band.bitmap, 25, 5) === 0);
+      expect(paper).toBe(true);
+    });
+
+    test('should reject cutoffs out of order', () => {
+      expect(() => Binarize.posterize(image, [128, 64])).toThrow('ascending');
+      expect(() => Binarize.posterize(image, [])).toThrow('at least one band');
+    });
+  });
+
+  test('should reject unknown modes', () => {
+    const image = createImage(1, 1, () => 0);
+    expect(() => Binarize.binarize(image, { mode: 'magic' })).toThrow('Unknown threshold mode');
+    expect(() => Binarize.binarize(image, { mode: 'adaptive', method: 'median' })).toThrow('Unknown adaptive method');
+  });
+
+  test('should convert a bitmap to black and white pixels', () => {
+    const pixels = Binarize.toImageData({ width: 2, height: 1, data: new Uint8Array([1, 0]) });
+    expect(Array.from(pixels.data)).toEqual([0, 0, 0, 255, 255, 255, 255, 255]);
+  });
+});
@@ -0,0 +1,108 @@
+const Centerline = require('../../src/lib/centerline');
+
+/**
+ * White RGBA image with black pixels where ink(x, y) is true
+ */
+function createImage(width, height, ink) {
+  const data = new Uint8ClampedArray(width * height * 4).fill(255);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!ink(x, y)) continue;
+      const i = (y * width + x) * 4;
+      data[i] = data[i + 1] = data[i + 2] = 0;
+    }
+  }
+  return { width, height, data };
+}
+
+describe('Centerline Trace', () => {
+  describe('binarize', () => {
+    test('should treat dark pixels as ink and transparent pixels as paper', () => {
+      const image = createImage(3, 1, x => x < 2);
+      image.data[7] = 0; // second pixel fully transparent
+
+      expect(Array.from(Centerline.binarize(image).data)).toEqual([1, 0, 0]);
+    });
+  });
+
+  describe('thin', () => {
+    test('should thin a thick bar to a one pixel line', () => {
+      const bitmap = Centerline.binarize(createImage(40, 15, (x, y) => x >= 5 && x < 35 && y >= 5 && y < 10));
+      Centerline.thin(bitmap);
+
+      for (let x = 10; x < 30; x++) {
+        const column = [];
+        for (let y = 0; y < 15; y++) column.push(bitmap.data[y * 40 + x]);
+        expect(column.filter(Boolean)).toHaveLength(1);
+      }
+    });
+  });
+
+  describe('trace', () => {
+    test('should trace a thick line as a single stroke along its middle', () => {
+      const lines = Centerline.trace(createImage(80, 20, (x, y) => x >= 10 && x < 70 && y >= 8 && y < 13));
+
+      expect(lines).toHaveLength(1);
+      const { points, closed } = lines[0];
+      expect(closed).toBe(false);
+      expect(points.every(([, y]) => Math.abs(y - 10.5) <= 1)).toBe(true);
+      expect(points[points.length - 1][0] - points[0][0]).toBeGreaterThan(45);
+    });
+
+    test('should follow a diagonal line without staircase junctions', () => {
+      const lines = Centerline.trace(createImage(60, 60, (x, y) => Math.abs(x - y) < 3 && x > 5 && x < 55));
+
+      expect(lines).toHaveLength(1);
+      const { points } = lines[0];
+      expect(points.every(([x, y]) => Math.abs(x - y) < 2)).toBe(true);
+      expect(Math.hypot(points[points.length - 1][0] - points[0][0], points[points.length - 1][1] - points[0][1])).toBeGreaterThan(55);
+    });
+
+    test('should meet branches at one junction', () => {
+      const cross = (x, y) => (x >= 10 && x < 70 && y >= 38 && y < 43) || (y >= 10 && y < 70 && x >= 38 && x < 43);
+      const lines = Centerline.trace(createImage(80, 80, cross));
+
+      expect(lines).toHaveLength(4);
+      const junctions = lines.map(({ points }) => [points[0], points[points.length - 1]]
+        .find(p => Math.abs(p[0] - 40.5) <= 1.5 && Math.abs(p[1] - 40.5) <= 1.5));
+      expect(junctions.every(Boolean)).toBe(true);
+    });
+
+    test('should trace a ring as a closed line', () => {
+      const lines = Centerline.trace(createImage(80, 80, (x, y) => {
+        const r = Math.hypot(x - 40, y - 40);
+        return r > 20 && r < 25;
+      }));
+
+      expect(lines).toHaveLength(1);
+      expect(lines[0].closed).toBe(true);
+      for (const [x, y] of lines[0].points) {
+        expect(Math.hypot(x - 40, y - 40)).toBeGreaterThan(20);
+        expect(Math.hypot(x - 40, y - 40)).toBeLessThan(25);
+      }
+    });
+
+    test('should prune short spurs and specks', () => {
+      // A line with a short bump on top, and a separate dot
+      const ink = (x, y) => (x >= 10 && x < 70 && y >= 20 && y < 25) ||
+        (x >= 38 && x < 42 && y >= 16 && y < 20) ||
+        (x >= 5 && x < 8 && y >= 5 && y < 8);
+
+      expect(Centerline.trace(createImage(80, 40, ink))).toHaveLength(1);
+      expect(Centerline.trace(createImage(80, 40, ink), { spurLength: 0 }).length).toBeGreaterThan(1);
+    });
+  });
+
+  describe('getSVG', () => {
+    test('should write strokes without fill', () => {
+      const svg = Centerline.getSVG([
+        { points: [[0, 0], [10, 0.125]], closed: false },
+        { points: [[0, 5], [5, 5], [5, 10]], closed: true }
+      ], 20, 10);
+
+      expect(svg).toContain('width="20" height="10"');
+      expect(svg).toContain('d="M0 0 L10 0.13 M0 5 L5 5 L5 10 Z"');
+      expect(svg).toContain('fill="none"');
+    });
+  });
+});
@@ -0,0 +1,93 @@
+const ColorQuantize = require('../../src/lib/color-quantize');
+
+/**
+ * RGBA image from a function of the pixel position returning [r, g, b]
+ */
+function createImage(width, height, color) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const [r, g, b] = color(x, y);
+      data[i] = r;
+      data[i + 1] = g;
+      data[i + 2] = b;
+      data[i + 3] = 255;
+    }
+  }
+  return { width, height, data };
+}
+
+const WHITE = [250, 250, 250];
+const RED = [200, 30, 30];
+const BLUE = [20, 40, 200];
+
+// Three equal stripes (white, red, blue) with a little noise, like a scan
+const stripes = createImage(90, 30, (x, y) => {
+  const base = [WHITE, RED, BLUE][Math.floor(x / 30)];
+  const noise = ((x * 7 + y * 3) % 9) - 4;
+  return base.map(c => c + noise);
+});
+
+const countInk = bitmap => bitmap.data.reduce((sum, bit) => sum + bit, 0);
+const near = (hex, rgb) => {
+  const value = parseInt(hex.slice(1), 16);
+  const actual = [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+  return actual.every((c, i) => Math.abs(c - rgb[i]) <= 6);
+};
+
+describe('Color Quantize', () => {
+  describe('parsePalette', () => {
+    test('should normalize hex colors', () => {
+      expect(ColorQuantize.parsePalette('#000, D32F2F  #1976d2')).toEqual(['#000000', '#d32f2f', '#1976d2']);
+    });
+
+    test('should return an empty palette for empty text', () => {
+      expect(ColorQuantize.parsePalette('')).toEqual([]);
+      expect(ColorQuantize.parsePalette(undefined)).toEqual([]);
+    });
+
+    test('should reject entries that are not hex colors', () => {
+      expect(() => ColorQuantize.parsePalette('#000, red')).toThrow('"red" is not a hex color');
+    });
+  });
+
+  describe('buildPalette', () => {
+    test.each(['kmeans', 'median-cut'])('should find the stripe colors (%s)', (method) => {
+      const palette = ColorQuantize.buildPalette(stripes, { method, colors: 3 });
+
+      expect(palette).toHaveLength(3);
+      // Darkest first
+      expect(near(palette[0], BLUE)).toBe(true);
+      expect(near(palette[1], RED)).toBe(true);
+      expect(near(palette[2], WHITE)).toBe(true);
+    });
+
+    test('should not return more colors than the image has', () => {
+      const flat = createImage(10, 10, () => RED);
+      expect(ColorQuantize.buildPalette(flat, { method: 'median-cut', colors: 4 })).toEqual(['#c81e1e']);
+    });
+
+    test('should reject unknown methods', () => {
+      expect(() => ColorQuantize.buildPalette(stripes, { method: 'octree', colors: 3 })).toThrow('Unknown quantization method');
+    });
+  });
+
+  describe('separate', () => {
+    test('should give every pixel to its nearest palette color', () => {
+      const layers = ColorQuantize.separate(stripes, ['#ffffff', '#ff0000', '#0000ff']);
+
+      expect(layers.map(layer => layer.color)).toEqual(['#ffffff', '#ff0000', '#0000ff']);
+      layers.forEach(layer => expect(countInk(layer.bitmap)).toBe(900));
+      expect(layers[1].bitmap.data[45]).toBe(1);
+      expect(layers[2].bitmap.data[45]).toBe(0);
+    });
+
+    test('should leave transparent pixels out of every color', () => {
+      const image = createImage(2, 1, () => RED);
+      image.data[7] = 0;
+      const [layer] = ColorQuantize.separate(image, ['#ff0000']);
+      expect(Array.from(layer.bitmap.data)).toEqual([1, 0]);
+    });
+  });
+});
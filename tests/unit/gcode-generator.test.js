@@ -0,0 +1,276 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  formatValue,
+  formatTemplate,
+  formatJobComment,
+  writeGcode,
+  svgToGcode
+} = require('../../src/main/gcode-generator');
+const { DEFAULT_PROFILE, profileToGwrite } = require('../../src/main/machine-profiles');
+
+const johnny5 = profileToGwrite(DEFAULT_PROFILE);
+
+/**
+ * Extract G0/G1 coordinates from generated G-code
+ */
+function parseMoves(gcode) {
+  const moves = [];
+  for (const line of gcode.split('\n')) {
+    const match = line.match(/^G[01] X(-?[\d.]+) Y(-?[\d.]+)/);
+    if (match) moves.push([parseFloat(match[1]), parseFloat(match[2])]);
+  }
+  return moves;
+}
+
+describe('G-code Generator', () => {
+  describe('formatValue', () => {
+    test('should format fixed precision floats', () => {
+      expect(formatValue(1.23456, '.4f')).toBe('1.2346');
+      expect(formatValue(-2, '.2f')).toBe('-2.00');
+    });
+
+    test('should support sign, width and zero padding', () => {
+      expect(formatValue(3.5, '+.1f')).toBe('+3.5');
+      expect(formatValue(7, '03d')).toBe('007');
+      expect(formatValue(1.5, '8.2f')).toBe('    1.50');
+    });
+
+    test('should fall back to plain string without a spec', () => {
+      expect(formatValue(12, undefined)).toBe('12');
+      expect(formatValue('abc', '')).toBe('abc');
+    });
+  });
+
+  describe('formatTemplate', () => {
+    test('should substitute variables and escaped braces', () => {
+      expect(formatTemplate('G1 X{x:.1f} Y{y:.1f} {{ok}}', { x: 1, y: 2 }))
+        .toBe('G1 X1.0 Y2.0 {ok}');
+    });
+
+    test('should leave unknown variables untouched', () => {
+      expect(formatTemplate('{unknown}', {})).toBe('{unknown}');
+    });
+  });
+
+  describe('writeGcode', () => {
+    test('should use segment_first and segment_last around each line', () => {
+      const layers = [{ id: 1, lines: [[[0, 0], [10, 0], [10, 10]]] }];
+      const gcode = writeGcode(layers, johnny5);
+      expect(gcode).toBe(
+        'G21\nG90\nM42 P0 S1\n' +
+        'G0 X0.0000 Y0.0000\nM42 P0 S0\n' +
+        'G1 X10.0000 Y0.0000\n' +
+        'G1 X10.0000 Y10.0000\nM42 P0 S1\n' +
+        'M42 P0 S1\n'
+      );
+    });
+
+    test('should apply vertical flip and unit conversion', () => {
+      const profile = { segment: '{x:.2f},{y:.2f};', unit: 'in', vertical_flip: true };
+      const layers = [{ id: 1, lines: [[[25.4, 0], [50.8, 25.4]]] }];
+      expect(writeGcode(layers, profile, { pageHeight: 25.4 })).toBe('1.00,1.00;2.00,0.00;');
+    });
+
+    test('should provide relative coordinates', () => {
+      const profile = { segment: '{dx:.0f} {dy:.0f}|' };
+      const layers = [{ id: 1, lines: [[[1, 1], [4, 5]]] }];
+      expect(writeGcode(layers, profile)).toBe('1 1|3 4|');
+    });
+  });
+
+  describe('formatJobComment', () => {
+    test('should write numbers and lists as key=value pairs', () => {
+      const comment = formatJobComment({ machine: 'johnny5', work: [400, 300], paper: [10, 20.12345, 100, 50] });
+      expect(comment).toBe('; gellyscope machine=johnny5 work=400,300 paper=10,20.123,100,50\n');
+    });
+  });
+
+  describe('svgToGcode', () => {
+    test('should fit geometry to the output size and translate it', async () => {
+      const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 50">' +
+        '<rect x="0" y="0" width="100" height="50"/></svg>';
+      const result = await svgToGcode(svg, {
+        profile: johnny5,
+        widthMm: 200,
+        heightMm: 100,
+        transform: [1, 0, 0, 1, 10, 20]
+      });
+
+      expect(result.pathCount).toBe(1);
+      expect(result.bounds).toEqual({ minX: 10, minY: 20, maxX: 210, maxY: 120 });
+      expect(parseMoves(result.gcode)[0]).toEqual([10, 20]);
+    });
+
+    test('should mirror geometry with a flipped transform', async () => {
+      const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 50">' +
+        '<line x1="0" y1="0" x2="100" y2="50"/></svg>';
+      const result = await svgToGcode(svg, {
+        profile: johnny5,
+        widthMm: 100,
+        heightMm: 50,
+        transform: [1, 0, 0, -1, 0, 300]
+      });
+
+      expect(parseMoves(result.gcode)).toEqual([[0, 300], [100, 250]]);
+    });
+
+    test('should fit the viewBox instead of the drawing when asked', async () => {
+      const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">' +
+        '<line x1="25" y1="50" x2="75" y2="50"/></svg>';
+      const result = await svgToGcode(svg, { profile: johnny5, widthMm: 200, heightMm: 200, fit: 'viewBox' });
+      expect(parseMoves(result.gcode)).toEqual([[50, 100], [150, 100]]);
+    });
+
+    test('should optimize paths and report travel when asked', async () => {
+      const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">' +
+        '<line x1="90" y1="0" x2="100" y2="0"/><line x1="0" y1="0" x2="10" y2="0"/>' +
+        '<line x1="0" y1="100" x2="100" y2="100"/></svg>';
+      const plain = await svgToGcode(svg, { profile: johnny5, widthMm: 100, heightMm: 100 });
+      const result = await svgToGcode(svg, {
+        profile: johnny5,
+        widthMm: 100,
+        heightMm: 100,
+        optimize: { reorder: true, reverse: true }
+      });
+
+      expect(plain.optimization).toBeNull();
+      expect(result.optimization.travelAfter).toBeLessThan(result.optimization.travelBefore);
+      expect(parseMoves(result.gcode)[0]).toEqual([0, 0]);
+    });
+
+    test('should center geometry that does not match the page aspect', async () => {
+      const svg = '<svg xmlns="http://www.w3.org/2000/svg"><line x1="0" y1="0" x2="10" y2="0"/>' +
+        '<line x1="0" y1="0" x2="0" y2="5"/></svg>';
+      const result = await svgToGcode(svg, { profile: johnny5, widthMm: 100, heightMm: 100 });
+      expect(result.bounds.minX).toBeCloseTo(0);
+      expect(result.bounds.maxX).toBeCloseTo(100);
+      expect(result.bounds.minY).toBeCloseTo(25);
+      expect(result.bounds.maxY).toBeCloseTo(75);
+    });
+
+    test('should apply group transforms and skip hidden elements', async () => {
+      const svg = '<svg xmlns="http://www.w3.org/2000/svg">' +
+        '<g transform="translate(100 0)"><line x1="0" y1="0" x2="10" y2="10"/></g>' +
+        '<line x1="0" y1="0" x2="10" y2="10" style="display:none"/>' +
+        '<defs><line id="ref" x1="0" y1="0" x2="5" y2="5"/></defs></svg>';
+      const result = await svgToGcode(svg, { profile: johnny5, widthMm: 10, heightMm: 10 });
+      expect(result.pathCount).toBe(1);
+    });
+
+    test('should resolve <use> references', async () => {
+      const svg = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">' +
+        '<defs><line id="ref" x1="0" y1="0" x2="5" y2="0"/></defs>' +
+        '<use xlink:href="#ref" x="0" y="10"/><use href="#ref"/></svg>';
+      const result = await svgToGcode(svg, { profile: johnny5, widthMm: 5, heightMm: 10 });
+      expect(result.pathCount).toBe(2);
+    });
+
+    test('should convert the jellyfish fixture', async () => {
+      const svg = fs.readFileSync(path.join(__dirname, '../fixtures/simple-gelly.svg'), 'utf8');
+      const result = await svgToGcode(svg, { profile: johnny5, widthMm: 150, heightMm: 150 });
+
+      expect(result.pathCount).toBeGreaterThan(0);
+      expect(result.gcode.startsWith('G21\nG90\n')).toBe(true);
+      for (const [x, y] of parseMoves(result.gcode)) {
+        expect(x).toBeGreaterThanOrEqual(-0.001);
+        expect(x).toBeLessThanOrEqual(150.001);
+        expect(y).toBeGreaterThanOrEqual(-0.001);
+        expect(y).toBeLessThanOrEqual(150.001);
+      }
+    });
+
+    describe('multi-pen output', () => {
+      // Two Inkscape layers; the second mixes red and blue strokes
+      const svg = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" viewBox="0 0 100 100">' +
+        '<g inkscape:label="Outline" data-pen-color="#222"><line x1="0" y1="0" x2="100" y2="0" stroke="red"/></g>' +
+        '<g id="shading" style="stroke:#00f"><line x1="0" y1="50" x2="100" y2="50"/>' +
+        '<line x1="0" y1="100" x2="100" y2="100" style="stroke:rgb(255,0,0)"/></g></svg>';
+      const options = { profile: johnny5, widthMm: 100, heightMm: 100 };
+
+      test('should pause for a pen change between layers', async () => {
+        const result = await svgToGcode(svg, { ...options, pens: { by: 'layer', output: 'pauses' } });
+        const lines = result.gcode.split('\n');
+
+        expect(result.pens).toEqual([
+          { pen: 1, name: 'Outline', color: '#222222' },
+          { pen: 2, name: 'shading', color: '#0000ff' }
+        ]);
+        expect(lines.filter(line => line.startsWith('; gellyscope-pen'))).toEqual([
+          '; gellyscope-pen pen=1 color=#222222 name=Outline',
+          '; gellyscope-pen pen=2 color=#0000ff name=shading'
+        ]);
+        // The pause comes after pen 1's lines
+        const pause = lines.indexOf('M0 ; Change to pen 2 (shading)');
+        expect(pause).toBeGreaterThan(lines.findIndex(line => line.startsWith('G1')));
+        expect(lines.slice(pause).filter(line => line.startsWith('G1'))).toHaveLength(2);
+      });
+
+      test('should group strokes by color and merge groups on the same pen', async () => {
+        const byColor = await svgToGcode(svg, { ...options, pens: { by: 'color' } });
+        expect(byColor.pens.map(pen => pen.name)).toEqual(['#ff0000', '#0000ff']);
+        expect(byColor.gcode.match(/^G1 /gm)).toHaveLength(3);
+        // Red: the outline and the bottom line, then blue
+        expect(parseMoves(byColor.gcode.split('M0')[0]).filter(([, y]) => y === 50)).toEqual([]);
+
+        const onePen = await svgToGcode(svg, { ...options, pens: { by: 'layer', map: { 2: 1, 3: 1 } } });
+        expect(onePen.pens).toEqual([{ pen: 1, name: 'Outline', color: '#222222' }]);
+        expect(onePen.gcode).not.toContain('M0');
+      });
+
+      test('should write one program per pen', async () => {
+        const result = await svgToGcode(svg, { ...options, pens: { by: 'color', output: 'files' } });
+
+        expect(result.pens).toHaveLength(2);
+        const [red, blue] = result.pens;
+        expect(red.gcode).toContain('; gellyscope-pen pen=1 color=#ff0000 name=%23ff0000');
+        expect(red.gcode).not.toContain('M0');
+        expect(parseMoves(red.gcode).map(([, y]) => y)).not.toContain(50);
+        expect(parseMoves(blue.gcode).every(([, y]) => y === 50)).toBe(true);
+        expect(blue.gcode.startsWith('G21\nG90\n')).toBe(true);
+      });
+    });
+
+    describe('hatch fill', () => {
+      // A filled 10x10 square with a 4x4 hole, plus a stroked line
+      const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10">' +
+        '<path fill-rule="evenodd" d="M0 0H10V10H0Z M3 3H7V7H3Z"/>' +
+        '<line x1="0" y1="10" x2="10" y2="10" stroke="black" fill="none"/></svg>';
+      const options = { profile: johnny5, widthMm: 10, heightMm: 10 };
+
+      test('should only outline filled shapes without hatching', async () => {
+        const result = await svgToGcode(svg, options);
+        expect(result.pathCount).toBe(3);
+      });
+
+      test('should hatch filled shapes and leave holes out', async () => {
+        const result = await svgToGcode(svg, { ...options, hatch: { penWidth: 1, angle: 0, outline: false } });
+        const moves = parseMoves(result.gcode);
+        const ys = new Set(moves.map(([, y]) => y));
+
+        // 10 rows, 4 of them split by the hole, and the stroked line
+        expect(result.pathCount).toBe(15);
+        expect(ys.has(4.5)).toBe(true);
+        expect(moves.some(([x, y]) => y === 4.5 && x > 3 && x < 7)).toBe(false);
+      });
+
+      test('should space lines by pen width and density and keep outlines', async () => {
+        const hatch = { penWidth: 1, density: 0.5, crossHatch: true };
+        const plain = await svgToGcode(svg, { ...options, hatch });
+        const outlined = await svgToGcode(svg, { ...options, hatch: { ...hatch, outline: true } });
+
+        // 2 mm apart: rows at y = 1, 3, 5, 7, 9 and the same number of columns
+        expect(new Set(parseMoves(plain.gcode).map(([, y]) => y).filter(y => y % 2 === 1))).toEqual(new Set([1, 3, 5, 7, 9]));
+        expect(plain.pathCount).toBeGreaterThan(10);
+        // Both outlines of the square come back
+        expect(outlined.pathCount).toBe(plain.pathCount + 2);
+      });
+    });
+
+    test('should reject documents without geometry', async () => {
+      await expect(svgToGcode('<svg xmlns="http://www.w3.org/2000/svg"></svg>', {
+        profile: johnny5, widthMm: 10, heightMm: 10
+      })).rejects.toThrow('no drawable paths');
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const { interpret, flattenArc } = require('../../src/lib/gcode-interpreter');
+
+const johnny5 = { penUp: 'M42 P0 S1', penDown: 'M42 P0 S0', units: 'mm' };
+
+/**
+ * Round path points for comparison
+ */
+function pathPoints(result) {
+  return result.paths.map(path => path.map(p => [+p.x.toFixed(3), +p.y.toFixed(3)]));
+}
+
+describe('G-code Interpreter', () => {
+  describe('pen dialects', () => {
+    test('should use the profile pen commands', () => {
+      const result = interpret('G0 X1 Y1\nM42 P0 S0\nG1 X5 Y1\nM42 P0 S1\nG0 X0 Y0', { profile: johnny5 });
+      expect(pathPoints(result)).toEqual([[[1, 1], [5, 1]]]);
+      expect(result.hasPenCommands).toBe(true);
+    });
+
+    test('should prefer profile commands over the generic dialects', () => {
+      // Servo where a small angle lifts the pen
+      const servo = { penUp: 'M3 S20', penDown: 'M3 S90' };
+      const result = interpret('M3 S20\nG0 X10\nM3 S90\nG1 X20\nM3 S20\nG1 X30', { profile: servo });
+      expect(pathPoints(result)).toEqual([[[10, 0], [20, 0]]]);
+    });
+
+    test('should understand M3/M5 and Z pens without a profile', () => {
+      const servo = interpret('M5\nG0 X10\nM3 S90\nG1 X20\nM5\nG0 X0');
+      expect(pathPoints(servo)).toEqual([[[10, 0], [20, 0]]]);
+
+      const zPen = interpret('G0 Z5\nG0 X10\nG1 Z-1\nG1 X20\nG0 Z5\nG0 X0');
+      expect(pathPoints(zPen)).toEqual([[[10, 0], [20, 0]]]);
+    });
+
+    test('should classify Z heights using the profile pen heights', () => {
+      const profile = { penUp: 'G0 Z10', penDown: 'G1 Z8' };
+      const result = interpret('G0 Z10\nG0 X10\nG1 Z7.5\nG1 X20\nG0 Z9.5\nG1 X30', { profile });
+      expect(pathPoints(result)).toEqual([[[10, 0], [20, 0]]]);
+    });
+
+    test('should draw feed moves when the file has no pen commands', () => {
+      const result = interpret('G0 X10\nG1 X20\nG0 X30\nG1 Y10');
+      expect(result.hasPenCommands).toBe(false);
+      expect(pathPoints(result)).toEqual([[[10, 0], [20, 0]], [[30, 0], [30, 10]]]);
+    });
+  });
+
+  describe('modal state', () => {
+    test('should keep the motion mode for bare coordinates', () => {
+      const result = interpret('M3\nG1 X10\nY10\nX0');
+      expect(pathPoints(result)).toEqual([[[0, 0], [10, 0], [10, 10], [0, 10]]]);
+    });
+
+    test('should follow relative moves and inch units', () => {
+      const result = interpret('G20 G91\nM3\nG1 X1\nY1\nG90 G21\nG1 X0 Y0');
+      expect(pathPoints(result)).toEqual([[[0, 0], [25.4, 0], [25.4, 25.4], [0, 0]]]);
+    });
+
+    test('should apply G92 offsets until cleared', () => {
+      const result = interpret('G0 X50 Y50\nG92 X0 Y0\nM3\nG1 X10\nM5\nG92.1\nG0 X0 Y0');
+      expect(pathPoints(result)).toEqual([[[50, 50], [60, 50]]]);
+      expect(result.bounds).toEqual({ minX: 0, maxX: 60, minY: 0, maxY: 50 });
+    });
+
+    test('should record the source line of each move', () => {
+      const result = interpret('; header\nM3\nG1 X10\n\nG1 Y10');
+      expect(result.paths[0].map(p => p.line)).toEqual([2, 2, 4]);
+    });
+  });
+
+  describe('arcs', () => {
+    test('should flatten a G2 quarter circle clockwise', () => {
+      const points = flattenArc([0, 10], [10, 0], [0, 0], true, 0.01);
+      expect(points[points.length - 1]).toEqual([10, 0]);
+      for (const [x, y] of points) {
+        expect(Math.hypot(x, y)).toBeCloseTo(10, 6);
+        expect(x).toBeGreaterThanOrEqual(0);
+        expect(y).toBeGreaterThanOrEqual(-1e-9);
+      }
+    });
+
+    test('should draw a full circle from I/J offsets', () => {
+      const result = interpret('G0 X10 Y0\nM3\nG3 X10 Y0 I-10 J0');
+      // Flattened within the 0.01mm chord tolerance
+      expect(result.bounds.minX).toBeCloseTo(-10, 1);
+      expect(result.bounds.maxY).toBeCloseTo(10, 1);
+      expect(result.bounds.minY).toBeCloseTo(-10, 1);
+    });
+
+    test('should resolve R-format arcs like GRBL', () => {
+      // Clockwise half circle from (0,0) to (20,0) passes above the chord
+      const short = interpret('M3\nG2 X20 Y0 R10');
+      expect(short.bounds.maxY).toBeCloseTo(10, 2);
+
+      // Counter-clockwise with the same radius passes below
+      const ccw = interpret('M3\nG3 X20 Y0 R10');
+      expect(ccw.bounds.minY).toBeCloseTo(-10, 2);
+    });
+  });
+});
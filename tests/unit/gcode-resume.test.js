@@ -0,0 +1,108 @@
+const { buildResumeJob } = require('../../src/main/gcode-resume');
+const GcodeInterpreter = require('../../src/lib/gcode-interpreter');
+const { PlotterSession } = require('../../src/main/plotter-session');
+const { VirtualPlotter } = require('../../src/main/virtual-plotter');
+const { openTcpConnection } = require('../../src/main/tcp-connection');
+
+const PROFILE = {
+  units: 'mm',
+  penUp: 'M42 P0 S1',
+  penDown: 'M42 P0 S0'
+};
+
+const JOB = [
+  '; gellyscope machine=johnny5 work=400,400 origin=top-left',
+  'G21',
+  'G90',
+  'M42 P0 S1',
+  'G0 X10 Y10',
+  'M42 P0 S0',
+  'G1 X20 Y10 F1200',
+  'X20 Y20',
+  'X10 Y20',
+  'M42 P0 S1',
+  'G0 X50 Y50',
+  'M42 P0 S0',
+  'G1 X60 Y50',
+  'M42 P0 S1'
+].join('\n');
+
+describe('G-code Resume', () => {
+  test('should travel pen-up to the start and lower the pen mid-path', () => {
+    const job = buildResumeJob(JOB, 7, { profile: PROFILE });
+    const lines = job.gcode.split('\n');
+
+    expect(lines.slice(0, 12)).toEqual([
+      '; resumed at line 8',
+      '; gellyscope machine=johnny5 work=400,400 origin=top-left',
+      'G21',
+      'G90',
+      'G21',
+      'G90',
+      'M42 P0 S1',
+      'G0 X20 Y10',
+      'G1 F1200',
+      'M42 P0 S0',
+      'X20 Y20',
+      'X10 Y20'
+    ]);
+    expect(job.start).toEqual([20, 10]);
+    expect(job.penDown).toBe(true);
+    expect(job.warnings).toEqual([]);
+
+    // Resumed lines map back to the original file
+    expect(lines.indexOf('X20 Y20') + job.lineOffset).toBe(7);
+  });
+
+  test('should draw exactly the rest of the original drawing', () => {
+    const original = GcodeInterpreter.interpret(JOB, { profile: PROFILE });
+    const resumed = GcodeInterpreter.interpret(buildResumeJob(JOB, 10, { profile: PROFILE }).gcode, { profile: PROFILE });
+
+    const strip = paths => paths.map(path => path.map(point => [point.x, point.y]));
+    expect(strip(resumed.paths)).toEqual(strip(original.paths).slice(1));
+  });
+
+  test('should restore inches and relative mode', () => {
+    const text = 'G20\nG91\nM42 P0 S0\nG1 X1 F10\nG1 X1\nG1 Y1';
+    const job = buildResumeJob(text, 4, { profile: PROFILE });
+    const lines = job.gcode.split('\n');
+
+    expect(lines).toContain('G0 X1 Y0');
+    expect(lines).toContain('G1 F10');
+    expect(lines.slice(-3)).toEqual(['G91', 'G1 X1', 'G1 Y1']);
+
+    // Starting where the first inch move ended
+    expect(job.start[0]).toBeCloseTo(25.4);
+  });
+
+  test('should warn about G92 offsets and reject lines outside the file', () => {
+    const text = 'G0 X10\nG92 X0 Y0\nM42 P0 S0\nG1 X5';
+    const job = buildResumeJob(text, 3, { profile: PROFILE });
+    expect(job.warnings[0]).toMatch(/G92/);
+    expect(job.gcode).toContain('G0 X0 Y0');
+
+    expect(() => buildResumeJob(text, 10, { profile: PROFILE })).toThrow('outside the file');
+  });
+
+  test('should report progress of a resumed job in lines of the original file', async () => {
+    const plotter = new VirtualPlotter({ protocol: 'marlin', profile: PROFILE });
+    const { host, port } = await plotter.listen();
+    const events = [];
+    const session = new PlotterSession(event => events.push(event));
+    session.connect(await openTcpConnection(host, port), { protocol: 'marlin', name: 'virtual', statusInterval: 0 });
+
+    const job = buildResumeJob(JOB, 10, { profile: PROFILE });
+    await session.sendJob(job.gcode, 'job.gcode', { lineOffset: job.lineOffset, preambleLines: job.preambleLines });
+
+    const lines = events.filter(event => event.type === 'progress').map(event => event.line);
+    expect(lines[lines.length - 1]).toBe(13);
+    expect(lines.every(line => line === -1 || line >= 10)).toBe(true);
+
+    // Only the rest of the drawing reached the plotter
+    expect(plotter.toSVG()).toContain('<polyline');
+    expect(plotter.status().position).toEqual([60, 50]);
+
+    await session.disconnect();
+    await plotter.close();
+  });
+});
@@ -0,0 +1,304 @@
+const { EventEmitter } = require('events');
+const {
+  GcodeSender,
+  prepareLines,
+  marlinChecksum,
+  parseGrblStatus,
+  parseMarlinPosition
+} = require('../../src/main/gcode-sender');
+const { PlotterSession } = require('../../src/main/plotter-session');
+
+/**
+ * Minimal controller: answers every line with "ok" after the test releases it
+ */
+class FakeDevice extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.written = [];
+    this.lines = [];
+    this.reply = options.reply || (() => 'ok');
+    this.auto = options.auto !== false;
+    this.queue = [];
+  }
+
+  write(data) {
+    this.written.push(data);
+    for (const line of String(data).split('\n').filter(Boolean)) {
+      if (['?', '!', '~', '\x18'].includes(line)) continue;
+      this.lines.push(line);
+      this.queue.push(line);
+    }
+    if (this.auto) setImmediate(() => this.flush());
+  }
+
+  /**
+   * Reply to every line received so far
+   */
+  flush() {
+    const lines = this.queue.splice(0);
+    for (const line of lines) {
+      const reply = this.reply(line);
+      if (reply) this.emit('data', reply + '\n');
+    }
+  }
+
+  close(callback) {
+    this.emit('close');
+    if (callback) callback();
+  }
+}
+
+describe('G-code Sender', () => {
+  describe('prepareLines', () => {
+    test('should drop comments and blank lines but keep source line numbers', () => {
+      expect(prepareLines('; job\nG21\n\nG1 X1 (move) ; comment\n')).toEqual([
+        { text: 'G21', line: 1 },
+        { text: 'G1 X1', line: 3 }
+      ]);
+    });
+
+    test('should mark program pauses and keep their comment', () => {
+      expect(prepareLines('M0 ; Change to pen 2 (Red)\nM01 (check)\nM05')).toEqual([
+        { text: 'M0', line: 0, pause: true, message: 'Change to pen 2 (Red)' },
+        { text: 'M01', line: 1, pause: true, message: 'check' },
+        { text: 'M05', line: 2 }
+      ]);
+    });
+  });
+
+  describe('marlinChecksum', () => {
+    test('should XOR the line bytes', () => {
+      expect(marlinChecksum('N1 G28')).toBe(18);
+      expect(marlinChecksum('N0 M110 N0')).toBe(125);
+    });
+  });
+
+  describe('parseGrblStatus', () => {
+    test('should read the state and derive work position from WCO', () => {
+      expect(parseGrblStatus('<Run|MPos:10.000,5.000,0.000|FS:500,0|WCO:2.000,1.000,0.000>')).toEqual({
+        state: 'Run',
+        machinePosition: [10, 5, 0],
+        workPosition: [8, 4, 0]
+      });
+    });
+  });
+
+  describe('parseMarlinPosition', () => {
+    test('should read an M114 report', () => {
+      expect(parseMarlinPosition('X:10.00 Y:-5.50 Z:0.00 E:0.00 Count X:800 Y:-440 Z:0')).toEqual({
+        state: null,
+        machinePosition: null,
+        workPosition: [10, -5.5, 0]
+      });
+      expect(parseMarlinPosition('echo:busy: processing')).toBeNull();
+    });
+  });
+
+  describe('GRBL character counting', () => {
+    test('should keep at most bufferSize characters in flight', async () => {
+      const device = new FakeDevice({ auto: false });
+      const sender = new GcodeSender(device, { protocol: 'grbl', bufferSize: 20, statusInterval: 0 });
+      const job = sender.start('G1 X1.000 Y1.000\nG1 X2.000 Y2.000\nG1 X3.000 Y3.000');
+
+      // 17 characters fit, the second line would overflow the 20 byte buffer
+      expect(device.lines).toEqual(['G1 X1.000 Y1.000']);
+
+      device.flush();
+      expect(device.lines).toHaveLength(2);
+      device.flush();
+      device.flush();
+
+      await expect(job).resolves.toEqual({ total: 3 });
+      expect(sender.state).toBe('idle');
+    });
+
+    test('should fill the buffer with several short lines', () => {
+      const device = new FakeDevice({ auto: false });
+      const sender = new GcodeSender(device, { protocol: 'grbl', statusInterval: 0 });
+      sender.start('G1 X1\nG1 X2\nG1 X3\nG1 X4').catch(() => {});
+      expect(device.lines).toHaveLength(4);
+    });
+
+    test('should stop on an error response and report the source line', async () => {
+      const device = new FakeDevice({ reply: line => (line === 'G5' ? 'error:20' : 'ok') });
+      const sender = new GcodeSender(device, { protocol: 'grbl', bufferSize: 1, statusInterval: 0 });
+      const errors = [];
+      sender.on('line-error', error => errors.push(error));
+
+      await expect(sender.start('G21\n; bad\nG5\nG1 X1')).rejects.toThrow(/Line 3 \(G5\): error:20/);
+      expect(errors).toEqual([{ line: 2, command: 'G5', message: 'error:20' }]);
+      expect(device.lines).not.toContain('G1 X1');
+    });
+
+    test('should pause, feed hold and resume', async () => {
+      const device = new FakeDevice({ auto: false });
+      const sender = new GcodeSender(device, { protocol: 'grbl', bufferSize: 1, statusInterval: 0 });
+      const job = sender.start('G1 X1\nG1 X2\nG1 X3');
+
+      sender.pause();
+      device.flush();
+      expect(device.lines).toEqual(['G1 X1']);
+
+      sender.feedHold();
+      expect(sender.state).toBe('held');
+      expect(device.written).toContain('!');
+
+      sender.resume();
+      expect(device.written).toContain('~');
+      expect(device.lines).toEqual(['G1 X1', 'G1 X2']);
+
+      device.auto = true;
+      device.flush();
+      await expect(job).resolves.toEqual({ total: 3 });
+    });
+
+    test('should pause at M0 after the lines before it are accepted', async () => {
+      const device = new FakeDevice({ auto: false });
+      const sender = new GcodeSender(device, { protocol: 'grbl', statusInterval: 0 });
+      const pauses = [];
+      sender.on('pause', pause => pauses.push(pause));
+      const job = sender.start('G1 X1\nM5\nM0 ; Change to pen 2\nM3\nG1 X2');
+
+      expect(device.lines).toEqual(['G1 X1', 'M5']);
+      device.flush();
+      expect(sender.state).toBe('paused');
+      expect(pauses).toEqual([{ line: 2, message: 'Change to pen 2' }]);
+
+      device.auto = true;
+      sender.resume();
+      await expect(job).resolves.toEqual({ total: 5 });
+      expect(device.lines).toEqual(['G1 X1', 'M5', 'M3', 'G1 X2']);
+    });
+
+    test('should finish a job that ends with a pause on resume', async () => {
+      const device = new FakeDevice();
+      const sender = new GcodeSender(device, { protocol: 'marlin', statusInterval: 0 });
+      const job = sender.start('G1 X1\nM0');
+
+      await new Promise(resolve => sender.once('pause', resolve));
+      sender.resume();
+      await expect(job).resolves.toEqual({ total: 2 });
+      expect(device.lines.some(line => line.includes('M0'))).toBe(false);
+    });
+
+    test('should fail the job on an alarm', async () => {
+      const device = new FakeDevice({ reply: () => 'ALARM:2' });
+      const sender = new GcodeSender(device, { protocol: 'grbl', statusInterval: 0 });
+      await expect(sender.start('G1 X999')).rejects.toThrow(/ALARM:2/);
+    });
+  });
+
+  describe('Marlin ok-acknowledge', () => {
+    test('should send numbered lines one at a time', async () => {
+      const device = new FakeDevice({ auto: false });
+      const sender = new GcodeSender(device, { protocol: 'marlin' });
+      const job = sender.start('G28\nG1 X1');
+
+      expect(device.lines).toEqual(['N0 M110 N0*125']);
+      device.flush();
+      expect(device.lines[1]).toBe('N1 G28*18');
+      device.flush();
+      device.flush();
+
+      await expect(job).resolves.toEqual({ total: 2 });
+      expect(device.lines).toHaveLength(3);
+    });
+
+    test('should resend lines Marlin asks for', async () => {
+      let corrupted = false;
+      const device = new FakeDevice({
+        reply: line => {
+          if (line.startsWith('N2 ') && !corrupted) {
+            corrupted = true;
+            return 'Error:checksum mismatch, Last Line: 1\nResend: 2\nok';
+          }
+          return 'ok';
+        }
+      });
+      const sender = new GcodeSender(device, { protocol: 'marlin' });
+
+      await expect(sender.start('G1 X1\nG1 X2\nG1 X3')).resolves.toEqual({ total: 3 });
+      expect(device.lines.filter(line => line.startsWith('N2 '))).toHaveLength(2);
+      expect(device.lines[device.lines.length - 1]).toMatch(/^N3 G1 X3\*/);
+    });
+
+    test('should stop with a quick stop and lift the pen', async () => {
+      const device = new FakeDevice({ auto: false });
+      const sender = new GcodeSender(device, { protocol: 'marlin', penUp: 'M42 P0 S1' });
+      const job = sender.start('G1 X1\nG1 X2');
+      job.catch(() => {});
+
+      const stopped = sender.stop();
+      device.auto = true;
+      await stopped;
+
+      await expect(job).rejects.toThrow(/stopped/);
+      expect(device.written).toContain('M410\n');
+      expect(device.lines[device.lines.length - 1]).toBe('M42 P0 S1');
+    });
+  });
+
+  describe('PlotterSession', () => {
+    test('should forward progress and completion events', async () => {
+      const events = [];
+      const session = new PlotterSession(event => events.push(event));
+      const device = new FakeDevice();
+      session.connect(device, { protocol: 'grbl', name: 'fake', statusInterval: 0 });
+
+      await session.sendJob('G21\nG1 X1\nG1 X2', 'job.gcode');
+
+      const types = events.map(event => event.type);
+      expect(types[0]).toBe('connected');
+      expect(types).toContain('progress');
+      expect(events[events.length - 1]).toEqual({ type: 'done', name: 'job.gcode', total: 3 });
+      expect(session.status().job).toBeNull();
+    });
+
+    test('should end the job when the device disconnects', async () => {
+      const events = [];
+      const session = new PlotterSession(event => events.push(event));
+      const device = new FakeDevice({ auto: false });
+      session.connect(device, { protocol: 'grbl', name: 'fake', statusInterval: 0 });
+
+      const job = session.sendJob('G1 X1', 'job.gcode');
+      device.close();
+
+      await expect(job).rejects.toThrow();
+      expect(session.isConnected()).toBe(false);
+      expect(events.map(event => event.type)).toContain('disconnected');
+    });
+  });
+});
+
+describe('Serial Connection', () => {
+  const { SerialPortMock } = require('serialport');
+  const { MockBinding } = require('@serialport/binding-mock');
+  const { openSerialPort, closeSerialPort, listSerialPorts } = require('../../src/main/serial-connection');
+
+  beforeEach(() => {
+    MockBinding.reset();
+    MockBinding.createPort('/dev/ttyPLOTTER', { echo: false, record: true });
+  });
+
+  test('should list and open ports and stream through them', async () => {
+    const ports = await listSerialPorts(SerialPortMock);
+    expect(ports.map(port => port.path)).toEqual(['/dev/ttyPLOTTER']);
+
+    const port = await openSerialPort('/dev/ttyPLOTTER', 115200, {}, SerialPortMock);
+    const sender = new GcodeSender(port, { protocol: 'grbl', statusInterval: 0 });
+    const job = sender.start('G1 X1');
+
+    // Answer once the line reaches the device
+    await new Promise(resolve => port.drain(resolve));
+    expect(port.port.recording.toString()).toBe('G1 X1\n');
+    port.port.emitData('ok\n');
+
+    await expect(job).resolves.toEqual({ total: 1 });
+    await closeSerialPort(port);
+    expect(port.isOpen).toBe(false);
+  });
+
+  test('should report ports that cannot be opened', async () => {
+    await expect(openSerialPort('/dev/missing', 115200, {}, SerialPortMock)).rejects.toThrow(/Could not open \/dev\/missing/);
+  });
+});
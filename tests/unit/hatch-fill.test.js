@@ -0,0 +1,74 @@
+const HatchFill = require('../../src/lib/hatch-fill');
+
+const square = (x, y, size) => [[x, y], [x + size, y], [x + size, y + size], [x, y + size]];
+const reversed = ring => [...ring].reverse();
+const totalLength = lines => lines.reduce((sum, [a, b]) => sum + Math.hypot(b[0] - a[0], b[1] - a[1]), 0);
+
+describe('Hatch Fill', () => {
+  describe('spacingForPen', () => {
+    test('should space lines by the pen width divided by the density', () => {
+      expect(HatchFill.spacingForPen(0.5)).toBe(0.5);
+      expect(HatchFill.spacingForPen(0.5, 0.5)).toBe(1);
+    });
+
+    test('should reject widths and densities that are not positive', () => {
+      expect(() => HatchFill.spacingForPen(0)).toThrow('Pen width');
+      expect(() => HatchFill.spacingForPen(0.5, -1)).toThrow('density');
+    });
+  });
+
+  describe('hatchRings', () => {
+    test('should cover a square with horizontal lines', () => {
+      const lines = HatchFill.hatchRings([square(0, 0, 10)], { spacing: 1 });
+
+      expect(lines).toHaveLength(10);
+      expect(lines.map(([a]) => a[1])).toEqual([0.5, 1.5, 2.5, 3.5, 4.5, 5.5, 6.5, 7.5, 8.5, 9.5]);
+      expect(totalLength(lines)).toBeCloseTo(100);
+      // Serpentine: every other row runs backwards
+      expect(lines[0][0][0]).toBeCloseTo(0);
+      expect(lines[1][0][0]).toBeCloseTo(10);
+    });
+
+    test('should leave holes out under the even-odd rule', () => {
+      const rings = [square(0, 0, 10), square(3, 3, 4)];
+      expect(totalLength(HatchFill.hatchRings(rings, { spacing: 1, fillRule: 'evenodd' }))).toBeCloseTo(84);
+    });
+
+    test('should only leave holes with opposite winding out under the nonzero rule', () => {
+      const sameWinding = [square(0, 0, 10), square(3, 3, 4)];
+      const oppositeWinding = [square(0, 0, 10), reversed(square(3, 3, 4))];
+
+      expect(totalLength(HatchFill.hatchRings(sameWinding, { spacing: 1, fillRule: 'nonzero' }))).toBeCloseTo(100);
+      expect(totalLength(HatchFill.hatchRings(oppositeWinding, { spacing: 1 }))).toBeCloseTo(84);
+    });
+
+    test('should draw lines at the given angle', () => {
+      const lines = HatchFill.hatchRings([square(0, 0, 10)], { spacing: 1, angle: 90 });
+
+      expect(lines).toHaveLength(10);
+      for (const [a, b] of lines) {
+        expect(a[0]).toBeCloseTo(b[0]);
+      }
+    });
+
+    test('should add a second direction for cross-hatching', () => {
+      const lines = HatchFill.hatchRings([square(0, 0, 10)], { spacing: 1, angle: 45, crossHatch: true });
+      const directions = new Set(lines.map(([a, b]) => Math.round(Math.atan2(b[1] - a[1], b[0] - a[0]) * 180 / Math.PI + 360) % 180));
+
+      expect(directions).toEqual(new Set([45, 135]));
+      expect(totalLength(lines)).toBeCloseTo(200, 0);
+    });
+
+    test('should line up rows of neighbouring shapes', () => {
+      const left = HatchFill.hatchRings([square(0, 0.2, 5)], { spacing: 1 });
+      const right = HatchFill.hatchRings([square(5, 0.7, 5)], { spacing: 1 });
+
+      expect(left[0][0][1]).toBe(0.5);
+      expect(right[0][0][1]).toBe(1.5);
+    });
+
+    test('should require a positive spacing', () => {
+      expect(() => HatchFill.hatchRings([square(0, 0, 10)], { spacing: 0 })).toThrow('spacing');
+    });
+  });
+});
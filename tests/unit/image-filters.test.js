@@ -0,0 +1,88 @@
+const ImageFilters = require('../../src/lib/image-filters');
+
+/**
+ * Grey RGBA image from a function of the pixel position
+ */
+function createImage(width, height, value) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      data[i] = data[i + 1] = data[i + 2] = value(x, y);
+      data[i + 3] = 255;
+    }
+  }
+  return { width, height, data };
+}
+
+const pixel = (image, x, y) => image.data[(y * image.width + x) * 4];
+
+describe('Image Filters', () => {
+  describe('canvasFilter', () => {
+    test('should build a canvas filter from the adjustments', () => {
+      expect(ImageFilters.canvasFilter({ brightness: 20, contrast: -50, hue: 90, greyscale: true }))
+        .toBe('brightness(1.2) contrast(0.5) hue-rotate(90deg) grayscale(100%)');
+    });
+
+    test('should return none without adjustments', () => {
+      expect(ImageFilters.canvasFilter({ brightness: 0, contrast: 0, saturation: 0, hue: 0 })).toBe('none');
+    });
+  });
+
+  describe('applyMask', () => {
+    // Mask painted over the left half; the middle column half covered
+    const mask = createImage(5, 1, () => 0);
+    [255, 255, 128, 0, 0].forEach((alpha, x) => { mask.data[x * 4 + 3] = alpha; });
+
+    test('should keep only the painted area in include mode', () => {
+      const image = ImageFilters.applyMask(createImage(5, 1, () => 0), mask, 'include');
+
+      expect(pixel(image, 0, 0)).toBe(0);
+      expect(pixel(image, 2, 0)).toBe(127);
+      expect(pixel(image, 4, 0)).toBe(255);
+    });
+
+    test('should remove the painted area in exclude mode', () => {
+      const image = ImageFilters.applyMask(createImage(5, 1, () => 0), mask, 'exclude');
+
+      expect(pixel(image, 0, 0)).toBe(255);
+      expect(pixel(image, 4, 0)).toBe(0);
+    });
+
+    test('should make removed pixels opaque paper', () => {
+      const image = createImage(5, 1, () => 0);
+      image.data[4 * 4 + 3] = 0;
+      ImageFilters.applyMask(image, mask, 'include');
+      expect(image.data[4 * 4 + 3]).toBe(255);
+    });
+  });
+
+  describe('sobel', () => {
+    // Left half black, right half white: one vertical edge at x = 5
+    const image = createImage(10, 6, x => (x < 5 ? 0 : 255));
+
+    test('should draw edges black on white', () => {
+      const edges = ImageFilters.sobel(image, 100, false);
+
+      expect(pixel(edges, 4, 3)).toBe(0);
+      expect(pixel(edges, 5, 3)).toBe(0);
+      expect(pixel(edges, 2, 3)).toBe(255);
+      expect(pixel(edges, 8, 3)).toBe(255);
+    });
+
+    test('should invert edges and borders', () => {
+      const edges = ImageFilters.sobel(image, 100, true);
+
+      expect(pixel(edges, 4, 3)).toBe(255);
+      expect(pixel(edges, 2, 3)).toBe(0);
+      expect(pixel(edges, 0, 0)).toBe(0);
+    });
+
+    test('should ignore gradients below the threshold', () => {
+      const soft = createImage(10, 6, x => x * 5);
+      const edges = ImageFilters.sobel(soft, 100, false);
+
+      expect(Array.from(edges.data).filter((value, i) => i % 4 === 0).every(value => value === 255)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jobHistory = require('../../src/main/job-history');
+
+const PROFILE = { penUp: 'M5', penDown: 'M3 S1000' };
+
+const JOB = [
+  'G21',
+  'G90',
+  'G0 X0 Y0',
+  'M3 S1000',
+  'G1 X10 Y0',
+  'G1 X10 Y10',
+  'M5',
+  'G0 X20 Y20',
+  'M3 S1000',
+  'G1 X20 Y30',
+  'M5'
+].join('\n');
+
+describe('Job History', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-history-'));
+    filePath = path.join(dir, 'history.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should measure the pen-down distance of the plotted lines', () => {
+    expect(jobHistory.drawnDistance(JOB, { profile: PROFILE })).toBeCloseTo(30);
+    // Interrupted after the first square edge
+    expect(jobHistory.drawnDistance(JOB, { profile: PROFILE, toLine: 4 })).toBeCloseTo(10);
+    // Resumed at the second stroke
+    expect(jobHistory.drawnDistance(JOB, { profile: PROFILE, fromLine: 7 })).toBeCloseTo(10);
+  });
+
+  test('should build entries with duration in seconds', () => {
+    const entry = jobHistory.createHistoryEntry({
+      file: 'square.gcode',
+      machine: 'Gellyroller',
+      machineId: 'gellyroller',
+      startedAt: new Date('2026-01-02T10:00:00Z'),
+      endedAt: new Date('2026-01-02T10:02:05Z'),
+      status: 'completed',
+      drawDistance: 123.456
+    });
+
+    expect(entry).toMatchObject({
+      file: 'square.gcode',
+      machine: 'Gellyroller',
+      startedAt: '2026-01-02T10:00:00.000Z',
+      endedAt: '2026-01-02T10:02:05.000Z',
+      duration: 125,
+      status: 'completed',
+      drawDistance: 123.5,
+      message: ''
+    });
+    expect(entry.id).toBeTruthy();
+  });
+
+  test('should append entries and keep only the newest', () => {
+    expect(jobHistory.loadHistory(filePath)).toEqual([]);
+
+    const entries = Array.from({ length: jobHistory.HISTORY_LIMIT + 2 }, (_, i) => ({ id: String(i) }));
+    fs.writeFileSync(filePath, JSON.stringify({ entries }));
+    const kept = jobHistory.appendHistory(filePath, { id: 'last' });
+
+    expect(kept).toHaveLength(jobHistory.HISTORY_LIMIT);
+    expect(kept[0].id).toBe('3');
+    expect(jobHistory.loadHistory(filePath).pop().id).toBe('last');
+  });
+
+  test('should start over when the file is corrupt', () => {
+    fs.writeFileSync(filePath, '{ not json');
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(jobHistory.loadHistory(filePath)).toEqual([]);
+    spy.mockRestore();
+  });
+
+  test('should export CSV with a header and escaped fields', () => {
+    const csv = jobHistory.historyToCsv([{
+      startedAt: '2026-01-02T10:00:00.000Z',
+      endedAt: '2026-01-02T10:01:00.000Z',
+      duration: 60,
+      file: 'face, "final".gcode',
+      machine: 'Gellyroller',
+      status: 'interrupted',
+      drawDistance: 42.5,
+      message: 'Stopped by user'
+    }]);
+
+    expect(csv.split('\r\n')).toEqual([
+      'Started,Ended,Duration (s),File,Machine,Status,Distance drawn (mm),Message',
+      '2026-01-02T10:00:00.000Z,2026-01-02T10:01:00.000Z,60,"face, ""final"".gcode",Gellyroller,interrupted,42.5,Stopped by user',
+      ''
+    ]);
+  });
+});
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JobQueue, loadQueue } = require('../../src/main/job-queue');
+
+describe('Job Queue', () => {
+  let dir;
+  let filePath;
+  let events;
+  let runs;
+
+  // runJob that waits until the test finishes (or fails) the job
+  function createQueue() {
+    return new JobQueue({
+      filePath,
+      emit: event => events.push(event),
+      runJob: job => new Promise((resolve, reject) => runs.push({ job, resolve, reject }))
+    });
+  }
+
+  const settle = () => new Promise(resolve => setImmediate(resolve));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-'));
+    filePath = path.join(dir, 'queue.json');
+    events = [];
+    runs = [];
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should save jobs and load them again', () => {
+    const queue = createQueue();
+    queue.add('/work/a.gcode', { machineId: 'gellyroller', source: 'eject' });
+    queue.add('/work/b.gcode');
+
+    const jobs = loadQueue(filePath);
+    expect(jobs.map(job => job.name)).toEqual(['a.gcode', 'b.gcode']);
+    expect(jobs[0]).toMatchObject({ machineId: 'gellyroller', source: 'eject', error: null });
+    expect(createQueue().status().jobs).toEqual(jobs);
+    expect(events.pop()).toMatchObject({ type: 'queue', state: 'idle' });
+  });
+
+  test('should reorder and remove waiting jobs', () => {
+    const queue = createQueue();
+    const [a, b, c] = ['a', 'b', 'c'].map(name => queue.add(`/work/${name}.gcode`));
+
+    queue.move(c.id, -1);
+    queue.move(a.id, -1); // already first
+    expect(queue.status().jobs.map(job => job.id)).toEqual([a.id, c.id, b.id]);
+
+    queue.remove(c.id);
+    expect(queue.status().jobs.map(job => job.id)).toEqual([a.id, b.id]);
+
+    queue.clear();
+    expect(loadQueue(filePath)).toEqual([]);
+  });
+
+  test('should wait for a paper change between jobs', async () => {
+    const queue = createQueue();
+    const a = queue.add('/work/a.gcode');
+    const b = queue.add('/work/b.gcode');
+
+    queue.start();
+    expect(queue.status()).toMatchObject({ state: 'running', current: a.id });
+    expect(() => queue.remove(a.id)).toThrow('cannot be removed');
+    expect(() => queue.start()).toThrow('already running');
+
+    runs[0].resolve();
+    await settle();
+    expect(queue.status()).toMatchObject({ state: 'paper-change', current: null });
+    expect(queue.status().jobs.map(job => job.id)).toEqual([b.id]);
+    expect(runs).toHaveLength(1);
+
+    queue.continue();
+    expect(runs[1].job.id).toBe(b.id);
+    runs[1].resolve();
+    await settle();
+    expect(queue.status()).toMatchObject({ state: 'idle', jobs: [] });
+    expect(() => queue.continue()).toThrow('not waiting');
+  });
+
+  test('should keep a failed job at the front with its error', async () => {
+    const queue = createQueue();
+    const a = queue.add('/work/a.gcode');
+    queue.add('/work/b.gcode');
+
+    queue.start();
+    runs[0].reject(new Error('Stopped by user'));
+    await settle();
+
+    const status = queue.status();
+    expect(status.state).toBe('idle');
+    expect(status.jobs[0]).toMatchObject({ id: a.id, error: 'Stopped by user' });
+    expect(loadQueue(filePath)[0].error).toBe('Stopped by user');
+  });
+
+  test('should stop after the running job', async () => {
+    const queue = createQueue();
+    queue.add('/work/a.gcode');
+    queue.add('/work/b.gcode');
+
+    queue.start();
+    queue.stop();
+    expect(queue.status().stopRequested).toBe(true);
+
+    runs[0].resolve();
+    await settle();
+    expect(queue.status()).toMatchObject({ state: 'idle', stopRequested: false });
+    expect(queue.status().jobs).toHaveLength(1);
+    expect(runs).toHaveLength(1);
+  });
+});
@@ -0,0 +1,102 @@
+const { jogCommand, controlCommand } = require('../../src/main/machine-control');
+const { DEFAULT_PROFILE } = require('../../src/main/machine-profiles');
+const { PlotterSession } = require('../../src/main/plotter-session');
+const { VirtualPlotter } = require('../../src/main/virtual-plotter');
+const { openTcpConnection } = require('../../src/main/tcp-connection');
+
+const GRBL_PROFILE = {
+  ...DEFAULT_PROFILE,
+  protocol: 'grbl',
+  origin: 'bottom-left',
+  penUp: 'M5',
+  penDown: 'M3 S1000'
+};
+
+describe('Machine Control', () => {
+  describe('jogCommand', () => {
+    test('should build a GRBL jog in millimetres', () => {
+      expect(jogCommand(GRBL_PROFILE, 10, 0)).toBe('$J=G21 G91 X10 F1500');
+      expect(jogCommand(GRBL_PROFILE, 0, -0.1)).toBe('$J=G21 G91 Y-0.1 F1500');
+    });
+
+    test('should map bed directions through the machine origin', () => {
+      // Top-left origin: bed "up" is machine -Y
+      expect(jogCommand({ ...GRBL_PROFILE, origin: 'top-left' }, 0, 5)).toBe('$J=G21 G91 Y-5 F1500');
+      expect(jogCommand({ ...GRBL_PROFILE, origin: 'top-right' }, 5, 5)).toBe('$J=G21 G91 X-5 Y-5 F1500');
+    });
+
+    test('should wrap Marlin jogs in relative mode using the profile units', () => {
+      const marlin = { ...DEFAULT_PROFILE, origin: 'bottom-left' };
+      expect(jogCommand(marlin, 10, 0)).toBe('G91\nG1 X10 F1500\nG90');
+      expect(jogCommand({ ...marlin, units: 'in' }, 25.4, 0)).toBe('G91\nG1 X1 F59.055\nG90');
+    });
+  });
+
+  describe('controlCommand', () => {
+    test('should take commands from the profile', () => {
+      expect(controlCommand(DEFAULT_PROFILE, 'pen-up')).toBe('M42 P0 S1');
+      expect(controlCommand(DEFAULT_PROFILE, 'pen-down')).toBe('M42 P0 S0');
+      expect(controlCommand(DEFAULT_PROFILE, 'home')).toBe('G28');
+      expect(controlCommand({ ...DEFAULT_PROFILE, originCommand: 'G10 L20 P1 X0 Y0' }, 'set-origin')).toBe('G10 L20 P1 X0 Y0');
+      expect(controlCommand(GRBL_PROFILE, 'jog', { x: 1, y: 2 })).toBe('$J=G21 G91 X1 Y2 F1500');
+    });
+
+    test('should reject unknown actions and missing commands', () => {
+      expect(() => controlCommand(DEFAULT_PROFILE, 'dance')).toThrow('Unknown machine action');
+      expect(() => controlCommand({ ...DEFAULT_PROFILE, homeCommand: '' }, 'home')).toThrow('has no home command');
+    });
+  });
+
+  describe('with the virtual plotter', () => {
+    async function connect(profile) {
+      const plotter = new VirtualPlotter({ protocol: profile.protocol, profile });
+      const { host, port } = await plotter.listen();
+      const connection = await openTcpConnection(host, port);
+      const events = [];
+      const session = new PlotterSession(event => events.push(event));
+      session.connect(connection, { protocol: profile.protocol, name: 'virtual', statusInterval: 0 });
+      return { plotter, session, events };
+    }
+
+    async function disconnect({ plotter, session }) {
+      await session.disconnect();
+      await plotter.close();
+    }
+
+    test('should jog, test the pen and set the origin (GRBL)', async () => {
+      const setup = await connect(GRBL_PROFILE);
+      const { plotter, session } = setup;
+
+      await session.machineCommand(controlCommand(GRBL_PROFILE, 'jog', { x: 20, y: 10 }));
+      await session.machineCommand(controlCommand(GRBL_PROFILE, 'pen-down'));
+      expect(plotter.status()).toMatchObject({ position: [20, 10], penDown: true });
+
+      await session.machineCommand(controlCommand(GRBL_PROFILE, 'pen-up'));
+      await session.machineCommand(controlCommand(GRBL_PROFILE, 'set-origin'));
+      expect(plotter.status().penDown).toBe(false);
+      expect(plotter.machine.state.offset).toEqual([20, 10]);
+
+      await disconnect(setup);
+    });
+
+    test('should report the Marlin position after each command', async () => {
+      const profile = { ...DEFAULT_PROFILE, origin: 'bottom-left' };
+      const setup = await connect(profile);
+
+      await setup.session.machineCommand(controlCommand(profile, 'jog', { x: 5, y: 0 }));
+      const status = setup.events.filter(event => event.type === 'status').pop();
+      expect(status.status.workPosition).toEqual([5, 0, 0]);
+
+      await disconnect(setup);
+    });
+
+    test('should refuse control commands during a job', async () => {
+      const setup = await connect(GRBL_PROFILE);
+      const job = setup.session.sendJob('G0 X1\nG0 X2', 'job.gcode');
+
+      await expect(setup.session.machineCommand('M5')).rejects.toThrow('Wait for the plot to finish');
+      await job;
+      await disconnect(setup);
+    });
+  });
+});
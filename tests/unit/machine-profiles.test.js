@@ -0,0 +1,199 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_PROFILE,
+  validateProfile,
+  loadMachineStore,
+  saveMachineStore,
+  getProfile,
+  gwriteToProfile,
+  profileToGwrite,
+  gwriteToToml
+} = require('../../src/main/machine-profiles');
+const { writeGcode } = require('../../src/main/gcode-generator');
+
+describe('Machine Profiles', () => {
+  let tmpDir;
+  let filePath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gellyscope-machines-'));
+    filePath = path.join(tmpDir, 'machines.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('validateProfile', () => {
+    test('should accept the default profile', () => {
+      expect(validateProfile(DEFAULT_PROFILE)).toBeNull();
+    });
+
+    test('should reject missing pen commands and empty work areas', () => {
+      expect(validateProfile({ ...DEFAULT_PROFILE, penDown: ' ' })).toMatch(/pen up and pen down/);
+      expect(validateProfile({ ...DEFAULT_PROFILE, workWidth: 0 })).toMatch(/work area/);
+      expect(validateProfile({ ...DEFAULT_PROFILE, units: 'cm' })).toMatch(/units/);
+      expect(validateProfile({ ...DEFAULT_PROFILE, origin: 'middle' })).toMatch(/origin/);
+      expect(validateProfile({ ...DEFAULT_PROFILE, paperMargin: -1 })).toMatch(/paper margin/);
+      expect(validateProfile({ ...DEFAULT_PROFILE, defaultFeed: 0 })).toMatch(/default feed/);
+      expect(validateProfile({ ...DEFAULT_PROFILE, jogFeed: 0 })).toMatch(/jog feed/);
+      expect(validateProfile({ ...DEFAULT_PROFILE, acceleration: -1 })).toMatch(/acceleration/);
+      expect(validateProfile({ ...DEFAULT_PROFILE, protocol: 'smoothie' })).toMatch(/protocol/);
+      expect(validateProfile({ ...DEFAULT_PROFILE, connection: 'bluetooth' })).toMatch(/connection/);
+      expect(validateProfile({ ...DEFAULT_PROFILE, connection: 'tcp', host: '' })).toMatch(/needs a host/);
+      expect(validateProfile({ ...DEFAULT_PROFILE, connection: 'websocket', host: 'fluidnc.local', networkPort: 0 })).toMatch(/network port/);
+      expect(validateProfile({ ...DEFAULT_PROFILE, connection: 'websocket', host: 'fluidnc.local', networkPort: 81 })).toBeNull();
+      expect(validateProfile({ ...DEFAULT_PROFILE, octoprintUrl: 'octopi.local' })).toMatch(/OctoPrint URL/);
+      expect(validateProfile({ ...DEFAULT_PROFILE, octoprintUrl: 'http://octopi.local' })).toBeNull();
+      expect(validateProfile({ ...DEFAULT_PROFILE, penColors: '#000, red' })).toMatch(/pen colors/);
+      expect(validateProfile({ ...DEFAULT_PROFILE, penColors: '#000000, #d32f2f' })).toBeNull();
+    });
+  });
+
+  describe('loadMachineStore / saveMachineStore', () => {
+    test('should return the default store when no file exists', () => {
+      const store = loadMachineStore(filePath);
+      expect(store.activeId).toBe('johnny5');
+      expect(store.profiles).toEqual([DEFAULT_PROFILE]);
+    });
+
+    test('should round-trip profiles through disk', () => {
+      const servo = { ...DEFAULT_PROFILE, id: 'servo', name: 'Servo', penUp: 'M5', penDown: 'M3 S90' };
+      saveMachineStore(filePath, { activeId: 'servo', profiles: [DEFAULT_PROFILE, servo] });
+
+      const store = loadMachineStore(filePath);
+      expect(store.activeId).toBe('servo');
+      expect(store.profiles.map(p => p.name)).toEqual(['johnny5', 'Servo']);
+    });
+
+    test('should refuse to save invalid or duplicate profiles', () => {
+      expect(() => saveMachineStore(filePath, { profiles: [] })).toThrow(/At least one/);
+      expect(() => saveMachineStore(filePath, { profiles: [DEFAULT_PROFILE, DEFAULT_PROFILE] }))
+        .toThrow(/Duplicate/);
+      expect(fs.existsSync(filePath)).toBe(false);
+    });
+
+    test('should fall back to defaults for a corrupt file', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      fs.writeFileSync(filePath, '{not json');
+      expect(loadMachineStore(filePath).profiles).toHaveLength(1);
+    });
+
+    test('should fill in fields missing from older files', () => {
+      fs.writeFileSync(filePath, JSON.stringify({ activeId: 'x', profiles: [{ id: 'x', name: 'Old' }] }));
+      const profile = loadMachineStore(filePath).profiles[0];
+      expect(profile.workWidth).toBe(400);
+      expect(profile.penUp).toBe('M42 P0 S1');
+    });
+  });
+
+  describe('vpype.toml import', () => {
+    const legacyConfig = path.join(__dirname, '../fixtures/vpype.toml');
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    test('should turn the johnny5 gwrite profile into a machine profile', () => {
+      const store = loadMachineStore(filePath, legacyConfig);
+
+      expect(store.activeId).toBe('johnny5');
+      expect(store.profiles).toHaveLength(1);
+      expect(store.profiles[0]).toMatchObject({
+        name: 'johnny5', units: 'mm', penUp: 'M42 P0 S1', penDown: 'M42 P0 S0',
+        header: '', footer: '', drawFeed: 0, travelFeed: 0, origin: 'top-left'
+      });
+    });
+
+    test('should save the imported profiles so the import happens once', () => {
+      loadMachineStore(filePath, legacyConfig);
+      expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).profiles[0].id).toBe('johnny5');
+
+      const servo = { ...DEFAULT_PROFILE, id: 'servo', name: 'Servo' };
+      saveMachineStore(filePath, { activeId: 'servo', profiles: [servo] });
+      expect(loadMachineStore(filePath, legacyConfig).profiles.map(p => p.id)).toEqual(['servo']);
+    });
+
+    test('should keep edited commands, feeds and flips', () => {
+      const configPath = path.join(tmpDir, 'vpype.toml');
+      fs.writeFileSync(configPath, [
+        '[gwrite."My Plotter"]',
+        'unit = "in"',
+        'document_start = "G20\\nG90\\nM5\\nG28\\n"',
+        'segment_first = "G1 X{x:.4f} Y{y:.4f} F4000\\nM3 S90\\nG4 P0.2\\n"',
+        'segment = "G1 X{x:.4f} Y{y:.4f} F1200\\n"',
+        'segment_last = "G1 X{x:.4f} Y{y:.4f} F1200\\nM5\\n"',
+        'document_end = "M5\\nM2\\n"',
+        'vertical_flip = true',
+        '',
+        '[gwrite.broken]',
+        'segment = "G1 X{x} Y{y}\\n"'
+      ].join('\n'));
+
+      const store = loadMachineStore(filePath, configPath);
+      expect(store.profiles.map(p => p.id)).toEqual(['my-plotter', 'broken']);
+      expect(store.profiles[0]).toMatchObject({
+        name: 'My Plotter', units: 'in', penUp: 'M5', penDown: 'M3 S90\nG4 P0.2',
+        header: 'G28', footer: 'M2', drawFeed: 1200, travelFeed: 4000, origin: 'bottom-left'
+      });
+      // Missing pen commands fall back to the defaults
+      expect(store.profiles[1].penUp).toBe(DEFAULT_PROFILE.penUp);
+    });
+
+    test('should use the default store without a vpype.toml', () => {
+      expect(loadMachineStore(filePath, path.join(tmpDir, 'missing.toml')).profiles).toEqual([DEFAULT_PROFILE]);
+      expect(fs.existsSync(filePath)).toBe(false);
+    });
+
+    test('should map horizontal flips to a right-hand origin', () => {
+      expect(gwriteToProfile('x', { horizontal_flip: true }).origin).toBe('top-right');
+      expect(gwriteToProfile('x', { horizontal_flip: true, vertical_flip: true }).origin).toBe('bottom-right');
+    });
+  });
+
+  describe('getProfile', () => {
+    test('should fall back to the active profile for unknown ids', () => {
+      const store = { activeId: 'b', profiles: [{ id: 'a' }, { id: 'b' }] };
+      expect(getProfile(store, 'a').id).toBe('a');
+      expect(getProfile(store, 'missing').id).toBe('b');
+      expect(getProfile(store).id).toBe('b');
+    });
+  });
+
+  describe('profileToGwrite', () => {
+    test('should reproduce the johnny5 document header', () => {
+      const gwrite = profileToGwrite(DEFAULT_PROFILE);
+      expect(gwrite.document_start).toBe('G21\nG90\nM42 P0 S1\n');
+      expect(gwrite.segment).toBe('G1 X{x:.4f} Y{y:.4f}\n');
+    });
+
+    test('should emit servo pen commands, feeds and a custom header', () => {
+      const profile = {
+        ...DEFAULT_PROFILE,
+        units: 'in',
+        penUp: 'M5',
+        penDown: 'M3 S90\nG4 P0.2',
+        header: '$H',
+        footer: 'G0 X0 Y0',
+        drawFeed: 1500,
+        travelFeed: 3000
+      };
+      const gcode = writeGcode([{ id: 1, lines: [[[0, 0], [25.4, 0]]] }], profileToGwrite(profile));
+      expect(gcode).toBe(
+        'G20\nG90\n$H\nM5\n' +
+        'G1 X0.0000 Y0.0000 F3000\nM3 S90\nG4 P0.2\n' +
+        'G1 X1.0000 Y0.0000 F1500\nM5\n' +
+        'M5\nG0 X0 Y0\n'
+      );
+    });
+  });
+
+  describe('gwriteToToml', () => {
+    test('should escape newlines and quotes', () => {
+      const toml = gwriteToToml('test', { unit: 'mm', segment: 'G1 "X"\n', vertical_flip: false });
+      expect(toml).toBe('[gwrite.test]\nunit = "mm"\nsegment = "G1 \\"X\\"\\n"\nvertical_flip = false\n');
+    });
+  });
+});
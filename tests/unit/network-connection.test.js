@@ -0,0 +1,170 @@
+const net = require('net');
+const { encodeFrame, FrameParser, OPCODE, openWebSocketConnection } = require('../../src/main/websocket-connection');
+const { NETWORK_PORT_PATH, networkAddress, openNetworkConnection } = require('../../src/main/network-connection');
+const { PlotterSession } = require('../../src/main/plotter-session');
+const { VirtualPlotter } = require('../../src/main/virtual-plotter');
+
+const PROFILE = {
+  id: 'fluidnc',
+  name: 'FluidNC Plotter',
+  workWidth: 100,
+  workHeight: 80,
+  origin: 'bottom-left',
+  penUp: 'M5',
+  penDown: 'M3 S1000',
+  protocol: 'grbl',
+  connection: 'websocket',
+  host: '127.0.0.1',
+  networkPort: 81
+};
+
+const JOB = [
+  'G21',
+  'G90',
+  'G0 X10 Y10',
+  'M3 S1000',
+  'G1 X20 Y10 F1000',
+  'G1 X20 Y20',
+  'M5',
+  'G0 X0 Y0'
+].join('\n');
+
+/**
+ * Serve a virtual plotter and return a profile pointing at it
+ */
+async function serve(connection, protocol = 'grbl') {
+  const plotter = new VirtualPlotter({ protocol, profile: PROFILE });
+  const { host, port } = await plotter.listen(0, '127.0.0.1', { websocket: connection === 'websocket' });
+  return { plotter, profile: { ...PROFILE, protocol, connection, host, networkPort: port } };
+}
+
+describe('Network Connection', () => {
+  describe('WebSocket frames', () => {
+    test('should round-trip masked and unmasked frames of every length encoding', () => {
+      const parser = new FrameParser();
+      for (const size of [5, 300, 70000]) {
+        const payload = Buffer.alloc(size, 'G');
+        for (const masked of [true, false]) {
+          const [frame] = parser.push(encodeFrame(OPCODE.binary, payload, masked));
+          expect(frame.opcode).toBe(OPCODE.binary);
+          expect(frame.payload.equals(payload)).toBe(true);
+        }
+      }
+    });
+
+    test('should wait for frames split across chunks', () => {
+      const parser = new FrameParser();
+      const data = Buffer.concat([encodeFrame(OPCODE.text, 'ok\n', true), encodeFrame(OPCODE.text, 'ok\n', true)]);
+      expect(parser.push(data.subarray(0, 7))).toEqual([]);
+      const frames = parser.push(data.subarray(7));
+      expect(frames.map(frame => frame.payload.toString())).toEqual(['ok\n', 'ok\n']);
+    });
+  });
+
+  describe('WebSocket client', () => {
+    let server;
+    let sockets;
+    let received;
+
+    function listen(onConnection) {
+      sockets = [];
+      server = net.createServer(socket => {
+        sockets.push(socket);
+        onConnection(socket);
+      });
+      return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+    }
+
+    // Bare server: answers the handshake, then sends the given raw frames
+    function rawServer(frames) {
+      received = [];
+      return listen(socket => {
+        const parser = new FrameParser();
+        socket.once('data', request => {
+          const key = /Sec-WebSocket-Key: (.+)\r\n/.exec(request.toString())[1];
+          const accept = require('crypto').createHash('sha1')
+            .update(key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11').digest('base64');
+          socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+          socket.write(Buffer.concat(frames));
+          socket.on('data', data => {
+            for (const frame of parser.push(data)) {
+              received.push(frame);
+              if (frame.opcode === OPCODE.close) socket.end(encodeFrame(OPCODE.close, '', false));
+            }
+          });
+        });
+      });
+    }
+
+    afterEach(() => {
+      sockets.forEach(socket => socket.destroy());
+      return new Promise(resolve => server.close(resolve));
+    });
+
+    test('should reassemble fragments, answer pings and skip web UI messages', async () => {
+      const port = await rawServer([
+        encodeFrame(OPCODE.text, 'CURRENT_ID:0', false),
+        encodeFrame(OPCODE.ping, 'hi', false),
+        Buffer.from([0x02, 3, ...Buffer.from('ok\n')]), // binary, not final
+        encodeFrame(OPCODE.continuation, '<Idle>\n', false)
+      ]);
+      const connection = await openWebSocketConnection('127.0.0.1', port);
+      const messages = [];
+      connection.on('data', data => messages.push(data.toString()));
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(messages).toEqual(['ok\n<Idle>\n']);
+      expect(received.find(frame => frame.opcode === OPCODE.pong).payload.toString()).toBe('hi');
+
+      await new Promise(resolve => connection.close(resolve));
+      expect(received.pop().opcode).toBe(OPCODE.close);
+    });
+
+    test('should reject servers that do not upgrade', async () => {
+      const port = await listen(socket => socket.end('HTTP/1.1 404 Not Found\r\n\r\n'));
+
+      await expect(openWebSocketConnection('127.0.0.1', port)).rejects.toThrow('404 Not Found');
+    });
+  });
+
+  describe('openNetworkConnection', () => {
+    test('should describe and validate the address', async () => {
+      expect(networkAddress(PROFILE)).toBe('ws://127.0.0.1:81/');
+      expect(networkAddress({ ...PROFILE, connection: 'tcp', networkPort: 23 })).toBe('127.0.0.1:23');
+      expect(NETWORK_PORT_PATH).toBe('network');
+      await expect(openNetworkConnection({ ...PROFILE, host: ' ' })).rejects.toThrow('has no network address');
+      await expect(openNetworkConnection({ ...PROFILE, connection: 'serial' })).rejects.toThrow('has no network address');
+    });
+
+    test.each(['tcp', 'websocket'])('should stream a job with progress over %s', async (connection) => {
+      const { plotter, profile } = await serve(connection);
+      const events = [];
+      const session = new PlotterSession(event => events.push(event));
+      session.connect(await openNetworkConnection(profile), { protocol: 'grbl', name: networkAddress(profile), statusInterval: 0 });
+
+      await expect(session.sendJob(JOB, 'square.gcode')).resolves.toEqual({ total: 8 });
+      expect(plotter.paths).toEqual([[[10, 10], [20, 10], [20, 20]]]);
+      expect(events.filter(event => event.type === 'progress').pop()).toMatchObject({ acknowledged: 8, total: 8, line: 7 });
+
+      await session.disconnect();
+      await plotter.close();
+    });
+
+    test('should pause and resume a Marlin job over a WebSocket', async () => {
+      const { plotter, profile } = await serve('websocket', 'marlin');
+      const session = new PlotterSession(() => {});
+      session.connect(await openNetworkConnection(profile), { protocol: 'marlin', name: 'ws', statusInterval: 0 });
+
+      const job = session.sendJob(JOB, 'square.gcode');
+      await session.control('pause');
+      expect(session.status().state).toBe('paused');
+      await session.control('resume');
+
+      await expect(job).resolves.toEqual({ total: 8 });
+      expect(plotter.paths).toEqual([[[10, 10], [20, 10], [20, 20]]]);
+
+      await session.disconnect();
+      await plotter.close();
+    });
+  });
+});
@@ -0,0 +1,152 @@
+const http = require('http');
+const { OctoPrintClient } = require('../../src/main/octoprint-client');
+
+const API_KEY = 'test-key';
+
+/**
+ * Minimal OctoPrint: upload, select/print, job status and control
+ * Each GET /api/job of a running job advances it by half.
+ */
+function createMockOctoPrint() {
+  const mock = { uploads: [], commands: [], job: null, state: 'Operational' };
+
+  mock.server = http.createServer((request, response) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      const reply = (status, data) => {
+        response.writeHead(status, { 'Content-Type': 'application/json' });
+        response.end(data ? JSON.stringify(data) : '');
+      };
+
+      if (request.headers['x-api-key'] !== API_KEY) {
+        reply(403, { error: 'Invalid API key' });
+        return;
+      }
+
+      const start = name => {
+        mock.job = { name, completion: 0 };
+        mock.state = 'Printing';
+      };
+
+      if (request.method === 'GET' && request.url === '/api/version') {
+        reply(200, { api: '0.1', server: '1.10.0', text: 'OctoPrint 1.10.0' });
+      } else if (request.method === 'POST' && request.url === '/api/files/local') {
+        const name = /filename="([^"]+)"/.exec(body)[1];
+        const print = /name="print"\r\n\r\ntrue/.test(body);
+        mock.uploads.push({ name, body, contentType: request.headers['content-type'] });
+        if (print) start(name);
+        reply(201, { done: true, files: { local: { name, path: name, origin: 'local' } } });
+      } else if (request.method === 'POST' && request.url.startsWith('/api/files/local/')) {
+        if (mock.state !== 'Operational') {
+          reply(409, { error: 'Printer is already printing' });
+          return;
+        }
+        mock.commands.push(JSON.parse(body));
+        start(decodeURIComponent(request.url.slice('/api/files/local/'.length)));
+        reply(204);
+      } else if (request.method === 'POST' && request.url === '/api/job') {
+        const command = JSON.parse(body);
+        mock.commands.push(command);
+        if (command.command === 'cancel') mock.state = 'Operational';
+        reply(204);
+      } else if (request.method === 'GET' && request.url === '/api/job') {
+        const job = mock.job;
+        if (job && mock.state === 'Printing') {
+          job.completion = Math.min(100, job.completion + 50);
+        }
+        const data = {
+          job: { file: { name: job ? job.name : null } },
+          progress: { completion: job ? job.completion : null, printTime: 10, printTimeLeft: 5 },
+          state: mock.state
+        };
+        if (job && job.completion >= 100) mock.state = 'Operational';
+        reply(200, data);
+      } else {
+        reply(404, { error: 'Not found' });
+      }
+    });
+  });
+
+  mock.listen = () => new Promise(resolve => mock.server.listen(0, '127.0.0.1', () => {
+    resolve(`http://127.0.0.1:${mock.server.address().port}`);
+  }));
+  mock.close = () => new Promise(resolve => {
+    mock.server.closeAllConnections();
+    mock.server.close(resolve);
+  });
+  return mock;
+}
+
+describe('OctoPrint Client', () => {
+  let mock;
+  let client;
+
+  beforeEach(async () => {
+    mock = createMockOctoPrint();
+    client = new OctoPrintClient({ url: await mock.listen(), apiKey: API_KEY });
+  });
+
+  afterEach(() => mock.close());
+
+  test('should require an http(s) URL', () => {
+    expect(() => new OctoPrintClient({ url: 'octopi.local', apiKey: API_KEY })).toThrow('must start with http');
+  });
+
+  test('should check the API key', async () => {
+    await expect(client.version()).resolves.toMatchObject({ text: 'OctoPrint 1.10.0' });
+
+    const wrongKey = new OctoPrintClient({ url: client.baseUrl.href, apiKey: 'nope' });
+    await expect(wrongKey.version()).rejects.toThrow('(403): Invalid API key');
+  });
+
+  test('should upload a file as multipart form data and start it', async () => {
+    const file = await client.uploadFile('square.gcode', 'G0 X10\nG1 X20\n', { print: true });
+    expect(file).toEqual({ name: 'square.gcode', path: 'square.gcode', started: true });
+
+    const [upload] = mock.uploads;
+    expect(upload.contentType).toMatch(/^multipart\/form-data; boundary=/);
+    expect(upload.body).toContain('name="select"\r\n\r\ntrue');
+    expect(upload.body).toContain('G0 X10\nG1 X20\n');
+    expect(mock.state).toBe('Printing');
+  });
+
+  test('should poll the job until it finishes', async () => {
+    await client.uploadFile('square.gcode', 'G0 X10\n', { print: true });
+
+    const statuses = [];
+    const last = await client.pollJob({ interval: 1, onStatus: status => statuses.push(status) });
+
+    expect(statuses.map(status => status.completion)).toEqual([50, 100, 100]);
+    expect(statuses[0]).toMatchObject({ state: 'Printing', file: 'square.gcode', active: true });
+    expect(last).toMatchObject({ state: 'Operational', active: false });
+  });
+
+  test('should start an uploaded file and report conflicts', async () => {
+    await client.uploadFile('folder/a b.gcode', 'G0 X1\n');
+    await client.startFile('folder/a b.gcode');
+    expect(mock.commands).toEqual([{ command: 'select', print: true }]);
+    expect(mock.job.name).toBe('folder/a b.gcode');
+
+    await expect(client.startFile('other.gcode')).rejects.toThrow('(409): Printer is already printing');
+  });
+
+  test('should cancel the job', async () => {
+    await client.uploadFile('square.gcode', 'G0 X10\n', { print: true });
+    await client.controlJob('cancel');
+
+    expect(mock.commands).toEqual([{ command: 'cancel' }]);
+    await expect(client.getJob()).resolves.toMatchObject({ state: 'Operational', active: false });
+    await expect(client.controlJob('explode')).rejects.toThrow('Unknown OctoPrint action');
+  });
+
+  test('should report an unreachable server', async () => {
+    const url = client.baseUrl.href;
+    await mock.close();
+
+    await expect(new OctoPrintClient({ url, apiKey: API_KEY }).version()).rejects.toThrow('Could not reach OctoPrint');
+    mock = createMockOctoPrint();
+    await mock.listen();
+  });
+});
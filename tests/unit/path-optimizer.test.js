@@ -0,0 +1,112 @@
+const {
+  travelDistance,
+  simplifyLine,
+  mergeLines,
+  orderLines,
+  twoOpt,
+  optimizeLayers,
+  toVpypeArgs
+} = require('../../src/main/path-optimizer');
+
+describe('Path Optimizer', () => {
+  describe('travelDistance', () => {
+    test('should sum pen-up moves between lines from the start point', () => {
+      const lines = [[[0, 10], [10, 10]], [[10, 20], [0, 20]]];
+      expect(travelDistance(lines, [0, 0])).toBe(20);
+      expect(travelDistance([], [0, 0])).toBe(0);
+    });
+  });
+
+  describe('simplifyLine', () => {
+    test('should drop points within the tolerance and keep corners', () => {
+      const line = [[0, 0], [5, 0.01], [10, 0], [10, 10]];
+      expect(simplifyLine(line, 0.05)).toEqual([[0, 0], [10, 0], [10, 10]]);
+      expect(simplifyLine(line, 0)).toEqual(line);
+    });
+  });
+
+  describe('mergeLines', () => {
+    test('should join lines whose ends touch, flipping when needed', () => {
+      const lines = [[[0, 0], [10, 0]], [[20, 0], [10.05, 0]], [[50, 50], [60, 50]]];
+      const merged = mergeLines(lines, 0.1);
+      expect(merged).toHaveLength(2);
+      expect(merged[0]).toEqual([[0, 0], [10, 0], [10.05, 0], [20, 0]]);
+    });
+
+    test('should not flip lines when reversing is disabled', () => {
+      const lines = [[[0, 0], [10, 0]], [[20, 0], [10, 0]]];
+      expect(mergeLines(lines, 0.1, false)).toHaveLength(2);
+    });
+
+    test('should drop the duplicated joint point', () => {
+      const merged = mergeLines([[[0, 0], [10, 0]], [[10, 0], [10, 10]]], 0.1);
+      expect(merged).toEqual([[[0, 0], [10, 0], [10, 10]]]);
+    });
+  });
+
+  describe('orderLines', () => {
+    test('should visit the nearest line next and reverse lines', () => {
+      const lines = [[[100, 0], [110, 0]], [[20, 0], [10, 0]], [[30, 0], [40, 0]]];
+      const ordered = orderLines(lines, { reverse: true, start: [0, 0] });
+      expect(ordered).toEqual([[[10, 0], [20, 0]], [[30, 0], [40, 0]], [[100, 0], [110, 0]]]);
+    });
+
+    test('should start closed loops at the vertex nearest the pen', () => {
+      const square = [[10, 10], [20, 10], [20, 20], [10, 20], [10, 10]];
+      const [loop] = orderLines([square], { reloop: true, start: [25, 25] });
+      expect(loop[0]).toEqual([20, 20]);
+      expect(loop[loop.length - 1]).toEqual([20, 20]);
+      expect(loop).toHaveLength(5);
+    });
+  });
+
+  describe('twoOpt', () => {
+    test('should remove crossing travel moves', () => {
+      const lines = [[[0, 0], [1, 0]], [[10, 1], [11, 1]], [[2, 1], [3, 1]], [[12, 0], [13, 0]]];
+      const before = travelDistance(lines, [0, 0]);
+      const after = travelDistance(twoOpt(lines, { start: [0, 0] }), [0, 0]);
+      expect(after).toBeLessThan(before);
+    });
+  });
+
+  describe('optimizeLayers', () => {
+    test('should report travel before and after', () => {
+      // Raster-scan order: every other line starts on the far side
+      const lines = [];
+      for (let row = 0; row < 10; row++) {
+        lines.push([[0, row * 10], [100, row * 10]]);
+      }
+      const { layers, stats } = optimizeLayers([{ id: 1, lines }], { reorder: true, reverse: true });
+
+      expect(stats.pathsBefore).toBe(10);
+      expect(stats.pathsAfter).toBe(10);
+      expect(stats.travelAfter).toBeLessThan(stats.travelBefore);
+      expect(layers[0].lines.flat()).toHaveLength(20);
+    });
+
+    test('should leave lines untouched with every option off', () => {
+      const layers = [{ id: 1, lines: [[[5, 5], [6, 6]], [[0, 0], [1, 1]]] }];
+      const result = optimizeLayers(layers, {});
+      expect(result.layers).toEqual(layers);
+      expect(result.stats.travelAfter).toBe(result.stats.travelBefore);
+    });
+
+    test('should carry the pen position across layers', () => {
+      const layers = [
+        { id: 1, lines: [[[0, 0], [100, 0]]] },
+        { id: 2, lines: [[[0, 10], [10, 10]], [[90, 10], [100, 10]]] }
+      ];
+      const { layers: result } = optimizeLayers(layers, { reorder: true });
+      expect(result[1].lines[0][0]).toEqual([100, 10]);
+    });
+  });
+
+  describe('toVpypeArgs', () => {
+    test('should map options to vpype commands', () => {
+      expect(toVpypeArgs({ merge: true, mergeTolerance: 0.2, reorder: true, reloop: true, simplify: true }))
+        .toEqual(['linemerge', '--tolerance', '0.2mm', 'linesimplify', '--tolerance', '0.05mm', 'reloop', 'linesort']);
+      expect(toVpypeArgs({ reorder: true, reverse: false })).toEqual(['linesort', '--no-flip']);
+      expect(toVpypeArgs({})).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+const { normalizeColor, listPenGroups, assignPens } = require('../../src/main/pen-separation');
+
+const SHAPES = [
+  { d: 'M0 0', layer: 2, layerName: 'Outline', layerColor: null, color: '#000000' },
+  { d: 'M1 1', layer: 1, layerName: 'Layer 1', layerColor: null, color: '#ff0000' },
+  { d: 'M2 2', layer: 3, layerName: 'Shading', layerColor: '#1971c2', color: '#000000' },
+  { d: 'M3 3', layer: 3, layerName: 'Shading', layerColor: '#1971c2', color: '#ff0000' }
+];
+
+describe('Pen Separation', () => {
+  test('should normalize SVG colors', () => {
+    expect(normalizeColor('#F00')).toBe('#ff0000');
+    expect(normalizeColor(' #1971C2 ')).toBe('#1971c2');
+    expect(normalizeColor('rgb(255, 128, 0)')).toBe('#ff8000');
+    expect(normalizeColor('rgba(100%, 0%, 0%, 0.5)')).toBe('#ff0000');
+    expect(normalizeColor('Navy')).toBe('#000080');
+    expect(normalizeColor('none')).toBeNull();
+    expect(normalizeColor('url(#gradient)')).toBeNull();
+    expect(normalizeColor(undefined)).toBeNull();
+  });
+
+  test('should list layers in document order and colors by appearance', () => {
+    expect(listPenGroups(SHAPES, 'layer')).toEqual([
+      { key: '1', name: 'Layer 1', color: '#ff0000', shapes: 1 },
+      { key: '2', name: 'Outline', color: '#000000', shapes: 1 },
+      { key: '3', name: 'Shading', color: '#1971c2', shapes: 2 }
+    ]);
+    expect(listPenGroups(SHAPES, 'color')).toEqual([
+      { key: '#000000', name: '#000000', color: '#000000', shapes: 2 },
+      { key: '#ff0000', name: '#ff0000', color: '#ff0000', shapes: 2 }
+    ]);
+    expect(() => listPenGroups(SHAPES, 'weight')).toThrow('Unknown pen grouping');
+  });
+
+  test('should give every group its own pen by default', () => {
+    const { shapes, pens } = assignPens(SHAPES, { by: 'layer' });
+    expect(shapes.map(shape => shape.layer)).toEqual([2, 1, 3, 3]);
+    expect(pens.map(pen => pen.name)).toEqual(['Layer 1', 'Outline', 'Shading']);
+  });
+
+  test('should follow the pen map and fill in unused pen numbers', () => {
+    const { shapes, pens } = assignPens(SHAPES, { by: 'layer', map: { 1: 3, 3: 3 } });
+    // Layer 2 is unmapped and takes pen 1, the first free number
+    expect(shapes.map(shape => shape.layer)).toEqual([1, 3, 3, 3]);
+    expect(pens).toEqual([
+      { pen: 1, name: 'Outline', color: '#000000' },
+      { pen: 3, name: 'Layer 1', color: '#ff0000' }
+    ]);
+    expect(SHAPES[0].layer).toBe(2);
+  });
+});
@@ -0,0 +1,134 @@
+const {
+  parseProgram,
+  segmentTime,
+  estimateGcode,
+  buildTimeline,
+  locate,
+  formatDuration,
+  formatDistance
+} = require('../../src/lib/plot-estimator');
+
+const profile = {
+  penUp: 'M42 P0 S1',
+  penDown: 'M42 P0 S0',
+  units: 'mm',
+  defaultFeed: 3000,
+  acceleration: 0,
+  penDelay: 0
+};
+
+describe('Plot Estimator', () => {
+  describe('parseProgram', () => {
+    test('should detect pen commands from the profile', () => {
+      const servo = { ...profile, penUp: 'M5\nG4 P0.2', penDown: 'm3 s90 ; down' };
+      const program = parseProgram('M3 S90\nG1 X10\nM5\nG4 P0.2\n', servo);
+      expect(program.map(item => item.type)).toEqual(['pen', 'move', 'pen']);
+      expect(program[0].down).toBe(true);
+      expect(program[2].down).toBe(false);
+    });
+
+    test('should convert inches and follow relative moves', () => {
+      const program = parseProgram('G20\nG91\nG1 X1 Y1 F10\nG1 X1', profile);
+      expect(program[0].to).toEqual([25.4, 25.4]);
+      expect(program[1].to).toEqual([50.8, 25.4]);
+      expect(program[0].feed).toBeCloseTo(254);
+    });
+
+    test('should use the default feed for rapids and moves without F', () => {
+      const program = parseProgram('G0 X10\nG1 X20', profile);
+      expect(program.map(item => item.feed)).toEqual([3000, 3000]);
+      expect(program[0].rapid).toBe(true);
+    });
+  });
+
+  describe('segmentTime', () => {
+    test('should use a trapezoid profile when cruise speed is reached', () => {
+      // 1s up to 10mm/s (5mm), 1s down (5mm), 1s cruising (10mm)
+      expect(segmentTime(20, 0, 0, 10, 10)).toBeCloseTo(3);
+    });
+
+    test('should use a triangle profile for short moves', () => {
+      // Peak of 10mm/s after 5mm, never reaching 100mm/s
+      expect(segmentTime(10, 0, 0, 100, 10)).toBeCloseTo(2);
+    });
+
+    test('should ignore acceleration when it is zero', () => {
+      expect(segmentTime(30, 0, 0, 10, 0)).toBe(3);
+    });
+  });
+
+  describe('estimateGcode', () => {
+    const gcode = [
+      'G21', 'G90', 'M42 P0 S1',
+      'G0 X0 Y10',
+      'M42 P0 S0',
+      'G1 X10 Y10 F600',
+      'G1 X10 Y20',
+      'M42 P0 S1',
+      'G0 X0 Y0',
+      ''
+    ].join('\n');
+
+    test('should split pen-down distance from travel and count lifts', () => {
+      const estimate = estimateGcode(gcode, profile);
+      expect(estimate.drawDistance).toBeCloseTo(20);
+      expect(estimate.travelDistance).toBeCloseTo(10 + Math.hypot(10, 20));
+      expect(estimate.penLifts).toBe(1);
+    });
+
+    test('should add feed time and pen delays', () => {
+      const estimate = estimateGcode(gcode, { ...profile, penDelay: 500 });
+      // 20mm at 10mm/s, travel at 50mm/s, three pen commands
+      expect(estimate.drawTime).toBeCloseTo(2);
+      expect(estimate.travelTime).toBeCloseTo((10 + Math.hypot(10, 20)) / 50);
+      expect(estimate.penTime).toBeCloseTo(1.5);
+      expect(estimate.duration).toBeCloseTo(estimate.drawTime + estimate.travelTime + estimate.penTime);
+    });
+
+    test('should take longer with acceleration', () => {
+      const instant = estimateGcode(gcode, profile).duration;
+      expect(estimateGcode(gcode, { ...profile, acceleration: 50 }).duration).toBeGreaterThan(instant);
+    });
+  });
+
+  describe('buildTimeline / locate', () => {
+    // 10mm at 600mm/min (1s), pen up (0.5s), 10mm rapid at 3000mm/min (0.2s)
+    const program = parseProgram('M42 P0 S0\nG1 X10 F600\nM42 P0 S1\nG0 X20', profile);
+    const timeline = buildTimeline(program, { ...profile, penDelay: 500 });
+
+    test('should lay items end to end', () => {
+      expect(timeline.start).toHaveLength(program.length);
+      expect(timeline.end[1]).toBeCloseTo(1.5);
+      expect(timeline.duration).toBeCloseTo(2.2);
+    });
+
+    test('should interpolate the pen head along the current move', () => {
+      const halfway = locate(timeline, 1);
+      expect(halfway.index).toBe(1);
+      expect(halfway.position[0]).toBeCloseTo(5);
+      expect(halfway.penDown).toBe(true);
+
+      const lifting = locate(timeline, 1.7);
+      expect(lifting.index).toBe(2);
+      expect(lifting.position).toEqual([10, 0]);
+      expect(lifting.penDown).toBe(false);
+    });
+
+    test('should stop at the last item after the end', () => {
+      const done = locate(timeline, 99);
+      expect(done.index).toBe(program.length - 1);
+      expect(done.position).toEqual([20, 0]);
+      expect(locate(buildTimeline([], profile), 0)).toBeNull();
+    });
+  });
+
+    describe('formatting', () => {
+    test('should format durations and distances', () => {
+      expect(formatDuration(45.4)).toBe('45s');
+      expect(formatDuration(750)).toBe('12m 30s');
+      expect(formatDuration(3720)).toBe('1h 02m');
+      expect(formatDistance(512.3)).toBe('512 mm');
+      expect(formatDistance(2500)).toBe('2.50 m');
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const Potrace = require('../../potrace');
+
+/**
+ * White RGBA image with black pixels where ink(x, y) is true
+ */
+function createImage(width, height, ink) {
+  const data = new Uint8ClampedArray(width * height * 4).fill(255);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!ink(x, y)) continue;
+      const i = (y * width + x) * 4;
+      data[i] = data[i + 1] = data[i + 2] = 0;
+    }
+  }
+  return { width, height, data };
+}
+
+// A square with a square hole, and a dot smaller than the default turd size
+const frame = createImage(40, 30, (x, y) =>
+  (x >= 5 && x < 25 && y >= 5 && y < 25 && !(x >= 10 && x < 20 && y >= 10 && y < 20)) ||
+  (x === 32 && y === 3));
+
+describe('Potrace', () => {
+  test('should trace outlines and holes with their bounding boxes', () => {
+    const result = new Potrace().trace(frame);
+
+    expect(result.width).toBe(40);
+    expect(result.height).toBe(30);
+    expect(result.paths.map(path => path.sign)).toEqual(['+', '-']);
+    expect(result.paths[0].bbox).toEqual({ minX: 5, minY: 5, maxX: 25, maxY: 25 });
+    expect(result.paths[1].bbox).toEqual({ minX: 10, minY: 10, maxX: 20, maxY: 20 });
+    expect(result.paths[0].area).toBe(400);
+  });
+
+  test('should describe curves as corner and curve segments', () => {
+    const [outline] = new Potrace().trace(frame).paths;
+    const { start, segments } = outline.curve;
+
+    expect(segments.length).toBeGreaterThan(0);
+    expect(segments[segments.length - 1].end).toEqual(start);
+    for (const segment of segments) {
+      expect(['curve', 'corner']).toContain(segment.type);
+      expect(segment.type === 'curve' ? segment.c1 && segment.c2 : segment.vertex).toBeTruthy();
+    }
+  });
+
+  test('should apply options per instance', () => {
+    const keepSpecks = new Potrace({ turdsize: 0 });
+    const defaults = new Potrace();
+
+    expect(keepSpecks.trace(frame).paths).toHaveLength(3);
+    expect(defaults.trace(frame).paths).toHaveLength(2);
+    expect(defaults.options).toEqual(Potrace.DEFAULTS);
+  });
+
+  test('should keep corners of a square without curve optimization', () => {
+    const square = createImage(20, 20, (x, y) => x >= 4 && x < 16 && y >= 4 && y < 16);
+    const [path] = new Potrace({ alphamax: 0 }).trace(square).paths;
+
+    expect(path.curve.segments.every(segment => segment.type === 'corner')).toBe(true);
+    expect(path.curve.segments.map(segment => segment.vertex)).toEqual(expect.arrayContaining([
+      { x: 4, y: 4 }, { x: 16, y: 4 }, { x: 16, y: 16 }, { x: 4, y: 16 }
+    ]));
+  });
+
+  describe('serialization', () => {
+    const result = {
+      width: 10,
+      height: 8,
+      paths: [{
+        sign: '+',
+        curve: {
+          start: { x: 0, y: 0 },
+          segments: [
+            { type: 'corner', vertex: { x: 4, y: 0 }, end: { x: 4, y: 2 } },
+            { type: 'curve', c1: { x: 4, y: 4 }, c2: { x: 2, y: 4 }, end: { x: 0, y: 0 } }
+          ]
+        }
+      }]
+    };
+
+    test('should write path data at a scale', () => {
+      expect(Potrace.toPathData(result, 2))
+        .toBe('M0.000 0.000 L 8.000 0.000 8.000 4.000 C 8.000 8.000,4.000 8.000,0.000 0.000 ');
+    });
+
+    test('should write filled or stroked SVG documents', () => {
+      const filled = Potrace.toSVG(result);
+      expect(filled).toContain('width="10" height="8"');
+      expect(filled).toContain('fill="black" fill-rule="evenodd"');
+
+      const stroked = Potrace.toSVG(result, { size: 2, type: 'curve' });
+      expect(stroked).toContain('width="20" height="16"');
+      expect(stroked).toContain('stroke="black" fill="none"');
+    });
+  });
+});
@@ -0,0 +1,119 @@
+const SvgPath = require('../../src/lib/svg-path');
+
+describe('SVG Path Geometry', () => {
+  describe('parsePathData', () => {
+    test('should parse absolute and relative commands', () => {
+      const commands = SvgPath.parsePathData('M10 20 l5 5 Z');
+      expect(commands).toEqual([
+        { cmd: 'M', args: [10, 20] },
+        { cmd: 'l', args: [5, 5] },
+        { cmd: 'Z', args: [] }
+      ]);
+    });
+
+    test('should handle compact number formatting', () => {
+      const commands = SvgPath.parsePathData('M1.5.5-2-2L3e1,4');
+      expect(commands[0]).toEqual({ cmd: 'M', args: [1.5, 0.5] });
+      expect(commands[1]).toEqual({ cmd: 'L', args: [-2, -2] });
+      expect(commands[2]).toEqual({ cmd: 'L', args: [30, 4] });
+    });
+
+    test('should treat extra moveto coordinates as lineto', () => {
+      const commands = SvgPath.parsePathData('m0 0 10 0 0 10');
+      expect(commands.map(c => c.cmd)).toEqual(['m', 'l', 'l']);
+    });
+
+    test('should parse compact arc flags', () => {
+      const commands = SvgPath.parsePathData('M0 0a5 5 0 0110 0');
+      expect(commands[1]).toEqual({ cmd: 'a', args: [5, 5, 0, 0, 1, 10, 0] });
+    });
+  });
+
+  describe('parseTransform', () => {
+    test('should parse translate and scale', () => {
+      const m = SvgPath.parseTransform('translate(10 20) scale(2)');
+      expect(SvgPath.applyMatrix(m, 1, 1)).toEqual([12, 22]);
+    });
+
+    test('should rotate around a center point', () => {
+      const m = SvgPath.parseTransform('rotate(90 10 10)');
+      const [x, y] = SvgPath.applyMatrix(m, 20, 10);
+      expect(x).toBeCloseTo(10);
+      expect(y).toBeCloseTo(20);
+    });
+
+    test('should return identity for empty transform', () => {
+      expect(SvgPath.parseTransform('')).toEqual([1, 0, 0, 1, 0, 0]);
+    });
+  });
+
+  describe('flattenPathData', () => {
+    test('should flatten lines and close subpaths', () => {
+      const subpaths = SvgPath.flattenPathData('M0 0 H10 V10 Z');
+      expect(subpaths).toHaveLength(1);
+      expect(subpaths[0].closed).toBe(true);
+      expect(subpaths[0].points).toEqual([[0, 0], [10, 0], [10, 10], [0, 0]]);
+    });
+
+    test('should split multiple subpaths', () => {
+      const subpaths = SvgPath.flattenPathData('M0 0 L1 1 M5 5 L6 6');
+      expect(subpaths).toHaveLength(2);
+      expect(subpaths[1].points[0]).toEqual([5, 5]);
+    });
+
+    test('should keep cubic curves within tolerance', () => {
+      const subpaths = SvgPath.flattenPathData('M0 0 C0 100 100 100 100 0', { tolerance: 0.1 });
+      const points = subpaths[0].points;
+      expect(points.length).toBeGreaterThan(10);
+      // Curve peaks at y = 75 for t = 0.5
+      const peak = Math.max(...points.map(p => p[1]));
+      expect(peak).toBeCloseTo(75, 0);
+      expect(points[points.length - 1]).toEqual([100, 0]);
+    });
+
+    test('should flatten arcs onto the circle', () => {
+      const subpaths = SvgPath.flattenPathData('M10 0 A10 10 0 0 1 -10 0', { tolerance: 0.01 });
+      for (const [x, y] of subpaths[0].points) {
+        expect(Math.hypot(x, y)).toBeCloseTo(10, 1);
+      }
+      const last = subpaths[0].points[subpaths[0].points.length - 1];
+      expect(last).toEqual([-10, 0]);
+    });
+
+    test('should apply the matrix to output points', () => {
+      const subpaths = SvgPath.flattenPathData('M0 0 L1 0', { matrix: [2, 0, 0, 2, 5, 5] });
+      expect(subpaths[0].points).toEqual([[5, 5], [7, 5]]);
+    });
+  });
+
+  describe('shapeToPathData', () => {
+    test('should convert rect, line and polygon', () => {
+      expect(SvgPath.shapeToPathData('rect', { x: '1', y: '2', width: '3', height: '4' }))
+        .toBe('M1,2H4V6H1Z');
+      expect(SvgPath.shapeToPathData('line', { x1: '0', y1: '0', x2: '5', y2: '5' }))
+        .toBe('M0,0L5,5');
+      expect(SvgPath.shapeToPathData('polygon', { points: '0,0 10,0 10,10' }))
+        .toBe('M0,0L10,0L10,10Z');
+    });
+
+    test('should skip shapes without size', () => {
+      expect(SvgPath.shapeToPathData('circle', { r: '0' })).toBeNull();
+      expect(SvgPath.shapeToPathData('rect', { width: '10' })).toBeNull();
+    });
+
+    test('should produce a closed circle', () => {
+      const d = SvgPath.shapeToPathData('circle', { cx: '0', cy: '0', r: '5' });
+      const subpaths = SvgPath.flattenPathData(d, { tolerance: 0.01 });
+      const bounds = SvgPath.getBounds(subpaths.map(s => s.points));
+      expect(bounds.minX).toBeCloseTo(-5);
+      expect(bounds.maxY).toBeCloseTo(5, 1);
+      expect(subpaths[0].closed).toBe(true);
+    });
+  });
+
+  describe('polylineLength', () => {
+    test('should sum segment lengths', () => {
+      expect(SvgPath.polylineLength([[0, 0], [3, 4], [3, 10]])).toBe(11);
+    });
+  });
+});
@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const WORKER_PATH = path.join(__dirname, '../../src/workers/trace-worker.js');
+
+/**
+ * Minimal OffscreenCanvas for the worker: drawImage copies pixels at the same
+ * size and understands the brightness() canvas filter
+ */
+class FakeCanvas {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.data = new Uint8ClampedArray(width * height * 4);
+  }
+
+  getContext() {
+    const canvas = this;
+    return {
+      filter: 'none',
+      drawImage(image) {
+        const match = /brightness\(([\d.]+)\)/.exec(this.filter);
+        const factor = match ? parseFloat(match[1]) : 1;
+        for (let i = 0; i < canvas.data.length; i++) {
+          canvas.data[i] = i % 4 === 3 ? image.data[i] : image.data[i] * factor;
+        }
+      },
+      getImageData() {
+        return { width: canvas.width, height: canvas.height, data: new Uint8ClampedArray(canvas.data) };
+      },
+      putImageData(imageData) {
+        canvas.data.set(imageData.data);
+      },
+      clearRect() {
+        canvas.data.fill(0);
+      }
+    };
+  }
+
+  async convertToBlob() {
+    return { width: this.width, height: this.height, data: new Uint8ClampedArray(this.data) };
+  }
+}
+
+function createBitmap(width, height, pixel) {
+  const bitmap = new FakeCanvas(width, height);
+  for (let i = 0; i < width * height; i++) {
+    bitmap.data.set(pixel(i % width, Math.floor(i / width)), i * 4);
+  }
+  bitmap.close = () => {};
+  return bitmap;
+}
+
+// Runs the worker script in its own context and collects what it posts
+function loadWorker() {
+  const messages = [];
+  const context = vm.createContext({
+    setTimeout,
+    OffscreenCanvas: FakeCanvas,
+    ImageData: class {
+      constructor(data, width, height) {
+        Object.assign(this, { data, width, height });
+      }
+    },
+    postMessage: message => messages.push(message)
+  });
+  context.self = context;
+  context.importScripts = (...scripts) => {
+    scripts.forEach(script => {
+      const file = path.resolve(path.dirname(WORKER_PATH), script);
+      vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    });
+  };
+  vm.runInContext(fs.readFileSync(WORKER_PATH, 'utf8'), context, { filename: WORKER_PATH });
+
+  const send = message => context.onmessage({ data: message });
+  const result = id => new Promise((resolve, reject) => {
+    const poll = () => {
+      const done = messages.find(message => message.id === id && message.type !== 'progress');
+      if (!done) return setTimeout(poll, 0);
+      return done.type === 'error' ? reject(new Error(done.message)) : resolve(done);
+    };
+    poll();
+  });
+  return { messages, send, result };
+}
+
+const SETTINGS = {
+  scale: 100,
+  adjust: { brightness: 0, contrast: 0, saturation: 0, hue: 0, greyscale: false, sepia: false },
+  sobel: null,
+  binarize: { mode: 'fixed', threshold: 128, preview: false },
+  mode: 'potrace',
+  potrace: {}
+};
+
+const pixel = (image, x, y) => image.data[(y * image.width + x) * 4];
+
+describe('Trace Worker', () => {
+  // Grey source; the mask covers the left half of the image
+  const source = () => createBitmap(4, 2, () => [200, 200, 200, 255]);
+  const mask = () => createBitmap(4, 2, x => [255, 59, 48, x < 2 ? 255 : 0]);
+
+  test('should keep excluded areas as paper through the color adjustments', async () => {
+    const worker = loadWorker();
+    worker.send({ type: 'source', bitmap: source() });
+    worker.send({ type: 'mask', mask: { bitmap: mask(), mode: 'exclude' } });
+    worker.send({ type: 'trace', id: 1, settings: { ...SETTINGS, adjust: { ...SETTINGS.adjust, brightness: -50 } } });
+
+    const { processed } = await worker.result(1);
+    expect(pixel(processed, 0, 0)).toBe(255);
+    expect(pixel(processed, 3, 0)).toBe(100);
+  });
+
+  // Bitmap preview: 0 is ink, 255 paper
+  const tracedBitmap = async (settings) => {
+    const worker = loadWorker();
+    worker.send({ type: 'source', bitmap: source() });
+    worker.send({ type: 'mask', mask: { bitmap: mask(), mode: 'exclude' } });
+    worker.send({ type: 'trace', id: 1, settings: { ...settings, binarize: { ...settings.binarize, preview: true } } });
+    return (await worker.result(1)).processed;
+  };
+
+  test('should leave no ink in excluded areas at the lowest brightness', async () => {
+    const bitmap = await tracedBitmap({ ...SETTINGS, adjust: { ...SETTINGS.adjust, brightness: -100 } });
+
+    [0, 1].forEach(x => expect(pixel(bitmap, x, 0)).toBe(255));
+    expect(pixel(bitmap, 3, 0)).toBe(0);
+  });
+
+  test('should leave no ink in excluded areas with inverted edges', async () => {
+    // Inverted Sobel turns flat areas black
+    const bitmap = await tracedBitmap({ ...SETTINGS, sobel: { threshold: 50, invert: true } });
+
+    [0, 1].forEach(x => [0, 1].forEach(y => expect(pixel(bitmap, x, y)).toBe(255)));
+    expect(pixel(bitmap, 3, 0)).toBe(0);
+  });
+
+  test('should mask before edge detection', async () => {
+    const worker = loadWorker();
+    worker.send({ type: 'source', bitmap: source() });
+    worker.send({ type: 'mask', mask: { bitmap: mask(), mode: 'include' } });
+    worker.send({ type: 'trace', id: 1, settings: { ...SETTINGS, sobel: { threshold: 50, invert: false } } });
+    await worker.result(1);
+
+    const stages = worker.messages.filter(message => message.type === 'progress').map(message => message.stage);
+    expect(stages.indexOf('Masking')).toBeGreaterThanOrEqual(0);
+    expect(stages.indexOf('Masking')).toBeLessThan(stages.indexOf('Detecting edges'));
+  });
+
+  test('should trace the unmasked source unchanged without a mask', async () => {
+    const worker = loadWorker();
+    worker.send({ type: 'source', bitmap: source() });
+    worker.send({ type: 'trace', id: 1, settings: SETTINGS });
+
+    const { processed } = await worker.result(1);
+    expect(pixel(processed, 0, 0)).toBe(200);
+    expect(worker.messages.some(message => message.stage === 'Masking')).toBe(false);
+  });
+});
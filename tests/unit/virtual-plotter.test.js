@@ -0,0 +1,178 @@
+const { VirtualPlotter, machineLimits } = require('../../src/main/virtual-plotter');
+const { GcodeSender, marlinChecksum } = require('../../src/main/gcode-sender');
+const { openTcpConnection } = require('../../src/main/tcp-connection');
+
+const PROFILE = {
+  id: 'test',
+  name: 'Test Plotter',
+  workWidth: 100,
+  workHeight: 80,
+  origin: 'bottom-left',
+  penUp: 'M42 P0 S1',
+  penDown: 'M42 P0 S0'
+};
+
+const SQUARE = [
+  'G21',
+  'G90',
+  'G0 X10 Y10',
+  'M42 P0 S0',
+  'G1 X20 Y10 F1000',
+  'G1 X20 Y20',
+  'M42 P0 S1',
+  'G0 X0 Y0'
+].join('\n');
+
+/**
+ * Send lines straight to the plotter and collect its replies
+ */
+function talk(plotter, text) {
+  const replies = [];
+  const onData = data => replies.push(...data.split('\n').filter(Boolean));
+  plotter.on('data', onData);
+  plotter.receive(text);
+  plotter.removeListener('data', onData);
+  return replies;
+}
+
+describe('Virtual Plotter', () => {
+  test('should compute soft limits in machine coordinates', () => {
+    expect(machineLimits({ workWidth: 100, workHeight: 80, origin: 'top-left' }))
+      .toEqual({ minX: 0, maxX: 100, minY: 0, maxY: 80 });
+    expect(machineLimits({ workWidth: 100, workHeight: 80, origin: 'center' }))
+      .toEqual({ minX: -50, maxX: 50, minY: -40, maxY: 40 });
+    expect(machineLimits({})).toBeNull();
+  });
+
+  describe('GRBL', () => {
+    test('should track position and pen state and record the drawing', () => {
+      const plotter = new VirtualPlotter({ protocol: 'grbl', profile: PROFILE });
+      const replies = talk(plotter, SQUARE + '\n');
+
+      expect(replies).toEqual(Array(8).fill('ok'));
+      expect(plotter.status()).toMatchObject({ position: [0, 0], penDown: false, lines: 8 });
+      expect(plotter.paths).toEqual([[[10, 10], [20, 10], [20, 20]]]);
+    });
+
+    test('should report status and honour feed hold', () => {
+      const plotter = new VirtualPlotter({ protocol: 'grbl', profile: PROFILE });
+      expect(talk(plotter, 'G0 X5 Y6\n?')).toEqual(['ok', '<Idle|MPos:5,6,0|FS:0,0|WCO:0,0,0>']);
+
+      // Lines wait in the buffer during a hold
+      expect(talk(plotter, '!G0 X7\n?')).toEqual(['<Hold:0|MPos:5,6,0|FS:0,0|WCO:0,0,0>']);
+      expect(talk(plotter, '~')).toEqual(['ok']);
+      expect(plotter.status().position).toEqual([7, 6]);
+    });
+
+    test('should alarm on a soft limit and stay locked until $X', () => {
+      const plotter = new VirtualPlotter({ protocol: 'grbl', profile: PROFILE });
+      const limits = [];
+      plotter.on('limit', limit => limits.push(limit));
+
+      expect(talk(plotter, 'G0 X50 Y50\nG1 X150\nG0 X0\n')).toEqual(['ok', 'ALARM:2', 'error:9']);
+      expect(plotter.status().position).toEqual([50, 50]);
+      expect(limits).toEqual([{ line: 1, target: [150, 50] }]);
+
+      // A soft reset does not clear the alarm
+      talk(plotter, '\x18');
+      expect(talk(plotter, '$X\nG0 X0\n')).toEqual(['[MSG:Caution: Unlocked]', 'ok', 'ok']);
+      expect(plotter.violations).toHaveLength(1);
+    });
+
+    test('should jog without changing the modal state', () => {
+      const plotter = new VirtualPlotter({ protocol: 'grbl', profile: PROFILE });
+      expect(talk(plotter, '$J=G91 X10 Y5 F500\n$J=G91 X-50 F500\nG0 X1\n')).toEqual(['ok', 'error:15', 'ok']);
+      expect(plotter.status().position).toEqual([1, 5]);
+      expect(plotter.machine.state.absolute).toBe(true);
+    });
+  });
+
+  describe('Marlin', () => {
+    const numbered = (number, command) => {
+      const line = `N${number} ${command}`;
+      return `${line}*${marlinChecksum(line)}\n`;
+    };
+
+    test('should check line numbers and checksums', () => {
+      const plotter = new VirtualPlotter({ protocol: 'marlin', profile: PROFILE });
+      expect(talk(plotter, numbered(0, 'M110 N0') + numbered(1, 'G0 X5'))).toEqual(['ok', 'ok']);
+
+      // Corrupted checksum
+      expect(talk(plotter, 'N2 G0 X6*1\n')).toEqual(['Error:checksum mismatch, Last Line: 1', 'Resend: 2', 'ok']);
+      // Skipped line
+      expect(talk(plotter, numbered(3, 'G0 X7'))).toEqual([
+        'Error:Line Number is not Last Line Number+1, Last Line: 1', 'Resend: 2', 'ok'
+      ]);
+      expect(plotter.status().position).toEqual([5, 0]);
+
+      expect(talk(plotter, 'M114\n')).toEqual(['X:5.00 Y:0.00 Z:0.00 E:0.00 Count X:0 Y:0 Z:0', 'ok']);
+    });
+
+    test('should clamp moves to the work area', () => {
+      const plotter = new VirtualPlotter({ protocol: 'marlin', profile: PROFILE });
+      expect(talk(plotter, 'M42 P0 S0\nG1 X150 Y10\n')).toEqual(['ok', 'ok']);
+      expect(plotter.status().position).toEqual([100, 10]);
+      expect(plotter.paths).toEqual([[[0, 0], [100, 10]]]);
+      expect(plotter.violations).toHaveLength(1);
+    });
+  });
+
+  test('should write the drawing as an SVG of the bed', () => {
+    const plotter = new VirtualPlotter({ protocol: 'grbl', profile: { ...PROFILE, origin: 'top-left' } });
+    talk(plotter, 'G0 X10 Y10\nM42 P0 S0\nG1 X20 Y10\n');
+
+    const svg = plotter.toSVG();
+    expect(svg).toContain('viewBox="0 0 100 80"');
+    expect(svg).toContain('data-limit-violations="0"');
+    // Top-left origin: machine Y10 is 10 mm from the top edge
+    expect(svg).toContain('<polyline points="10,10 20,10"/>');
+  });
+
+  describe('GRBL over TCP', () => {
+    let plotter;
+    let connection;
+
+    beforeEach(async () => {
+      plotter = new VirtualPlotter({ protocol: 'grbl', profile: PROFILE });
+      const { host, port } = await plotter.listen();
+      connection = await openTcpConnection(host, port);
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => connection.close(resolve));
+      await plotter.close();
+    });
+
+    test('should accept a streamed job', async () => {
+      const sender = new GcodeSender(connection, { protocol: 'grbl', statusInterval: 0 });
+      await expect(sender.start(SQUARE)).resolves.toEqual({ total: 8 });
+      sender.detach();
+
+      expect(plotter.paths).toEqual([[[10, 10], [20, 10], [20, 20]]]);
+    });
+
+    test('should fail the job on a soft limit alarm', async () => {
+      const sender = new GcodeSender(connection, { protocol: 'grbl', statusInterval: 0 });
+      await expect(sender.start('G0 X10\nG0 X500\nG0 X20\n')).rejects.toThrow('ALARM:2');
+      sender.detach();
+
+      expect(plotter.status()).toMatchObject({ position: [10, 0], alarm: true });
+    });
+  });
+
+  describe('Marlin over TCP', () => {
+    test('should accept a streamed job', async () => {
+      const plotter = new VirtualPlotter({ protocol: 'marlin', profile: PROFILE });
+      const { host, port } = await plotter.listen();
+      const connection = await openTcpConnection(host, port);
+
+      const sender = new GcodeSender(connection, { protocol: 'marlin' });
+      await expect(sender.start(SQUARE)).resolves.toEqual({ total: 8 });
+      sender.detach();
+      expect(plotter.paths).toEqual([[[10, 10], [20, 10], [20, 20]]]);
+
+      await new Promise(resolve => connection.close(resolve));
+      await plotter.close();
+    });
+  });
+});
@@ -0,0 +1,47 @@
+const path = require('path');
+const { parseToml, loadGwriteProfiles } = require('../../src/main/vpype-config');
+
+describe('vpype Config', () => {
+  describe('parseToml', () => {
+    test('should parse nested tables and value types', () => {
+      const config = parseToml([
+        '# comment',
+        '[gwrite.test]',
+        'unit = "mm"',
+        'vertical_flip = true',
+        'speed = 1_000',
+        "literal = 'C:\\path'"
+      ].join('\n'));
+
+      expect(config.gwrite.test).toEqual({
+        unit: 'mm',
+        vertical_flip: true,
+        speed: 1000,
+        literal: 'C:\\path'
+      });
+    });
+
+    test('should decode escapes in basic strings', () => {
+      const config = parseToml('a = "G21\\nG90\\t\\"x\\""');
+      expect(config.a).toBe('G21\nG90\t"x"');
+    });
+
+    test('should read multi-line strings', () => {
+      const config = parseToml('a = """\nG21\nG90\n"""\nb = 1');
+      expect(config.a).toBe('G21\nG90\n');
+      expect(config.b).toBe(1);
+    });
+  });
+
+  describe('loadGwriteProfiles', () => {
+    test('should load the johnny5 profile from vpype.toml', () => {
+      const profiles = loadGwriteProfiles(path.join(__dirname, '../fixtures/vpype.toml'));
+      expect(profiles.johnny5.unit).toBe('mm');
+      expect(profiles.johnny5.segment).toBe('G1 X{x:.4f} Y{y:.4f}\n');
+    });
+
+    test('should return no profiles for a missing file', () => {
+      expect(loadGwriteProfiles('/nonexistent/vpype.toml')).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,68 @@
+const WorkArea = require('../../src/lib/work-area');
+
+const machine = (origin) => ({ workWidth: 400, workHeight: 300, origin });
+
+describe('WorkArea', () => {
+  describe('placePaper', () => {
+    test('should place paper using the nine-grid position', () => {
+      expect(WorkArea.placePaper(400, 300, 100, 50, 'bottom-left')).toEqual({ x: 0, y: 0, width: 100, height: 50 });
+      expect(WorkArea.placePaper(400, 300, 100, 50, 'top-right')).toEqual({ x: 300, y: 250, width: 100, height: 50 });
+      expect(WorkArea.placePaper(400, 300, 100, 50, 'center')).toEqual({ x: 150, y: 125, width: 100, height: 50 });
+      expect(WorkArea.placePaper(400, 300, 100, 50, 'top-center')).toEqual({ x: 150, y: 250, width: 100, height: 50 });
+    });
+
+    test('should fall back to center for unknown positions', () => {
+      expect(WorkArea.placePaper(400, 300, 100, 50, 'somewhere')).toEqual({ x: 150, y: 125, width: 100, height: 50 });
+    });
+  });
+
+  describe('bedToMachine / machineToBed', () => {
+    test('should map the bed corners to each machine origin', () => {
+      expect(WorkArea.bedToMachine(0, 0, machine('bottom-left'))).toEqual([0, 0]);
+      expect(WorkArea.bedToMachine(0, 300, machine('top-left'))).toEqual([0, 0]);
+      expect(WorkArea.bedToMachine(400, 0, machine('bottom-right'))).toEqual([0, 0]);
+      expect(WorkArea.bedToMachine(400, 300, machine('top-right'))).toEqual([0, 0]);
+      expect(WorkArea.bedToMachine(200, 150, machine('center'))).toEqual([0, 0]);
+    });
+
+    test('should round-trip coordinates for every origin', () => {
+      for (const origin of ['bottom-left', 'top-left', 'bottom-right', 'top-right', 'center']) {
+        const [mx, my] = WorkArea.bedToMachine(35, 80, machine(origin));
+        expect(WorkArea.machineToBed(mx, my, machine(origin))).toEqual([35, 80]);
+      }
+    });
+  });
+
+  describe('pageToMachine', () => {
+    test('should put the page top-left corner at the top of the page box', () => {
+      for (const origin of ['bottom-left', 'top-left', 'top-right']) {
+        const m = machine(origin);
+        const [a, , , d, e, f] = WorkArea.pageToMachine(50, 20, 100, m);
+        // Page (0, 0) is the top-left corner of the page box on the bed
+        expect(WorkArea.machineToBed(e, f, m)).toEqual([50, 120]);
+        // Page (10, 100) is 10 mm right of the bottom-left corner
+        expect(WorkArea.machineToBed(a * 10 + e, d * 100 + f, m)).toEqual([60, 20]);
+      }
+    });
+  });
+
+  describe('placeArtwork / boxBounds', () => {
+    test('should center the artwork box and apply the offset', () => {
+      const m = WorkArea.placeArtwork(100, 50, 200, 300, { offsetX: 10, offsetY: -20, rotation: 0 });
+      expect(WorkArea.boxBounds(m, 100, 50)).toEqual({ minX: 60, minY: 105, maxX: 160, maxY: 155 });
+    });
+
+    test('should rotate clockwise about the artwork center', () => {
+      const m = WorkArea.placeArtwork(100, 50, 200, 300, { rotation: 90 });
+      const bounds = WorkArea.boxBounds(m, 100, 50);
+      expect(bounds.minX).toBeCloseTo(75);
+      expect(bounds.maxX).toBeCloseTo(125);
+      expect(bounds.minY).toBeCloseTo(100);
+      expect(bounds.maxY).toBeCloseTo(200);
+
+      // The artwork's top-left corner ends up top-right (Y down)
+      expect(m[4]).toBeCloseTo(125);
+      expect(m[5]).toBeCloseTo(100);
+    });
+  });
+});
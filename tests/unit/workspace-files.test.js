@@ -0,0 +1,41 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const workspaceFiles = require('../../src/main/workspace-files');
+
+describe('Workspace Files', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'workspace-files-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should save simulator recordings next to the G-code file', () => {
+    expect(workspaceFiles.getSimulatedDrawingPath(path.join(dir, 'face.gcode')))
+      .toBe(path.join(dir, 'face.sim.svg'));
+  });
+
+  test('should list SVG files as vectors', () => {
+    ['face.svg', 'LOGO.SVG', 'photo.png', 'face.gcode'].forEach(file => fs.writeFileSync(path.join(dir, file), ''));
+
+    const files = workspaceFiles.listVectorFiles(dir).sort((a, b) => a.name.localeCompare(b.name));
+    expect(files).toEqual([
+      { name: 'face.svg', path: path.join(dir, 'face.svg') },
+      { name: 'LOGO.SVG', path: path.join(dir, 'LOGO.SVG') }
+    ]);
+  });
+
+  test('should never list simulator recordings as vectors', () => {
+    fs.writeFileSync(path.join(dir, 'face.svg'), '');
+    fs.writeFileSync(path.join(dir, 'face.gcode'), '');
+    fs.writeFileSync(workspaceFiles.getSimulatedDrawingPath(path.join(dir, 'face.gcode')), '<svg/>');
+    fs.writeFileSync(path.join(dir, 'OLD.SIM.SVG'), '<svg/>');
+
+    expect(workspaceFiles.listVectorFiles(dir).map(file => file.name)).toEqual(['face.svg']);
+    expect(workspaceFiles.isVectorFile('face.sim.svg')).toBe(false);
+  });
+});